@@ -359,11 +359,29 @@ function AuthComponent({ setCurrentView, currentView }) {
 function UserDashboard({ user, session }) {
   const [apiKeys, setApiKeys] = useState([]);
   const [subscriptions, setSubscriptions] = useState([]);
+  const [invoices, setInvoices] = useState([]);
+  const [catalog, setCatalog] = useState([]);
   const [loading, setLoading] = useState(true);
   const [message, setMessage] = useState('');
+  const [issuedKey, setIssuedKey] = useState(null);
+  const [upgrading, setUpgrading] = useState(null);
+  const [subscribing, setSubscribing] = useState(null);
+  const [usageKeyId, setUsageKeyId] = useState(null);
+  const [promoCode, setPromoCode] = useState('');
+  const [redeeming, setRedeeming] = useState(false);
+  const [discount, setDiscount] = useState(null);
 
   useEffect(() => {
     fetchUserData();
+
+    // Returning from the payment page
+    const checkout = new URLSearchParams(window.location.search).get('checkout');
+    if (checkout) {
+      setMessage(checkout === 'success'
+        ? 'Payment received! Your subscription will be upgraded in a moment.'
+        : 'Checkout cancelled.');
+      window.history.replaceState(null, '', window.location.pathname);
+    }
   }, []);
 
   const fetchUserData = async () => {
@@ -371,9 +389,12 @@ function UserDashboard({ user, session }) {
       const { data: keysData, error: keysError } = await supabase
         .from('api_keys')
         .select(`
-          *,
-          products(name, description, is_active),
-          subscriptions(status, expires_at)
+          id,
+          product_id,
+          key_prefix,
+          previous_key_expires_at,
+          products(name, description, is_active, max_devices),
+          key_devices(id, device_id, first_seen_at, last_seen_at)
         `)
         .eq('user_id', user.id);
 
@@ -384,12 +405,30 @@ function UserDashboard({ user, session }) {
         .from('subscriptions')
         .select(`
           *,
-          products(name, description, price, trial_enabled, is_active)
+          products(name, description, price, trial_enabled, trial_days, is_active)
         `)
         .eq('user_id', user.id);
 
       if (subsError) throw subsError;
       setSubscriptions(subsData || []);
+
+      const { data: invoicesData, error: invoicesError } = await supabase
+        .from('invoices')
+        .select('*')
+        .eq('user_id', user.id)
+        .order('issued_at', { ascending: false });
+
+      if (invoicesError) throw invoicesError;
+      setInvoices(invoicesData || []);
+
+      const { data: catalogData, error: catalogError } = await supabase
+        .from('products')
+        .select('id, name, description, price, duration_days, max_devices, trial_enabled, trial_days')
+        .eq('is_active', true)
+        .order('name');
+
+      if (catalogError) throw catalogError;
+      setCatalog(catalogData || []);
     } catch (error) {
       console.error('Error fetching user data:', error);
     } finally {
@@ -397,14 +436,15 @@ function UserDashboard({ user, session }) {
     }
   };
 
-  const releaseDevice = async (apiKey) => {
+  const releaseDevice = async (keyId, deviceId) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/release-device`, {
+      const response = await fetch(`${API_BASE_URL}/keys/${keyId}/release-device`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`,
         },
-        body: JSON.stringify({ api_key: apiKey }),
+        body: JSON.stringify({ device_id: deviceId }),
       });
 
       const data = await response.json();
@@ -412,6 +452,10 @@ function UserDashboard({ user, session }) {
         setMessage('Device released successfully!');
         fetchUserData();
         setTimeout(() => setMessage(''), 3000);
+      } else if (data.retry_at) {
+        setMessage(`${data.error}. Try again after ${new Date(data.retry_at).toLocaleString()}.`);
+      } else {
+        setMessage(`Error: ${data.error}`);
       }
     } catch (error) {
       console.error('Error releasing device:', error);
@@ -419,6 +463,157 @@ function UserDashboard({ user, session }) {
     }
   };
 
+  const rotateKey = async (key) => {
+    if (key.key_prefix && !window.confirm(`Rotate the API key for "${key.products?.name}"? The current key keeps working for a short overlap window.`)) return;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/keys/${key.id}/rotate`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+        body: JSON.stringify({}),
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setIssuedKey(data);
+        setMessage(key.key_prefix ? 'API key rotated! Update your tools with the new key.' : 'API key generated!');
+        fetchUserData();
+        setTimeout(() => setMessage(''), 3000);
+      } else {
+        setMessage(`Error: ${data.error}`);
+      }
+    } catch (error) {
+      console.error('Error rotating key:', error);
+      setMessage('Error rotating key');
+    }
+  };
+
+  const getKey = async (product) => {
+    setSubscribing(product.id);
+    try {
+      const response = await fetch(`${API_BASE_URL}/subscriptions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+        body: JSON.stringify({ product_id: product.id }),
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setIssuedKey(data);
+        setMessage(`You're subscribed to ${product.name}! Copy your API key below.`);
+        fetchUserData();
+      } else {
+        setMessage(`Error: ${data.error}`);
+      }
+    } catch (error) {
+      console.error('Error subscribing:', error);
+      setMessage('Error subscribing to product');
+    } finally {
+      setSubscribing(null);
+    }
+  };
+
+  const upgrade = async (productId) => {
+    setUpgrading(productId);
+    try {
+      const response = await fetch(`${API_BASE_URL}/checkout`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+        body: JSON.stringify({
+          product_id: productId,
+          ...(discount?.product_id === productId && { promo_code: discount.code }),
+        }),
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        window.location.href = data.url;
+      } else {
+        setMessage(`Error: ${data.error}`);
+        setUpgrading(null);
+      }
+    } catch (error) {
+      console.error('Error starting checkout:', error);
+      setMessage('Error starting checkout');
+      setUpgrading(null);
+    }
+  };
+
+  // Premium-day codes apply straight away; discount codes are held until
+  // the user checks out the product they are for
+  const redeemPromoCode = async (e) => {
+    e.preventDefault();
+    setRedeeming(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/promo-codes/redeem`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+        body: JSON.stringify({ code: promoCode }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        setMessage(`Error: ${data.error}`);
+        return;
+      }
+
+      setPromoCode('');
+      if (data.kind === 'discount') {
+        setDiscount(data);
+        setMessage(`Code ${data.code} applied: ${data.percent_off}% off your next checkout for this product.`);
+      } else {
+        setMessage(
+          `Code ${data.code} redeemed: ${data.days} days of premium added. ` +
+          `${data.days_left} days left, until ${new Date(data.expires_at).toLocaleDateString()}.`
+        );
+        fetchUserData();
+      }
+    } catch (error) {
+      console.error('Error redeeming promo code:', error);
+      setMessage('Error redeeming promo code');
+    } finally {
+      setRedeeming(false);
+    }
+  };
+
+  const downloadInvoice = async (invoice, format) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/invoices/${invoice.id}/download?format=${format}`, {
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        setMessage(`Error: ${data.error}`);
+        return;
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${invoice.invoice_number}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading invoice:', error);
+      setMessage('Error downloading invoice');
+    }
+  };
+
   const signOut = async () => {
     await supabase.auth.signOut();
   };
@@ -465,7 +660,7 @@ function UserDashboard({ user, session }) {
             </div>
             <div className="p-6">
               {apiKeys.length === 0 ? (
-                <p className="text-gray-500">No API keys found. Contact admin to get access to products.</p>
+                <p className="text-gray-500">No API keys yet. Pick a product below to get one.</p>
               ) : (
                 <div className="space-y-4">
                   {apiKeys.map((key) => (
@@ -474,27 +669,77 @@ function UserDashboard({ user, session }) {
                         <div>
                           <h3 className="font-medium text-gray-900">{key.products?.name}</h3>
                           <p className="text-sm text-gray-600">{key.products?.description}</p>
-                          <p className="text-sm font-mono bg-gray-100 p-2 rounded mt-2">{key.key_value}</p>
+                          <p className="text-sm font-mono bg-gray-100 p-2 rounded mt-2">
+                            {key.key_prefix ? `${key.key_prefix}…` : 'No key issued yet'}
+                          </p>
+                          {issuedKey?.id === key.id && (
+                            <div className="mt-2 p-3 bg-yellow-50 border border-yellow-300 rounded">
+                              <p className="text-sm font-medium text-yellow-800">
+                                Copy your new key now. It will not be shown again.
+                              </p>
+                              <div className="flex items-center mt-2 space-x-2">
+                                <code className="text-sm font-mono break-all">{issuedKey.key_value}</code>
+                                <button
+                                  onClick={() => navigator.clipboard.writeText(issuedKey.key_value)}
+                                  className="bg-gray-600 text-white px-2 py-1 rounded text-xs hover:bg-gray-700"
+                                >
+                                  Copy
+                                </button>
+                              </div>
+                            </div>
+                          )}
+                          {key.previous_key_expires_at && new Date(key.previous_key_expires_at) > new Date() && (
+                            <p className="text-sm text-yellow-700 mt-1">
+                              Previous key still works until {new Date(key.previous_key_expires_at).toLocaleString()}
+                            </p>
+                          )}
                           <p className="text-sm text-gray-500 mt-1">
                             Status: <span className={`font-medium ${key.products?.is_active ? 'text-green-600' : 'text-red-600'}`}>
                               {key.products?.is_active ? 'Active' : 'Inactive'}
                             </span>
                           </p>
-                          {key.device_id && (
-                            <p className="text-sm text-gray-500">
-                              Device: <span className="font-mono">{key.device_id}</span>
-                            </p>
-                          )}
+                          <p className="text-sm text-gray-500">
+                            Devices: {key.key_devices?.length || 0} of {key.products?.max_devices ?? 1} seats used
+                          </p>
                         </div>
-                        {key.device_id && (
+                        <div className="flex space-x-2">
+                          <button
+                            onClick={() => setUsageKeyId(usageKeyId === key.id ? null : key.id)}
+                            className="border border-gray-300 text-gray-700 px-3 py-1 rounded text-sm hover:bg-gray-50"
+                          >
+                            {usageKeyId === key.id ? 'Hide Usage' : 'Usage'}
+                          </button>
                           <button
-                            onClick={() => releaseDevice(key.key_value)}
-                            className="bg-yellow-600 text-white px-3 py-1 rounded text-sm hover:bg-yellow-700"
+                            onClick={() => rotateKey(key)}
+                            className="bg-indigo-600 text-white px-3 py-1 rounded text-sm hover:bg-indigo-700"
                           >
-                            Release Device
+                            {key.key_prefix ? 'Rotate Key' : 'Generate Key'}
                           </button>
-                        )}
+                        </div>
                       </div>
+                      {usageKeyId === key.id && (
+                        <KeyUsage keyId={key.id} session={session} />
+                      )}
+                      {key.key_devices?.length > 0 && (
+                        <div className="mt-3 space-y-2">
+                          {key.key_devices.map((device) => (
+                            <div key={device.id} className="flex justify-between items-center text-sm bg-gray-50 rounded p-2">
+                              <div>
+                                <span className="font-mono text-gray-900">{device.device_id}</span>
+                                <p className="text-xs text-gray-500">
+                                  First seen {new Date(device.first_seen_at).toLocaleString()} • Last seen {new Date(device.last_seen_at).toLocaleString()}
+                                </p>
+                              </div>
+                              <button
+                                onClick={() => releaseDevice(key.id, device.device_id)}
+                                className="bg-yellow-600 text-white px-3 py-1 rounded text-sm hover:bg-yellow-700"
+                              >
+                                Release
+                              </button>
+                            </div>
+                          ))}
+                        </div>
+                      )}
                     </div>
                   ))}
                 </div>
@@ -532,14 +777,28 @@ function UserDashboard({ user, session }) {
                               Expires: {new Date(sub.expires_at).toLocaleDateString()}
                             </p>
                           )}
+                          {discount?.product_id === sub.product_id && (
+                            <p className="text-sm text-green-600">
+                              {discount.percent_off}% off with code {discount.code}
+                            </p>
+                          )}
                         </div>
                         <div className="text-right">
                           <p className="text-lg font-medium text-gray-900">
                             ${sub.products?.price}
                           </p>
                           <p className="text-sm text-gray-500">
-                            Trial: {sub.products?.trial_enabled ? 'Available' : 'Not available'}
+                            Trial: {sub.products?.trial_enabled ? `${sub.products.trial_days ?? 1} days` : 'Not available'}
                           </p>
+                          {sub.products?.is_active && sub.products?.price > 0 && (
+                            <button
+                              onClick={() => upgrade(sub.product_id)}
+                              disabled={upgrading === sub.product_id}
+                              className="mt-2 bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700 disabled:opacity-50"
+                            >
+                              {upgrading === sub.product_id ? 'Redirecting...' : sub.status === 'premium' ? 'Extend' : 'Upgrade'}
+                            </button>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -548,25 +807,239 @@ function UserDashboard({ user, session }) {
               )}
             </div>
           </div>
+
+          {/* Promo Code Section */}
+          <div className="bg-white shadow rounded-lg">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-medium text-gray-900">Redeem a Promo Code</h2>
+            </div>
+            <form onSubmit={redeemPromoCode} className="p-6 flex space-x-2">
+              <input
+                type="text"
+                placeholder="Enter code"
+                value={promoCode}
+                onChange={(e) => setPromoCode(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md font-mono uppercase focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                required
+              />
+              <button
+                type="submit"
+                disabled={redeeming}
+                className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {redeeming ? 'Redeeming...' : 'Redeem'}
+              </button>
+            </form>
+          </div>
+
+          {/* Product Catalog Section */}
+          <div className="bg-white shadow rounded-lg">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-medium text-gray-900">Products</h2>
+            </div>
+            <div className="p-6">
+              {catalog.length === 0 ? (
+                <p className="text-gray-500">No products are available right now.</p>
+              ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {catalog.map((product) => {
+                    const subscribed = subscriptions.some((sub) => sub.product_id === product.id);
+
+                    return (
+                      <div key={product.id} className="border rounded-lg p-4 flex flex-col justify-between">
+                        <div>
+                          <h3 className="font-medium text-gray-900">{product.name}</h3>
+                          <p className="text-sm text-gray-600">{product.description}</p>
+                          <p className="text-sm text-gray-500 mt-2">
+                            {product.price > 0 ? `Premium: $${product.price} for ${product.duration_days} days` : 'Free'}
+                          </p>
+                          <p className="text-sm text-gray-500">
+                            Trial: {product.trial_enabled ? `${product.trial_days ?? 1} days` : 'Not available'} • Devices: {product.max_devices ?? 1}
+                          </p>
+                        </div>
+                        <div className="mt-3">
+                          {subscribed ? (
+                            <span className="text-sm font-medium text-green-600">Subscribed</span>
+                          ) : (
+                            <button
+                              onClick={() => getKey(product)}
+                              disabled={subscribing === product.id}
+                              className="bg-indigo-600 text-white px-3 py-1 rounded text-sm hover:bg-indigo-700 disabled:opacity-50"
+                            >
+                              {subscribing === product.id ? 'Creating...' : 'Get Key'}
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Invoices Section */}
+          <div className="bg-white shadow rounded-lg">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-medium text-gray-900">Invoices</h2>
+            </div>
+            <div className="p-6">
+              {invoices.length === 0 ? (
+                <p className="text-gray-500">No invoices yet.</p>
+              ) : (
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2">Invoice</th>
+                      <th className="py-2">Date</th>
+                      <th className="py-2">Product</th>
+                      <th className="py-2">Period</th>
+                      <th className="py-2">Amount</th>
+                      <th className="py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {invoices.map((invoice) => (
+                      <tr key={invoice.id} className="border-b">
+                        <td className="py-2 font-mono">{invoice.invoice_number}</td>
+                        <td className="py-2">{new Date(invoice.issued_at).toLocaleDateString()}</td>
+                        <td className="py-2">{invoice.product_name}</td>
+                        <td className="py-2">
+                          {new Date(invoice.period_start).toLocaleDateString()} – {new Date(invoice.period_end).toLocaleDateString()}
+                        </td>
+                        <td className="py-2">{Number(invoice.amount).toFixed(2)} {invoice.currency.toUpperCase()}</td>
+                        <td className="py-2 text-right space-x-2">
+                          <button
+                            onClick={() => downloadInvoice(invoice, 'pdf')}
+                            className="text-indigo-600 hover:text-indigo-900"
+                          >
+                            PDF
+                          </button>
+                          <button
+                            onClick={() => downloadInvoice(invoice, 'html')}
+                            className="text-indigo-600 hover:text-indigo-900"
+                          >
+                            HTML
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
         </div>
       </div>
     </div>
   );
 }
 
+// Daily bar chart of one metric. usage rows are { day, metric, count };
+// days without usage show as empty bars.
+function UsageChart({ usage, metric, since }) {
+  const counts = new Map(usage.filter((row) => row.metric === metric).map((row) => [row.day, Number(row.count)]));
+  const days = [];
+  for (let day = new Date(`${since}T00:00:00Z`); day <= new Date(); day.setUTCDate(day.getUTCDate() + 1)) {
+    days.push(day.toISOString().slice(0, 10));
+  }
+  const max = Math.max(1, ...counts.values());
+
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-gray-500 mb-1">
+        <span className="font-mono">{metric}</span>
+        <span>peak {max.toLocaleString()}/day</span>
+      </div>
+      <div className="flex items-end h-24 space-x-px bg-gray-50 rounded">
+        {days.map((day) => (
+          <div
+            key={day}
+            title={`${day}: ${(counts.get(day) || 0).toLocaleString()}`}
+            className="flex-1 bg-indigo-400 hover:bg-indigo-600 rounded-t"
+            style={{ height: `${((counts.get(day) || 0) / max) * 100}%` }}
+          />
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-400 mt-1">
+        <span>{days[0]}</span>
+        <span>{days[days.length - 1]}</span>
+      </div>
+    </div>
+  );
+}
+
+// Quota bars and daily usage charts for one of the user's keys
+function KeyUsage({ keyId, session }) {
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    const fetchUsage = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/keys/${keyId}/usage?days=30`, {
+          headers: {
+            'Authorization': `Bearer ${session.access_token}`,
+          },
+        });
+        setReport(await response.json());
+      } catch (error) {
+        console.error('Error fetching usage:', error);
+      }
+    };
+    fetchUsage();
+  }, [keyId]);
+
+  if (!report) {
+    return <p className="mt-3 text-sm text-gray-500">Loading usage...</p>;
+  }
+
+  const metrics = [...new Set([
+    ...Object.keys(report.quota?.metrics || {}),
+    ...(report.usage || []).map((row) => row.metric)
+  ])];
+
+  if (metrics.length === 0) {
+    return <p className="mt-3 text-sm text-gray-500">No usage reported in the last 30 days.</p>;
+  }
+
+  return (
+    <div className="mt-3 space-y-4">
+      {report.quota && (
+        <div className="space-y-2">
+          {Object.entries(report.quota.metrics).map(([metric, { used, limit }]) => (
+            <div key={metric}>
+              <div className="flex justify-between text-xs text-gray-600">
+                <span className="font-mono">{metric}</span>
+                <span>{used.toLocaleString()} of {limit.toLocaleString()} this month</span>
+              </div>
+              <div className="h-2 bg-gray-200 rounded">
+                <div
+                  className={`h-2 rounded ${used >= limit ? 'bg-red-500' : used >= limit * 0.8 ? 'bg-yellow-500' : 'bg-green-500'}`}
+                  style={{ width: `${limit > 0 ? Math.min(100, (used / limit) * 100) : 100}%` }}
+                />
+              </div>
+            </div>
+          ))}
+          <p className="text-xs text-gray-500">Quotas reset {new Date(report.quota.resets_at).toLocaleDateString()}.</p>
+        </div>
+      )}
+      {metrics.map((metric) => (
+        <UsageChart key={metric} usage={report.usage || []} metric={metric} since={report.since} />
+      ))}
+    </div>
+  );
+}
+
 // Admin Dashboard
 function AdminDashboard({ user, session }) {
   const [currentTab, setCurrentTab] = useState('products');
   const [products, setProducts] = useState([]);
-  const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [message, setMessage] = useState('');
 
   useEffect(() => {
     if (currentTab === 'products') {
       fetchProducts();
-    } else if (currentTab === 'users') {
-      fetchUsers();
     }
   }, [currentTab]);
 
@@ -586,22 +1059,6 @@ function AdminDashboard({ user, session }) {
     }
   };
 
-  const fetchUsers = async () => {
-    try {
-      const response = await fetch(`${API_BASE_URL}/admin/users`, {
-        headers: {
-          'Authorization': `Bearer ${session.access_token}`,
-        },
-      });
-      const data = await response.json();
-      setUsers(data);
-    } catch (error) {
-      console.error('Error fetching users:', error);
-    } finally {
-      setLoading(false);
-    }
-  };
-
   const signOut = async () => {
     await supabase.auth.signOut();
   };
@@ -645,43 +1102,139 @@ function AdminDashboard({ user, session }) {
               >
                 Users
               </button>
-            </nav>
-          </div>
-        </div>
-      </div>
-
-      <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
-        {message && (
-          <div className="mb-4 p-4 bg-green-50 text-green-700 rounded-md">
-            {message}
-          </div>
-        )}
-
-        {currentTab === 'products' && (
-          <ProductsTab 
-            products={products} 
-            setProducts={setProducts} 
-            session={session}
-            setMessage={setMessage}
-          />
-        )}
-        
-        {currentTab === 'users' && (
-          <UsersTab 
-            users={users} 
-            setUsers={setUsers} 
-            products={products}
-            session={session}
-            setMessage={setMessage}
-          />
-        )}
-      </div>
-    </div>
-  );
-}
-
-// Products Tab Component
-function ProductsTab({ products, setProducts, session, setMessage }) {
+              <button
+                onClick={() => setCurrentTab('abuse')}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  currentTab === 'abuse'
+                    ? 'border-indigo-500 text-indigo-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Abuse
+              </button>
+              <button
+                onClick={() => setCurrentTab('activity')}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  currentTab === 'activity'
+                    ? 'border-indigo-500 text-indigo-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Activity
+              </button>
+              <button
+                onClick={() => setCurrentTab('audit')}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  currentTab === 'audit'
+                    ? 'border-indigo-500 text-indigo-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Audit Log
+              </button>
+              <button
+                onClick={() => setCurrentTab('revenue')}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  currentTab === 'revenue'
+                    ? 'border-indigo-500 text-indigo-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Revenue
+              </button>
+              <button
+                onClick={() => setCurrentTab('usage')}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  currentTab === 'usage'
+                    ? 'border-indigo-500 text-indigo-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Usage
+              </button>
+              <button
+                onClick={() => setCurrentTab('webhooks')}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  currentTab === 'webhooks'
+                    ? 'border-indigo-500 text-indigo-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Webhooks
+              </button>
+              <button
+                onClick={() => setCurrentTab('promo')}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  currentTab === 'promo'
+                    ? 'border-indigo-500 text-indigo-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Promo Codes
+              </button>
+            </nav>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+        {message && (
+          <div className="mb-4 p-4 bg-green-50 text-green-700 rounded-md">
+            {message}
+          </div>
+        )}
+
+        {currentTab === 'products' && (
+          <ProductsTab 
+            products={products} 
+            setProducts={setProducts} 
+            session={session}
+            setMessage={setMessage}
+          />
+        )}
+        
+        {currentTab === 'users' && (
+          <UsersTab 
+            products={products}
+            session={session}
+            setMessage={setMessage}
+          />
+        )}
+
+        {currentTab === 'abuse' && (
+          <AbuseTab session={session} />
+        )}
+
+        {currentTab === 'activity' && (
+          <ActivityTab products={products} session={session} />
+        )}
+
+        {currentTab === 'audit' && (
+          <AuditTab session={session} />
+        )}
+
+        {currentTab === 'revenue' && (
+          <RevenueTab session={session} />
+        )}
+
+        {currentTab === 'usage' && (
+          <UsageTab products={products} session={session} />
+        )}
+
+        {currentTab === 'webhooks' && (
+          <WebhooksTab session={session} setMessage={setMessage} />
+        )}
+
+        {currentTab === 'promo' && (
+          <PromoCodesTab products={products} session={session} setMessage={setMessage} />
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Products Tab Component
+function ProductsTab({ products, setProducts, session, setMessage }) {
   const [showAddForm, setShowAddForm] = useState(false);
   const [editingProduct, setEditingProduct] = useState(null);
   const [formData, setFormData] = useState({
@@ -689,7 +1242,12 @@ function ProductsTab({ products, setProducts, session, setMessage }) {
     description: '',
     price: '0',
     duration_days: '30',
+    max_devices: '1',
+    release_cooldown_minutes: '60',
+    max_releases_per_period: '',
     trial_enabled: true,
+    trial_days: '1',
+    trial_requires_verified_email: false,
     is_active: true
   });
 
@@ -699,7 +1257,12 @@ function ProductsTab({ products, setProducts, session, setMessage }) {
       description: '',
       price: '0',
       duration_days: '30',
+      max_devices: '1',
+      release_cooldown_minutes: '60',
+      max_releases_per_period: '',
       trial_enabled: true,
+      trial_days: '1',
+      trial_requires_verified_email: false,
       is_active: true
     });
     setEditingProduct(null);
@@ -728,10 +1291,10 @@ function ProductsTab({ products, setProducts, session, setMessage }) {
       
       if (response.ok) {
         if (editingProduct) {
-          setProducts(products.map(p => p.id === editingProduct.id ? data : p));
+          setProducts(products.map(p => p.id === editingProduct.id ? { ...data, plans: p.plans } : p));
           setMessage('Product updated successfully!');
         } else {
-          setProducts([data, ...products]);
+          setProducts([{ ...data, plans: [] }, ...products]);
           setMessage('Product created successfully!');
         }
         resetForm();
@@ -749,7 +1312,12 @@ function ProductsTab({ products, setProducts, session, setMessage }) {
       description: product.description || '',
       price: product.price.toString(),
       duration_days: product.duration_days.toString(),
+      max_devices: (product.max_devices ?? 1).toString(),
+      release_cooldown_minutes: (product.release_cooldown_minutes ?? 60).toString(),
+      max_releases_per_period: product.max_releases_per_period?.toString() ?? '',
       trial_enabled: product.trial_enabled,
+      trial_days: (product.trial_days ?? 1).toString(),
+      trial_requires_verified_email: Boolean(product.trial_requires_verified_email),
       is_active: product.is_active
     });
     setEditingProduct(product);
@@ -843,6 +1411,66 @@ function ProductsTab({ products, setProducts, session, setMessage }) {
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
               />
             </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Max devices per key
+              </label>
+              <input
+                type="number"
+                min="1"
+                value={formData.max_devices}
+                onChange={(e) => setFormData({...formData, max_devices: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Release cooldown (minutes)
+              </label>
+              <input
+                type="number"
+                min="0"
+                value={formData.release_cooldown_minutes}
+                onChange={(e) => setFormData({...formData, release_cooldown_minutes: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Self-service releases per period
+              </label>
+              <input
+                type="number"
+                min="0"
+                placeholder="Unlimited"
+                value={formData.max_releases_per_period}
+                onChange={(e) => setFormData({...formData, max_releases_per_period: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Trial length (days)
+              </label>
+              <input
+                type="number"
+                min="1"
+                value={formData.trial_days}
+                onChange={(e) => setFormData({...formData, trial_days: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            </div>
+            <div className="flex items-center">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={formData.trial_requires_verified_email}
+                  onChange={(e) => setFormData({...formData, trial_requires_verified_email: e.target.checked})}
+                  className="mr-2"
+                />
+                Trial requires a verified email
+              </label>
+            </div>
             <div className="flex items-center space-x-6">
               <label className="flex items-center">
                 <input
@@ -903,8 +1531,14 @@ function ProductsTab({ products, setProducts, session, setMessage }) {
                     </h3>
                     <p className="text-sm text-gray-600">{product.description}</p>
                     <div className="text-sm text-gray-500 mt-2 space-y-1">
-                      <p>Price: ${product.price} • Duration: {product.duration_days} days</p>
-                      <p>Trial: {product.trial_enabled ? 'Enabled' : 'Disabled'}</p>
+                      <p>Price: ${product.price} • Duration: {product.duration_days} days • Devices: {product.max_devices ?? 1}</p>
+                      <p>
+                        Trial: {product.trial_enabled ? `${product.trial_days ?? 1} days` : 'Disabled'}
+                        {product.trial_enabled && product.trial_requires_verified_email && ' • verified email required'}
+                      </p>
+                      <p>
+                        Releases: {product.max_releases_per_period ?? 'unlimited'} per period • {product.release_cooldown_minutes ?? 60} min cooldown
+                      </p>
                       <p>Created: {new Date(product.created_at).toLocaleDateString()}</p>
                     </div>
                   </div>
@@ -923,6 +1557,12 @@ function ProductsTab({ products, setProducts, session, setMessage }) {
                     </button>
                   </div>
                 </div>
+                <PlansEditor
+                  product={product}
+                  session={session}
+                  setMessage={setMessage}
+                  onChange={(plans) => setProducts(products.map(p => p.id === product.id ? { ...p, plans } : p))}
+                />
               </div>
             ))}
           </div>
@@ -932,36 +1572,57 @@ function ProductsTab({ products, setProducts, session, setMessage }) {
   );
 }
 
-// Users Tab Component
-function UsersTab({ users, setUsers, products, session, setMessage }) {
-  const [selectedUser, setSelectedUser] = useState(null);
-  const [showSubModal, setShowSubModal] = useState(false);
-  const [subForm, setSubForm] = useState({
-    product_id: '',
-    status: 'free',
-    days: '30'
-  });
+// Plans of one product, with their entitlements edited as JSON
+function PlansEditor({ product, session, setMessage, onChange }) {
+  const emptyForm = { name: '', status: 'premium', is_default: false, entitlements: '{}', quotas: '{}' };
+  const [editingPlan, setEditingPlan] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const plans = product.plans || [];
 
-  const updateSubscription = async (e) => {
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setEditingPlan(null);
+    setShowForm(false);
+  };
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!selectedUser || !subForm.product_id) return;
 
+    let entitlements;
+    let quotas;
     try {
-      const response = await fetch(`${API_BASE_URL}/admin/users/${selectedUser.id}/subscription`, {
-        method: 'PUT',
+      entitlements = JSON.parse(formData.entitlements || '{}');
+      quotas = JSON.parse(formData.quotas || '{}');
+    } catch (error) {
+      setMessage('Error: entitlements and quotas must be valid JSON');
+      return;
+    }
+
+    const url = editingPlan
+      ? `${API_BASE_URL}/admin/plans/${editingPlan.id}`
+      : `${API_BASE_URL}/admin/products/${product.id}/plans`;
+
+    try {
+      const response = await fetch(url, {
+        method: editingPlan ? 'PUT' : 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${session.access_token}`,
         },
-        body: JSON.stringify(subForm),
+        body: JSON.stringify({ ...formData, entitlements, quotas }),
       });
 
+      const data = await response.json();
       if (response.ok) {
-        setMessage('Subscription updated successfully!');
-        setShowSubModal(false);
-        // Refresh users data would go here
+        // A new default replaces the previous one for the same status
+        const others = plans
+          .filter((plan) => plan.id !== data.id)
+          .map((plan) => data.is_default && plan.status === data.status ? { ...plan, is_default: false } : plan);
+        onChange([...others, data]);
+        setMessage(editingPlan ? 'Plan updated successfully!' : 'Plan created successfully!');
+        resetForm();
       } else {
-        const data = await response.json();
         setMessage(`Error: ${data.error}`);
       }
     } catch (error) {
@@ -969,19 +1630,32 @@ function UsersTab({ users, setUsers, products, session, setMessage }) {
     }
   };
 
-  const releaseDevice = async (userId, productId) => {
+  const handleEdit = (plan) => {
+    setFormData({
+      name: plan.name,
+      status: plan.status,
+      is_default: plan.is_default,
+      entitlements: JSON.stringify(plan.entitlements || {}, null, 2),
+      quotas: JSON.stringify(plan.quotas || {}, null, 2)
+    });
+    setEditingPlan(plan);
+    setShowForm(true);
+  };
+
+  const handleDelete = async (plan) => {
+    if (!window.confirm(`Delete plan "${plan.name}"? Subscriptions pinned to it fall back to the default plan.`)) return;
+
     try {
-      const response = await fetch(`${API_BASE_URL}/admin/users/${userId}/release-device`, {
-        method: 'POST',
+      const response = await fetch(`${API_BASE_URL}/admin/plans/${plan.id}`, {
+        method: 'DELETE',
         headers: {
-          'Content-Type': 'application/json',
           'Authorization': `Bearer ${session.access_token}`,
         },
-        body: JSON.stringify({ product_id: productId }),
       });
 
       if (response.ok) {
-        setMessage('Device released successfully!');
+        onChange(plans.filter((p) => p.id !== plan.id));
+        setMessage('Plan deleted successfully!');
       } else {
         const data = await response.json();
         setMessage(`Error: ${data.error}`);
@@ -992,171 +1666,2150 @@ function UsersTab({ users, setUsers, products, session, setMessage }) {
   };
 
   return (
-    <div className="bg-white shadow rounded-lg">
-      <div className="px-6 py-4 border-b border-gray-200">
-        <h2 className="text-lg font-medium text-gray-900">Users Management</h2>
-      </div>
-      
-      <div className="p-6">
-        {users.length === 0 ? (
-          <p className="text-gray-500">No users found.</p>
-        ) : (
-          <div className="space-y-4">
-            {users.map((user) => (
-              <div key={user.id} className="border rounded-lg p-4">
-                <div className="flex justify-between items-start">
-                  <div>
-                    <h3 className="font-medium text-gray-900 flex items-center">
-                      {user.full_name || user.email}
-                      {user.is_admin && (
-                        <span className="ml-2 px-2 py-1 text-xs rounded-full bg-purple-100 text-purple-800">
-                          Admin
-                        </span>
-                      )}
-                    </h3>
-                    <p className="text-sm text-gray-600">{user.email}</p>
-                    <p className="text-sm text-gray-500">
-                      Joined: {new Date(user.created_at).toLocaleDateString()}
-                    </p>
-                    
-                    {user.subscriptions && user.subscriptions.length > 0 && (
-                      <div className="mt-3">
-                        <h4 className="text-sm font-medium text-gray-700">Subscriptions:</h4>
-                        <div className="space-y-1">
-                          {user.subscriptions.map((sub, idx) => (
-                            <div key={idx} className="text-sm text-gray-600 flex justify-between items-center">
-                              <span>
-                                {sub.products?.name}: <span className={`font-medium ${
-                                  sub.status === 'premium' ? 'text-green-600' : 
-                                  sub.status === 'trial' ? 'text-blue-600' : 'text-gray-600'
-                                }`}>
-                                  {sub.status}
-                                </span>
-                                {sub.expires_at && ` (expires ${new Date(sub.expires_at).toLocaleDateString()})`}
-                              </span>
-                            </div>
-                          ))}
-                        </div>
-                      </div>
-                    )}
-
-                    {user.api_keys && user.api_keys.length > 0 && (
-                      <div className="mt-3">
-                        <h4 className="text-sm font-medium text-gray-700">API Keys:</h4>
-                        <div className="space-y-1">
-                          {user.api_keys.map((key, idx) => (
-                            <div key={idx} className="text-sm text-gray-600 flex justify-between items-center">
-                              <span>
-                                {key.products?.name}
-                                {key.device_id && ` • Device: ${key.device_id}`}
-                              </span>
-                              {key.device_id && (
-                                <button
-                                  onClick={() => releaseDevice(user.id, key.product_id)}
-                                  className="text-xs bg-yellow-600 text-white px-2 py-1 rounded hover:bg-yellow-700"
-                                >
-                                  Release
-                                </button>
-                              )}
-                            </div>
-                          ))}
-                        </div>
-                      </div>
-                    )}
-                  </div>
-                  
-                  <button
-                    onClick={() => {
-                      setSelectedUser(user);
-                      setShowSubModal(true);
-                    }}
-                    className="bg-indigo-600 text-white px-3 py-1 rounded text-sm hover:bg-indigo-700"
-                  >
-                    Manage Subscription
-                  </button>
-                </div>
-              </div>
-            ))}
-          </div>
+    <div className="mt-4 border-t pt-3">
+      <div className="flex justify-between items-center">
+        <h4 className="text-sm font-medium text-gray-700">Plans</h4>
+        {!showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="text-xs bg-indigo-600 text-white px-2 py-1 rounded hover:bg-indigo-700"
+          >
+            Add Plan
+          </button>
         )}
       </div>
 
-      {/* Subscription Modal */}
-      {showSubModal && selectedUser && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 w-96">
-            <h3 className="text-lg font-medium mb-4">
-              Manage Subscription for {selectedUser.full_name || selectedUser.email}
+      {plans.length === 0 && !showForm && (
+        <p className="text-sm text-gray-500 mt-1">No plans. /verify returns no entitlements for this product.</p>
+      )}
+
+      <div className="space-y-1 mt-2">
+        {plans.map((plan) => (
+          <div key={plan.id} className="text-sm text-gray-600 flex justify-between items-start">
+            <div>
+              <span className="font-medium text-gray-900">{plan.name}</span>
+              {` • ${plan.status}`}
+              {plan.is_default && (
+                <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700">default</span>
+              )}
+              <div className="flex flex-wrap gap-1 mt-1">
+                {Object.entries(plan.entitlements || {}).map(([name, value]) => (
+                  <span key={name} className={`px-2 py-0.5 text-xs font-mono rounded ${
+                    value === false ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'
+                  }`}>
+                    {typeof value === 'number' ? `${name}: ${value}` : name}
+                  </span>
+                ))}
+                {Object.entries(plan.quotas || {}).map(([metric, limit]) => (
+                  <span key={`quota-${metric}`} className="px-2 py-0.5 text-xs font-mono rounded bg-blue-50 text-blue-700">
+                    {metric}: {limit.toLocaleString()}/month
+                  </span>
+                ))}
+              </div>
+            </div>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => handleEdit(plan)}
+                className="text-xs text-blue-600 hover:text-blue-800"
+              >
+                Edit
+              </button>
+              <button
+                onClick={() => handleDelete(plan)}
+                className="text-xs text-red-600 hover:text-red-800"
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="mt-3 p-3 bg-gray-50 rounded grid grid-cols-3 gap-3">
+          <input
+            type="text"
+            placeholder="Plan name"
+            value={formData.name}
+            onChange={(e) => setFormData({...formData, name: e.target.value})}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+            required
+          />
+          <select
+            value={formData.status}
+            onChange={(e) => setFormData({...formData, status: e.target.value})}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            <option value="free">Free</option>
+            <option value="trial">Trial</option>
+            <option value="premium">Premium</option>
+          </select>
+          <label className="flex items-center text-sm">
+            <input
+              type="checkbox"
+              checked={formData.is_default}
+              onChange={(e) => setFormData({...formData, is_default: e.target.checked})}
+              className="mr-2"
+            />
+            Default for this status
+          </label>
+          <textarea
+            value={formData.entitlements}
+            onChange={(e) => setFormData({...formData, entitlements: e.target.value})}
+            placeholder='Entitlements, e.g. {"export": true, "max_projects": 10}'
+            className="col-span-3 px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+            rows="4"
+          />
+          <textarea
+            value={formData.quotas}
+            onChange={(e) => setFormData({...formData, quotas: e.target.value})}
+            placeholder='Monthly quotas, e.g. {"requests": 10000}'
+            className="col-span-3 px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+            rows="2"
+          />
+          <div className="col-span-3 flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-3 py-1 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-3 py-1 bg-indigo-600 text-white rounded-md text-sm hover:bg-indigo-700"
+            >
+              {editingPlan ? 'Update Plan' : 'Create Plan'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+// Users Tab Component
+function UsersTab({ products, session, setMessage }) {
+  const [users, setUsers] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({
+    search: '',
+    product_id: '',
+    status: ''
+  });
+  const [sort, setSort] = useState({ column: 'created_at', order: 'desc' });
+  const [selectedUser, setSelectedUser] = useState(null);
+  const [showSubModal, setShowSubModal] = useState(false);
+  const [subForm, setSubForm] = useState({
+    product_id: '',
+    status: 'free',
+    mode: 'extend',
+    days: '30',
+    expires_at: '',
+    plan_id: ''
+  });
+  const [history, setHistory] = useState([]);
+  const selectedProductPlans = (products.find((product) => product.id === subForm.product_id)?.plans || [])
+    .filter((plan) => plan.status === subForm.status);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkForm, setBulkForm] = useState({
+    action: 'grant',
+    product_id: '',
+    days: '30',
+    scope: 'selected'
+  });
+  const [bulkPreview, setBulkPreview] = useState(null);
+  const [bulkJob, setBulkJob] = useState(null);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [sort]);
+
+  // Follow a running bulk job until the background run has done every user
+  useEffect(() => {
+    if (!bulkJob || bulkJob.status === 'completed') return;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/admin/bulk-jobs/${bulkJob.id}`, {
+          headers: {
+            'Authorization': `Bearer ${session.access_token}`,
+          },
+        });
+        const data = await response.json();
+        setBulkJob(data);
+        if (data.status === 'completed') {
+          setMessage(`Bulk ${data.action} finished: ${data.changed} changed, ${data.skipped} skipped, ${data.failed} failed`);
+          fetchUsers();
+        }
+      } catch (error) {
+        console.error('Error fetching bulk job:', error);
+      }
+    }, 2000);
+    return () => clearTimeout(timer);
+  }, [bulkJob]);
+
+  const fetchUsers = async (cursor = null) => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ sort: sort.column, order: sort.order });
+      Object.entries(filters).forEach(([name, value]) => {
+        if (value) params.set(name, value);
+      });
+      if (cursor) params.set('cursor', cursor);
+
+      const response = await fetch(`${API_BASE_URL}/admin/users?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+      });
+      const data = await response.json();
+      setUsers(cursor ? [...users, ...data.users] : data.users);
+      setNextCursor(data.next_cursor);
+    } catch (error) {
+      console.error('Error fetching users:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setSelectedIds([]);
+    setBulkPreview(null);
+    fetchUsers();
+  };
+
+  const toggleSelected = (userId) => {
+    setSelectedIds(selectedIds.includes(userId)
+      ? selectedIds.filter((id) => id !== userId)
+      : [...selectedIds, userId]);
+    setBulkPreview(null);
+  };
+
+  const toggleAllSelected = () => {
+    setSelectedIds(selectedIds.length === users.length ? [] : users.map((user) => user.id));
+    setBulkPreview(null);
+  };
+
+  // Any change makes the previewed count stale
+  const updateBulkForm = (changes) => {
+    setBulkForm({...bulkForm, ...changes});
+    setBulkPreview(null);
+  };
+
+  // A dry run returns how many users the change applies to; otherwise the
+  // job is queued and followed until it completes
+  const runBulkAction = async (dryRun) => {
+    if (!dryRun && !window.confirm(`Apply this change to ${bulkPreview} users?`)) return;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/admin/subscriptions/bulk`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+        body: JSON.stringify({
+          action: bulkForm.action,
+          product_id: bulkForm.product_id,
+          days: bulkForm.days ? parseInt(bulkForm.days) : null,
+          ...(bulkForm.scope === 'selected' ? { user_ids: selectedIds } : { filter: filters }),
+          dry_run: dryRun
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        setMessage(`Error: ${data.error}`);
+      } else if (dryRun) {
+        setBulkPreview(data.count);
+      } else {
+        setBulkJob(data);
+        setBulkPreview(null);
+        setSelectedIds([]);
+      }
+    } catch (error) {
+      setMessage(`Error: ${error.message}`);
+    }
+  };
+
+  // Clicking the current column flips the order; newest first and A-Z
+  // otherwise
+  const sortBy = (column) => {
+    setSort(sort.column === column
+      ? { column, order: sort.order === 'asc' ? 'desc' : 'asc' }
+      : { column, order: column === 'created_at' ? 'desc' : 'asc' });
+  };
+
+  const openSubscription = async (user) => {
+    setSelectedUser(user);
+    setShowSubModal(true);
+    setHistory([]);
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/admin/users/${user.id}/subscription-history`, {
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+      });
+      if (response.ok) {
+        setHistory(await response.json());
+      }
+    } catch (error) {
+      console.error('Error fetching subscription history:', error);
+    }
+  };
+
+  const updateSubscription = async (e) => {
+    e.preventDefault();
+    if (!selectedUser || !subForm.product_id) return;
+
+    try {
+      const { expires_at, ...change } = subForm;
+      const response = await fetch(`${API_BASE_URL}/admin/users/${selectedUser.id}/subscription`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+        body: JSON.stringify(subForm.mode === 'set'
+          // The end of the chosen day, in the admin's time zone
+          ? { ...change, days: null, expires_at: new Date(`${expires_at}T23:59:59`).toISOString() }
+          : change),
+      });
+
+      if (response.ok) {
+        setMessage('Subscription updated successfully!');
+        setShowSubModal(false);
+        fetchUsers();
+      } else {
+        const data = await response.json();
+        setMessage(`Error: ${data.error}`);
+      }
+    } catch (error) {
+      setMessage(`Error: ${error.message}`);
+    }
+  };
+
+  const releaseDevice = async (userId, productId, deviceId) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/admin/users/${userId}/release-device`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+        body: JSON.stringify({ product_id: productId, device_id: deviceId }),
+      });
+
+      if (response.ok) {
+        setMessage('Device released successfully!');
+        fetchUsers();
+      } else {
+        const data = await response.json();
+        setMessage(`Error: ${data.error}`);
+      }
+    } catch (error) {
+      setMessage(`Error: ${error.message}`);
+    }
+  };
+
+  const rotateKey = async (userId, productId) => {
+    if (!window.confirm('Rotate this API key? The current key keeps working for a short overlap window.')) return;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/admin/users/${userId}/rotate-key`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+        body: JSON.stringify({ product_id: productId }),
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setMessage(`API key rotated. New key (shown once): ${data.key_value}`);
+      } else {
+        setMessage(`Error: ${data.error}`);
+      }
+    } catch (error) {
+      setMessage(`Error: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-lg font-medium text-gray-900">Users Management</h2>
+      </div>
+
+      <form onSubmit={handleSearch} className="border-b border-gray-200 p-6 bg-gray-50 grid grid-cols-4 gap-4">
+        <input
+          type="text"
+          placeholder="Email, name, key prefix or device ID"
+          value={filters.search}
+          onChange={(e) => setFilters({...filters, search: e.target.value})}
+          className="col-span-2 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <select
+          value={filters.product_id}
+          onChange={(e) => setFilters({...filters, product_id: e.target.value})}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+        >
+          <option value="">All products</option>
+          {products.map((product) => (
+            <option key={product.id} value={product.id}>
+              {product.name}
+            </option>
+          ))}
+        </select>
+        <div className="flex space-x-2">
+          <select
+            value={filters.status}
+            onChange={(e) => setFilters({...filters, status: e.target.value})}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            <option value="">Any status</option>
+            <option value="free">Free</option>
+            <option value="trial">Trial</option>
+            <option value="premium">Premium</option>
+          </select>
+          <button
+            type="submit"
+            className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+          >
+            Search
+          </button>
+        </div>
+      </form>
+
+      <div className="border-b border-gray-200 px-6 py-4 flex flex-wrap items-center gap-3 text-sm">
+        <span className="font-medium text-gray-700">Bulk change:</span>
+        <select
+          value={bulkForm.action}
+          onChange={(e) => updateBulkForm({ action: e.target.value, days: e.target.value === 'revoke' ? '' : bulkForm.days || '30' })}
+          className="px-2 py-1 border border-gray-300 rounded-md"
+        >
+          <option value="grant">Grant premium</option>
+          <option value="extend">Extend trial or premium</option>
+          <option value="revoke">Revoke premium</option>
+        </select>
+        <select
+          value={bulkForm.product_id}
+          onChange={(e) => updateBulkForm({ product_id: e.target.value })}
+          className="px-2 py-1 border border-gray-300 rounded-md"
+        >
+          <option value="">Select a product</option>
+          {products.map((product) => (
+            <option key={product.id} value={product.id}>
+              {product.name}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="1"
+          placeholder={bulkForm.action === 'revoke' ? 'All days' : 'Days'}
+          value={bulkForm.days}
+          onChange={(e) => updateBulkForm({ days: e.target.value })}
+          className="w-24 px-2 py-1 border border-gray-300 rounded-md"
+        />
+        <select
+          value={bulkForm.scope}
+          onChange={(e) => updateBulkForm({ scope: e.target.value })}
+          className="px-2 py-1 border border-gray-300 rounded-md"
+        >
+          <option value="selected">Selected ({selectedIds.length})</option>
+          <option value="filter">All matching the filters</option>
+        </select>
+        <button
+          onClick={() => runBulkAction(true)}
+          disabled={!bulkForm.product_id || (bulkForm.scope === 'selected' && selectedIds.length === 0)}
+          className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          Preview
+        </button>
+        {bulkPreview !== null && (
+          <button
+            onClick={() => runBulkAction(false)}
+            disabled={bulkPreview === 0}
+            className="px-3 py-1 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Apply to {bulkPreview} users
+          </button>
+        )}
+        {bulkJob && (
+          <span className="text-gray-600">
+            {bulkJob.status === 'completed' ? 'Done' : 'Working'}: {bulkJob.processed}/{bulkJob.total}
+            {` • ${bulkJob.changed} changed • ${bulkJob.skipped} skipped • ${bulkJob.failed} failed`}
+          </span>
+        )}
+      </div>
+
+      <div className="px-6 pt-4 flex items-center space-x-4 text-sm text-gray-500">
+        {users.length > 0 && (
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={selectedIds.length === users.length}
+              onChange={toggleAllSelected}
+              className="mr-2"
+            />
+            Select all
+          </label>
+        )}
+        <span>Sort by:</span>
+        {[['full_name', 'Name'], ['email', 'Email'], ['created_at', 'Joined']].map(([column, label]) => (
+          <button
+            key={column}
+            onClick={() => sortBy(column)}
+            className={sort.column === column ? 'font-medium text-indigo-600' : 'hover:text-gray-700'}
+          >
+            {label}{sort.column === column && (sort.order === 'asc' ? ' ▲' : ' ▼')}
+          </button>
+        ))}
+      </div>
+
+      <div className="p-6">
+        {!loading && users.length === 0 ? (
+          <p className="text-gray-500">No users found.</p>
+        ) : (
+          <div className="space-y-4">
+            {users.map((user) => (
+              <div key={user.id} className="border rounded-lg p-4">
+                <div className="flex justify-between items-start">
+                  <div>
+                    <h3 className="font-medium text-gray-900 flex items-center">
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(user.id)}
+                        onChange={() => toggleSelected(user.id)}
+                        className="mr-2"
+                      />
+                      {user.full_name || user.email}
+                      {user.is_admin && (
+                        <span className="ml-2 px-2 py-1 text-xs rounded-full bg-purple-100 text-purple-800">
+                          Admin
+                        </span>
+                      )}
+                    </h3>
+                    <p className="text-sm text-gray-600">{user.email}</p>
+                    <p className="text-sm text-gray-500">
+                      Joined: {new Date(user.created_at).toLocaleDateString()}
+                    </p>
+                    
+                    {user.subscriptions && user.subscriptions.length > 0 && (
+                      <div className="mt-3">
+                        <h4 className="text-sm font-medium text-gray-700">Subscriptions:</h4>
+                        <div className="space-y-1">
+                          {user.subscriptions.map((sub, idx) => (
+                            <div key={idx} className="text-sm text-gray-600 flex justify-between items-center">
+                              <span>
+                                {sub.products?.name}: <span className={`font-medium ${
+                                  sub.status === 'premium' ? 'text-green-600' : 
+                                  sub.status === 'trial' ? 'text-blue-600' : 'text-gray-600'
+                                }`}>
+                                  {sub.status}
+                                </span>
+                                {sub.plans?.name && ` • ${sub.plans.name} plan`}
+                                {sub.expires_at && ` (expires ${new Date(sub.expires_at).toLocaleDateString()})`}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
+                    {user.api_keys && user.api_keys.length > 0 && (
+                      <div className="mt-3">
+                        <h4 className="text-sm font-medium text-gray-700">API Keys:</h4>
+                        <div className="space-y-1">
+                          {user.api_keys.map((key, idx) => (
+                            <div key={idx} className="text-sm text-gray-600">
+                              <div className="flex justify-between items-center">
+                                <span>
+                                  {key.products?.name}
+                                  {key.key_prefix && <span className="font-mono"> • {key.key_prefix}…</span>}
+                                  {` • ${key.key_devices?.length || 0}/${key.products?.max_devices ?? 1} devices`}
+                                </span>
+                                <button
+                                  onClick={() => rotateKey(user.id, key.product_id)}
+                                  className="text-xs bg-indigo-600 text-white px-2 py-1 rounded hover:bg-indigo-700"
+                                >
+                                  Rotate
+                                </button>
+                              </div>
+                              {key.key_devices?.map((device) => (
+                                <div key={device.id} className="ml-4 flex justify-between items-center">
+                                  <span>
+                                    <span className="font-mono">{device.device_id}</span>
+                                    {` • last seen ${new Date(device.last_seen_at).toLocaleDateString()}`}
+                                  </span>
+                                  <button
+                                    onClick={() => releaseDevice(user.id, key.product_id, device.device_id)}
+                                    className="text-xs bg-yellow-600 text-white px-2 py-1 rounded hover:bg-yellow-700"
+                                  >
+                                    Release
+                                  </button>
+                                </div>
+                              ))}
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                  
+                  <button
+                    onClick={() => openSubscription(user)}
+                    className="bg-indigo-600 text-white px-3 py-1 rounded text-sm hover:bg-indigo-700"
+                  >
+                    Manage Subscription
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {loading && <p className="text-gray-500 mt-4">Loading...</p>}
+
+        {!loading && nextCursor && (
+          <div className="mt-4 flex justify-center">
+            <button
+              onClick={() => fetchUsers(nextCursor)}
+              className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+            >
+              Load more
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Subscription Modal */}
+      {showSubModal && selectedUser && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-96">
+            <h3 className="text-lg font-medium mb-4">
+              Manage Subscription for {selectedUser.full_name || selectedUser.email}
+            </h3>
+            <form onSubmit={updateSubscription}>
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Product
+                  </label>
+                  <select
+                    value={subForm.product_id}
+                    onChange={(e) => setSubForm({...subForm, product_id: e.target.value, plan_id: ''})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                    required
+                  >
+                    <option value="">Select a product</option>
+                    {products.map((product) => (
+                      <option key={product.id} value={product.id}>
+                        {product.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Status
+                  </label>
+                  <select
+                    value={subForm.status}
+                    onChange={(e) => setSubForm({...subForm, status: e.target.value, plan_id: ''})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                  >
+                    <option value="free">Free</option>
+                    <option value="premium">Premium</option>
+                  </select>
+                </div>
+                {subForm.status === 'premium' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Expiry
+                    </label>
+                    <select
+                      value={subForm.mode}
+                      onChange={(e) => setSubForm({...subForm, mode: e.target.value})}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                    >
+                      <option value="extend">Extend from current expiry</option>
+                      <option value="set">Set expiry date</option>
+                      <option value="reset">Reset, counting from today</option>
+                    </select>
+                  </div>
+                )}
+                {subForm.status === 'premium' && subForm.mode === 'set' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Expires on
+                    </label>
+                    <input
+                      type="date"
+                      value={subForm.expires_at}
+                      onChange={(e) => setSubForm({...subForm, expires_at: e.target.value})}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                      required
+                    />
+                  </div>
+                )}
+                {subForm.status === 'premium' && subForm.mode !== 'set' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Duration (days)
+                    </label>
+                    <input
+                      type="number"
+                      value={subForm.days}
+                      onChange={(e) => setSubForm({...subForm, days: e.target.value})}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                      min="1"
+                    />
+                  </div>
+                )}
+                {subForm.status === 'premium' && selectedProductPlans.length > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Plan
+                    </label>
+                    <select
+                      value={subForm.plan_id}
+                      onChange={(e) => setSubForm({...subForm, plan_id: e.target.value})}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                    >
+                      <option value="">Product default</option>
+                      {selectedProductPlans.map((plan) => (
+                        <option key={plan.id} value={plan.id}>
+                          {plan.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+              </div>
+              <div className="flex justify-end space-x-3 mt-6">
+                <button
+                  type="button"
+                  onClick={() => setShowSubModal(false)}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+                >
+                  Update
+                </button>
+              </div>
+            </form>
+
+            {history.length > 0 && (
+              <div className="mt-6 border-t border-gray-200 pt-4">
+                <h4 className="text-sm font-medium text-gray-700 mb-2">History</h4>
+                <div className="max-h-48 overflow-y-auto space-y-2 text-xs text-gray-600">
+                  {history.map((entry) => (
+                    <div key={entry.id}>
+                      <div className="text-gray-500">
+                        {new Date(entry.created_at).toLocaleString()} • {entry.products?.name} • {entry.source}
+                        {entry.mode && ` (${entry.mode})`}
+                      </div>
+                      <div>
+                        {entry.previous_status}
+                        {entry.previous_expires_at && ` until ${new Date(entry.previous_expires_at).toLocaleDateString()}`}
+                        {' → '}
+                        {entry.status}
+                        {entry.expires_at && ` until ${new Date(entry.expires_at).toLocaleDateString()}`}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Activity Tab Component
+function ActivityTab({ products, session }) {
+  const [events, setEvents] = useState([]);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({
+    user: '',
+    product_id: '',
+    result: '',
+    endpoint: '',
+    from: '',
+    to: ''
+  });
+
+  useEffect(() => {
+    fetchEvents();
+  }, []);
+
+  const fetchEvents = async (before = null) => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([name, value]) => {
+        if (!value) return;
+        // Date inputs give midnight; make "to" cover the whole day
+        params.set(name, name === 'to' ? `${value}T23:59:59.999` : value);
+      });
+      if (before) params.set('before', before);
+
+      const response = await fetch(`${API_BASE_URL}/admin/activity?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+      });
+      const data = await response.json();
+      setEvents(before ? [...events, ...data.events] : data.events);
+      setNextBefore(data.next_before);
+    } catch (error) {
+      console.error('Error fetching activity:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    fetchEvents();
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-lg font-medium text-gray-900">Verification Activity</h2>
+      </div>
+
+      <form onSubmit={handleSearch} className="border-b border-gray-200 p-6 bg-gray-50 grid grid-cols-3 gap-4">
+        <input
+          type="text"
+          placeholder="User email or name"
+          value={filters.user}
+          onChange={(e) => setFilters({...filters, user: e.target.value})}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <select
+          value={filters.product_id}
+          onChange={(e) => setFilters({...filters, product_id: e.target.value})}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+        >
+          <option value="">All products</option>
+          {products.map((product) => (
+            <option key={product.id} value={product.id}>
+              {product.name}
+            </option>
+          ))}
+        </select>
+        <div className="flex space-x-2">
+          <select
+            value={filters.result}
+            onChange={(e) => setFilters({...filters, result: e.target.value})}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            <option value="">All results</option>
+            <option value="success">Success</option>
+            <option value="failure">Failure</option>
+            <option value="error">Error</option>
+          </select>
+          <select
+            value={filters.endpoint}
+            onChange={(e) => setFilters({...filters, endpoint: e.target.value})}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            <option value="">All endpoints</option>
+            <option value="verify">Verify</option>
+            <option value="release-device">Release device</option>
+          </select>
+        </div>
+        <label className="text-sm text-gray-700 flex items-center space-x-2">
+          <span>From</span>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilters({...filters, from: e.target.value})}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </label>
+        <label className="text-sm text-gray-700 flex items-center space-x-2">
+          <span>To</span>
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => setFilters({...filters, to: e.target.value})}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </label>
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+          >
+            Search
+          </button>
+        </div>
+      </form>
+
+      <div className="p-6 overflow-x-auto">
+        {!loading && events.length === 0 ? (
+          <p className="text-gray-500">No activity found.</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">Time</th>
+                <th className="py-2">Endpoint</th>
+                <th className="py-2">User</th>
+                <th className="py-2">Product</th>
+                <th className="py-2">Device</th>
+                <th className="py-2">IP</th>
+                <th className="py-2">Result</th>
+                <th className="py-2">Reason</th>
+                <th className="py-2">Latency</th>
+              </tr>
+            </thead>
+            <tbody>
+              {events.map((event) => (
+                <tr key={event.id} className="border-b align-top">
+                  <td className="py-2 whitespace-nowrap">{new Date(event.created_at).toLocaleString()}</td>
+                  <td className="py-2">{event.endpoint}</td>
+                  <td className="py-2">{event.users?.email || <span className="font-mono text-gray-400">{event.key_prefix ? `${event.key_prefix}…` : '-'}</span>}</td>
+                  <td className="py-2">{event.products?.name || '-'}</td>
+                  <td className="py-2 font-mono">{event.device_id || '-'}</td>
+                  <td className="py-2 font-mono" title={event.user_agent || ''}>{event.ip || '-'}</td>
+                  <td className="py-2">
+                    <span className={`px-2 py-1 text-xs rounded-full ${
+                      event.result === 'success' ? 'bg-green-100 text-green-800' :
+                      event.result === 'failure' ? 'bg-yellow-100 text-yellow-800' :
+                      'bg-red-100 text-red-800'
+                    }`}>
+                      {event.result}
+                    </span>
+                  </td>
+                  <td className="py-2 text-gray-600">{event.reason || '-'}</td>
+                  <td className="py-2 whitespace-nowrap">{event.latency_ms} ms</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {loading && <p className="text-gray-500 mt-4">Loading...</p>}
+
+        {!loading && nextBefore && (
+          <div className="mt-4 flex justify-center">
+            <button
+              onClick={() => fetchEvents(nextBefore)}
+              className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+            >
+              Load more
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Field-by-field diff of an audit entry's before/after snapshots
+function AuditDiff({ before, after }) {
+  const format = (value) => (
+    value === undefined ? '' :
+    typeof value === 'object' && value !== null ? JSON.stringify(value) :
+    String(value)
+  );
+
+  const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+    .filter((field) => format(before?.[field]) !== format(after?.[field]));
+
+  if (fields.length === 0) {
+    return <p className="text-gray-500">No field changes.</p>;
+  }
+
+  return (
+    <table className="text-xs font-mono">
+      <tbody>
+        {fields.map((field) => (
+          <tr key={field} className="align-top">
+            <td className="pr-4 py-1 text-gray-500">{field}</td>
+            <td className="pr-4 py-1">
+              {before && field in before && (
+                <span className="bg-red-50 text-red-700 line-through break-all">{format(before[field])}</span>
+              )}
+            </td>
+            <td className="py-1">
+              {after && field in after && (
+                <span className="bg-green-50 text-green-700 break-all">{format(after[field])}</span>
+              )}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Audit Log Tab Component
+function AuditTab({ session }) {
+  const [entries, setEntries] = useState([]);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+  const [filters, setFilters] = useState({
+    actor: '',
+    target_type: '',
+    action: ''
+  });
+
+  useEffect(() => {
+    fetchEntries();
+  }, []);
+
+  const fetchEntries = async (before = null) => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([name, value]) => {
+        if (value) params.set(name, value);
+      });
+      if (before) params.set('before', before);
+
+      const response = await fetch(`${API_BASE_URL}/admin/audit-log?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+      });
+      const data = await response.json();
+      setEntries(before ? [...entries, ...data.entries] : data.entries);
+      setNextBefore(data.next_before);
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    fetchEntries();
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-lg font-medium text-gray-900">Admin Audit Log</h2>
+      </div>
+
+      <form onSubmit={handleSearch} className="border-b border-gray-200 p-6 bg-gray-50 grid grid-cols-4 gap-4">
+        <input
+          type="text"
+          placeholder="Admin email"
+          value={filters.actor}
+          onChange={(e) => setFilters({...filters, actor: e.target.value})}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <select
+          value={filters.target_type}
+          onChange={(e) => setFilters({...filters, target_type: e.target.value})}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+        >
+          <option value="">All targets</option>
+          <option value="product">Products</option>
+          <option value="subscription">Subscriptions</option>
+          <option value="api_key">API keys</option>
+          <option value="webhook_endpoint">Webhooks</option>
+        </select>
+        <input
+          type="text"
+          placeholder="Action (e.g. product.delete)"
+          value={filters.action}
+          onChange={(e) => setFilters({...filters, action: e.target.value})}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+          >
+            Search
+          </button>
+        </div>
+      </form>
+
+      <div className="p-6 overflow-x-auto">
+        {!loading && entries.length === 0 ? (
+          <p className="text-gray-500">No admin actions recorded.</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">Time</th>
+                <th className="py-2">Admin</th>
+                <th className="py-2">Action</th>
+                <th className="py-2">Target</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <React.Fragment key={entry.id}>
+                  <tr className="border-b align-top">
+                    <td className="py-2 whitespace-nowrap">{new Date(entry.created_at).toLocaleString()}</td>
+                    <td className="py-2">{entry.actor_email}</td>
+                    <td className="py-2 font-mono">{entry.action}</td>
+                    <td className="py-2">
+                      {entry.target_type}{' '}
+                      <span className="font-mono text-gray-400">{entry.target_id ? entry.target_id.slice(0, 8) : ''}</span>
+                    </td>
+                    <td className="py-2 text-right">
+                      <button
+                        onClick={() => setExpanded(expanded === entry.id ? null : entry.id)}
+                        className="text-indigo-600 hover:text-indigo-900"
+                      >
+                        {expanded === entry.id ? 'Hide' : 'Changes'}
+                      </button>
+                    </td>
+                  </tr>
+                  {expanded === entry.id && (
+                    <tr className="border-b bg-gray-50">
+                      <td colSpan="5" className="p-4">
+                        <AuditDiff before={entry.before} after={entry.after} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {loading && <p className="text-gray-500 mt-4">Loading...</p>}
+
+        {!loading && nextBefore && (
+          <div className="mt-4 flex justify-center">
+            <button
+              onClick={() => fetchEntries(nextBefore)}
+              className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+            >
+              Load more
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Revenue Tab Component
+function RevenueTab({ session }) {
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchReport();
+  }, []);
+
+  const fetchReport = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (range.from) params.set('from', range.from);
+      if (range.to) params.set('to', `${range.to}T23:59:59.999`);
+
+      const response = await fetch(`${API_BASE_URL}/admin/revenue?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+      });
+      const data = await response.json();
+      setReport(data);
+    } catch (error) {
+      console.error('Error fetching revenue:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    fetchReport();
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-lg font-medium text-gray-900">Revenue by Product</h2>
+      </div>
+
+      <form onSubmit={handleSearch} className="border-b border-gray-200 p-6 bg-gray-50 flex items-center space-x-4">
+        <label className="text-sm text-gray-700 flex items-center space-x-2">
+          <span>From</span>
+          <input
+            type="date"
+            value={range.from}
+            onChange={(e) => setRange({...range, from: e.target.value})}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </label>
+        <label className="text-sm text-gray-700 flex items-center space-x-2">
+          <span>To</span>
+          <input
+            type="date"
+            value={range.to}
+            onChange={(e) => setRange({...range, to: e.target.value})}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </label>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+        >
+          Show
+        </button>
+      </form>
+
+      <div className="p-6">
+        {loading || !report ? (
+          <p className="text-gray-500">Loading...</p>
+        ) : report.products.length === 0 ? (
+          <p className="text-gray-500">No payments between {new Date(report.from).toLocaleDateString()} and {new Date(report.to).toLocaleDateString()}.</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">Product</th>
+                <th className="py-2">Payments</th>
+                <th className="py-2">Revenue</th>
+                <th className="py-2">Last payment</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.products.map((row) => (
+                <tr key={`${row.product_id}:${row.currency}`} className="border-b">
+                  <td className="py-2">{row.product || <span className="text-gray-400">Deleted product</span>}</td>
+                  <td className="py-2">{row.payments}</td>
+                  <td className="py-2 font-medium">{row.revenue.toFixed(2)} {row.currency.toUpperCase()}</td>
+                  <td className="py-2">{new Date(row.last_paid_at).toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Usage Tab Component
+function UsageTab({ products, session }) {
+  const [productId, setProductId] = useState('');
+  const [days, setDays] = useState('30');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchReport();
+  }, [productId, days]);
+
+  const fetchReport = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ days });
+      if (productId) params.set('product_id', productId);
+
+      const response = await fetch(`${API_BASE_URL}/admin/usage?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+      });
+      const data = await response.json();
+      setReport(data);
+    } catch (error) {
+      console.error('Error fetching usage:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+        <h2 className="text-lg font-medium text-gray-900">Usage by Product</h2>
+        <div className="flex space-x-2">
+          <select
+            value={productId}
+            onChange={(e) => setProductId(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            <option value="">All products</option>
+            {products.map((product) => (
+              <option key={product.id} value={product.id}>
+                {product.name}
+              </option>
+            ))}
+          </select>
+          <select
+            value={days}
+            onChange={(e) => setDays(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            <option value="7">Last 7 days</option>
+            <option value="30">Last 30 days</option>
+            <option value="90">Last 90 days</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="p-6 space-y-6">
+        {loading || !report ? (
+          <p className="text-gray-500">Loading...</p>
+        ) : report.products.length === 0 ? (
+          <p className="text-gray-500">No usage reported since {report.since}.</p>
+        ) : (
+          <>
+            {report.products.map((product) => (
+              <div key={product.product_id} className="border rounded-lg p-4">
+                <h3 className="font-medium text-gray-900">{product.product || 'Deleted product'}</h3>
+                <p className="text-sm text-gray-500 mb-3">
+                  {Object.entries(product.totals).map(([metric, total]) => `${metric}: ${total.toLocaleString()}`).join(' • ')}
+                </p>
+                <div className="space-y-4">
+                  {Object.keys(product.totals).map((metric) => (
+                    <UsageChart key={metric} usage={product.daily} metric={metric} since={report.since} />
+                  ))}
+                </div>
+              </div>
+            ))}
+
+            <div>
+              <h3 className="text-md font-medium text-gray-900 mb-2">Heaviest keys</h3>
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2">Key</th>
+                    <th className="py-2">Owner</th>
+                    <th className="py-2">Product</th>
+                    <th className="py-2">Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.top_keys.map((key) => (
+                    <tr key={key.api_key_id} className="border-b">
+                      <td className="py-2 font-mono">{key.key_prefix ? `${key.key_prefix}…` : '-'}</td>
+                      <td className="py-2">{key.user || '-'}</td>
+                      <td className="py-2">{key.product || '-'}</td>
+                      <td className="py-2">{key.total.toLocaleString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Abuse Tab Component
+function AbuseTab({ session }) {
+  const [hours, setHours] = useState('24');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchReport();
+  }, [hours]);
+
+  const fetchReport = async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/admin/abuse?hours=${hours}`, {
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+      });
+      const data = await response.json();
+      setReport(data);
+    } catch (error) {
+      console.error('Error fetching abuse report:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+        <h2 className="text-lg font-medium text-gray-900">Rate Limits & Abuse</h2>
+        <select
+          value={hours}
+          onChange={(e) => setHours(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+        >
+          <option value="1">Last hour</option>
+          <option value="24">Last 24 hours</option>
+          <option value="168">Last 7 days</option>
+        </select>
+      </div>
+
+      <div className="p-6 space-y-6">
+        {loading ? (
+          <p className="text-gray-500">Loading...</p>
+        ) : (
+          <>
+            <div>
+              <h3 className="font-medium text-gray-900 mb-2">API Keys</h3>
+              {!report?.keys?.length ? (
+                <p className="text-gray-500">No keys hit a limit in this period.</p>
+              ) : (
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2">Key</th>
+                      <th className="py-2">Owner</th>
+                      <th className="py-2">Product</th>
+                      <th className="py-2">Rate limited</th>
+                      <th className="py-2">Rejected devices</th>
+                      <th className="py-2">IPs</th>
+                      <th className="py-2">Last event</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.keys.map((entry) => (
+                      <tr key={entry.key_prefix} className={`border-b ${entry.rejected_devices >= 3 ? 'bg-red-50' : ''}`}>
+                        <td className="py-2 font-mono">{entry.key_prefix}…</td>
+                        <td className="py-2">{entry.user || <span className="text-gray-400">Unknown key</span>}</td>
+                        <td className="py-2">{entry.product || '-'}</td>
+                        <td className="py-2">{entry.rate_limited}</td>
+                        <td className="py-2">{entry.rejected_devices}</td>
+                        <td className="py-2">{entry.ips}</td>
+                        <td className="py-2">{new Date(entry.last_event_at).toLocaleString()}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            <div>
+              <h3 className="font-medium text-gray-900 mb-2">IP Addresses</h3>
+              {!report?.ips?.length ? (
+                <p className="text-gray-500">No IP addresses hit a limit in this period.</p>
+              ) : (
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2">IP</th>
+                      <th className="py-2">Rate limited windows</th>
+                      <th className="py-2">Last event</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.ips.map((entry) => (
+                      <tr key={entry.ip} className="border-b">
+                        <td className="py-2 font-mono">{entry.ip}</td>
+                        <td className="py-2">{entry.rate_limited}</td>
+                        <td className="py-2">{new Date(entry.last_event_at).toLocaleString()}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Webhooks Tab Component
+function WebhooksTab({ session, setMessage }) {
+  const [endpoints, setEndpoints] = useState([]);
+  const [eventTypes, setEventTypes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingEndpoint, setEditingEndpoint] = useState(null);
+  const [revealed, setRevealed] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [formData, setFormData] = useState({
+    url: '',
+    description: '',
+    events: [],
+    is_active: true
+  });
+
+  useEffect(() => {
+    fetchEndpoints();
+  }, []);
+
+  const fetchEndpoints = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/admin/webhooks`, {
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+      });
+      const data = await response.json();
+      setEndpoints(data.endpoints);
+      setEventTypes(data.events);
+    } catch (error) {
+      console.error('Error fetching webhooks:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetForm = () => {
+    setFormData({ url: '', description: '', events: [], is_active: true });
+    setEditingEndpoint(null);
+    setShowForm(false);
+  };
+
+  const saveEndpoint = async (endpoint, body) => {
+    const response = await fetch(
+      endpoint ? `${API_BASE_URL}/admin/webhooks/${endpoint.id}` : `${API_BASE_URL}/admin/webhooks`,
+      {
+        method: endpoint ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+        body: JSON.stringify(body),
+      }
+    );
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error);
+    return data;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const data = await saveEndpoint(editingEndpoint, formData);
+      if (editingEndpoint) {
+        setEndpoints(endpoints.map((endpoint) => endpoint.id === data.id ? data : endpoint));
+        setMessage('Webhook updated successfully!');
+      } else {
+        setEndpoints([data, ...endpoints]);
+        setRevealed(data.id);
+        setMessage('Webhook created. Copy its signing secret into your receiver.');
+      }
+      resetForm();
+    } catch (error) {
+      setMessage(`Error: ${error.message}`);
+    }
+  };
+
+  const handleEdit = (endpoint) => {
+    setFormData({
+      url: endpoint.url,
+      description: endpoint.description || '',
+      events: endpoint.events || [],
+      is_active: endpoint.is_active
+    });
+    setEditingEndpoint(endpoint);
+    setShowForm(true);
+  };
+
+  const handleRotateSecret = async (endpoint) => {
+    if (!window.confirm('Rotate the signing secret? The receiver must be updated with the new one.')) return;
+
+    try {
+      const data = await saveEndpoint(endpoint, { ...endpoint, rotate_secret: true });
+      setEndpoints(endpoints.map((row) => row.id === data.id ? data : row));
+      setRevealed(data.id);
+      setMessage('Signing secret rotated.');
+    } catch (error) {
+      setMessage(`Error: ${error.message}`);
+    }
+  };
+
+  const handleDelete = async (endpoint) => {
+    if (!window.confirm(`Delete the webhook for ${endpoint.url}? Its delivery log is deleted too.`)) return;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/admin/webhooks/${endpoint.id}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+      });
+
+      if (response.ok) {
+        setEndpoints(endpoints.filter((row) => row.id !== endpoint.id));
+        if (selected === endpoint.id) setSelected(null);
+        setMessage('Webhook deleted successfully!');
+      } else {
+        const data = await response.json();
+        setMessage(`Error: ${data.error}`);
+      }
+    } catch (error) {
+      setMessage(`Error: ${error.message}`);
+    }
+  };
+
+  const toggleEvent = (event) => {
+    setFormData({
+      ...formData,
+      events: formData.events.includes(event)
+        ? formData.events.filter((name) => name !== event)
+        : [...formData.events, event]
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white shadow rounded-lg">
+        <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+          <h2 className="text-lg font-medium text-gray-900">Webhook Endpoints</h2>
+          <button
+            onClick={() => setShowForm(true)}
+            className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700"
+          >
+            Add Endpoint
+          </button>
+        </div>
+
+        {showForm && (
+          <form onSubmit={handleSubmit} className="border-b border-gray-200 p-6 bg-gray-50 space-y-4">
+            <h3 className="text-lg font-medium">
+              {editingEndpoint ? 'Edit Endpoint' : 'Add New Endpoint'}
             </h3>
-            <form onSubmit={updateSubscription}>
-              <div className="space-y-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Product
-                  </label>
-                  <select
-                    value={subForm.product_id}
-                    onChange={(e) => setSubForm({...subForm, product_id: e.target.value})}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-                    required
-                  >
-                    <option value="">Select a product</option>
-                    {products.map((product) => (
-                      <option key={product.id} value={product.id}>
-                        {product.name}
-                      </option>
-                    ))}
-                  </select>
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Status
-                  </label>
-                  <select
-                    value={subForm.status}
-                    onChange={(e) => setSubForm({...subForm, status: e.target.value})}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-                  >
-                    <option value="free">Free</option>
-                    <option value="premium">Premium</option>
-                  </select>
-                </div>
-                {subForm.status === 'premium' && (
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
-                      Duration (days)
-                    </label>
+            <div className="grid grid-cols-2 gap-4">
+              <input
+                type="url"
+                placeholder="https://example.com/webhooks/licenses"
+                value={formData.url}
+                onChange={(e) => setFormData({...formData, url: e.target.value})}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                required
+              />
+              <input
+                type="text"
+                placeholder="Description"
+                value={formData.description}
+                onChange={(e) => setFormData({...formData, description: e.target.value})}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            </div>
+            <div>
+              <p className="text-sm text-gray-700 mb-2">Events (none selected sends every event)</p>
+              <div className="flex flex-wrap gap-4">
+                {eventTypes.map((event) => (
+                  <label key={event} className="flex items-center text-sm font-mono">
                     <input
-                      type="number"
-                      value={subForm.days}
-                      onChange={(e) => setSubForm({...subForm, days: e.target.value})}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-                      min="1"
+                      type="checkbox"
+                      checked={formData.events.includes(event)}
+                      onChange={() => toggleEvent(event)}
+                      className="mr-2"
                     />
+                    {event}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={formData.is_active}
+                onChange={(e) => setFormData({...formData, is_active: e.target.checked})}
+                className="mr-2"
+              />
+              Active
+            </label>
+            <div className="flex space-x-2">
+              <button
+                type="submit"
+                className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700"
+              >
+                {editingEndpoint ? 'Update' : 'Create'}
+              </button>
+              <button
+                type="button"
+                onClick={resetForm}
+                className="bg-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-400"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="p-6">
+          {loading ? (
+            <p className="text-gray-500">Loading...</p>
+          ) : endpoints.length === 0 ? (
+            <p className="text-gray-500">No webhook endpoints configured.</p>
+          ) : (
+            <div className="space-y-4">
+              {endpoints.map((endpoint) => (
+                <div key={endpoint.id} className="border rounded-lg p-4">
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <p className="font-mono text-sm">{endpoint.url}</p>
+                      {endpoint.description && <p className="text-sm text-gray-600">{endpoint.description}</p>}
+                      <p className="text-xs text-gray-500 mt-1">
+                        {endpoint.events.length === 0 ? 'All events' : endpoint.events.join(', ')}
+                      </p>
+                    </div>
+                    <span className={`px-2 py-1 text-xs rounded ${endpoint.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}>
+                      {endpoint.is_active ? 'Active' : 'Disabled'}
+                    </span>
+                  </div>
+                  <div className="mt-2 text-sm">
+                    <span className="text-gray-500">Signing secret: </span>
+                    <span className="font-mono">
+                      {revealed === endpoint.id ? endpoint.secret : `${endpoint.secret.slice(0, 10)}…`}
+                    </span>
+                    <button
+                      onClick={() => setRevealed(revealed === endpoint.id ? null : endpoint.id)}
+                      className="ml-2 text-indigo-600 hover:text-indigo-900"
+                    >
+                      {revealed === endpoint.id ? 'Hide' : 'Reveal'}
+                    </button>
                   </div>
+                  <div className="mt-3 flex space-x-4 text-sm">
+                    <button
+                      onClick={() => setSelected(selected === endpoint.id ? null : endpoint.id)}
+                      className="text-indigo-600 hover:text-indigo-900"
+                    >
+                      {selected === endpoint.id ? 'Hide deliveries' : 'Deliveries'}
+                    </button>
+                    <button onClick={() => handleEdit(endpoint)} className="text-indigo-600 hover:text-indigo-900">
+                      Edit
+                    </button>
+                    <button onClick={() => handleRotateSecret(endpoint)} className="text-indigo-600 hover:text-indigo-900">
+                      Rotate secret
+                    </button>
+                    <button onClick={() => handleDelete(endpoint)} className="text-red-600 hover:text-red-900">
+                      Delete
+                    </button>
+                  </div>
+                  {selected === endpoint.id && (
+                    <WebhookDeliveries endpoint={endpoint} session={session} setMessage={setMessage} />
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function WebhookDeliveries({ endpoint, session, setMessage }) {
+  const [deliveries, setDeliveries] = useState([]);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [status, setStatus] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [status]);
+
+  const fetchDeliveries = async (before = null) => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (status) params.set('status', status);
+      if (before) params.set('before', before);
+
+      const response = await fetch(`${API_BASE_URL}/admin/webhooks/${endpoint.id}/deliveries?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+      });
+      const data = await response.json();
+      setDeliveries(before ? [...deliveries, ...data.deliveries] : data.deliveries);
+      setNextBefore(data.next_before);
+    } catch (error) {
+      console.error('Error fetching webhook deliveries:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRedeliver = async (delivery) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/admin/webhook-deliveries/${delivery.id}/redeliver`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setDeliveries(deliveries.map((row) => row.id === data.id ? data : row));
+        setMessage(`${delivery.event_type} queued for redelivery.`);
+      } else {
+        setMessage(`Error: ${data.error}`);
+      }
+    } catch (error) {
+      setMessage(`Error: ${error.message}`);
+    }
+  };
+
+  const statusClass = {
+    succeeded: 'bg-green-100 text-green-800',
+    pending: 'bg-yellow-100 text-yellow-800',
+    failed: 'bg-red-100 text-red-800'
+  };
+
+  return (
+    <div className="mt-4 border-t pt-4">
+      <div className="flex justify-between items-center mb-2">
+        <h4 className="text-sm font-medium text-gray-900">Delivery log</h4>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+        >
+          <option value="">All</option>
+          <option value="pending">Pending</option>
+          <option value="succeeded">Succeeded</option>
+          <option value="failed">Failed</option>
+        </select>
+      </div>
+
+      {!loading && deliveries.length === 0 ? (
+        <p className="text-sm text-gray-500">No deliveries yet.</p>
+      ) : (
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2">Time</th>
+              <th className="py-2">Event</th>
+              <th className="py-2">Status</th>
+              <th className="py-2">Attempts</th>
+              <th className="py-2">Last response</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {deliveries.map((delivery) => (
+              <React.Fragment key={delivery.id}>
+                <tr className="border-b align-top">
+                  <td className="py-2 whitespace-nowrap">{new Date(delivery.created_at).toLocaleString()}</td>
+                  <td className="py-2 font-mono">{delivery.event_type}</td>
+                  <td className="py-2">
+                    <span className={`px-2 py-1 text-xs rounded ${statusClass[delivery.status]}`}>
+                      {delivery.status}
+                    </span>
+                    {delivery.status === 'pending' && delivery.attempts > 0 && (
+                      <span className="block text-xs text-gray-500 mt-1">
+                        retry {new Date(delivery.next_attempt_at).toLocaleTimeString()}
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-2">{delivery.attempts}</td>
+                  <td className="py-2">{delivery.last_error || delivery.last_status_code || '-'}</td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    <button
+                      onClick={() => setExpanded(expanded === delivery.id ? null : delivery.id)}
+                      className="text-indigo-600 hover:text-indigo-900"
+                    >
+                      {expanded === delivery.id ? 'Hide' : 'Payload'}
+                    </button>
+                    {delivery.status !== 'pending' && (
+                      <button
+                        onClick={() => handleRedeliver(delivery)}
+                        className="ml-3 text-indigo-600 hover:text-indigo-900"
+                      >
+                        Redeliver
+                      </button>
+                    )}
+                  </td>
+                </tr>
+                {expanded === delivery.id && (
+                  <tr className="border-b bg-gray-50">
+                    <td colSpan="6" className="p-4">
+                      <pre className="text-xs font-mono whitespace-pre-wrap">{JSON.stringify(delivery.payload, null, 2)}</pre>
+                    </td>
+                  </tr>
                 )}
-              </div>
-              <div className="flex justify-end space-x-3 mt-6">
-                <button
-                  type="button"
-                  onClick={() => setShowSubModal(false)}
-                  className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
-                >
-                  Cancel
-                </button>
-                <button
-                  type="submit"
-                  className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
-                >
-                  Update
-                </button>
-              </div>
-            </form>
-          </div>
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {loading && <p className="text-sm text-gray-500 mt-2">Loading...</p>}
+
+      {!loading && nextBefore && (
+        <div className="mt-2 flex justify-center">
+          <button
+            onClick={() => fetchDeliveries(nextBefore)}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+          >
+            Load more
+          </button>
         </div>
       )}
     </div>
   );
 }
 
-export default App;
\ No newline at end of file
+function PromoCodesTab({ products, session, setMessage }) {
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState({
+    code: '',
+    product_id: '',
+    kind: 'premium_days',
+    days: '30',
+    percent_off: '20',
+    max_redemptions: '',
+    expires_at: ''
+  });
+
+  useEffect(() => {
+    fetchPromoCodes();
+  }, []);
+
+  const fetchPromoCodes = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/admin/promo-codes`, {
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+      });
+      setPromoCodes(await response.json());
+    } catch (error) {
+      console.error('Error fetching promo codes:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const savePromoCode = async (promoCode, body) => {
+    const response = await fetch(
+      promoCode ? `${API_BASE_URL}/admin/promo-codes/${promoCode.id}` : `${API_BASE_URL}/admin/promo-codes`,
+      {
+        method: promoCode ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`,
+        },
+        body: JSON.stringify(body),
+      }
+    );
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error);
+    return data;
+  };
+
+  const resetForm = () => {
+    setFormData({
+      code: '',
+      product_id: '',
+      kind: 'premium_days',
+      days: '30',
+      percent_off: '20',
+      max_redemptions: '',
+      expires_at: ''
+    });
+    setShowForm(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const data = await savePromoCode(null, {
+        ...formData,
+        // The code stays valid through the whole of its last day
+        expires_at: formData.expires_at ? new Date(`${formData.expires_at}T23:59:59`).toISOString() : null
+      });
+      const product = products.find((row) => row.id === data.product_id);
+      setPromoCodes([{ ...data, products: product && { name: product.name } }, ...promoCodes]);
+      setMessage(`Promo code ${data.code} created.`);
+      resetForm();
+    } catch (error) {
+      setMessage(`Error: ${error.message}`);
+    }
+  };
+
+  const toggleActive = async (promoCode) => {
+    try {
+      const data = await savePromoCode(promoCode, { ...promoCode, is_active: !promoCode.is_active });
+      setPromoCodes(promoCodes.map((row) => row.id === data.id ? { ...data, products: row.products } : row));
+    } catch (error) {
+      setMessage(`Error: ${error.message}`);
+    }
+  };
+
+  const describe = (promoCode) =>
+    promoCode.kind === 'discount'
+      ? `${promoCode.percent_off}% off checkout`
+      : `${promoCode.days} days of premium`;
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+        <h2 className="text-lg font-medium text-gray-900">Promo Codes</h2>
+        <button
+          onClick={() => setShowForm(true)}
+          className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700"
+        >
+          Add Promo Code
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="border-b border-gray-200 p-6 bg-gray-50 space-y-4">
+          <h3 className="text-lg font-medium">Add New Promo Code</h3>
+          <div className="grid grid-cols-2 gap-4">
+            <input
+              type="text"
+              placeholder="Code (blank to generate)"
+              value={formData.code}
+              onChange={(e) => setFormData({...formData, code: e.target.value})}
+              className="px-3 py-2 border border-gray-300 rounded-md font-mono uppercase focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+            />
+            <select
+              value={formData.product_id}
+              onChange={(e) => setFormData({...formData, product_id: e.target.value})}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              required
+            >
+              <option value="">Select product</option>
+              {products.map((product) => (
+                <option key={product.id} value={product.id}>{product.name}</option>
+              ))}
+            </select>
+            <select
+              value={formData.kind}
+              onChange={(e) => setFormData({...formData, kind: e.target.value})}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+            >
+              <option value="premium_days">Premium days</option>
+              <option value="discount">Checkout discount</option>
+            </select>
+            {formData.kind === 'premium_days' ? (
+              <input
+                type="number"
+                min="1"
+                placeholder="Days of premium"
+                value={formData.days}
+                onChange={(e) => setFormData({...formData, days: e.target.value})}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                required
+              />
+            ) : (
+              <input
+                type="number"
+                min="1"
+                max="99"
+                placeholder="Percent off"
+                value={formData.percent_off}
+                onChange={(e) => setFormData({...formData, percent_off: e.target.value})}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                required
+              />
+            )}
+            <input
+              type="number"
+              min="1"
+              placeholder="Max redemptions (blank for unlimited)"
+              value={formData.max_redemptions}
+              onChange={(e) => setFormData({...formData, max_redemptions: e.target.value})}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+            />
+            <label className="flex items-center text-sm text-gray-700">
+              <span className="mr-2">Expires</span>
+              <input
+                type="date"
+                value={formData.expires_at}
+                onChange={(e) => setFormData({...formData, expires_at: e.target.value})}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              />
+            </label>
+          </div>
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              className="bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700"
+            >
+              Create
+            </button>
+            <button
+              type="button"
+              onClick={resetForm}
+              className="bg-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="p-6">
+        {loading ? (
+          <p className="text-gray-500">Loading...</p>
+        ) : promoCodes.length === 0 ? (
+          <p className="text-gray-500">No promo codes yet.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Grants</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Redeemed</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Expires</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {promoCodes.map((promoCode) => (
+                <tr key={promoCode.id}>
+                  <td className="px-4 py-2 font-mono text-sm">{promoCode.code}</td>
+                  <td className="px-4 py-2 text-sm">{promoCode.products?.name}</td>
+                  <td className="px-4 py-2 text-sm">{describe(promoCode)}</td>
+                  <td className="px-4 py-2 text-sm">
+                    {promoCode.redemptions}{promoCode.max_redemptions ? ` / ${promoCode.max_redemptions}` : ''}
+                  </td>
+                  <td className="px-4 py-2 text-sm">
+                    {promoCode.expires_at ? new Date(promoCode.expires_at).toLocaleDateString() : 'Never'}
+                  </td>
+                  <td className="px-4 py-2 text-sm">
+                    <span className={`px-2 py-1 text-xs rounded ${promoCode.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}>
+                      {promoCode.is_active ? 'Active' : 'Disabled'}
+                    </span>
+                  </td>
+                  <td className="px-4 py-2 text-right text-sm">
+                    <button onClick={() => toggleActive(promoCode)} className="text-indigo-600 hover:text-indigo-900">
+                      {promoCode.is_active ? 'Deactivate' : 'Activate'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default App;
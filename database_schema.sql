@@ -1,12 +1,20 @@
+-- Safe to run again: an existing database, including one created from an
+-- earlier version of this file, is brought up to date by re-running it.
+
 -- Enable required extensions
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 CREATE EXTENSION IF NOT EXISTS "pgcrypto";
 
 -- Custom types
-CREATE TYPE subscription_status AS ENUM ('free', 'trial', 'premium');
+DO $$
+BEGIN
+    CREATE TYPE subscription_status AS ENUM ('free', 'trial', 'premium');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END;
+$$;
 
 -- Users table (extends Supabase auth.users)
-CREATE TABLE public.users (
+CREATE TABLE IF NOT EXISTS public.users (
     id UUID REFERENCES auth.users(id) PRIMARY KEY,
     email TEXT NOT NULL UNIQUE,
     full_name TEXT,
@@ -16,48 +24,421 @@ CREATE TABLE public.users (
 );
 
 -- Products table
-CREATE TABLE public.products (
+CREATE TABLE IF NOT EXISTS public.products (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
     name TEXT NOT NULL UNIQUE,
     description TEXT,
     price DECIMAL(10,2) DEFAULT 0.00,
     duration_days INTEGER DEFAULT 30,
+    max_devices INTEGER NOT NULL DEFAULT 1 CHECK (max_devices > 0),
+    -- Self-service device releases: minimum gap between releases of the same
+    -- key, and how many are allowed per duration_days period (NULL = no limit)
+    release_cooldown_minutes INTEGER NOT NULL DEFAULT 60 CHECK (release_cooldown_minutes >= 0),
+    max_releases_per_period INTEGER CHECK (max_releases_per_period >= 0),
     trial_enabled BOOLEAN DEFAULT true,
+    trial_days INTEGER NOT NULL DEFAULT 1 CHECK (trial_days > 0),
+    -- Only start trials for accounts whose email address is confirmed
+    trial_requires_verified_email BOOLEAN NOT NULL DEFAULT false,
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- API Keys table
-CREATE TABLE public.api_keys (
+CREATE TABLE IF NOT EXISTS public.api_keys (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
     user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
     product_id UUID REFERENCES public.products(id) ON DELETE CASCADE,
-    key_value TEXT NOT NULL UNIQUE,
-    device_id TEXT,
+    -- Keys are stored as sha256(salt || key); only the prefix is kept in clear
+    -- so owners can tell keys apart. NULL until the secret is first issued.
+    key_prefix TEXT,
+    key_salt TEXT,
+    key_hash TEXT UNIQUE,
+    previous_key_prefix TEXT,
+    previous_key_salt TEXT,
+    previous_key_hash TEXT,
+    previous_key_expires_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     UNIQUE(user_id, product_id)
 );
 
+-- Devices bound to an API key (one row per seat, capped by products.max_devices)
+CREATE TABLE IF NOT EXISTS public.key_devices (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    api_key_id UUID REFERENCES public.api_keys(id) ON DELETE CASCADE,
+    device_id TEXT NOT NULL,
+    -- Ed25519 public key the device registered when it was bound, used to
+    -- check its signature over release_challenge
+    public_key TEXT,
+    release_challenge TEXT,
+    release_challenge_expires_at TIMESTAMP WITH TIME ZONE,
+    first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(api_key_id, device_id)
+);
+
+-- Device releases, used to enforce the per-product release limits
+CREATE TABLE IF NOT EXISTS public.key_releases (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    api_key_id UUID REFERENCES public.api_keys(id) ON DELETE CASCADE,
+    device_id TEXT,
+    released_by TEXT NOT NULL CHECK (released_by IN ('owner', 'device', 'admin')),
+    released_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Rate limit hits and device-limit rejections on the public key routes
+CREATE TABLE IF NOT EXISTS public.abuse_events (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    reason TEXT NOT NULL CHECK (reason IN ('rate_limited', 'device_limit')),
+    scope TEXT NOT NULL CHECK (scope IN ('ip', 'key')),
+    ip TEXT,
+    key_prefix TEXT,
+    device_id TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Outcome of every /verify and /release-device request
+CREATE TABLE IF NOT EXISTS public.verification_events (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    endpoint TEXT NOT NULL CHECK (endpoint IN ('verify', 'release-device')),
+    api_key_id UUID REFERENCES public.api_keys(id) ON DELETE SET NULL,
+    user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    product_id UUID REFERENCES public.products(id) ON DELETE SET NULL,
+    key_prefix TEXT,
+    device_id TEXT,
+    ip TEXT,
+    user_agent TEXT,
+    result TEXT NOT NULL CHECK (result IN ('success', 'failure', 'error')),
+    reason TEXT,
+    status_code INTEGER,
+    latency_ms INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Append-only record of admin changes to products, subscriptions and keys
+CREATE TABLE IF NOT EXISTS public.admin_audit_log (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    actor_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    actor_email TEXT NOT NULL,
+    action TEXT NOT NULL,
+    target_type TEXT NOT NULL,
+    target_id UUID,
+    before JSONB,
+    after JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Promo codes for one product each: premium_days gives that many days of
+-- premium when redeemed, discount takes percent_off off the price at
+-- checkout. Codes are stored upper case.
+CREATE TABLE IF NOT EXISTS public.promo_codes (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    code TEXT NOT NULL UNIQUE,
+    product_id UUID REFERENCES public.products(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL CHECK (kind IN ('premium_days', 'discount')),
+    days INTEGER CHECK (days > 0),
+    percent_off INTEGER CHECK (percent_off BETWEEN 1 AND 99),
+    -- NULL for no limit
+    max_redemptions INTEGER CHECK (max_redemptions > 0),
+    redemptions INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((days IS NOT NULL) = (kind = 'premium_days') AND (percent_off IS NOT NULL) = (kind = 'discount'))
+);
+
+-- Premium upgrades started from the dashboard, one row per checkout attempt
+CREATE TABLE IF NOT EXISTS public.checkout_sessions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    product_id UUID REFERENCES public.products(id) ON DELETE CASCADE,
+    provider TEXT NOT NULL,
+    provider_session_id TEXT,
+    amount DECIMAL(10,2) NOT NULL,
+    currency TEXT NOT NULL DEFAULT 'usd',
+    -- Discount code applied to amount, redeemed once the checkout is paid
+    promo_code_id UUID REFERENCES public.promo_codes(id) ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed')),
+    -- When the provider's payment page closes. Until then a pending checkout
+    -- holds its discount code: the hold counts towards max_redemptions. Set
+    -- to now when the checkout could not be opened or is superseded.
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW() + INTERVAL '1 hour',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Promo code redemptions, one per user and code
+CREATE TABLE IF NOT EXISTS public.promo_redemptions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    promo_code_id UUID REFERENCES public.promo_codes(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    -- The paid checkout a discount code was used for
+    checkout_id UUID REFERENCES public.checkout_sessions(id) ON DELETE SET NULL,
+    previous_expires_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    redeemed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(promo_code_id, user_id)
+);
+
+-- Payment provider webhooks already processed, so redeliveries are no-ops
+CREATE TABLE IF NOT EXISTS public.payment_webhook_events (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    provider TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    checkout_id UUID REFERENCES public.checkout_sessions(id) ON DELETE SET NULL,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(provider, event_id)
+);
+
+-- Money received, one row per completed checkout
+CREATE TABLE IF NOT EXISTS public.payments (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    product_id UUID REFERENCES public.products(id) ON DELETE SET NULL,
+    checkout_id UUID UNIQUE REFERENCES public.checkout_sessions(id) ON DELETE SET NULL,
+    provider TEXT NOT NULL,
+    provider_reference TEXT,
+    amount DECIMAL(10,2) NOT NULL,
+    currency TEXT NOT NULL,
+    paid_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE SEQUENCE IF NOT EXISTS public.invoice_number_seq;
+
+-- Invoices issued for payments. Customer and product details are copied in
+-- so an invoice reads the same after the product is renamed or deleted.
+CREATE TABLE IF NOT EXISTS public.invoices (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    invoice_number TEXT UNIQUE NOT NULL DEFAULT 'INV-' || LPAD(nextval('public.invoice_number_seq')::TEXT, 6, '0'),
+    payment_id UUID UNIQUE REFERENCES public.payments(id) ON DELETE RESTRICT,
+    user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    product_id UUID REFERENCES public.products(id) ON DELETE SET NULL,
+    customer_email TEXT NOT NULL,
+    customer_name TEXT,
+    product_name TEXT NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    currency TEXT NOT NULL,
+    period_start TIMESTAMP WITH TIME ZONE NOT NULL,
+    period_end TIMESTAMP WITH TIME ZONE NOT NULL,
+    issued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Named plans per product. entitlements maps feature names to flags
+-- (true/false) or numeric limits; see lib/entitlements.js for how a
+-- subscription's plan is resolved.
+CREATE TABLE IF NOT EXISTS public.plans (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    product_id UUID REFERENCES public.products(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    status subscription_status NOT NULL,
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    entitlements JSONB NOT NULL DEFAULT '{}'::JSONB CHECK (jsonb_typeof(entitlements) = 'object'),
+    -- Monthly allowance per usage metric, e.g. {"requests": 10000}
+    quotas JSONB NOT NULL DEFAULT '{}'::JSONB CHECK (jsonb_typeof(quotas) = 'object'),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(product_id, name)
+);
+
 -- Subscriptions table
-CREATE TABLE public.subscriptions (
+CREATE TABLE IF NOT EXISTS public.subscriptions (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
     user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
     product_id UUID REFERENCES public.products(id) ON DELETE CASCADE,
     status subscription_status DEFAULT 'free',
     expires_at TIMESTAMP WITH TIME ZONE,
     trial_used BOOLEAN DEFAULT false,
+    -- Pinned plan; NULL uses the product's default plan for the status
+    plan_id UUID REFERENCES public.plans(id) ON DELETE SET NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     UNIQUE(user_id, product_id)
 );
 
+-- Expiry reminders already sent (or skipped), one per subscription, expiry
+-- date and offset; extending a subscription starts a fresh set
+CREATE TABLE IF NOT EXISTS public.expiry_reminders (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    subscription_id UUID REFERENCES public.subscriptions(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    days_before INTEGER NOT NULL,
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(subscription_id, expires_at, days_before)
+);
+
+-- Devices that have started a product's trial, so a device cannot collect
+-- trials for the same product from several accounts
+CREATE TABLE IF NOT EXISTS public.trial_claims (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    product_id UUID REFERENCES public.products(id) ON DELETE CASCADE,
+    device_id TEXT NOT NULL,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    claimed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(product_id, device_id)
+);
+
+-- Metered usage per API key, metric and UTC day, reported through /usage
+CREATE TABLE IF NOT EXISTS public.usage_daily (
+    api_key_id UUID REFERENCES public.api_keys(id) ON DELETE CASCADE,
+    product_id UUID REFERENCES public.products(id) ON DELETE CASCADE,
+    metric TEXT NOT NULL,
+    day DATE NOT NULL,
+    count BIGINT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (api_key_id, metric, day)
+);
+
+-- Receivers of outgoing webhooks (see lib/webhooks.js). An empty events
+-- list subscribes the endpoint to every event type.
+CREATE TABLE IF NOT EXISTS public.webhook_endpoints (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    url TEXT NOT NULL CHECK (url ~ '^https?://'),
+    description TEXT,
+    secret TEXT NOT NULL,
+    events TEXT[] NOT NULL DEFAULT '{}',
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Outbox of webhook events, one row per event and endpoint. Rows stay
+-- behind as the delivery log once sent or given up on.
+CREATE TABLE IF NOT EXISTS public.webhook_deliveries (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    endpoint_id UUID REFERENCES public.webhook_endpoints(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL,
+    event_type TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_status_code INTEGER,
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    delivered_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Bulk subscription changes started by an admin. Targets are resolved when
+-- the job is created, one bulk_job_items row per user; the job runner
+-- applies them in batches and the counters show its progress.
+CREATE TABLE IF NOT EXISTS public.bulk_jobs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    action TEXT NOT NULL CHECK (action IN ('grant', 'extend', 'revoke')),
+    product_id UUID REFERENCES public.products(id) ON DELETE CASCADE,
+    -- Premium days to grant, add or take away; NULL revokes outright
+    days INTEGER CHECK (days > 0),
+    -- How the targets were chosen: { user_ids } or { filter }
+    target JSONB NOT NULL DEFAULT '{}',
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed')),
+    total INTEGER NOT NULL DEFAULT 0,
+    processed INTEGER NOT NULL DEFAULT 0,
+    changed INTEGER NOT NULL DEFAULT 0,
+    skipped INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS public.bulk_job_items (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    job_id UUID REFERENCES public.bulk_jobs(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'changed', 'skipped', 'failed')),
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    processed_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE(job_id, user_id)
+);
+
+-- Every change to a subscription's status, expiry or plan, written by the
+-- on_subscription_changed trigger. source is what made the change (admin,
+-- bulk, checkout, promo, trial, expiry, or system for any other update) and mode
+-- how the expiry was set (extend, set or reset, or the bulk action).
+CREATE TABLE IF NOT EXISTS public.subscription_history (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    subscription_id UUID REFERENCES public.subscriptions(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    product_id UUID REFERENCES public.products(id) ON DELETE CASCADE,
+    source TEXT NOT NULL,
+    mode TEXT,
+    changed_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    previous_status subscription_status,
+    status subscription_status,
+    previous_expires_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    previous_plan_id UUID REFERENCES public.plans(id) ON DELETE SET NULL,
+    plan_id UUID REFERENCES public.plans(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Upgrade: columns added to tables after they were first created, which
+-- CREATE TABLE IF NOT EXISTS skips on existing databases. Columns that replace
+-- old data are filled in by the upgrades at the end of this file.
+ALTER TABLE public.products
+    ADD COLUMN IF NOT EXISTS max_devices INTEGER NOT NULL DEFAULT 1 CHECK (max_devices > 0),
+    ADD COLUMN IF NOT EXISTS release_cooldown_minutes INTEGER NOT NULL DEFAULT 60 CHECK (release_cooldown_minutes >= 0),
+    ADD COLUMN IF NOT EXISTS max_releases_per_period INTEGER CHECK (max_releases_per_period >= 0),
+    ADD COLUMN IF NOT EXISTS trial_days INTEGER NOT NULL DEFAULT 1 CHECK (trial_days > 0),
+    ADD COLUMN IF NOT EXISTS trial_requires_verified_email BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE public.api_keys
+    ADD COLUMN IF NOT EXISTS key_prefix TEXT,
+    ADD COLUMN IF NOT EXISTS key_salt TEXT,
+    ADD COLUMN IF NOT EXISTS key_hash TEXT UNIQUE,
+    ADD COLUMN IF NOT EXISTS previous_key_prefix TEXT,
+    ADD COLUMN IF NOT EXISTS previous_key_salt TEXT,
+    ADD COLUMN IF NOT EXISTS previous_key_hash TEXT,
+    ADD COLUMN IF NOT EXISTS previous_key_expires_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE public.key_devices
+    ADD COLUMN IF NOT EXISTS public_key TEXT,
+    ADD COLUMN IF NOT EXISTS release_challenge TEXT,
+    ADD COLUMN IF NOT EXISTS release_challenge_expires_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE public.checkout_sessions
+    ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'usd',
+    ADD COLUMN IF NOT EXISTS promo_code_id UUID REFERENCES public.promo_codes(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW() + INTERVAL '1 hour';
+
+ALTER TABLE public.plans
+    ADD COLUMN IF NOT EXISTS quotas JSONB NOT NULL DEFAULT '{}'::JSONB CHECK (jsonb_typeof(quotas) = 'object');
+
+ALTER TABLE public.subscriptions
+    ADD COLUMN IF NOT EXISTS plan_id UUID REFERENCES public.plans(id) ON DELETE SET NULL;
+
 -- Indexes for performance
-CREATE INDEX idx_api_keys_key_value ON public.api_keys(key_value);
-CREATE INDEX idx_api_keys_user_product ON public.api_keys(user_id, product_id);
-CREATE INDEX idx_subscriptions_user_product ON public.subscriptions(user_id, product_id);
-CREATE INDEX idx_subscriptions_expires_at ON public.subscriptions(expires_at);
+CREATE INDEX IF NOT EXISTS idx_api_keys_key_prefix ON public.api_keys(key_prefix);
+CREATE INDEX IF NOT EXISTS idx_api_keys_previous_key_prefix ON public.api_keys(previous_key_prefix);
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_product ON public.api_keys(user_id, product_id);
+CREATE INDEX IF NOT EXISTS idx_key_devices_api_key ON public.key_devices(api_key_id);
+CREATE INDEX IF NOT EXISTS idx_key_releases_api_key_released_at ON public.key_releases(api_key_id, released_at);
+CREATE INDEX IF NOT EXISTS idx_abuse_events_created_at ON public.abuse_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON public.admin_audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON public.admin_audit_log(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_verification_events_created_at ON public.verification_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_verification_events_user ON public.verification_events(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_verification_events_product ON public.verification_events(product_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_checkout_sessions_user ON public.checkout_sessions(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_checkout_sessions_promo_pending ON public.checkout_sessions(promo_code_id, expires_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_payments_paid_at ON public.payments(paid_at);
+CREATE INDEX IF NOT EXISTS idx_invoices_user ON public.invoices(user_id, issued_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_plans_default ON public.plans(product_id, status) WHERE is_default;
+CREATE INDEX IF NOT EXISTS idx_usage_daily_product_day ON public.usage_daily(product_id, day);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON public.webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON public.webhook_deliveries(endpoint_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_bulk_jobs_created_at ON public.bulk_jobs(created_at);
+CREATE INDEX IF NOT EXISTS idx_bulk_job_items_pending ON public.bulk_job_items(created_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_subscription_history_user ON public.subscription_history(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_promo_codes_product ON public.promo_codes(product_id);
+CREATE INDEX IF NOT EXISTS idx_users_created_at ON public.users(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_user_product ON public.subscriptions(user_id, product_id);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_expires_at ON public.subscriptions(expires_at);
 
 -- Function to generate API key
 CREATE OR REPLACE FUNCTION generate_api_key()
@@ -67,6 +448,55 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Functions to hash an API key and extract its visible prefix
+-- (must match lib/apiKeys.js and supabase/functions/_shared/api-keys.ts)
+CREATE OR REPLACE FUNCTION hash_api_key(p_key TEXT, p_salt TEXT)
+RETURNS TEXT AS $$
+    SELECT encode(digest(p_salt || p_key, 'sha256'), 'hex');
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION api_key_prefix(p_key TEXT)
+RETURNS TEXT AS $$
+    SELECT left(p_key, 11);
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Function to issue a new secret for an API key. The old secret stays valid
+-- for p_overlap_hours so deployed clients can switch over; 0 revokes it at
+-- once. The plaintext key is only ever returned from here. It used to return
+-- the api_keys row, and CREATE OR REPLACE cannot change a return type.
+DROP FUNCTION IF EXISTS rotate_api_key(UUID, INTEGER);
+CREATE OR REPLACE FUNCTION rotate_api_key(p_key_id UUID, p_overlap_hours INTEGER DEFAULT 24)
+RETURNS JSONB AS $$
+DECLARE
+    new_key TEXT := generate_api_key();
+    new_salt TEXT := encode(gen_random_bytes(16), 'hex');
+    rotated public.api_keys;
+BEGIN
+    UPDATE public.api_keys
+    SET previous_key_prefix = CASE WHEN p_overlap_hours > 0 THEN key_prefix END,
+        previous_key_salt = CASE WHEN p_overlap_hours > 0 THEN key_salt END,
+        previous_key_hash = CASE WHEN p_overlap_hours > 0 THEN key_hash END,
+        previous_key_expires_at = CASE WHEN p_overlap_hours > 0 AND key_hash IS NOT NULL
+            THEN NOW() + make_interval(hours => p_overlap_hours) END,
+        key_prefix = api_key_prefix(new_key),
+        key_salt = new_salt,
+        key_hash = hash_api_key(new_key, new_salt)
+    WHERE id = p_key_id
+    RETURNING * INTO rotated;
+
+    IF rotated.id IS NULL THEN
+        RAISE EXCEPTION 'API key % not found', p_key_id;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'id', rotated.id,
+        'key_value', new_key,
+        'key_prefix', rotated.key_prefix,
+        'previous_key_expires_at', rotated.previous_key_expires_at
+    );
+END;
+$$ LANGUAGE plpgsql;
+
 -- Function to create user profile after signup
 CREATE OR REPLACE FUNCTION handle_new_user()
 RETURNS TRIGGER AS $$
@@ -83,34 +513,101 @@ CREATE TRIGGER on_auth_user_created
     AFTER INSERT ON auth.users
     FOR EACH ROW EXECUTE FUNCTION handle_new_user();
 
--- Function to auto-generate API key when subscription is created
+-- Function to create the API key row when subscription is created. The
+-- secret itself is issued later through rotate_api_key() so that it can be
+-- shown to its owner exactly once.
 CREATE OR REPLACE FUNCTION create_api_key_for_subscription()
 RETURNS TRIGGER AS $$
 BEGIN
-    INSERT INTO public.api_keys (user_id, product_id, key_value)
-    VALUES (NEW.user_id, NEW.product_id, generate_api_key())
+    INSERT INTO public.api_keys (user_id, product_id)
+    VALUES (NEW.user_id, NEW.product_id)
     ON CONFLICT (user_id, product_id) DO NOTHING;
     RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
 
 -- Trigger to create API key
+DROP TRIGGER IF EXISTS on_subscription_created ON public.subscriptions;
 CREATE TRIGGER on_subscription_created
     AFTER INSERT ON public.subscriptions
     FOR EACH ROW EXECUTE FUNCTION create_api_key_for_subscription();
 
--- Function to revert expired subscriptions
+-- Function to say what is changing subscriptions for the rest of the
+-- transaction, for the history rows record_subscription_change() writes
+CREATE OR REPLACE FUNCTION set_subscription_change(
+    p_source TEXT,
+    p_mode TEXT DEFAULT NULL,
+    p_changed_by UUID DEFAULT NULL
+)
+RETURNS VOID AS $$
+BEGIN
+    PERFORM set_config('app.change_source', p_source, true);
+    PERFORM set_config('app.change_mode', COALESCE(p_mode, ''), true);
+    PERFORM set_config('app.changed_by', COALESCE(p_changed_by::TEXT, ''), true);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to record a subscription change in subscription_history
+CREATE OR REPLACE FUNCTION record_subscription_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO public.subscription_history (
+        subscription_id, user_id, product_id, source, mode, changed_by,
+        previous_status, status, previous_expires_at, expires_at, previous_plan_id, plan_id
+    )
+    VALUES (
+        NEW.id, NEW.user_id, NEW.product_id,
+        COALESCE(NULLIF(current_setting('app.change_source', true), ''), 'system'),
+        NULLIF(current_setting('app.change_mode', true), ''),
+        NULLIF(current_setting('app.changed_by', true), '')::UUID,
+        OLD.status, NEW.status, OLD.expires_at, NEW.expires_at, OLD.plan_id, NEW.plan_id
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS on_subscription_changed ON public.subscriptions;
+CREATE TRIGGER on_subscription_changed
+    AFTER UPDATE ON public.subscriptions
+    FOR EACH ROW
+    WHEN ((OLD.status, OLD.expires_at, OLD.plan_id) IS DISTINCT FROM (NEW.status, NEW.expires_at, NEW.plan_id))
+    EXECUTE FUNCTION record_subscription_change();
+
+-- Function to revert expired subscriptions, queueing a
+-- subscription.expired webhook for each
 CREATE OR REPLACE FUNCTION revert_expired_subscriptions()
 RETURNS INTEGER AS $$
 DECLARE
-    updated_count INTEGER;
+    expired RECORD;
+    updated_count INTEGER := 0;
 BEGIN
-    UPDATE public.subscriptions 
-    SET status = 'free', expires_at = NULL
-    WHERE status IN ('trial', 'premium') 
-    AND expires_at < NOW();
-    
-    GET DIAGNOSTICS updated_count = ROW_COUNT;
+    PERFORM set_subscription_change('expiry');
+
+    FOR expired IN
+        WITH due AS (
+            SELECT id, status, expires_at
+            FROM public.subscriptions
+            WHERE status IN ('trial', 'premium')
+            AND expires_at < NOW()
+            FOR UPDATE
+        )
+        UPDATE public.subscriptions s
+        SET status = 'free', expires_at = NULL
+        FROM due
+        WHERE s.id = due.id
+        RETURNING s.id, s.user_id, s.product_id, due.status AS previous_status, due.expires_at
+    LOOP
+        PERFORM enqueue_webhook_event('subscription.expired', jsonb_build_object(
+            'subscription_id', expired.id,
+            'user_id', expired.user_id,
+            'product_id', expired.product_id,
+            'status', 'free',
+            'previous_status', expired.previous_status,
+            'expired_at', expired.expires_at
+        ));
+        updated_count := updated_count + 1;
+    END LOOP;
+
     RETURN updated_count;
 END;
 $$ LANGUAGE plpgsql;
@@ -124,36 +621,92 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Function to keep the admin audit log append-only. Applies to every role,
+-- including the service role that bypasses RLS.
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'admin_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS admin_audit_log_immutable ON public.admin_audit_log;
+CREATE TRIGGER admin_audit_log_immutable
+    BEFORE UPDATE OR DELETE ON public.admin_audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+
 -- Add update triggers
+DROP TRIGGER IF EXISTS update_users_updated_at ON public.users;
 CREATE TRIGGER update_users_updated_at
     BEFORE UPDATE ON public.users
     FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 
+DROP TRIGGER IF EXISTS update_products_updated_at ON public.products;
 CREATE TRIGGER update_products_updated_at
     BEFORE UPDATE ON public.products
     FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 
+DROP TRIGGER IF EXISTS update_api_keys_updated_at ON public.api_keys;
 CREATE TRIGGER update_api_keys_updated_at
     BEFORE UPDATE ON public.api_keys
     FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 
+DROP TRIGGER IF EXISTS update_plans_updated_at ON public.plans;
+CREATE TRIGGER update_plans_updated_at
+    BEFORE UPDATE ON public.plans
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS update_webhook_endpoints_updated_at ON public.webhook_endpoints;
+CREATE TRIGGER update_webhook_endpoints_updated_at
+    BEFORE UPDATE ON public.webhook_endpoints
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS update_subscriptions_updated_at ON public.subscriptions;
 CREATE TRIGGER update_subscriptions_updated_at
     BEFORE UPDATE ON public.subscriptions
     FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 
+DROP TRIGGER IF EXISTS update_promo_codes_updated_at ON public.promo_codes;
+CREATE TRIGGER update_promo_codes_updated_at
+    BEFORE UPDATE ON public.promo_codes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
 -- RLS Policies
 ALTER TABLE public.users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.products ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.key_devices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.key_releases ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.abuse_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.verification_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.admin_audit_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.checkout_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.payment_webhook_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.payments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.invoices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.expiry_reminders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.trial_claims ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.plans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.usage_daily ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.webhook_endpoints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.webhook_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.bulk_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.bulk_job_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.subscription_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.promo_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.promo_redemptions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.subscriptions ENABLE ROW LEVEL SECURITY;
 
 -- Users policies
+DROP POLICY IF EXISTS "Users can view own profile" ON public.users;
 CREATE POLICY "Users can view own profile" ON public.users
     FOR SELECT USING (auth.uid() = id);
 
+DROP POLICY IF EXISTS "Users can update own profile" ON public.users;
 CREATE POLICY "Users can update own profile" ON public.users
     FOR UPDATE USING (auth.uid() = id);
 
+DROP POLICY IF EXISTS "Admins can manage all users" ON public.users;
 CREATE POLICY "Admins can manage all users" ON public.users
     FOR ALL USING (
         EXISTS (
@@ -163,9 +716,11 @@ CREATE POLICY "Admins can manage all users" ON public.users
     );
 
 -- Products policies
+DROP POLICY IF EXISTS "Anyone can view active products" ON public.products;
 CREATE POLICY "Anyone can view active products" ON public.products
     FOR SELECT USING (is_active = true);
 
+DROP POLICY IF EXISTS "Admins can manage products" ON public.products;
 CREATE POLICY "Admins can manage products" ON public.products
     FOR ALL USING (
         EXISTS (
@@ -175,12 +730,15 @@ CREATE POLICY "Admins can manage products" ON public.products
     );
 
 -- API Keys policies
+DROP POLICY IF EXISTS "Users can view own API keys" ON public.api_keys;
 CREATE POLICY "Users can view own API keys" ON public.api_keys
     FOR SELECT USING (auth.uid() = user_id);
 
-CREATE POLICY "Users can update own API keys" ON public.api_keys
-    FOR UPDATE USING (auth.uid() = user_id);
+-- Users cannot update their keys directly: that would let them overwrite
+-- the hashes and the rotation window. Keys change through the API only.
+DROP POLICY IF EXISTS "Users can update own API keys" ON public.api_keys;
 
+DROP POLICY IF EXISTS "Admins can manage all API keys" ON public.api_keys;
 CREATE POLICY "Admins can manage all API keys" ON public.api_keys
     FOR ALL USING (
         EXISTS (
@@ -189,10 +747,265 @@ CREATE POLICY "Admins can manage all API keys" ON public.api_keys
         )
     );
 
+-- Key devices policies
+DROP POLICY IF EXISTS "Users can view own key devices" ON public.key_devices;
+CREATE POLICY "Users can view own key devices" ON public.key_devices
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.api_keys
+            WHERE api_keys.id = key_devices.api_key_id AND api_keys.user_id = auth.uid()
+        )
+    );
+
+DROP POLICY IF EXISTS "Admins can manage all key devices" ON public.key_devices;
+CREATE POLICY "Admins can manage all key devices" ON public.key_devices
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE id = auth.uid() AND is_admin = true
+        )
+    );
+
+-- Key releases policies
+DROP POLICY IF EXISTS "Users can view own key releases" ON public.key_releases;
+CREATE POLICY "Users can view own key releases" ON public.key_releases
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.api_keys
+            WHERE api_keys.id = key_releases.api_key_id AND api_keys.user_id = auth.uid()
+        )
+    );
+
+DROP POLICY IF EXISTS "Admins can manage all key releases" ON public.key_releases;
+CREATE POLICY "Admins can manage all key releases" ON public.key_releases
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE id = auth.uid() AND is_admin = true
+        )
+    );
+
+-- Abuse events policies
+DROP POLICY IF EXISTS "Admins can view abuse events" ON public.abuse_events;
+CREATE POLICY "Admins can view abuse events" ON public.abuse_events
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE id = auth.uid() AND is_admin = true
+        )
+    );
+
+-- Verification events policies
+DROP POLICY IF EXISTS "Admins can view verification events" ON public.verification_events;
+CREATE POLICY "Admins can view verification events" ON public.verification_events
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE id = auth.uid() AND is_admin = true
+        )
+    );
+
+-- Admin audit log policies (no update/delete policies: entries are final)
+DROP POLICY IF EXISTS "Admins can view admin audit log" ON public.admin_audit_log;
+CREATE POLICY "Admins can view admin audit log" ON public.admin_audit_log
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE id = auth.uid() AND is_admin = true
+        )
+    );
+
+-- Checkout sessions policies
+DROP POLICY IF EXISTS "Users can view own checkout sessions" ON public.checkout_sessions;
+CREATE POLICY "Users can view own checkout sessions" ON public.checkout_sessions
+    FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Admins can manage all checkout sessions" ON public.checkout_sessions;
+CREATE POLICY "Admins can manage all checkout sessions" ON public.checkout_sessions
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE id = auth.uid() AND is_admin = true
+        )
+    );
+
+-- Payment webhook events policies
+DROP POLICY IF EXISTS "Admins can view payment webhook events" ON public.payment_webhook_events;
+CREATE POLICY "Admins can view payment webhook events" ON public.payment_webhook_events
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE id = auth.uid() AND is_admin = true
+        )
+    );
+
+-- Payments policies
+DROP POLICY IF EXISTS "Users can view own payments" ON public.payments;
+CREATE POLICY "Users can view own payments" ON public.payments
+    FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Admins can view all payments" ON public.payments;
+CREATE POLICY "Admins can view all payments" ON public.payments
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE id = auth.uid() AND is_admin = true
+        )
+    );
+
+-- Invoices policies
+DROP POLICY IF EXISTS "Users can view own invoices" ON public.invoices;
+CREATE POLICY "Users can view own invoices" ON public.invoices
+    FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Admins can view all invoices" ON public.invoices;
+CREATE POLICY "Admins can view all invoices" ON public.invoices
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE id = auth.uid() AND is_admin = true
+        )
+    );
+
+-- Expiry reminders policies
+DROP POLICY IF EXISTS "Admins can view expiry reminders" ON public.expiry_reminders;
+CREATE POLICY "Admins can view expiry reminders" ON public.expiry_reminders
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE id = auth.uid() AND is_admin = true
+        )
+    );
+
+-- Trial claims policies
+DROP POLICY IF EXISTS "Admins can manage trial claims" ON public.trial_claims;
+CREATE POLICY "Admins can manage trial claims" ON public.trial_claims
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE id = auth.uid() AND is_admin = true
+        )
+    );
+
+-- Plans policies
+DROP POLICY IF EXISTS "Anyone can view plans of active products" ON public.plans;
+CREATE POLICY "Anyone can view plans of active products" ON public.plans
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.products
+            WHERE products.id = plans.product_id AND products.is_active = true
+        )
+    );
+
+DROP POLICY IF EXISTS "Admins can manage plans" ON public.plans;
+CREATE POLICY "Admins can manage plans" ON public.plans
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE id = auth.uid() AND is_admin = true
+        )
+    );
+
+-- Usage policies
+DROP POLICY IF EXISTS "Users can view own usage" ON public.usage_daily;
+CREATE POLICY "Users can view own usage" ON public.usage_daily
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.api_keys
+            WHERE api_keys.id = usage_daily.api_key_id AND api_keys.user_id = auth.uid()
+        )
+    );
+
+DROP POLICY IF EXISTS "Admins can view all usage" ON public.usage_daily;
+CREATE POLICY "Admins can view all usage" ON public.usage_daily
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE id = auth.uid() AND is_admin = true
+        )
+    );
+
+-- Webhook policies
+DROP POLICY IF EXISTS "Admins can manage webhook endpoints" ON public.webhook_endpoints;
+CREATE POLICY "Admins can manage webhook endpoints" ON public.webhook_endpoints
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE id = auth.uid() AND is_admin = true
+        )
+    );
+
+DROP POLICY IF EXISTS "Admins can manage webhook deliveries" ON public.webhook_deliveries;
+CREATE POLICY "Admins can manage webhook deliveries" ON public.webhook_deliveries
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE id = auth.uid() AND is_admin = true
+        )
+    );
+
+-- Bulk job policies
+DROP POLICY IF EXISTS "Admins can view bulk jobs" ON public.bulk_jobs;
+CREATE POLICY "Admins can view bulk jobs" ON public.bulk_jobs
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE id = auth.uid() AND is_admin = true
+        )
+    );
+
+DROP POLICY IF EXISTS "Admins can view bulk job items" ON public.bulk_job_items;
+CREATE POLICY "Admins can view bulk job items" ON public.bulk_job_items
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE id = auth.uid() AND is_admin = true
+        )
+    );
+
+-- Subscription history policies
+DROP POLICY IF EXISTS "Users can view own subscription history" ON public.subscription_history;
+CREATE POLICY "Users can view own subscription history" ON public.subscription_history
+    FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Admins can view subscription history" ON public.subscription_history;
+CREATE POLICY "Admins can view subscription history" ON public.subscription_history
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE id = auth.uid() AND is_admin = true
+        )
+    );
+
+-- Promo code policies; codes are looked up by the server, never listed to users
+DROP POLICY IF EXISTS "Admins can manage promo codes" ON public.promo_codes;
+CREATE POLICY "Admins can manage promo codes" ON public.promo_codes
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE id = auth.uid() AND is_admin = true
+        )
+    );
+
+DROP POLICY IF EXISTS "Users can view own promo redemptions" ON public.promo_redemptions;
+CREATE POLICY "Users can view own promo redemptions" ON public.promo_redemptions
+    FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Admins can view all promo redemptions" ON public.promo_redemptions;
+CREATE POLICY "Admins can view all promo redemptions" ON public.promo_redemptions
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE id = auth.uid() AND is_admin = true
+        )
+    );
+
 -- Subscriptions policies
+DROP POLICY IF EXISTS "Users can view own subscriptions" ON public.subscriptions;
 CREATE POLICY "Users can view own subscriptions" ON public.subscriptions
     FOR SELECT USING (auth.uid() = user_id);
 
+DROP POLICY IF EXISTS "Admins can manage all subscriptions" ON public.subscriptions;
 CREATE POLICY "Admins can manage all subscriptions" ON public.subscriptions
     FOR ALL USING (
         EXISTS (
@@ -202,10 +1015,21 @@ CREATE POLICY "Admins can manage all subscriptions" ON public.subscriptions
     );
 
 -- Insert sample data
-INSERT INTO public.products (name, description, price, duration_days, trial_enabled, is_active) VALUES
-    ('Scraper Pro', 'Advanced web scraping tool', 29.99, 30, true, true),
-    ('Data Interceptor', 'Network data interception service', 49.99, 30, false, true),
-    ('API Monitor', 'Real-time API monitoring solution', 19.99, 15, true, true);
+INSERT INTO public.products (name, description, price, duration_days, max_devices, trial_enabled, trial_days, is_active) VALUES
+    ('Scraper Pro', 'Advanced web scraping tool', 29.99, 30, 2, true, 3, true),
+    ('Data Interceptor', 'Network data interception service', 49.99, 30, 1, false, 1, true),
+    ('API Monitor', 'Real-time API monitoring solution', 19.99, 15, 3, true, 1, true)
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO public.plans (product_id, name, status, is_default, entitlements, quotas)
+SELECT p.id, plan.name, plan.status::subscription_status, true, plan.entitlements::JSONB, plan.quotas::JSONB
+FROM public.products p
+CROSS JOIN (VALUES
+    ('Free', 'free', '{"export": false, "max_projects": 1}', '{"requests": 1000}'),
+    ('Pro', 'premium', '{"export": true, "max_projects": 25}', '{"requests": 100000}')
+) AS plan(name, status, entitlements, quotas)
+WHERE p.name IN ('Scraper Pro', 'Data Interceptor', 'API Monitor')
+ON CONFLICT DO NOTHING;
 
 -- Function to create subscription if it doesn't exist
 CREATE OR REPLACE FUNCTION ensure_subscription(p_user_id UUID, p_product_id UUID)
@@ -226,4 +1050,821 @@ BEGIN
     
     RETURN subscription_id;
 END;
-$$ LANGUAGE plpgsql;
\ No newline at end of file
+$$ LANGUAGE plpgsql;
+
+-- Function for self-service sign-up: give the user the free subscription
+-- to a product (the trigger adds its API key) and issue the key's first
+-- secret. The key row is locked, so of two concurrent sign-ups only one
+-- issues a secret; key_value is NULL when the key already had one.
+CREATE OR REPLACE FUNCTION start_free_subscription(p_user_id UUID, p_product_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    subscription_id UUID;
+    new_key TEXT := generate_api_key();
+    new_salt TEXT := encode(gen_random_bytes(16), 'hex');
+    key_row public.api_keys;
+BEGIN
+    subscription_id := ensure_subscription(p_user_id, p_product_id);
+
+    SELECT * INTO key_row
+    FROM public.api_keys
+    WHERE user_id = p_user_id AND product_id = p_product_id
+    FOR UPDATE;
+
+    IF key_row.key_hash IS NULL THEN
+        UPDATE public.api_keys
+        SET key_prefix = api_key_prefix(new_key),
+            key_salt = new_salt,
+            key_hash = hash_api_key(new_key, new_salt)
+        WHERE id = key_row.id
+        RETURNING * INTO key_row;
+    ELSE
+        new_key := NULL;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'subscription_id', subscription_id,
+        'id', key_row.id,
+        'key_value', new_key,
+        'key_prefix', key_row.key_prefix
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to apply the state changes of one /verify call atomically:
+-- record the visit of a bound device or bind a new one to a free seat, then
+-- start the trial or revert an expired subscription. The API key row is
+-- locked first, so concurrent calls for a key are applied one after another
+-- and each sees the seats and subscription the previous one left; the
+-- subscription transitions are conditional updates on top of that. The
+-- caller passes p_allow_trial = FALSE when a trial policy it checks itself
+-- (a verified email) refuses the trial. Returns device_limit (nothing was
+-- changed), bound, trial_started, trial_refused (another account's trial
+-- claim on the device), expired_from/expired_at and the subscription as it
+-- now stands.
+CREATE OR REPLACE FUNCTION apply_verification(
+    p_api_key_id UUID,
+    p_device_id TEXT,
+    p_public_key TEXT DEFAULT NULL,
+    p_allow_trial BOOLEAN DEFAULT TRUE
+)
+RETURNS JSONB AS $$
+DECLARE
+    key_row public.api_keys;
+    product_row public.products;
+    subscription_row public.subscriptions;
+    seat_limit INTEGER;
+    seats_used INTEGER;
+    claimed_by UUID;
+    device_bound BOOLEAN := FALSE;
+    trial_started BOOLEAN := FALSE;
+    trial_refused BOOLEAN := FALSE;
+    expired_from TEXT;
+    expired_at TIMESTAMPTZ;
+BEGIN
+    SELECT * INTO key_row FROM public.api_keys WHERE id = p_api_key_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'API key % not found', p_api_key_id;
+    END IF;
+
+    SELECT * INTO product_row FROM public.products WHERE id = key_row.product_id;
+    seat_limit := COALESCE(product_row.max_devices, 1);
+
+    UPDATE public.key_devices
+    SET last_seen_at = NOW()
+    WHERE api_key_id = key_row.id AND device_id = p_device_id;
+
+    IF NOT FOUND THEN
+        SELECT COUNT(*) INTO seats_used FROM public.key_devices WHERE api_key_id = key_row.id;
+
+        IF seats_used >= seat_limit THEN
+            RETURN jsonb_build_object('device_limit', TRUE, 'max_devices', seat_limit);
+        END IF;
+
+        INSERT INTO public.key_devices (api_key_id, device_id, public_key)
+        VALUES (key_row.id, p_device_id, p_public_key);
+        device_bound := TRUE;
+    END IF;
+
+    SELECT * INTO subscription_row
+    FROM public.subscriptions
+    WHERE user_id = key_row.user_id AND product_id = key_row.product_id
+    FOR UPDATE;
+
+    IF p_allow_trial AND product_row.trial_enabled
+        AND subscription_row.status = 'free' AND NOT subscription_row.trial_used THEN
+        -- A device keeps the trial claim of the first account that used it
+        INSERT INTO public.trial_claims (product_id, device_id, user_id)
+        VALUES (product_row.id, p_device_id, key_row.user_id)
+        ON CONFLICT (product_id, device_id) DO NOTHING;
+
+        SELECT user_id INTO claimed_by
+        FROM public.trial_claims
+        WHERE product_id = product_row.id AND device_id = p_device_id;
+
+        IF claimed_by = key_row.user_id THEN
+            PERFORM set_subscription_change('trial');
+            UPDATE public.subscriptions
+            SET status = 'trial',
+                expires_at = NOW() + make_interval(days => COALESCE(NULLIF(product_row.trial_days, 0), 1)),
+                trial_used = TRUE
+            WHERE id = subscription_row.id AND status = 'free' AND NOT trial_used;
+            trial_started := FOUND;
+        ELSE
+            trial_refused := TRUE;
+        END IF;
+    ELSIF subscription_row.status IN ('trial', 'premium') AND subscription_row.expires_at < NOW() THEN
+        PERFORM set_subscription_change('expiry');
+        UPDATE public.subscriptions
+        SET status = 'free', expires_at = NULL
+        WHERE id = subscription_row.id
+        AND status = subscription_row.status
+        AND expires_at = subscription_row.expires_at;
+
+        IF FOUND THEN
+            expired_from := subscription_row.status;
+            expired_at := subscription_row.expires_at;
+        END IF;
+    END IF;
+
+    SELECT * INTO subscription_row FROM public.subscriptions WHERE id = subscription_row.id;
+
+    RETURN jsonb_build_object(
+        'device_limit', FALSE,
+        'bound', device_bound,
+        'trial_started', trial_started,
+        'trial_refused', trial_refused,
+        'expired_from', expired_from,
+        'expired_at', expired_at,
+        'subscription', jsonb_build_object(
+            'id', subscription_row.id,
+            'status', subscription_row.status,
+            'expires_at', subscription_row.expires_at,
+            'trial_used', subscription_row.trial_used,
+            'plan_id', subscription_row.plan_id
+        )
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to open a checkout for p_user_id on p_product_id at p_price, less
+-- the discount of p_promo_code when one is given. The code is checked by
+-- redeem_promo_code() and held by the new pending checkout under the same
+-- lock, so concurrent checkouts cannot hold more than max_redemptions
+-- between them. The new checkout supersedes any the user still has open
+-- with the code, which stop holding it. Returns { error } (a
+-- redeem_promo_code() error or wrong_product) or the checkout and the code.
+CREATE OR REPLACE FUNCTION create_checkout(
+    p_user_id UUID,
+    p_product_id UUID,
+    p_provider TEXT,
+    p_price NUMERIC,
+    p_currency TEXT,
+    p_promo_code TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    checked JSONB;
+    promo public.promo_codes;
+    checkout public.checkout_sessions;
+BEGIN
+    IF p_promo_code IS NOT NULL THEN
+        checked := redeem_promo_code(p_promo_code, p_user_id, TRUE);
+        IF checked ? 'error' THEN
+            RETURN checked;
+        END IF;
+
+        promo := jsonb_populate_record(NULL::public.promo_codes, checked->'promo_code');
+        IF promo.product_id <> p_product_id THEN
+            RETURN jsonb_build_object('error', 'wrong_product');
+        END IF;
+
+        UPDATE public.checkout_sessions
+        SET expires_at = NOW()
+        WHERE promo_code_id = promo.id AND user_id = p_user_id AND status = 'pending' AND expires_at > NOW();
+    END IF;
+
+    INSERT INTO public.checkout_sessions (user_id, product_id, provider, amount, currency, promo_code_id)
+    VALUES (
+        p_user_id,
+        p_product_id,
+        p_provider,
+        ROUND(p_price * (100 - COALESCE(promo.percent_off, 0)) / 100, 2),
+        p_currency,
+        promo.id
+    )
+    RETURNING * INTO checkout;
+
+    RETURN jsonb_build_object('checkout', to_jsonb(checkout), 'promo_code', to_jsonb(promo));
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to apply a paid checkout: makes the subscription premium and
+-- extends it by the product's duration_days, from the current expiry when
+-- premium is still running, then records the payment and its invoice. Each
+-- provider event id is applied only once and each checkout only once, so
+-- webhook redeliveries change nothing.
+CREATE OR REPLACE FUNCTION complete_checkout(
+    p_provider TEXT,
+    p_event_id TEXT,
+    p_event_type TEXT,
+    p_checkout_id UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+    checkout public.checkout_sessions%ROWTYPE;
+    subscription public.subscriptions%ROWTYPE;
+    promo public.promo_codes%ROWTYPE;
+    held INTEGER;
+    period_start TIMESTAMP WITH TIME ZONE;
+    payment_id UUID;
+    invoice_id UUID;
+BEGIN
+    INSERT INTO public.payment_webhook_events (provider, event_id, event_type, checkout_id)
+    VALUES (p_provider, p_event_id, p_event_type, p_checkout_id)
+    ON CONFLICT (provider, event_id) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'duplicate');
+    END IF;
+
+    SELECT * INTO checkout
+    FROM public.checkout_sessions
+    WHERE id = p_checkout_id AND provider = p_provider
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('status', 'unknown_checkout');
+    END IF;
+
+    IF checkout.status = 'completed' THEN
+        RETURN jsonb_build_object('status', 'duplicate');
+    END IF;
+
+    PERFORM ensure_subscription(checkout.user_id, checkout.product_id);
+
+    SELECT CASE
+        WHEN s.status = 'premium' AND s.expires_at > NOW() THEN s.expires_at
+        ELSE NOW()
+    END INTO period_start
+    FROM public.subscriptions s
+    WHERE s.user_id = checkout.user_id AND s.product_id = checkout.product_id
+    FOR UPDATE;
+
+    PERFORM set_subscription_change('checkout', 'extend');
+    UPDATE public.subscriptions s
+    SET status = 'premium',
+        expires_at = period_start + make_interval(days => p.duration_days)
+    FROM public.products p
+    WHERE p.id = s.product_id
+        AND s.user_id = checkout.user_id
+        AND s.product_id = checkout.product_id
+    RETURNING s.* INTO subscription;
+
+    PERFORM enqueue_webhook_event('subscription.updated', jsonb_build_object(
+        'subscription_id', subscription.id,
+        'user_id', subscription.user_id,
+        'product_id', subscription.product_id,
+        'status', subscription.status,
+        'expires_at', subscription.expires_at,
+        'plan_id', subscription.plan_id
+    ));
+
+    UPDATE public.checkout_sessions
+    SET status = 'completed', completed_at = NOW()
+    WHERE id = checkout.id;
+
+    IF checkout.promo_code_id IS NOT NULL THEN
+        SELECT * INTO promo FROM public.promo_codes WHERE id = checkout.promo_code_id FOR UPDATE;
+
+        SELECT COUNT(*) INTO held
+        FROM public.checkout_sessions
+        WHERE promo_code_id = promo.id AND status = 'pending' AND expires_at > NOW();
+
+        -- Paid while the checkout held the code, this redemption was already
+        -- counted. Paid after the hold ran out, it only counts if the code
+        -- could still be redeemed now; otherwise the payment stands without it.
+        IF checkout.expires_at > NOW() OR (
+            (promo.expires_at IS NULL OR promo.expires_at > NOW())
+            AND (promo.max_redemptions IS NULL OR promo.redemptions + held < promo.max_redemptions)
+        ) THEN
+            INSERT INTO public.promo_redemptions (promo_code_id, user_id, checkout_id, previous_expires_at, expires_at)
+            VALUES (checkout.promo_code_id, checkout.user_id, checkout.id, period_start, subscription.expires_at)
+            ON CONFLICT (promo_code_id, user_id) DO NOTHING;
+
+            IF FOUND THEN
+                UPDATE public.promo_codes SET redemptions = redemptions + 1 WHERE id = checkout.promo_code_id;
+            END IF;
+        END IF;
+    END IF;
+
+    INSERT INTO public.payments (user_id, product_id, checkout_id, provider, provider_reference, amount, currency)
+    VALUES (checkout.user_id, checkout.product_id, checkout.id, checkout.provider,
+            checkout.provider_session_id, checkout.amount, checkout.currency)
+    RETURNING id INTO payment_id;
+
+    INSERT INTO public.invoices (
+        payment_id, user_id, product_id, customer_email, customer_name,
+        product_name, amount, currency, period_start, period_end
+    )
+    SELECT payment_id, u.id, p.id, u.email, u.full_name,
+           p.name, checkout.amount, checkout.currency, period_start, subscription.expires_at
+    FROM public.users u, public.products p
+    WHERE u.id = checkout.user_id AND p.id = checkout.product_id
+    RETURNING id INTO invoice_id;
+
+    RETURN jsonb_build_object(
+        'status', 'completed',
+        'subscription', to_jsonb(subscription),
+        'payment_id', payment_id,
+        'invoice_id', invoice_id
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to total an API key's usage per metric for the current UTC month
+CREATE OR REPLACE FUNCTION usage_period_totals(p_api_key_id UUID)
+RETURNS JSONB AS $$
+    SELECT COALESCE(jsonb_object_agg(metric, total), '{}'::JSONB)
+    FROM (
+        SELECT metric, SUM(count) AS total
+        FROM public.usage_daily
+        WHERE api_key_id = p_api_key_id
+            AND day >= date_trunc('month', NOW() AT TIME ZONE 'UTC')::DATE
+        GROUP BY metric
+    ) totals;
+$$ LANGUAGE sql STABLE;
+
+-- Function to add reported counters (metric -> count) to today's usage and
+-- return the key's totals for the month. Concurrent reports add up safely.
+CREATE OR REPLACE FUNCTION record_usage(p_api_key_id UUID, p_product_id UUID, p_counters JSONB)
+RETURNS JSONB AS $$
+BEGIN
+    INSERT INTO public.usage_daily (api_key_id, product_id, metric, day, count)
+    SELECT p_api_key_id, p_product_id, counter.key, (NOW() AT TIME ZONE 'UTC')::DATE, counter.value::BIGINT
+    FROM jsonb_each_text(p_counters) AS counter
+    ON CONFLICT (api_key_id, metric, day)
+    DO UPDATE SET count = usage_daily.count + EXCLUDED.count, updated_at = NOW();
+
+    RETURN usage_period_totals(p_api_key_id);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to queue a webhook event for every active endpoint subscribed to
+-- its type. Returns the event id shared by those deliveries.
+CREATE OR REPLACE FUNCTION enqueue_webhook_event(p_type TEXT, p_data JSONB)
+RETURNS UUID AS $$
+DECLARE
+    new_event_id UUID := uuid_generate_v4();
+BEGIN
+    INSERT INTO public.webhook_deliveries (endpoint_id, event_id, event_type, payload)
+    SELECT e.id, new_event_id, p_type, jsonb_build_object(
+        'id', new_event_id,
+        'type', p_type,
+        'created_at', NOW(),
+        'data', p_data
+    )
+    FROM public.webhook_endpoints e
+    WHERE e.is_active AND (cardinality(e.events) = 0 OR p_type = ANY(e.events));
+
+    RETURN new_event_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to hand due deliveries to a dispatcher. Claimed rows are leased
+-- by pushing next_attempt_at out, so concurrent dispatchers (or one that
+-- dies mid-send) never double-send within the lease.
+CREATE OR REPLACE FUNCTION claim_webhook_deliveries(p_limit INTEGER DEFAULT 20, p_lease_seconds INTEGER DEFAULT 120)
+RETURNS SETOF public.webhook_deliveries AS $$
+    UPDATE public.webhook_deliveries d
+    SET next_attempt_at = NOW() + make_interval(secs => p_lease_seconds)
+    WHERE d.id IN (
+        SELECT id
+        FROM public.webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING d.*;
+$$ LANGUAGE sql;
+
+-- Function behind the admin users listing: one page of users matching
+-- p_search (a fragment of the email, name, a key prefix or a bound device
+-- id) and, when given, holding a subscription to p_product_id in p_status.
+-- p_sort is created_at, email or full_name. Pages are keyset cursors: pass
+-- the id and sort_value of the last row of the previous page.
+CREATE OR REPLACE FUNCTION admin_list_users(
+    p_search TEXT DEFAULT NULL,
+    p_product_id UUID DEFAULT NULL,
+    p_status subscription_status DEFAULT NULL,
+    p_sort TEXT DEFAULT 'created_at',
+    p_ascending BOOLEAN DEFAULT FALSE,
+    p_after_id UUID DEFAULT NULL,
+    p_after_value TEXT DEFAULT NULL,
+    p_limit INTEGER DEFAULT 50
+)
+RETURNS TABLE (id UUID, sort_value TEXT) AS $$
+DECLARE
+    pattern TEXT := '%' || regexp_replace(p_search, '([\\%_])', '\\\1', 'g') || '%';
+    sort_expression TEXT := CASE p_sort
+        WHEN 'created_at' THEN 'u.created_at'
+        WHEN 'email' THEN 'u.email'
+        WHEN 'full_name' THEN 'COALESCE(u.full_name, '''')'
+    END;
+BEGIN
+    IF sort_expression IS NULL THEN
+        RAISE EXCEPTION 'Cannot sort users by %', p_sort;
+    END IF;
+
+    RETURN QUERY EXECUTE format($query$
+        SELECT u.id, (%1$s)::TEXT
+        FROM public.users u
+        WHERE ($1 IS NULL
+                OR u.email ILIKE $2
+                OR u.full_name ILIKE $2
+                OR EXISTS (
+                    SELECT 1
+                    FROM public.api_keys k
+                    LEFT JOIN public.key_devices d ON d.api_key_id = k.id
+                    WHERE k.user_id = u.id AND (k.key_prefix ILIKE $2 OR d.device_id ILIKE $2)
+                ))
+            AND (($3 IS NULL AND $4 IS NULL) OR EXISTS (
+                SELECT 1
+                FROM public.subscriptions s
+                WHERE s.user_id = u.id
+                    AND ($3 IS NULL OR s.product_id = $3)
+                    AND ($4 IS NULL OR s.status = $4)
+            ))
+            AND ($5 IS NULL OR ((%1$s), u.id) %2$s ($6::%3$s, $5))
+        ORDER BY %1$s %4$s, u.id %4$s
+        LIMIT $7
+    $query$,
+        sort_expression,
+        CASE WHEN p_ascending THEN '>' ELSE '<' END,
+        CASE WHEN p_sort = 'created_at' THEN 'TIMESTAMPTZ' ELSE 'TEXT' END,
+        CASE WHEN p_ascending THEN 'ASC' ELSE 'DESC' END
+    )
+    USING p_search, pattern, p_product_id, p_status, p_after_id, p_after_value, p_limit;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to change a subscription from the admin dashboard, creating it
+-- if needed. p_mode is how p_days or p_expires_at set the expiry of a trial
+-- or premium subscription:
+--   extend  p_days more, counted from the current expiry while the
+--           subscription has time left in the same status, else from now
+--   set     expires at p_expires_at
+--   reset   p_days from now, dropping any time left
+-- Without p_days the expiry is kept; free always clears it. The plan is
+-- only changed when p_set_plan. Returns the subscription before (NULL if
+-- it was just created) and after.
+CREATE OR REPLACE FUNCTION change_subscription(
+    p_user_id UUID,
+    p_product_id UUID,
+    p_status subscription_status,
+    p_mode TEXT DEFAULT 'extend',
+    p_days INTEGER DEFAULT NULL,
+    p_expires_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_plan_id UUID DEFAULT NULL,
+    p_set_plan BOOLEAN DEFAULT FALSE,
+    p_changed_by UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    existed BOOLEAN;
+    before public.subscriptions;
+    after public.subscriptions;
+BEGIN
+    IF p_mode NOT IN ('extend', 'set', 'reset') THEN
+        RAISE EXCEPTION 'Unknown subscription change mode %', p_mode;
+    END IF;
+
+    SELECT EXISTS (
+        SELECT 1 FROM public.subscriptions WHERE user_id = p_user_id AND product_id = p_product_id
+    ) INTO existed;
+    PERFORM ensure_subscription(p_user_id, p_product_id);
+
+    SELECT * INTO before
+    FROM public.subscriptions
+    WHERE user_id = p_user_id AND product_id = p_product_id
+    FOR UPDATE;
+
+    PERFORM set_subscription_change('admin', CASE WHEN p_status <> 'free' THEN p_mode END, p_changed_by);
+
+    UPDATE public.subscriptions
+    SET status = p_status,
+        expires_at = CASE
+            WHEN p_status = 'free' THEN NULL
+            WHEN p_mode = 'set' THEN p_expires_at
+            WHEN p_days IS NULL THEN expires_at
+            WHEN p_mode = 'extend' AND status = p_status AND expires_at > NOW()
+                THEN expires_at + make_interval(days => p_days)
+            ELSE NOW() + make_interval(days => p_days)
+        END,
+        plan_id = CASE WHEN p_set_plan THEN p_plan_id ELSE plan_id END
+    WHERE id = before.id
+    RETURNING * INTO after;
+
+    RETURN jsonb_build_object(
+        'before', CASE WHEN existed THEN to_jsonb(before) END,
+        'after', to_jsonb(after)
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to redeem a promo code for p_user_id. A premium_days code makes
+-- the subscription premium for its days, on top of unexpired premium time.
+-- A discount code is only checked: create_checkout holds it for a checkout
+-- and complete_checkout redeems it once that is paid, and with
+-- p_for_checkout only discount codes are accepted. Codes held by other
+-- users' open checkouts count towards max_redemptions. The code's row stays
+-- locked until the caller's transaction ends. Returns { error } (not_found,
+-- expired, exhausted, already_redeemed or not_a_discount) or the code, plus
+-- the subscription before and after for premium_days.
+CREATE OR REPLACE FUNCTION redeem_promo_code(
+    p_code TEXT,
+    p_user_id UUID,
+    p_for_checkout BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB AS $$
+DECLARE
+    promo public.promo_codes;
+    held INTEGER;
+    before public.subscriptions;
+    after public.subscriptions;
+BEGIN
+    SELECT pc.* INTO promo
+    FROM public.promo_codes pc
+    JOIN public.products p ON p.id = pc.product_id
+    WHERE pc.code = upper(trim(p_code)) AND pc.is_active AND p.is_active
+    FOR UPDATE OF pc;
+
+    SELECT COUNT(*) INTO held
+    FROM public.checkout_sessions
+    WHERE promo_code_id = promo.id AND user_id <> p_user_id AND status = 'pending' AND expires_at > NOW();
+
+    IF promo.id IS NULL THEN
+        RETURN jsonb_build_object('error', 'not_found');
+    ELSIF promo.expires_at <= NOW() THEN
+        RETURN jsonb_build_object('error', 'expired');
+    ELSIF promo.redemptions + held >= promo.max_redemptions THEN
+        RETURN jsonb_build_object('error', 'exhausted');
+    ELSIF EXISTS (
+        SELECT 1 FROM public.promo_redemptions WHERE promo_code_id = promo.id AND user_id = p_user_id
+    ) THEN
+        RETURN jsonb_build_object('error', 'already_redeemed');
+    ELSIF p_for_checkout AND promo.kind <> 'discount' THEN
+        RETURN jsonb_build_object('error', 'not_a_discount');
+    END IF;
+
+    IF promo.kind = 'discount' THEN
+        RETURN jsonb_build_object('promo_code', to_jsonb(promo));
+    END IF;
+
+    PERFORM ensure_subscription(p_user_id, promo.product_id);
+
+    SELECT * INTO before
+    FROM public.subscriptions
+    WHERE user_id = p_user_id AND product_id = promo.product_id
+    FOR UPDATE;
+
+    PERFORM set_subscription_change('promo', 'extend', p_user_id);
+
+    UPDATE public.subscriptions
+    SET status = 'premium',
+        expires_at = CASE
+            WHEN status = 'premium' AND expires_at > NOW() THEN expires_at
+            ELSE NOW()
+        END + make_interval(days => promo.days)
+    WHERE id = before.id
+    RETURNING * INTO after;
+
+    INSERT INTO public.promo_redemptions (promo_code_id, user_id, previous_expires_at, expires_at)
+    VALUES (promo.id, p_user_id, before.expires_at, after.expires_at);
+
+    UPDATE public.promo_codes
+    SET redemptions = redemptions + 1
+    WHERE id = promo.id
+    RETURNING * INTO promo;
+
+    RETURN jsonb_build_object(
+        'promo_code', to_jsonb(promo),
+        'before', to_jsonb(before),
+        'after', to_jsonb(after)
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to start a bulk subscription change on p_product_id for the
+-- users in p_user_ids or matching p_filter (the search, product_id and
+-- status of admin_list_users). Only users the action applies to are
+-- targeted: grant reaches everyone, extend active trial and premium
+-- subscriptions, revoke premium ones. Returns { count } for a dry run or
+-- when nothing matches, otherwise the new job.
+CREATE OR REPLACE FUNCTION create_bulk_job(
+    p_action TEXT,
+    p_product_id UUID,
+    p_days INTEGER,
+    p_user_ids UUID[] DEFAULT NULL,
+    p_filter JSONB DEFAULT NULL,
+    p_created_by UUID DEFAULT NULL,
+    p_dry_run BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB AS $$
+DECLARE
+    candidate_ids UUID[];
+    target_ids UUID[];
+    job public.bulk_jobs;
+BEGIN
+    IF p_user_ids IS NOT NULL THEN
+        candidate_ids := p_user_ids;
+    ELSE
+        SELECT array_agg(f.id) INTO candidate_ids
+        FROM admin_list_users(
+            p_filter->>'search',
+            (p_filter->>'product_id')::UUID,
+            (p_filter->>'status')::subscription_status,
+            p_limit => NULL
+        ) f;
+    END IF;
+
+    SELECT COALESCE(array_agg(u.id), '{}') INTO target_ids
+    FROM public.users u
+    LEFT JOIN public.subscriptions s ON s.user_id = u.id AND s.product_id = p_product_id
+    WHERE u.id = ANY(candidate_ids)
+        AND (
+            p_action = 'grant'
+            OR (p_action = 'extend' AND s.status IN ('trial', 'premium') AND s.expires_at > NOW())
+            OR (p_action = 'revoke' AND s.status = 'premium')
+        );
+
+    IF p_dry_run OR cardinality(target_ids) = 0 THEN
+        RETURN jsonb_build_object('count', cardinality(target_ids));
+    END IF;
+
+    INSERT INTO public.bulk_jobs (action, product_id, days, target, total, created_by)
+    VALUES (
+        p_action,
+        p_product_id,
+        p_days,
+        CASE WHEN p_user_ids IS NOT NULL
+            THEN jsonb_build_object('user_ids', to_jsonb(p_user_ids))
+            ELSE jsonb_build_object('filter', p_filter)
+        END,
+        cardinality(target_ids),
+        p_created_by
+    )
+    RETURNING * INTO job;
+
+    INSERT INTO public.bulk_job_items (job_id, user_id)
+    SELECT job.id, unnest(target_ids);
+
+    RETURN to_jsonb(job);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to apply one pending bulk job item and count it on its job, in
+-- one transaction so an item is never applied twice. The subscription is
+-- checked again, as it may have changed since the job was created:
+--   grant   premium for p_days more, on top of unexpired premium time
+--   extend  p_days more for an active trial or premium subscription
+--   revoke  p_days less of premium, back to free once none is left (or at
+--           once without days)
+-- Anything else is skipped. Returns NULL when the item was already
+-- handled, otherwise its status and the subscription before and after.
+CREATE OR REPLACE FUNCTION apply_bulk_job_item(p_item_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    item public.bulk_job_items;
+    job public.bulk_jobs;
+    before public.subscriptions;
+    after public.subscriptions;
+    outcome TEXT := 'skipped';
+    failure TEXT;
+    change INTERVAL;
+BEGIN
+    SELECT * INTO item
+    FROM public.bulk_job_items
+    WHERE id = p_item_id AND status = 'pending'
+    FOR UPDATE SKIP LOCKED;
+
+    IF item.id IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT * INTO job FROM public.bulk_jobs WHERE id = item.job_id;
+    change := make_interval(days => COALESCE(job.days, 0));
+    PERFORM set_subscription_change('bulk', job.action, job.created_by);
+
+    BEGIN
+        IF job.action = 'grant' THEN
+            PERFORM ensure_subscription(item.user_id, job.product_id);
+        END IF;
+
+        SELECT * INTO before
+        FROM public.subscriptions
+        WHERE user_id = item.user_id AND product_id = job.product_id
+        FOR UPDATE;
+
+        IF job.action = 'grant' THEN
+            UPDATE public.subscriptions
+            SET status = 'premium',
+                expires_at = CASE
+                    WHEN status = 'premium' AND expires_at > NOW() THEN expires_at
+                    ELSE NOW()
+                END + change
+            WHERE id = before.id
+            RETURNING * INTO after;
+        ELSIF job.action = 'extend' AND before.status IN ('trial', 'premium') AND before.expires_at > NOW() THEN
+            UPDATE public.subscriptions
+            SET expires_at = expires_at + change
+            WHERE id = before.id
+            RETURNING * INTO after;
+        ELSIF job.action = 'revoke' AND before.status = 'premium' THEN
+            UPDATE public.subscriptions
+            SET status = CASE WHEN job.days IS NOT NULL AND expires_at - change > NOW() THEN status ELSE 'free' END,
+                expires_at = CASE WHEN job.days IS NOT NULL AND expires_at - change > NOW() THEN expires_at - change END
+            WHERE id = before.id
+            RETURNING * INTO after;
+        END IF;
+
+        IF after.id IS NOT NULL THEN
+            outcome := 'changed';
+        END IF;
+    EXCEPTION WHEN OTHERS THEN
+        outcome := 'failed';
+        failure := SQLERRM;
+        after := NULL;
+    END;
+
+    UPDATE public.bulk_job_items
+    SET status = outcome, error = failure, processed_at = NOW()
+    WHERE id = item.id;
+
+    UPDATE public.bulk_jobs
+    SET processed = processed + 1,
+        changed = changed + (outcome = 'changed')::INTEGER,
+        skipped = skipped + (outcome = 'skipped')::INTEGER,
+        failed = failed + (outcome = 'failed')::INTEGER,
+        status = CASE WHEN processed + 1 >= total THEN 'completed' ELSE 'running' END,
+        started_at = COALESCE(started_at, NOW()),
+        finished_at = CASE WHEN processed + 1 >= total THEN NOW() END
+    WHERE id = job.id;
+
+    RETURN jsonb_build_object(
+        'status', outcome,
+        'error', failure,
+        'before', to_jsonb(before),
+        'after', to_jsonb(after)
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Upgrade: move single-device bindings from the old api_keys.device_id
+-- column into key_devices. A no-op on fresh installs.
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'api_keys' AND column_name = 'device_id'
+    ) THEN
+        INSERT INTO public.key_devices (api_key_id, device_id, first_seen_at, last_seen_at)
+        SELECT id, device_id, updated_at, updated_at
+        FROM public.api_keys
+        WHERE device_id IS NOT NULL
+        ON CONFLICT (api_key_id, device_id) DO NOTHING;
+
+        ALTER TABLE public.api_keys DROP COLUMN device_id;
+    END IF;
+END;
+$$;
+
+-- Upgrade: hash plaintext api_keys.key_value / previous_key_value columns in
+-- place. Existing keys keep working; their secrets can no longer be read
+-- back. A no-op on fresh installs.
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'api_keys' AND column_name = 'key_value'
+    ) THEN
+        -- Databases from before key rotation have no previous key
+        ALTER TABLE public.api_keys ADD COLUMN IF NOT EXISTS previous_key_value TEXT;
+
+        UPDATE public.api_keys
+        SET key_salt = encode(gen_random_bytes(16), 'hex'),
+            previous_key_salt = CASE WHEN previous_key_value IS NOT NULL
+                THEN encode(gen_random_bytes(16), 'hex') END;
+
+        UPDATE public.api_keys
+        SET key_prefix = api_key_prefix(key_value),
+            key_hash = hash_api_key(key_value, key_salt),
+            previous_key_prefix = api_key_prefix(previous_key_value),
+            previous_key_hash = hash_api_key(previous_key_value, previous_key_salt);
+
+        ALTER TABLE public.api_keys DROP COLUMN key_value;
+        ALTER TABLE public.api_keys DROP COLUMN previous_key_value;
+    END IF;
+END;
+$$;
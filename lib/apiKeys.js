@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+// API keys are stored as sha256(salt || key) with a random per-key salt.
+// The first characters ("sk_" plus 8 hex digits) are kept in clear as
+// key_prefix, both to show owners which key is which and to narrow the
+// lookup down to a handful of rows before comparing hashes.
+// hash_api_key()/api_key_prefix() in database_schema.sql must agree.
+
+const API_KEY_PATTERN = /^sk_[0-9a-f]{64}$/;
+const KEY_PREFIX_LENGTH = 11;
+
+const isWellFormedApiKey = (apiKey) =>
+  typeof apiKey === 'string' && API_KEY_PATTERN.test(apiKey);
+
+const getKeyPrefix = (apiKey) => apiKey.slice(0, KEY_PREFIX_LENGTH);
+
+const hashApiKey = (apiKey, salt) =>
+  crypto.createHash('sha256').update(salt + apiKey).digest('hex');
+
+const matchesKeyHash = (apiKey, salt, hash) => {
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = Buffer.from(hashApiKey(apiKey, salt), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = { isWellFormedApiKey, getKeyPrefix, matchesKeyHash };
@@ -0,0 +1,30 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Data access for server.js. Routes and jobs query through `db`, which
+// forwards from(), rpc() and auth to the current Supabase client. The
+// client is created from SUPABASE_URL / SUPABASE_SERVICE_KEY on first use;
+// setClient() swaps in another object with the same surface, such as the
+// in-memory stand-in the tests use.
+
+let client = null;
+
+const getClient = () => {
+  if (!client) {
+    client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  }
+  return client;
+};
+
+const setClient = (value) => {
+  client = value;
+};
+
+const db = {
+  from: (table) => getClient().from(table),
+  rpc: (fn, args, options) => getClient().rpc(fn, args, options),
+  get auth() {
+    return getClient().auth;
+  }
+};
+
+module.exports = { db, getClient, setClient };
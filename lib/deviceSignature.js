@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// A device may register an Ed25519 public key (base64 of the raw 32 bytes)
+// when it is first bound through /verify. It can later prove it is that
+// device by signing a single-use release challenge with its private key,
+// which lets it release its own seat without the owner's session.
+// supabase/functions/_shared/device-signature.ts mirrors this file.
+
+// DER header that wraps a raw Ed25519 public key into SPKI
+const SPKI_ED25519_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+const isValidDevicePublicKey = (value) =>
+  typeof value === 'string' && Buffer.from(value, 'base64').length === 32;
+
+const createReleaseChallenge = () => ({
+  challenge: crypto.randomBytes(32).toString('base64url'),
+  expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS)
+});
+
+const verifyDeviceSignature = (publicKey, message, signature) => {
+  if (!isValidDevicePublicKey(publicKey) || typeof signature !== 'string') return false;
+
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([SPKI_ED25519_PREFIX, Buffer.from(publicKey, 'base64')]),
+      format: 'der',
+      type: 'spki'
+    });
+    return crypto.verify(null, Buffer.from(message), key, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = { isValidDevicePublicKey, createReleaseChallenge, verifyDeviceSignature };
@@ -0,0 +1,44 @@
+const { escapeHtml } = require('./html');
+
+// Email templates. Each returns { subject, text, html } for mailer.send().
+
+const layout = (paragraphs) => `<!DOCTYPE html>
+<html>
+<body style="font-family: Helvetica, Arial, sans-serif; color: #111827;">
+  ${paragraphs.map((paragraph) => `<p>${paragraph}</p>`).join('\n  ')}
+</body>
+</html>
+`;
+
+// daysBefore is the reminder offset: 7 ("in 7 days"), 1 ("tomorrow") or
+// 0 (the subscription has just expired)
+const expiryReminder = ({ name, product, status, expiresAt, daysBefore, appUrl }) => {
+  const plan = status === 'trial' ? 'trial' : 'premium subscription';
+  const date = new Date(expiresAt).toUTCString();
+  const when = daysBefore === 0 ? 'has expired' : daysBefore === 1 ? 'expires tomorrow' : `expires in ${daysBefore} days`;
+
+  const subject = daysBefore === 0
+    ? `Your ${product} ${plan} has expired`
+    : `Your ${product} ${plan} ${when}`;
+  const action = daysBefore === 0
+    ? 'Your API key now has free access only. Renew from your dashboard to restore premium access:'
+    : 'Renew from your dashboard to keep premium access without interruption:';
+
+  return {
+    subject,
+    text: [
+      `Hi ${name},`,
+      `Your ${product} ${plan} ${when} (${date}).`,
+      `${action} ${appUrl}`
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(name)},`,
+      `Your <strong>${escapeHtml(product)}</strong> ${plan} ${when} (${escapeHtml(date)}).`,
+      `${action} <a href="${escapeHtml(appUrl)}">${escapeHtml(appUrl)}</a>`
+    ])
+  };
+};
+
+module.exports = {
+  expiryReminder
+};
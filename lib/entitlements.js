@@ -0,0 +1,43 @@
+const { resolvePlan, resolveEntitlements } = require('../supabase/functions/_shared/licensing.mjs');
+
+// Plans and entitlements.
+//
+// Each product has named plans, each tied to a subscription status (free,
+// trial or premium) and carrying an entitlements map of feature flags
+// (true/false) and numeric limits, e.g. { "export": true, "max_projects": 5 }.
+// A subscription may be pinned to a plan through plan_id; otherwise the
+// product's default plan for its status applies, and trials fall back to
+// the default premium plan. Plan resolution lives in the shared licensing
+// module so the edge function applies the same rules.
+
+class EntitlementsError extends Error {}
+
+const ENTITLEMENT_NAME = /^[a-z][a-z0-9_]{0,63}$/;
+
+// Validate an entitlements map from the admin UI. Throws an
+// EntitlementsError describing the first invalid entry.
+const normalizeEntitlements = (value) => {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new EntitlementsError('entitlements must be an object');
+  }
+
+  const entitlements = {};
+  for (const [name, entry] of Object.entries(value)) {
+    if (!ENTITLEMENT_NAME.test(name)) {
+      throw new EntitlementsError(`Invalid entitlement name "${name}" (use lowercase letters, digits and _)`);
+    }
+    if (typeof entry !== 'boolean' && !(typeof entry === 'number' && Number.isFinite(entry))) {
+      throw new EntitlementsError(`Entitlement "${name}" must be true/false or a number`);
+    }
+    entitlements[name] = entry;
+  }
+  return entitlements;
+};
+
+module.exports = {
+  EntitlementsError,
+  normalizeEntitlements,
+  resolvePlan,
+  resolveEntitlements
+};
@@ -0,0 +1,96 @@
+const { escapeHtml } = require('./html');
+
+// Invoice documents. Both renderers take an invoices row plus the issuer
+// name and return the downloadable body; the PDF is written by hand (one
+// page, standard Helvetica) so no PDF library is needed.
+
+const formatAmount = (amount, currency) =>
+  `${Number(amount).toFixed(2)} ${String(currency).toUpperCase()}`;
+
+const formatDate = (value) => new Date(value).toISOString().slice(0, 10);
+
+const invoiceLines = (invoice, issuer) => [
+  { label: 'Invoice', value: invoice.invoice_number },
+  { label: 'Issued', value: formatDate(invoice.issued_at) },
+  { label: 'From', value: issuer },
+  { label: 'Billed to', value: invoice.customer_name ? `${invoice.customer_name} <${invoice.customer_email}>` : invoice.customer_email },
+  { label: 'Product', value: `${invoice.product_name} (premium)` },
+  { label: 'Period', value: `${formatDate(invoice.period_start)} to ${formatDate(invoice.period_end)}` },
+  { label: 'Total', value: formatAmount(invoice.amount, invoice.currency) }
+];
+
+const renderInvoiceHtml = (invoice, issuer) => {
+  const rows = invoiceLines(invoice, issuer)
+    .map(({ label, value }) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('\n      ');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.invoice_number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #111827; margin: 40px; }
+    table { border-collapse: collapse; }
+    th { text-align: left; color: #6b7280; font-weight: normal; padding: 6px 24px 6px 0; }
+    td { padding: 6px 0; }
+  </style>
+</head>
+<body>
+  <h1>Invoice</h1>
+  <table>
+      ${rows}
+  </table>
+</body>
+</html>
+`;
+};
+
+// PDF string literals: escape delimiters and drop what Helvetica's
+// WinAnsi encoding cannot show
+const pdfText = (value) => String(value)
+  .replace(/[^\x20-\x7e]/g, '?')
+  .replace(/([\\()])/g, '\\$1');
+
+const renderInvoicePdf = (invoice, issuer) => {
+  const text = [
+    'BT',
+    '/F1 22 Tf',
+    '56 780 Td',
+    '(Invoice) Tj',
+    '/F1 11 Tf',
+    ...invoiceLines(invoice, issuer).flatMap(({ label, value }, index) => [
+      index === 0 ? '0 -40 Td' : '0 -22 Td',
+      `(${pdfText(label)}) Tj`,
+      `110 0 Td (${pdfText(value)}) Tj -110 0 Td`
+    ]),
+    'ET'
+  ].join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(text)} >>\nstream\n${text}\nendstream`
+  ];
+
+  let body = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(body);
+    body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(body);
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(body);
+};
+
+module.exports = {
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
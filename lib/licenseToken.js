@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+// Offline license tokens are compact JWTs signed with Ed25519 (alg "EdDSA").
+// The signing key is the base64-encoded 32-byte private seed in
+// LICENSE_SIGNING_KEY; generate one with `npm run generate-license-key`.
+// supabase/functions/_shared/license-token.ts produces byte-identical tokens
+// from the same seed, so keep the two in step.
+
+// DER header that wraps a raw Ed25519 seed into a PKCS#8 private key
+const PKCS8_ED25519_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+let cachedKey;
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+// Throws when LICENSE_SIGNING_KEY is set but malformed; server.js calls this
+// before listening so a bad key stops startup instead of failing every /verify
+const loadSigningKey = () => {
+  if (cachedKey !== undefined) return cachedKey;
+
+  const seed = process.env.LICENSE_SIGNING_KEY
+    ? Buffer.from(process.env.LICENSE_SIGNING_KEY, 'base64')
+    : null;
+
+  if (!seed) {
+    cachedKey = null;
+    return cachedKey;
+  }
+  if (seed.length !== 32) {
+    throw new Error('LICENSE_SIGNING_KEY must be a base64-encoded 32-byte Ed25519 seed');
+  }
+
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([PKCS8_ED25519_PREFIX, seed]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  const publicKey = crypto.createPublicKey(privateKey);
+  const { x } = publicKey.export({ format: 'jwk' });
+
+  // RFC 7638 thumbprint, so clients can pick the right key after a rotation
+  const kid = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ crv: 'Ed25519', kty: 'OKP', x }))
+    .digest('base64url');
+
+  cachedKey = {
+    privateKey,
+    kid,
+    jwk: { kty: 'OKP', crv: 'Ed25519', x, kid, alg: 'EdDSA', use: 'sig' },
+    pem: publicKey.export({ format: 'pem', type: 'spki' })
+  };
+  return cachedKey;
+};
+
+const getTokenTtl = () => {
+  const ttl = parseInt(process.env.LICENSE_TOKEN_TTL_SECONDS);
+  return ttl > 0 ? ttl : DEFAULT_TTL_SECONDS;
+};
+
+// Returns null when no signing key is configured so /verify keeps working
+// without offline support.
+const createLicenseToken = ({ userId, user, product, productId, status, plan, entitlements, deviceId, expiresAt }, now = new Date()) => {
+  const key = loadSigningKey();
+  if (!key) return null;
+
+  const iat = Math.floor(now.getTime() / 1000);
+  let exp = iat + getTokenTtl();
+
+  // Never let a paid/trial claim outlive the subscription itself
+  if (expiresAt) {
+    exp = Math.min(exp, Math.floor(new Date(expiresAt).getTime() / 1000));
+  }
+
+  const header = { alg: 'EdDSA', typ: 'JWT', kid: key.kid };
+  const payload = {
+    sub: userId,
+    user,
+    product,
+    product_id: productId,
+    status,
+    plan: plan ?? null,
+    entitlements: entitlements || {},
+    device_id: deviceId,
+    expires_at: expiresAt || null,
+    iat,
+    exp
+  };
+
+  const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  const signature = crypto.sign(null, Buffer.from(signingInput), key.privateKey);
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+const getPublicKey = () => {
+  const key = loadSigningKey();
+  if (!key) return null;
+
+  return { kid: key.kid, alg: 'EdDSA', jwk: key.jwk, pem: key.pem };
+};
+
+module.exports = { loadSigningKey, createLicenseToken, getPublicKey };
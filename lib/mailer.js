@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Outgoing email. A transport only needs send({ from, to, subject, text, html }).
+//
+// createConsoleTransport() prints messages and createFileTransport() writes
+// them as .eml files, for development and tests. createHttpTransport() posts
+// JSON to an email API (Resend-compatible: bearer token, body with from, to,
+// subject, text and html).
+
+const createConsoleTransport = () => ({
+  async send(message) {
+    console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+  }
+});
+
+const createFileTransport = (directory) => ({
+  async send({ from, to, subject, text, html }) {
+    const boundary = crypto.randomBytes(12).toString('hex');
+    const eml = [
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'MIME-Version: 1.0',
+      `Content-Type: multipart/alternative; boundary="${boundary}"`,
+      '',
+      `--${boundary}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      text,
+      `--${boundary}`,
+      'Content-Type: text/html; charset=utf-8',
+      '',
+      html,
+      `--${boundary}--`,
+      ''
+    ].join('\r\n');
+
+    await fs.promises.mkdir(directory, { recursive: true });
+    const safeTo = String(to).replace(/[^a-z0-9@._-]/gi, '_');
+    await fs.promises.writeFile(path.join(directory, `${Date.now()}-${safeTo}.eml`), eml);
+  }
+});
+
+const createHttpTransport = ({ url, apiKey }) => ({
+  async send(message) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(message)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Mail API responded ${response.status}: ${await response.text()}`);
+    }
+  }
+});
+
+const createMailer = ({ transport, from }) => ({
+  send: ({ to, subject, text, html }) => transport.send({ from, to, subject, text, html })
+});
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createHttpTransport,
+  createMailer
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+
+// Payment providers for the premium checkout flow.
+//
+// A provider exposes:
+//   name
+//   createCheckout({ checkoutId, product, email, expiresAt, successUrl, cancelUrl })
+//     -> { sessionId, url } where url is the hosted payment page, which
+//        can no longer be paid after expiresAt
+//   parseWebhook(rawBody, headers)
+//     -> { eventId, type, checkoutId } after checking the signature; type is
+//        'checkout.completed' once the payment has been captured. Throws a
+//        WebhookSignatureError when the request cannot be authenticated.
+//
+// createStripeProvider() talks to the Stripe REST API (or any compatible
+// endpoint via apiBase). createFakeProvider() never leaves the process and
+// signs its own webhooks, for local development and tests.
+
+class WebhookSignatureError extends Error {}
+
+const hmacHex = (secret, payload) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const safeEqualHex = (a, b) => {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Flatten nested objects into Stripe's form encoding (a[b][0][c]=...)
+const formEncode = (value, prefix = '', params = new URLSearchParams()) => {
+  for (const [key, entry] of Object.entries(value)) {
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (entry === undefined || entry === null) continue;
+    if (typeof entry === 'object') {
+      formEncode(entry, name, params);
+    } else {
+      params.append(name, String(entry));
+    }
+  }
+  return params;
+};
+
+const createStripeProvider = ({
+  secretKey,
+  webhookSecret,
+  currency = 'usd',
+  apiBase = 'https://api.stripe.com',
+  toleranceSeconds = 300
+}) => ({
+  name: 'stripe',
+
+  async createCheckout({ checkoutId, product, email, expiresAt, successUrl, cancelUrl }) {
+    const response = await fetch(`${apiBase}/v1/checkout/sessions`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Idempotency-Key': checkoutId
+      },
+      body: formEncode({
+        mode: 'payment',
+        client_reference_id: checkoutId,
+        customer_email: email,
+        expires_at: expiresAt && Math.floor(new Date(expiresAt).getTime() / 1000),
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        metadata: { checkout_id: checkoutId },
+        line_items: [{
+          quantity: 1,
+          price_data: {
+            currency,
+            unit_amount: Math.round(Number(product.price) * 100),
+            product_data: { name: product.name }
+          }
+        }]
+      })
+    });
+
+    const session = await response.json();
+    if (!response.ok) {
+      throw new Error(`Stripe checkout failed: ${session.error?.message || response.status}`);
+    }
+
+    return { sessionId: session.id, url: session.url };
+  },
+
+  // Stripe-Signature: t=<unix seconds>,v1=<hmac of "t.body">[,v1=...]
+  parseWebhook(rawBody, headers) {
+    const header = headers['stripe-signature'] || '';
+    const parts = header.split(',').map((part) => part.split('='));
+    const timestamp = parts.find(([name]) => name === 't')?.[1];
+    const signatures = parts.filter(([name]) => name === 'v1').map(([, value]) => value);
+
+    if (!timestamp || signatures.length === 0) {
+      throw new WebhookSignatureError('Missing webhook signature');
+    }
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) {
+      throw new WebhookSignatureError('Webhook timestamp outside tolerance');
+    }
+
+    const expected = hmacHex(webhookSecret, `${timestamp}.${rawBody}`);
+    if (!signatures.some((signature) => /^[0-9a-f]+$/.test(signature) && safeEqualHex(signature, expected))) {
+      throw new WebhookSignatureError('Invalid webhook signature');
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    const session = event.data?.object || {};
+    const paid = (
+      (event.type === 'checkout.session.completed' && session.payment_status === 'paid') ||
+      event.type === 'checkout.session.async_payment_succeeded'
+    );
+
+    return {
+      eventId: event.id,
+      type: paid ? 'checkout.completed' : event.type,
+      checkoutId: session.client_reference_id || session.metadata?.checkout_id || null
+    };
+  }
+});
+
+const createFakeProvider = ({ webhookSecret = 'fake-webhook-secret', checkoutUrl }) => ({
+  name: 'fake',
+
+  // The "hosted page" is checkoutUrl(checkoutId); server.js serves it and
+  // completes the payment straight away
+  async createCheckout({ checkoutId }) {
+    return { sessionId: `fake_cs_${checkoutId}`, url: checkoutUrl(checkoutId) };
+  },
+
+  // Build a signed webhook request, as the provider would send it
+  createWebhook({ eventId = `fake_evt_${crypto.randomUUID()}`, type = 'checkout.completed', checkoutId }) {
+    const body = JSON.stringify({ id: eventId, type, checkout_id: checkoutId });
+    return {
+      body,
+      headers: { 'x-fake-signature': hmacHex(webhookSecret, body) }
+    };
+  },
+
+  parseWebhook(rawBody, headers) {
+    const signature = headers['x-fake-signature'] || '';
+    if (!/^[0-9a-f]+$/.test(signature) || !safeEqualHex(signature, hmacHex(webhookSecret, rawBody))) {
+      throw new WebhookSignatureError('Invalid webhook signature');
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    return { eventId: event.id, type: event.type, checkoutId: event.checkout_id };
+  }
+});
+
+module.exports = {
+  WebhookSignatureError,
+  createStripeProvider,
+  createFakeProvider
+};
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+
+// Fixed-window rate limiting for Express routes.
+//
+// A store only needs one method, increment(key, windowMs), resolving to
+// { count, resetAt } for the current window. The in-memory store suits a
+// single server process; createRedisStore() adapts any Redis client that
+// exposes promise-returning incr/pexpire/pttl (node-redis v4, ioredis) so
+// several instances can share counters.
+
+const createMemoryStore = () => {
+  const windows = new Map();
+
+  // Drop finished windows now and then so the map cannot grow unbounded
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    }
+  };
+};
+
+const createRedisStore = (client, prefix = 'ratelimit:') => ({
+  async increment(key, windowMs) {
+    const redisKey = prefix + key;
+    const count = await client.incr(redisKey);
+
+    if (count === 1) {
+      await client.pexpire(redisKey, windowMs);
+    }
+
+    let ttl = await client.pttl(redisKey);
+    if (ttl < 0) {
+      // Key lost its expiry (e.g. crash between INCR and PEXPIRE)
+      await client.pexpire(redisKey, windowMs);
+      ttl = windowMs;
+    }
+
+    return { count, resetAt: Date.now() + ttl };
+  }
+});
+
+// Hash secrets such as API keys before they are used as store keys
+const hashIdentifier = (value) =>
+  crypto.createHash('sha256').update(String(value)).digest('hex');
+
+// Build a middleware allowing `limit` requests per `windowMs` for each value
+// returned by keyGenerator(req). Requests with no key are not limited.
+// onLimited(req, { key, count }) is called once per window, on the first
+// rejected request, so callers can record abuse without amplifying it.
+const rateLimit = ({ store, limit, windowMs, name, keyGenerator, onLimited }) =>
+  async (req, res, next) => {
+    try {
+      const key = keyGenerator(req);
+      if (!key) return next();
+
+      const { count, resetAt } = await store.increment(`${name}:${key}`, windowMs);
+      const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+      const remaining = Math.max(0, limit - count);
+
+      // With several limiters on one route, advertise the tightest one
+      const previousRemaining = res.get('RateLimit-Remaining');
+      if (previousRemaining === undefined || remaining <= parseInt(previousRemaining)) {
+        res.set({
+          'RateLimit-Limit': String(limit),
+          'RateLimit-Remaining': String(remaining),
+          'RateLimit-Reset': String(resetSeconds)
+        });
+      }
+
+      if (count <= limit) return next();
+
+      if (count === limit + 1 && onLimited) {
+        Promise.resolve(onLimited(req, { key, count }))
+          .catch((error) => console.error('Rate limit hook error:', error));
+      }
+
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        valid: false,
+        error: 'Too many requests',
+        retry_after: resetSeconds
+      });
+    } catch (error) {
+      // A broken store must not take verification down with it
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+
+module.exports = { createMemoryStore, createRedisStore, hashIdentifier, rateLimit };
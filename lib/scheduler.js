@@ -0,0 +1,40 @@
+// Minimal in-process job runner. Each job runs once shortly after start and
+// then every intervalMs; a slow run delays the next one instead of
+// overlapping it. Jobs must be safe to run from several server instances.
+// A run that resolves to null or undefined did nothing and is not logged.
+
+const scheduleJob = ({ name, intervalMs, run, initialDelayMs = 5000 }) => {
+  let timer = null;
+  let stopped = false;
+
+  const schedule = (delay) => {
+    timer = setTimeout(tick, delay);
+    timer.unref();
+  };
+
+  const tick = async () => {
+    const startedAt = Date.now();
+    try {
+      const result = await run();
+      if (result != null) {
+        console.log(`Job ${name} finished in ${Date.now() - startedAt} ms`, result);
+      }
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error);
+    }
+    if (!stopped) schedule(intervalMs);
+  };
+
+  schedule(initialDelayMs);
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+};
+
+module.exports = {
+  scheduleJob
+};
@@ -0,0 +1,62 @@
+const { currentPeriod, summarizeQuota } = require('../supabase/functions/_shared/licensing.mjs');
+
+// Usage metering. Clients report counters per metric (e.g. { "requests": 12 })
+// which are summed per key and UTC day in usage_daily. A plan's quotas map
+// metrics to a monthly allowance; the period is the current calendar month
+// in UTC.
+
+class UsageError extends Error {}
+
+const METRIC_NAME = /^[a-z][a-z0-9_]{0,63}$/;
+const MAX_REPORT_COUNT = 1000000;
+
+// Validate a counters object from POST /usage
+const normalizeCounters = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new UsageError('counters must be an object of metric names to counts');
+  }
+
+  const counters = {};
+  for (const [metric, count] of Object.entries(value)) {
+    if (!METRIC_NAME.test(metric)) {
+      throw new UsageError(`Invalid metric name "${metric}"`);
+    }
+    if (!Number.isInteger(count) || count < 0 || count > MAX_REPORT_COUNT) {
+      throw new UsageError(`Count for "${metric}" must be an integer between 0 and ${MAX_REPORT_COUNT}`);
+    }
+    if (count > 0) counters[metric] = count;
+  }
+
+  if (Object.keys(counters).length === 0) {
+    throw new UsageError('counters must contain at least one positive count');
+  }
+  return counters;
+};
+
+// Validate a plan's quotas from the admin UI (metric -> monthly allowance)
+const normalizeQuotas = (value) => {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new UsageError('quotas must be an object');
+  }
+
+  const quotas = {};
+  for (const [metric, limit] of Object.entries(value)) {
+    if (!METRIC_NAME.test(metric)) {
+      throw new UsageError(`Invalid metric name "${metric}"`);
+    }
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new UsageError(`Quota for "${metric}" must be a non-negative integer`);
+    }
+    quotas[metric] = limit;
+  }
+  return quotas;
+};
+
+module.exports = {
+  UsageError,
+  normalizeCounters,
+  normalizeQuotas,
+  currentPeriod,
+  summarizeQuota
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+// Outgoing webhooks. Events are queued as webhook_deliveries rows (one per
+// subscribed endpoint) and sent by the dispatcher job in server.js.
+//
+// Each request is a JSON POST of { id, type, created_at, data } with:
+//   X-Webhook-Id         event id, stable across retries (use it to dedupe)
+//   X-Webhook-Event      event type
+//   X-Webhook-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">
+// keyed with the endpoint's secret. Receivers should check the signature
+// and reject old timestamps.
+
+const WEBHOOK_EVENTS = [
+  'device.bound',
+  'device.released',
+  'trial.started',
+  'subscription.updated',
+  'subscription.expired',
+  'product.activated',
+  'product.deactivated'
+];
+
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_SECONDS = 30;
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+
+const createWebhookSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+const signWebhookPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Seconds to wait before the next attempt after `attempts` failures:
+// 30s, 1m, 2m, 4m ... capped at 6h
+const nextRetryDelay = (attempts) =>
+  Math.min(BASE_RETRY_SECONDS * 2 ** Math.max(0, attempts - 1), MAX_RETRY_SECONDS);
+
+// POST one delivery. Resolves to { ok, status, error }; never throws.
+const sendWebhook = async ({ url, secret, eventId, eventType, body, timeoutMs = 10000 }) => {
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'api-key-management-webhooks',
+        'X-Webhook-Id': eventId,
+        'X-Webhook-Event': eventType,
+        'X-Webhook-Signature': signWebhookPayload(secret, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      status: response.status,
+      error: response.ok ? null : `HTTP ${response.status}`
+    };
+  } catch (error) {
+    // fetch() reports network failures as "fetch failed" with the reason in cause
+    const reason = error.name === 'TimeoutError' ? 'Timed out' : error.cause?.message || error.message;
+    return { ok: false, status: null, error: reason };
+  }
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  createWebhookSecret,
+  signWebhookPayload,
+  nextRetryDelay,
+  sendWebhook
+};
@@ -0,0 +1,159 @@
+import type { KeyObject } from 'crypto';
+
+export type SubscriptionStatus = 'free' | 'trial' | 'premium';
+
+/** This month's metered usage under the plan. */
+export interface Quota {
+  resets_at: string;
+  metrics: Record<string, { used: number; limit: number; remaining: number }>;
+  exceeded: boolean;
+}
+
+/** The key is good for this device. */
+export interface ValidResult {
+  kind: 'valid';
+  user: string;
+  product: string;
+  status: SubscriptionStatus;
+  plan: string | null;
+  entitlements: Record<string, unknown>;
+  quota: Quota | null;
+  /** When a trial or premium subscription ends; null for free. */
+  expiresAt: string | null;
+  daysLeft: number | null;
+  deviceId: string;
+  /** Signed offline token, when the server has a signing key. */
+  licenseToken: string | null;
+  message: string | null;
+  /** Set when the key was accepted under a notice, e.g. after a rotation. */
+  warning: string | null;
+  /** When the server last confirmed this answer. */
+  verifiedAt: string;
+  /** True when the server could not be reached and this is the last good answer. */
+  cached: boolean;
+}
+
+/** The key is unknown or revoked, or the request was refused. */
+export interface InvalidResult {
+  kind: 'invalid';
+  error: string;
+  message: string | null;
+}
+
+/** Every seat of the key is taken by other devices. */
+export interface BoundElsewhereResult {
+  kind: 'bound_elsewhere';
+  maxDevices: number;
+  message: string;
+}
+
+/** The product has been switched off for everyone. */
+export interface ProductDisabledResult {
+  kind: 'product_disabled';
+  product: string;
+  message: string;
+}
+
+/** One of the plan's usage quotas for this month is used up. */
+export interface QuotaExceededResult {
+  kind: 'quota_exceeded';
+  product: string;
+  status: SubscriptionStatus;
+  quota: Quota;
+  message: string;
+}
+
+/** The server could not answer and no cached answer is still usable. */
+export interface UnreachableResult {
+  kind: 'unreachable';
+  error: string;
+}
+
+export type VerifyResult =
+  | ValidResult
+  | InvalidResult
+  | BoundElsewhereResult
+  | ProductDisabledResult
+  | QuotaExceededResult
+  | UnreachableResult;
+
+export interface CacheEntry {
+  verifiedAt: string;
+  deviceId: string;
+  body: Record<string, unknown>;
+}
+
+export interface LicenseCache {
+  read(): Promise<CacheEntry | null>;
+  write(entry: CacheEntry): Promise<void>;
+  clear(): Promise<void>;
+}
+
+/** The GET /public-key response, its jwk or pem, or a key object. */
+export type PublicKeyInput = KeyObject | string | { pem: string } | { jwk: JsonWebKey } | JsonWebKey;
+
+export interface LicenseClientOptions {
+  /** Base URL of the server or edge function, e.g. https://api.example.com */
+  apiUrl: string;
+  apiKey: string;
+  /** Defaults to getDeviceId(). */
+  deviceId?: string;
+  /**
+   * Ed25519 private key of this device. Its public half is registered on
+   * /verify so the device can later release itself without the owner.
+   */
+  deviceKey?: KeyObject | string;
+  /**
+   * Server signing key. When set, cached answers are only trusted while
+   * their license token verifies against it.
+   */
+  publicKey?: PublicKeyInput;
+  /** false to disable, or a custom cache. Defaults to a file under ~/.cache. */
+  cache?: false | LicenseCache;
+  /** How long a cached answer stands in for the server. Defaults to 3 days. */
+  graceSeconds?: number;
+  /** Defaults to 10 seconds. */
+  timeoutMs?: number;
+  fetch?: typeof fetch;
+}
+
+export interface ReleaseDeviceOptions {
+  /** Supabase access token of the key owner. */
+  accessToken?: string;
+  /** Defaults to this client's device. */
+  deviceId?: string;
+  /** Release every device of the key (requires accessToken). */
+  all?: boolean;
+}
+
+export interface LicenseClient {
+  readonly deviceId: string;
+  verify(): Promise<VerifyResult>;
+  releaseDevice(options?: ReleaseDeviceOptions): Promise<{ released: number }>;
+  clearCache(): Promise<void>;
+}
+
+export class LicenseClientError extends Error {
+  /** HTTP status, or null when the server could not be reached. */
+  status: number | null;
+  body: Record<string, unknown> | null;
+}
+
+export function createLicenseClient(options: LicenseClientOptions): LicenseClient;
+
+export function getDeviceId(options?: { namespace?: string }): string;
+
+export function getMachineCharacteristics(): Record<string, string | number | null>;
+
+export function createMemoryCache(): LicenseCache;
+
+export function createFileCache(file: string): LicenseCache;
+
+export function defaultCacheFile(apiUrl: string, apiKey: string): string;
+
+/** The token's claims when it is signed by publicKey and unexpired, else null. */
+export function verifyLicenseToken(
+  token: string,
+  publicKey: PublicKeyInput,
+  now?: Date
+): Record<string, unknown> | null;
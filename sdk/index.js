@@ -0,0 +1,15 @@
+const { createLicenseClient, LicenseClientError } = require('./src/client');
+const { getDeviceId, getMachineCharacteristics } = require('./src/deviceId');
+const { createMemoryCache, createFileCache, defaultCacheFile } = require('./src/cache');
+const { verifyLicenseToken } = require('./src/licenseToken');
+
+module.exports = {
+  createLicenseClient,
+  LicenseClientError,
+  getDeviceId,
+  getMachineCharacteristics,
+  createMemoryCache,
+  createFileCache,
+  defaultCacheFile,
+  verifyLicenseToken
+};
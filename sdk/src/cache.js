@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Where the last good verification is kept between runs. A cache is any
+// object with async read(), write(entry) and clear(); read() resolves to
+// null when there is nothing usable.
+
+const createMemoryCache = () => {
+  let entry = null;
+
+  return {
+    async read() {
+      return entry;
+    },
+    async write(value) {
+      entry = value;
+    },
+    async clear() {
+      entry = null;
+    }
+  };
+};
+
+// JSON file readable by the current user only. Writes go through a
+// temporary file so a crash never leaves half an entry behind.
+const createFileCache = (file) => ({
+  async read() {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  },
+
+  async write(entry) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(entry), { mode: 0o600 });
+    await fs.rename(temporary, file);
+  },
+
+  async clear() {
+    await fs.rm(file, { force: true });
+  }
+});
+
+// One file per server and key under ~/.cache; the name is a hash, so the
+// key itself is never written to disk
+const defaultCacheFile = (apiUrl, apiKey) => {
+  const name = crypto.createHash('sha256').update(`${apiUrl}\n${apiKey}`).digest('hex').slice(0, 24);
+  return path.join(os.homedir(), '.cache', 'api-key-management', `${name}.json`);
+};
+
+module.exports = { createMemoryCache, createFileCache, defaultCacheFile };
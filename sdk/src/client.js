@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const { getDeviceId } = require('./deviceId');
+const { createFileCache, defaultCacheFile } = require('./cache');
+const { toPublicKey, verifyLicenseToken } = require('./licenseToken');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_GRACE_SECONDS = 3 * 24 * 60 * 60;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+class LicenseClientError extends Error {
+  constructor(message, { status = null, body = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'LicenseClientError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const responseError = ({ status, body }) =>
+  new LicenseClientError(body?.error || `HTTP ${status}`, { status, body });
+
+// The base64 raw Ed25519 public key /verify registers for the device
+const rawPublicKey = (privateKey) =>
+  crypto.createPublicKey(privateKey).export({ format: 'der', type: 'spki' }).subarray(-32).toString('base64');
+
+const daysUntil = (expiresAt, now) =>
+  expiresAt ? Math.max(0, Math.ceil((new Date(expiresAt) - now) / DAY_MS)) : null;
+
+// A /verify answer as one of the result kinds declared in index.d.ts
+const toResult = (body, verifiedAt, cached = false) => {
+  if (body.valid) {
+    return {
+      kind: 'valid',
+      user: body.user,
+      product: body.product,
+      status: body.status,
+      plan: body.plan ?? null,
+      entitlements: body.entitlements || {},
+      quota: body.quota ?? null,
+      expiresAt: body.expires_at ?? null,
+      daysLeft: body.days_left ?? null,
+      deviceId: body.device_id,
+      licenseToken: body.license_token ?? null,
+      message: body.message ?? null,
+      warning: body.warning ?? null,
+      verifiedAt,
+      cached
+    };
+  }
+
+  if (body.active === false) {
+    return { kind: 'product_disabled', product: body.product, message: body.message };
+  }
+  if (body.max_devices !== undefined) {
+    return { kind: 'bound_elsewhere', maxDevices: body.max_devices, message: body.message };
+  }
+  if (body.quota) {
+    return { kind: 'quota_exceeded', product: body.product, status: body.status, quota: body.quota, message: body.message };
+  }
+  return { kind: 'invalid', error: body.error, message: body.message ?? null };
+};
+
+// Options are documented in index.d.ts
+const createLicenseClient = (options = {}) => {
+  const {
+    apiUrl,
+    apiKey,
+    graceSeconds = DEFAULT_GRACE_SECONDS,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    fetch: fetchImpl = globalThis.fetch
+  } = options;
+
+  if (!apiUrl || !apiKey) {
+    throw new TypeError('apiUrl and apiKey are required');
+  }
+
+  const baseUrl = apiUrl.replace(/\/+$/, '');
+  const deviceId = options.deviceId || getDeviceId();
+  const deviceKey = options.deviceKey && (options.deviceKey instanceof crypto.KeyObject
+    ? options.deviceKey
+    : crypto.createPrivateKey(options.deviceKey));
+  const publicKey = options.publicKey ? toPublicKey(options.publicKey) : null;
+  const cache = options.cache === false
+    ? null
+    : options.cache || createFileCache(defaultCacheFile(baseUrl, apiKey));
+
+  // Resolves to { status, body }; throws a LicenseClientError without a
+  // status when the server cannot be reached
+  const post = async (path, body, headers = {}) => {
+    let response;
+    try {
+      response = await fetchImpl(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      const reason = error.name === 'TimeoutError' ? 'Timed out' : error.cause?.message || error.message;
+      throw new LicenseClientError(reason, { cause: error });
+    }
+
+    let payload = null;
+    try {
+      payload = await response.json();
+    } catch (error) {
+      // Not JSON, e.g. an error page from a proxy
+    }
+    return { status: response.status, body: payload };
+  };
+
+  // The cached answer while it is within its grace period, the
+  // subscription it reports has not expired and, when a publicKey is
+  // given, its license token still checks out (the claims then come from
+  // the token rather than the editable cache file)
+  const cachedResult = (entry, now) => {
+    if (!entry || entry.deviceId !== deviceId || !entry.body?.valid) return null;
+
+    let body = entry.body;
+    if (publicKey) {
+      const claims = verifyLicenseToken(body.license_token, publicKey, now);
+      if (!claims || claims.device_id !== deviceId) return null;
+
+      body = {
+        ...body,
+        user: claims.user,
+        product: claims.product,
+        status: claims.status,
+        plan: claims.plan,
+        entitlements: claims.entitlements,
+        expires_at: claims.expires_at
+      };
+    }
+
+    const graceEndsAt = new Date(entry.verifiedAt).getTime() + graceSeconds * 1000;
+    if (now.getTime() >= graceEndsAt) return null;
+    if (body.expires_at && new Date(body.expires_at) <= now) return null;
+
+    return { ...toResult(body, entry.verifiedAt, true), daysLeft: daysUntil(body.expires_at, now) };
+  };
+
+  const fromCache = async (reason) =>
+    cachedResult(cache && await cache.read(), new Date()) || { kind: 'unreachable', error: reason };
+
+  // Verify the key for this device. When the server cannot answer (network
+  // failure, rate limit, 5xx) the last good answer is returned instead,
+  // with cached: true, or an unreachable result once that has run out.
+  const verify = async () => {
+    let response;
+    try {
+      response = await post('/verify', {
+        api_key: apiKey,
+        device_id: deviceId,
+        ...(deviceKey && { device_public_key: rawPublicKey(deviceKey) })
+      });
+    } catch (error) {
+      if (error instanceof LicenseClientError) return fromCache(error.message);
+      throw error;
+    }
+
+    if (response.status === 429 || response.status >= 500 || !response.body) {
+      return fromCache(response.body?.error || `HTTP ${response.status}`);
+    }
+    if (response.status !== 200) {
+      throw responseError(response);
+    }
+
+    const verifiedAt = new Date().toISOString();
+    const result = toResult(response.body, verifiedAt);
+
+    if (cache) {
+      if (result.kind === 'valid') {
+        await cache.write({ verifiedAt, deviceId, body: response.body });
+      } else {
+        await cache.clear();
+      }
+    }
+    return result;
+  };
+
+  // Free a seat. With an accessToken (the key owner's session) any device
+  // or, with all, every device can be released; a client created with a
+  // deviceKey can release its own device by signing a challenge.
+  const releaseDevice = async ({ accessToken, deviceId: target = deviceId, all = false } = {}) => {
+    let response;
+
+    if (accessToken) {
+      response = await post(
+        '/release-device',
+        { api_key: apiKey, ...(!all && { device_id: target }) },
+        { Authorization: `Bearer ${accessToken}` }
+      );
+    } else if (deviceKey) {
+      if (all || target !== deviceId) {
+        throw new LicenseClientError('A device can only release itself; pass accessToken to release others');
+      }
+
+      const challenge = await post('/release-device/challenge', { api_key: apiKey, device_id: deviceId });
+      if (challenge.status !== 200) throw responseError(challenge);
+
+      const signature = crypto.sign(null, Buffer.from(challenge.body.challenge), deviceKey).toString('base64');
+      response = await post('/release-device', { api_key: apiKey, device_id: deviceId, signature });
+    } else {
+      throw new LicenseClientError('Pass accessToken, or create the client with a deviceKey, to release a device');
+    }
+
+    if (response.status !== 200) throw responseError(response);
+
+    if (cache && (all || target === deviceId)) {
+      await cache.clear();
+    }
+    return { released: response.body.released };
+  };
+
+  return {
+    deviceId,
+    verify,
+    releaseDevice,
+    clearCache: async () => cache && cache.clear()
+  };
+};
+
+module.exports = { createLicenseClient, LicenseClientError };
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+// Stable device ids. The id is a hash of the operating system's machine
+// identifier (systemd machine-id, macOS IOPlatformUUID, Windows
+// MachineGuid), so it survives reinstalls of the tool and reboots but not a
+// new OS install. Where none can be read it falls back to hardware traits
+// that rarely change: hostname, platform, CPU model and count, memory size.
+
+const LINUX_MACHINE_ID_FILES = ['/etc/machine-id', '/var/lib/dbus/machine-id'];
+
+const run = (command, args) =>
+  execFileSync(command, args, { encoding: 'utf8', timeout: 2000, windowsHide: true, stdio: ['ignore', 'pipe', 'ignore'] });
+
+// The OS's own identifier for this machine, or null
+const readMachineId = () => {
+  try {
+    switch (process.platform) {
+      case 'linux': {
+        const file = LINUX_MACHINE_ID_FILES.find((candidate) => fs.existsSync(candidate));
+        return file ? fs.readFileSync(file, 'utf8').trim() || null : null;
+      }
+      case 'darwin':
+        return run('ioreg', ['-rd1', '-c', 'IOPlatformExpertDevice']).match(/"IOPlatformUUID" = "([^"]+)"/)?.[1] || null;
+      case 'win32':
+        return run('reg', ['query', 'HKLM\\SOFTWARE\\Microsoft\\Cryptography', '/v', 'MachineGuid'])
+          .match(/MachineGuid\s+REG_SZ\s+(\S+)/)?.[1] || null;
+      default:
+        return null;
+    }
+  } catch (error) {
+    return null;
+  }
+};
+
+const getMachineCharacteristics = () => {
+  const machineId = readMachineId();
+  if (machineId) {
+    return { platform: process.platform, machineId };
+  }
+
+  const cpus = os.cpus();
+  return {
+    platform: process.platform,
+    arch: os.arch(),
+    hostname: os.hostname(),
+    cpu: cpus[0]?.model || null,
+    cpuCount: cpus.length,
+    memoryGb: Math.round(os.totalmem() / 2 ** 30)
+  };
+};
+
+// "dev_" plus 32 hex digits. Tools that should not share an id on the same
+// machine pass their own namespace.
+const getDeviceId = ({ namespace = 'api-key-management' } = {}) => {
+  const hash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ namespace, ...getMachineCharacteristics() }))
+    .digest('hex');
+
+  return `dev_${hash.slice(0, 32)}`;
+};
+
+module.exports = { getDeviceId, getMachineCharacteristics };
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+// Offline license tokens as issued by /verify: compact JWTs signed with
+// Ed25519. The server's key is published at GET /public-key.
+
+// Accepts the /public-key response, its jwk or pem, or a KeyObject
+const toPublicKey = (value) => {
+  if (value instanceof crypto.KeyObject) return value;
+  if (typeof value === 'string') return crypto.createPublicKey(value);
+  if (value?.pem) return crypto.createPublicKey(value.pem);
+  if (value?.jwk) return crypto.createPublicKey({ key: value.jwk, format: 'jwk' });
+  return crypto.createPublicKey({ key: value, format: 'jwk' });
+};
+
+// The token's claims when it is signed by publicKey and not yet expired;
+// null otherwise
+const verifyLicenseToken = (token, publicKey, now = new Date()) => {
+  if (typeof token !== 'string') return null;
+
+  const [header, payload, signature] = token.split('.');
+  if (!header || !payload || !signature) return null;
+
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url')).alg !== 'EdDSA') return null;
+
+    const signed = crypto.verify(
+      null,
+      Buffer.from(`${header}.${payload}`),
+      toPublicKey(publicKey),
+      Buffer.from(signature, 'base64url')
+    );
+    if (!signed) return null;
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url'));
+    return claims.exp * 1000 > now.getTime() ? claims : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { toPublicKey, verifyLicenseToken };
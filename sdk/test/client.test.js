@@ -0,0 +1,359 @@
+// The client against a stubbed fetch: how /verify answers map to result
+// kinds, when the cached answer stands in for the server, and the two ways
+// of releasing a device.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  createLicenseClient,
+  LicenseClientError,
+  getDeviceId,
+  createMemoryCache,
+  createFileCache,
+  verifyLicenseToken
+} = require('..');
+
+const API_URL = 'https://licenses.example.com/';
+const API_KEY = 'sk_live_0123456789abcdef';
+const DEVICE_ID = 'dev_test';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS).toISOString();
+
+const validBody = (overrides = {}) => ({
+  valid: true,
+  user: 'ada@example.com',
+  product: 'Scraper Pro',
+  status: 'trial',
+  plan: 'Pro',
+  entitlements: { export: true },
+  expires_at: daysFromNow(3),
+  days_left: 3,
+  device_id: DEVICE_ID,
+  message: 'Trial started',
+  ...overrides
+});
+
+// A fetch that answers each call with the next reply: a { status, body }
+// pair, or an Error to throw. Records what was sent.
+const stubFetch = (...replies) => {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+    const reply = replies.shift();
+    if (reply instanceof Error) throw reply;
+    return {
+      status: reply.status ?? 200,
+      json: async () => {
+        if (reply.body === undefined) throw new SyntaxError('Unexpected end of JSON input');
+        return reply.body;
+      }
+    };
+  };
+  fetch.calls = calls;
+  return fetch;
+};
+
+const networkError = () => new TypeError('fetch failed', { cause: new Error('connect ECONNREFUSED') });
+
+const client = (fetch, options = {}) =>
+  createLicenseClient({ apiUrl: API_URL, apiKey: API_KEY, deviceId: DEVICE_ID, cache: createMemoryCache(), fetch, ...options });
+
+// A signing key like the server's and a token over the given claims
+const signingKey = () => crypto.generateKeyPairSync('ed25519');
+
+const signToken = (privateKey, claims) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const input = `${encode({ alg: 'EdDSA', typ: 'JWT' })}.${encode(claims)}`;
+  return `${input}.${crypto.sign(null, Buffer.from(input), privateKey).toString('base64url')}`;
+};
+
+const tokenClaims = (overrides = {}) => ({
+  user: 'ada@example.com',
+  product: 'Scraper Pro',
+  status: 'trial',
+  plan: 'Pro',
+  entitlements: { export: true },
+  device_id: DEVICE_ID,
+  expires_at: daysFromNow(3),
+  exp: Math.floor(Date.now() / 1000) + 3600,
+  ...overrides
+});
+
+describe('getDeviceId', () => {
+  it('is stable and namespaced', () => {
+    assert.match(getDeviceId(), /^dev_[0-9a-f]{32}$/);
+    assert.equal(getDeviceId(), getDeviceId());
+    assert.notEqual(getDeviceId({ namespace: 'other-tool' }), getDeviceId());
+  });
+});
+
+describe('createLicenseClient', () => {
+  it('requires apiUrl and apiKey', () => {
+    assert.throws(() => createLicenseClient({ apiKey: API_KEY }), TypeError);
+    assert.throws(() => createLicenseClient({ apiUrl: API_URL }), TypeError);
+  });
+
+  it('defaults the device id to this machine', () => {
+    const licenses = createLicenseClient({ apiUrl: API_URL, apiKey: API_KEY, cache: false, fetch: stubFetch() });
+    assert.equal(licenses.deviceId, getDeviceId());
+  });
+});
+
+describe('verify', () => {
+  it('posts the key and device and returns a valid result', async () => {
+    const fetch = stubFetch({ body: validBody() });
+
+    const result = await client(fetch).verify();
+
+    assert.equal(fetch.calls[0].url, 'https://licenses.example.com/verify');
+    assert.deepEqual(fetch.calls[0].body, { api_key: API_KEY, device_id: DEVICE_ID });
+    assert.equal(result.kind, 'valid');
+    assert.equal(result.status, 'trial');
+    assert.equal(result.plan, 'Pro');
+    assert.deepEqual(result.entitlements, { export: true });
+    assert.equal(result.daysLeft, 3);
+    assert.equal(result.cached, false);
+  });
+
+  it('registers the public half of the device key', async () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const fetch = stubFetch({ body: validBody() });
+
+    await client(fetch, { deviceKey: privateKey }).verify();
+
+    assert.equal(
+      fetch.calls[0].body.device_public_key,
+      publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('base64')
+    );
+  });
+
+  it('tells the refusals apart', async () => {
+    const fetch = stubFetch(
+      { body: { valid: false, product: 'Scraper Pro', active: false, message: 'This product is no longer available.' } },
+      { body: { valid: false, error: 'API key is bound to the maximum number of devices', max_devices: 2, message: 'Use /release-device to unbind one of its devices first.' } },
+      { body: { valid: false, error: 'Usage quota exceeded', product: 'Scraper Pro', status: 'premium', quota: { exceeded: true }, message: 'Your monthly quota resets soon.' } },
+      { body: { valid: false, error: 'Invalid API key' } }
+    );
+    const licenses = client(fetch);
+
+    assert.deepEqual(await licenses.verify(), {
+      kind: 'product_disabled',
+      product: 'Scraper Pro',
+      message: 'This product is no longer available.'
+    });
+    assert.deepEqual(await licenses.verify(), {
+      kind: 'bound_elsewhere',
+      maxDevices: 2,
+      message: 'Use /release-device to unbind one of its devices first.'
+    });
+    assert.equal((await licenses.verify()).kind, 'quota_exceeded');
+    assert.deepEqual(await licenses.verify(), { kind: 'invalid', error: 'Invalid API key', message: null });
+  });
+
+  it('throws on a malformed request', async () => {
+    const fetch = stubFetch({ status: 400, body: { valid: false, error: 'api_key and device_id are required' } });
+
+    await assert.rejects(client(fetch).verify(), (error) => {
+      assert.ok(error instanceof LicenseClientError);
+      assert.equal(error.status, 400);
+      assert.equal(error.message, 'api_key and device_id are required');
+      return true;
+    });
+  });
+
+  it('falls back to the last good answer while the server is unreachable', async () => {
+    const fetch = stubFetch(
+      { body: validBody() },
+      networkError(),
+      { status: 503, body: undefined },
+      { status: 429, body: { error: 'Too many requests' } }
+    );
+    const licenses = client(fetch);
+    const fresh = await licenses.verify();
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const result = await licenses.verify();
+      assert.equal(result.kind, 'valid');
+      assert.equal(result.cached, true);
+      assert.equal(result.verifiedAt, fresh.verifiedAt);
+    }
+  });
+
+  it('reports unreachable without a cached answer', async () => {
+    const result = await client(stubFetch(networkError())).verify();
+
+    assert.deepEqual(result, { kind: 'unreachable', error: 'connect ECONNREFUSED' });
+  });
+
+  it('stops using the cached answer once the grace period is over', async () => {
+    const cache = createMemoryCache();
+    await cache.write({ verifiedAt: daysFromNow(-4), deviceId: DEVICE_ID, body: validBody({ status: 'free', expires_at: null }) });
+
+    assert.equal((await client(stubFetch(networkError()), { cache }).verify()).kind, 'unreachable');
+    assert.equal((await client(stubFetch(networkError()), { cache, graceSeconds: 5 * 86400 }).verify()).kind, 'valid');
+  });
+
+  it('stops using the cached answer once its subscription has expired', async () => {
+    const cache = createMemoryCache();
+    await cache.write({ verifiedAt: daysFromNow(-1), deviceId: DEVICE_ID, body: validBody({ expires_at: daysFromNow(-0.5) }) });
+
+    assert.equal((await client(stubFetch(networkError()), { cache }).verify()).kind, 'unreachable');
+  });
+
+  it('recomputes daysLeft for a cached answer', async () => {
+    const cache = createMemoryCache();
+    await cache.write({ verifiedAt: daysFromNow(-1), deviceId: DEVICE_ID, body: validBody({ expires_at: daysFromNow(1.5), days_left: 3 }) });
+
+    assert.equal((await client(stubFetch(networkError()), { cache }).verify()).daysLeft, 2);
+  });
+
+  it('ignores an answer cached for another device', async () => {
+    const cache = createMemoryCache();
+    await cache.write({ verifiedAt: new Date().toISOString(), deviceId: 'dev_other', body: validBody() });
+
+    assert.equal((await client(stubFetch(networkError()), { cache }).verify()).kind, 'unreachable');
+  });
+
+  it('forgets the cached answer when the server refuses the key', async () => {
+    const fetch = stubFetch(
+      { body: validBody() },
+      { body: { valid: false, error: 'Invalid API key' } },
+      networkError()
+    );
+    const licenses = client(fetch);
+
+    await licenses.verify();
+    await licenses.verify();
+
+    assert.equal((await licenses.verify()).kind, 'unreachable');
+  });
+
+  describe('with the server public key', () => {
+    it('trusts the cached answer only through its license token', async () => {
+      const { publicKey, privateKey } = signingKey();
+      const cache = createMemoryCache();
+      const token = signToken(privateKey, tokenClaims());
+      await cache.write({
+        verifiedAt: new Date().toISOString(),
+        deviceId: DEVICE_ID,
+        // Edited on disk to claim more than the token says
+        body: validBody({ status: 'premium', plan: 'Enterprise', license_token: token })
+      });
+
+      const result = await client(stubFetch(networkError()), { cache, publicKey }).verify();
+
+      assert.equal(result.kind, 'valid');
+      assert.equal(result.status, 'trial');
+      assert.equal(result.plan, 'Pro');
+    });
+
+    it('rejects a cached answer without a valid token', async () => {
+      const { publicKey, privateKey } = signingKey();
+      const forged = signToken(signingKey().privateKey, tokenClaims());
+      const expired = signToken(privateKey, tokenClaims({ exp: Math.floor(Date.now() / 1000) - 1 }));
+      const otherDevice = signToken(privateKey, tokenClaims({ device_id: 'dev_other' }));
+
+      for (const licenseToken of [undefined, forged, expired, otherDevice]) {
+        const cache = createMemoryCache();
+        await cache.write({ verifiedAt: new Date().toISOString(), deviceId: DEVICE_ID, body: validBody({ license_token: licenseToken }) });
+
+        assert.equal((await client(stubFetch(networkError()), { cache, publicKey }).verify()).kind, 'unreachable');
+      }
+    });
+
+    it('accepts the /public-key response', () => {
+      const { publicKey, privateKey } = signingKey();
+      const response = { kid: 'k1', alg: 'EdDSA', jwk: publicKey.export({ format: 'jwk' }), pem: publicKey.export({ format: 'pem', type: 'spki' }) };
+      const token = signToken(privateKey, tokenClaims());
+
+      assert.equal(verifyLicenseToken(token, response).device_id, DEVICE_ID);
+      assert.equal(verifyLicenseToken(token, response.jwk).device_id, DEVICE_ID);
+      assert.equal(verifyLicenseToken(token, response.pem).device_id, DEVICE_ID);
+    });
+  });
+});
+
+describe('releaseDevice', () => {
+  it('releases as the key owner with an access token', async () => {
+    const fetch = stubFetch({ body: { success: true, released: 2 } });
+
+    const result = await client(fetch).releaseDevice({ accessToken: 'session-token', all: true });
+
+    assert.deepEqual(result, { released: 2 });
+    assert.equal(fetch.calls[0].url, 'https://licenses.example.com/release-device');
+    assert.equal(fetch.calls[0].headers.Authorization, 'Bearer session-token');
+    assert.deepEqual(fetch.calls[0].body, { api_key: API_KEY });
+  });
+
+  it('releases its own device by signing the challenge', async () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const fetch = stubFetch(
+      { body: { challenge: 'nonce-123', expires_at: daysFromNow(0.01) } },
+      { body: { success: true, released: 1 } }
+    );
+
+    assert.deepEqual(await client(fetch, { deviceKey: privateKey }).releaseDevice(), { released: 1 });
+
+    assert.deepEqual(fetch.calls[0].body, { api_key: API_KEY, device_id: DEVICE_ID });
+    const { signature, ...rest } = fetch.calls[1].body;
+    assert.deepEqual(rest, { api_key: API_KEY, device_id: DEVICE_ID });
+    assert.ok(crypto.verify(null, Buffer.from('nonce-123'), publicKey, Buffer.from(signature, 'base64')));
+  });
+
+  it('clears the cached answer when this device is released', async () => {
+    const cache = createMemoryCache();
+    await cache.write({ verifiedAt: new Date().toISOString(), deviceId: DEVICE_ID, body: validBody() });
+
+    await client(stubFetch({ body: { success: true, released: 1 } }), { cache }).releaseDevice({ accessToken: 'session-token' });
+
+    assert.equal(await cache.read(), null);
+  });
+
+  it('needs an access token or a device key', async () => {
+    await assert.rejects(client(stubFetch()).releaseDevice(), LicenseClientError);
+    await assert.rejects(
+      client(stubFetch(), { deviceKey: crypto.generateKeyPairSync('ed25519').privateKey }).releaseDevice({ all: true }),
+      /can only release itself/
+    );
+  });
+
+  it('surfaces the release limits', async () => {
+    const retryAt = daysFromNow(0.1);
+    const fetch = stubFetch({ status: 429, body: { error: 'Devices were released recently, please wait before releasing again', retry_at: retryAt } });
+
+    await assert.rejects(client(fetch).releaseDevice({ accessToken: 'session-token' }), (error) => {
+      assert.equal(error.status, 429);
+      assert.equal(error.body.retry_at, retryAt);
+      return true;
+    });
+  });
+});
+
+describe('createFileCache', () => {
+  it('keeps the entry in a file only the user can read', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'license-cache-'));
+    const file = path.join(directory, 'nested', 'license.json');
+    const cache = createFileCache(file);
+
+    try {
+      assert.equal(await cache.read(), null);
+      await cache.write({ verifiedAt: 'now', deviceId: DEVICE_ID, body: { valid: true } });
+
+      assert.deepEqual(await cache.read(), { verifiedAt: 'now', deviceId: DEVICE_ID, body: { valid: true } });
+      if (process.platform !== 'win32') {
+        assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+      }
+
+      await cache.clear();
+      assert.equal(await cache.read(), null);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
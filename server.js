@@ -1,19 +1,134 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
+const { db: supabase } = require('./lib/db');
+const { loadSigningKey, createLicenseToken, getPublicKey } = require('./lib/licenseToken');
+const {
+  verifyLicense,
+  getQuotaStatus,
+  checkReleaseLimits,
+  releaseDevices,
+  createSupabaseLicenseStore,
+  findKeySubscription
+} = require('./supabase/functions/_shared/licensing.mjs');
+const { isWellFormedApiKey, getKeyPrefix, matchesKeyHash } = require('./lib/apiKeys');
+const { isValidDevicePublicKey, createReleaseChallenge, verifyDeviceSignature } = require('./lib/deviceSignature');
+const { createMemoryStore, hashIdentifier, rateLimit } = require('./lib/rateLimit');
+const { WebhookSignatureError, createStripeProvider, createFakeProvider } = require('./lib/payments');
+const { renderInvoiceHtml, renderInvoicePdf } = require('./lib/invoices');
+const { createConsoleTransport, createFileTransport, createHttpTransport, createMailer } = require('./lib/mailer');
+const { expiryReminder } = require('./lib/emailTemplates');
+const { scheduleJob } = require('./lib/scheduler');
+const { EntitlementsError, normalizeEntitlements, resolvePlan } = require('./lib/entitlements');
+const { UsageError, normalizeCounters, normalizeQuotas, summarizeQuota } = require('./lib/usage');
+const { WEBHOOK_EVENTS, MAX_ATTEMPTS, createWebhookSecret, nextRetryDelay, sendWebhook } = require('./lib/webhooks');
 
 const app = express();
 const port = process.env.PORT || 3001;
+const keyRotationOverlapHours = parseInt(process.env.KEY_ROTATION_OVERLAP_HOURS) || 24;
+const appUrl = process.env.APP_URL || 'http://localhost:3000';
+const paymentCurrency = (process.env.PAYMENT_CURRENCY || 'usd').toLowerCase();
+const invoiceIssuer = process.env.INVOICE_ISSUER || 'API Key Management System';
 
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
+// Set TRUST_PROXY (e.g. "1" or "loopback") behind a load balancer so
+// req.ip is the client address that rate limits are keyed on
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
 
 app.use(cors());
-app.use(express.json());
+// Keep the raw body around: payment webhook signatures are computed over it
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// Payment provider for premium checkout. PAYMENT_PROVIDER=fake completes
+// payments locally without a real provider; leave unset to disable checkout
+// unless Stripe keys are configured.
+const createPaymentProvider = () => {
+  const provider = process.env.PAYMENT_PROVIDER || (process.env.STRIPE_SECRET_KEY ? 'stripe' : null);
+
+  if (provider === 'stripe') {
+    return createStripeProvider({
+      secretKey: process.env.STRIPE_SECRET_KEY,
+      webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+      currency: paymentCurrency,
+      apiBase: process.env.STRIPE_API_BASE
+    });
+  }
+
+  if (provider === 'fake') {
+    return createFakeProvider({
+      webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET,
+      checkoutUrl: (checkoutId) => `${process.env.API_URL || `http://localhost:${port}`}/payments/fake/checkout/${checkoutId}`
+    });
+  }
+
+  return null;
+};
+
+const paymentProvider = createPaymentProvider();
+
+// Outgoing mail. MAIL_TRANSPORT is console (default), file (writes .eml
+// files to MAIL_FILE_DIR) or http (posts to MAIL_API_URL).
+const createMailTransport = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'file':
+      return createFileTransport(process.env.MAIL_FILE_DIR || 'mail');
+    case 'http':
+      return createHttpTransport({ url: process.env.MAIL_API_URL, apiKey: process.env.MAIL_API_KEY });
+    default:
+      return createConsoleTransport();
+  }
+};
+
+const mailer = createMailer({
+  transport: createMailTransport(),
+  from: process.env.MAIL_FROM || 'no-reply@localhost'
+});
+
+// Rate limits for the public key routes. Counters live in process memory;
+// pass createRedisStore(redisClient) instead when running several instances.
+const rateLimitStore = createMemoryStore();
+const rateLimitWindowMs = (parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000;
+
+// Record the first rejected request of each window for the admin abuse view
+const recordRateLimited = (scope) => async (req) => {
+  const { api_key } = req.body;
+
+  const { error } = await supabase
+    .from('abuse_events')
+    .insert({
+      reason: 'rate_limited',
+      scope,
+      ip: req.ip,
+      key_prefix: isWellFormedApiKey(api_key) ? getKeyPrefix(api_key) : null
+    });
+
+  if (error) throw error;
+};
+
+const ipRateLimit = rateLimit({
+  store: rateLimitStore,
+  limit: parseInt(process.env.RATE_LIMIT_PER_IP) || 60,
+  windowMs: rateLimitWindowMs,
+  name: 'ip',
+  keyGenerator: (req) => req.ip,
+  onLimited: recordRateLimited('ip')
+});
+
+const apiKeyRateLimit = rateLimit({
+  store: rateLimitStore,
+  limit: parseInt(process.env.RATE_LIMIT_PER_KEY) || 30,
+  windowMs: rateLimitWindowMs,
+  name: 'key',
+  keyGenerator: (req) => req.body.api_key && hashIdentifier(req.body.api_key),
+  onLimited: recordRateLimited('key')
+});
 
 // Middleware to authenticate admin users
 const requireAdmin = async (req, res, next) => {
@@ -45,329 +160,1981 @@ const requireAdmin = async (req, res, next) => {
   }
 };
 
-// Main verification endpoint
-app.post('/verify', async (req, res) => {
+// Middleware to authenticate any signed-in user
+const requireUser = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    if (authError || !user) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(401).json({ error: 'Authentication failed' });
+  }
+};
+
+// Record the outcome of a verification or release request in
+// verification_events once the response has been sent. Handlers pass the
+// API key they resolved through res.locals.apiKey. Mounted after the rate
+// limiters so a flood of rejected requests is not written row by row.
+const logVerificationEvent = (endpoint) => (req, res, next) => {
+  const startedAt = Date.now();
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    res.locals.responseBody = body;
+    return json(body);
+  };
+
+  res.on('finish', async () => {
+    const body = res.locals.responseBody || {};
+    const apiKey = res.locals.apiKey;
+
+    let result = 'failure';
+    if (res.statusCode >= 500) {
+      result = 'error';
+    } else if (body.valid === true || body.success === true) {
+      result = 'success';
+    }
+
+    const { error } = await supabase
+      .from('verification_events')
+      .insert({
+        endpoint,
+        api_key_id: apiKey?.id || null,
+        user_id: apiKey?.user_id || null,
+        product_id: apiKey?.product_id || null,
+        key_prefix: isWellFormedApiKey(req.body.api_key) ? getKeyPrefix(req.body.api_key) : null,
+        device_id: req.body.device_id || null,
+        ip: req.ip,
+        user_agent: req.get('user-agent') || null,
+        result,
+        reason: body.error || body.message || null,
+        status_code: res.statusCode,
+        latency_ms: Date.now() - startedAt
+      });
+
+    if (error) {
+      console.error('Verification event error:', error);
+    }
+  });
+
+  next();
+};
+
+// Append an entry to the admin audit trail. Call it after the change has
+// been applied; before/after are row snapshots (never API key secrets).
+const recordAdminAction = async (req, { action, targetType, targetId, before = null, after = null }) => {
+  const { error } = await supabase
+    .from('admin_audit_log')
+    .insert({
+      actor_id: req.user.id,
+      actor_email: req.user.email,
+      action,
+      target_type: targetType,
+      target_id: targetId,
+      before,
+      after
+    });
+
+  if (error) throw error;
+};
+
+// Queue a lifecycle event for the webhook endpoints subscribed to it
+const emitWebhookEvent = (type, data) => licenseStore.emitEvent(type, data);
+
+const subscriptionEventData = (subscription, previousStatus) => ({
+  subscription_id: subscription.id,
+  user_id: subscription.user_id,
+  product_id: subscription.product_id,
+  status: subscription.status,
+  previous_status: previousStatus ?? null,
+  expires_at: subscription.expires_at,
+  plan_id: subscription.plan_id ?? null
+});
+
+// Blank means "no limit" for optional numeric product settings
+const parseOptionalInt = (value) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+// Date filters and cursors of the admin listings. Resolves the named query
+// parameters that are present to Dates, or to an error for the first one
+// that is not a date.
+const parseQueryDates = (query, names) => {
+  const dates = {};
+  for (const name of names) {
+    if (!query[name]) continue;
+    if (typeof query[name] !== 'string' || !isValidDate(query[name])) {
+      return { error: `${name} must be a valid date` };
+    }
+    dates[name] = new Date(query[name]);
+  }
+  return { dates };
+};
+
+// Look up an API key by its current secret, falling back to a rotated-out
+// secret that is still inside its overlap window. Rows are narrowed down by
+// prefix and then matched on the salted hash.
+const findApiKey = async (apiKey, columns) => {
+  if (!isWellFormedApiKey(apiKey)) return null;
+
+  const prefix = getKeyPrefix(apiKey);
+  const { data: candidates } = await supabase
+    .from('api_keys')
+    .select(`${columns}, key_salt, key_hash, previous_key_salt, previous_key_hash, previous_key_expires_at`)
+    .or(`key_prefix.eq.${prefix},previous_key_prefix.eq.${prefix}`);
+
+  const now = new Date();
+  return (candidates || []).find((key) =>
+    matchesKeyHash(apiKey, key.key_salt, key.key_hash) ||
+    (new Date(key.previous_key_expires_at) > now &&
+      matchesKeyHash(apiKey, key.previous_key_salt, key.previous_key_hash))
+  ) || null;
+};
+
+// Data access for the shared licensing rules (/verify, releases, webhook
+// events)
+const licenseStore = createSupabaseLicenseStore(supabase, { findApiKey, matchesKeyHash });
+
+// Issue a new secret; the old one keeps working for overlapHours. This is
+// the only place the plaintext key is ever returned.
+const rotateApiKey = async (keyId, overlapHours) => {
+  const hours = parseInt(overlapHours);
+
+  const { data, error } = await supabase.rpc('rotate_api_key', {
+    p_key_id: keyId,
+    p_overlap_hours: hours >= 0 ? hours : keyRotationOverlapHours
+  });
+
+  if (error) throw error;
+  return {
+    id: data.id,
+    key_value: data.key_value,
+    key_prefix: data.key_prefix,
+    previous_key_expires_at: data.previous_key_expires_at
+  };
+};
+
+// Check a signature over the device's outstanding release challenge.
+// Challenges are single-use, so it is cleared whatever the outcome.
+const verifyReleaseChallenge = async (keyId, deviceId, signature) => {
+  const { data: device } = await supabase
+    .from('key_devices')
+    .select('id, public_key, release_challenge, release_challenge_expires_at')
+    .eq('api_key_id', keyId)
+    .eq('device_id', deviceId)
+    .maybeSingle();
+
+  if (!device?.release_challenge) return false;
+
+  await supabase
+    .from('key_devices')
+    .update({ release_challenge: null, release_challenge_expires_at: null })
+    .eq('id', device.id);
+
+  return new Date(device.release_challenge_expires_at) > new Date() &&
+    verifyDeviceSignature(device.public_key, device.release_challenge, signature);
+};
+
+// Main verification endpoint. The licensing rules themselves live in the
+// shared module so the edge function applies exactly the same ones.
+app.post('/verify', ipRateLimit, apiKeyRateLimit, logVerificationEvent('verify'), async (req, res) => {
+  try {
+    const { status, body, keyData } = await verifyLicense(licenseStore, req.body, {
+      ip: req.ip,
+      isValidDevicePublicKey,
+      signLicense: createLicenseToken
+    });
+    res.locals.apiKey = keyData;
+
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Verify error:', error);
+    res.status(500).json({
+      valid: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Usage reporting: clients add their counters (metric -> count) to the key's
+// usage for today and get back where they stand against the plan's quotas
+app.post('/usage', ipRateLimit, apiKeyRateLimit, async (req, res) => {
+  try {
+    const { api_key, counters } = req.body;
+
+    if (!api_key || !counters) {
+      return res.status(400).json({
+        success: false,
+        error: 'api_key and counters are required'
+      });
+    }
+
+    const normalizedCounters = normalizeCounters(counters);
+
+    const keyData = await findApiKey(api_key, `
+      id,
+      user_id,
+      product_id,
+      products!inner(is_active, plans(id, name, status, is_default, quotas))
+    `);
+    const subscription = keyData && await findKeySubscription(supabase, keyData, 'status, expires_at, plan_id');
+
+    if (!subscription || !keyData.products.is_active) {
+      return res.json({
+        success: false,
+        error: 'Invalid API key'
+      });
+    }
+
+    const { data: totals, error } = await supabase.rpc('record_usage', {
+      p_api_key_id: keyData.id,
+      p_product_id: keyData.product_id,
+      p_counters: normalizedCounters
+    });
+
+    if (error) throw error;
+
+    // A lapsed subscription that /verify has not reverted yet counts as free
+    const lapsed = subscription.status !== 'free' && subscription.expires_at && new Date(subscription.expires_at) < new Date();
+    const plan = resolvePlan(keyData.products.plans || [], lapsed ? { status: 'free' } : subscription);
+
+    res.json({
+      success: true,
+      usage: totals,
+      quota: plan && Object.keys(plan.quotas || {}).length > 0 ? summarizeQuota(plan.quotas, totals) : null
+    });
+  } catch (error) {
+    if (error instanceof UsageError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Usage error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Public key for validating offline license tokens
+app.get('/public-key', (req, res) => {
+  try {
+    const publicKey = getPublicKey();
+    if (!publicKey) {
+      return res.status(404).json({ error: 'License signing is not configured' });
+    }
+
+    res.json(publicKey);
+  } catch (error) {
+    console.error('Public key error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Issue a single-use challenge for a bound device to sign with the public
+// key it registered through /verify
+app.post('/release-device/challenge', ipRateLimit, apiKeyRateLimit, async (req, res) => {
   try {
     const { api_key, device_id } = req.body;
 
     if (!api_key || !device_id) {
-      return res.status(400).json({
-        valid: false,
-        error: 'api_key and device_id are required'
+      return res.status(400).json({ error: 'api_key and device_id are required' });
+    }
+
+    const keyData = await findApiKey(api_key, 'id');
+
+    if (!keyData) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    const { challenge, expiresAt } = createReleaseChallenge();
+
+    const { data, error } = await supabase
+      .from('key_devices')
+      .update({
+        release_challenge: challenge,
+        release_challenge_expires_at: expiresAt.toISOString()
+      })
+      .eq('api_key_id', keyData.id)
+      .eq('device_id', device_id)
+      .not('public_key', 'is', null)
+      .select('id');
+
+    if (error) throw error;
+
+    if (data.length === 0) {
+      return res.status(404).json({ error: 'Device is not bound to this API key or has no registered public key' });
+    }
+
+    res.json({ challenge, expires_at: expiresAt.toISOString() });
+
+  } catch (error) {
+    console.error('Release challenge error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Release device binding. The caller must either send the key owner's
+// session token or a signature over a challenge from the bound device.
+app.post('/release-device', ipRateLimit, apiKeyRateLimit, logVerificationEvent('release-device'), async (req, res) => {
+  try {
+    const { api_key, device_id, signature } = req.body;
+
+    if (!api_key) {
+      return res.status(400).json({ error: 'api_key is required' });
+    }
+
+    const keyData = await findApiKey(api_key, `
+      id,
+      user_id,
+      product_id,
+      products!inner(duration_days, release_cooldown_minutes, max_releases_per_period)
+    `);
+    res.locals.apiKey = keyData;
+
+    if (!keyData) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    let releasedBy;
+    const token = req.headers.authorization?.replace('Bearer ', '');
+
+    if (token) {
+      const { data: { user } } = await supabase.auth.getUser(token);
+      if (!user || user.id !== keyData.user_id) {
+        return res.status(403).json({ error: 'Only the key owner can release its devices' });
+      }
+      releasedBy = 'owner';
+    } else if (device_id && signature) {
+      if (!await verifyReleaseChallenge(keyData.id, device_id, signature)) {
+        return res.status(403).json({ error: 'Invalid or expired release challenge' });
+      }
+      releasedBy = 'device';
+    } else {
+      return res.status(401).json({
+        error: 'Authenticate as the key owner or sign a release challenge from the bound device'
       });
     }
 
-    // Get API key and related data
+    const limitError = await checkReleaseLimits(licenseStore, keyData.id, keyData.products);
+    if (limitError) {
+      return res.status(429).json(limitError);
+    }
+
+    const released = await releaseDevices(licenseStore, keyData, device_id, releasedBy);
+
+    if (device_id && released === 0) {
+      return res.status(404).json({ error: 'Device is not bound to this API key' });
+    }
+
+    res.json({
+      success: true,
+      released,
+      message: 'Device binding released successfully'
+    });
+
+  } catch (error) {
+    console.error('Release device error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Release a device from one of the signed-in user's own API keys
+app.post('/keys/:id/release-device', requireUser, logVerificationEvent('release-device'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { device_id } = req.body;
+
+    const { data: keyData, error: keyError } = await supabase
+      .from('api_keys')
+      .select('id, user_id, product_id, products!inner(duration_days, release_cooldown_minutes, max_releases_per_period)')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+    res.locals.apiKey = keyData;
+
+    if (keyError || !keyData) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    const limitError = await checkReleaseLimits(licenseStore, keyData.id, keyData.products);
+    if (limitError) {
+      return res.status(429).json(limitError);
+    }
+
+    const released = await releaseDevices(licenseStore, keyData, device_id, 'owner');
+
+    res.json({
+      success: true,
+      released,
+      message: 'Device binding released successfully'
+    });
+  } catch (error) {
+    console.error('Release device error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Daily usage of one of the signed-in user's keys over the last ?days
+// (default 30), with the current month's quota status
+app.get('/keys/:id/usage', requireUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000);
+
+    const { data: keyData, error: keyError } = await supabase
+      .from('api_keys')
+      .select('id, user_id, product_id, products!inner(plans(id, name, status, is_default, quotas))')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    const subscription = keyData && await findKeySubscription(supabase, keyData, 'status, plan_id');
+
+    if (keyError || !subscription) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    const { data: usage, error } = await supabase
+      .from('usage_daily')
+      .select('day, metric, count')
+      .eq('api_key_id', id)
+      .gte('day', since.toISOString().slice(0, 10))
+      .order('day');
+
+    if (error) throw error;
+
+    res.json({
+      since: since.toISOString().slice(0, 10),
+      usage,
+      quota: await getQuotaStatus(licenseStore, id, resolvePlan(keyData.products.plans || [], subscription))
+    });
+  } catch (error) {
+    console.error('Key usage error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rotate (or first issue) one of the signed-in user's own API keys
+app.post('/keys/:id/rotate', requireUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { overlap_hours } = req.body;
+
     const { data: keyData, error: keyError } = await supabase
       .from('api_keys')
-      .select(`
-        *,
-        users!inner(full_name, email),
-        products!inner(name, description, is_active, trial_enabled, duration_days),
-        subscriptions!inner(status, expires_at, trial_used)
-      `)
-      .eq('key_value', api_key)
+      .select('id')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (keyError || !keyData) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json(await rotateApiKey(keyData.id, overlap_hours));
+  } catch (error) {
+    console.error('Rotate key error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Self-service sign-up: the free subscription to an active product and the
+// first secret of its API key. Only ever for the signed-in user; a product
+// they already have a key for is refused rather than rotated.
+app.post('/subscriptions', requireUser, async (req, res) => {
+  try {
+    const { product_id } = req.body;
+
+    if (!product_id) {
+      return res.status(400).json({ error: 'product_id is required' });
+    }
+
+    const { data: product, error: productError } = await supabase
+      .from('products')
+      .select('id, is_active')
+      .eq('id', product_id)
       .single();
 
-    if (keyError || !keyData) {
-      return res.json({
-        valid: false,
-        error: 'Invalid API key'
-      });
-    }
+    if (productError || !product || !product.is_active) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const { data, error } = await supabase.rpc('start_free_subscription', {
+      p_user_id: req.user.id,
+      p_product_id: product.id
+    });
+
+    if (error) throw error;
+
+    if (!data.key_value) {
+      return res.status(409).json({ error: 'You already have a key for this product', id: data.id });
+    }
+
+    res.json(data);
+  } catch (error) {
+    console.error('Subscribe error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Why redeem_promo_code or create_checkout refused a code, as
+// [status, message]
+const PROMO_CODE_ERRORS = {
+  not_found: [404, 'Promo code not found'],
+  expired: [400, 'This promo code has expired'],
+  exhausted: [400, 'This promo code has been fully redeemed'],
+  already_redeemed: [409, 'You have already redeemed this promo code'],
+  not_a_discount: [400, 'This promo code cannot be used at checkout; redeem it instead'],
+  wrong_product: [400, 'This promo code is for another product']
+};
+
+// Redeem a promo code. A premium_days code extends the premium
+// subscription straight away; a discount code is only checked and is
+// returned so it can be passed to /checkout.
+app.post('/promo-codes/redeem', ipRateLimit, requireUser, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (typeof code !== 'string' || !code.trim()) {
+      return res.status(400).json({ error: 'code is required' });
+    }
+
+    const { data, error } = await supabase.rpc('redeem_promo_code', {
+      p_code: code,
+      p_user_id: req.user.id
+    });
+
+    if (error) throw error;
+
+    if (data.error) {
+      const [status, message] = PROMO_CODE_ERRORS[data.error];
+      return res.status(status).json({ error: message });
+    }
+
+    const { promo_code: promo, before, after } = data;
+    if (promo.kind === 'discount') {
+      return res.json({
+        kind: promo.kind,
+        code: promo.code,
+        product_id: promo.product_id,
+        percent_off: promo.percent_off
+      });
+    }
+
+    await emitWebhookEvent('subscription.updated', subscriptionEventData(after, before.status));
+
+    res.json({
+      kind: promo.kind,
+      code: promo.code,
+      product_id: promo.product_id,
+      days: promo.days,
+      status: after.status,
+      expires_at: after.expires_at,
+      days_left: Math.ceil((new Date(after.expires_at) - Date.now()) / DAY_MS)
+    });
+  } catch (error) {
+    console.error('Promo code error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start a checkout that upgrades the signed-in user to premium on a product
+app.post('/checkout', requireUser, async (req, res) => {
+  try {
+    const { product_id, promo_code } = req.body;
+
+    if (!paymentProvider) {
+      return res.status(503).json({ error: 'Payments are not configured' });
+    }
+
+    const { data: product, error: productError } = await supabase
+      .from('products')
+      .select('id, name, price, duration_days, is_active')
+      .eq('id', product_id)
+      .single();
+
+    if (productError || !product || !product.is_active) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    if (!(Number(product.price) > 0)) {
+      return res.status(400).json({ error: 'Product has no price' });
+    }
+
+    // A discount code is held by the checkout until its payment page
+    // closes or the user starts another checkout with it, and redeemed once
+    // the payment completes
+    const { data, error: checkoutError } = await supabase.rpc('create_checkout', {
+      p_user_id: req.user.id,
+      p_product_id: product.id,
+      p_provider: paymentProvider.name,
+      p_price: Number(product.price),
+      p_currency: paymentCurrency,
+      p_promo_code: promo_code ? String(promo_code) : null
+    });
+
+    if (checkoutError) throw checkoutError;
+
+    if (data.error) {
+      const [status, message] = PROMO_CODE_ERRORS[data.error];
+      return res.status(status).json({ error: message });
+    }
+
+    const { checkout } = data;
+    let session;
+    try {
+      session = await paymentProvider.createCheckout({
+        checkoutId: checkout.id,
+        product: { ...product, price: Number(checkout.amount) },
+        email: req.user.email,
+        expiresAt: checkout.expires_at,
+        successUrl: `${appUrl}/?checkout=success`,
+        cancelUrl: `${appUrl}/?checkout=cancelled`
+      });
+
+      const { error: updateError } = await supabase
+        .from('checkout_sessions')
+        .update({ provider_session_id: session.sessionId })
+        .eq('id', checkout.id);
+
+      if (updateError) throw updateError;
+    } catch (error) {
+      // Close the checkout the user never got to pay, so that it stops
+      // holding its discount code
+      await supabase
+        .from('checkout_sessions')
+        .update({ expires_at: new Date().toISOString() })
+        .eq('id', checkout.id);
+      throw error;
+    }
+
+    res.json({ checkout_id: checkout.id, url: session.url });
+  } catch (error) {
+    console.error('Checkout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Apply a provider webhook. complete_checkout() records the event id first,
+// so redelivered events are acknowledged without extending twice.
+const handlePaymentWebhook = async (rawBody, headers) => {
+  const event = paymentProvider.parseWebhook(rawBody, headers);
+
+  if (event.type !== 'checkout.completed' || !UUID_PATTERN.test(event.checkoutId || '')) {
+    return { received: true, status: 'ignored' };
+  }
+
+  const { data, error } = await supabase.rpc('complete_checkout', {
+    p_provider: paymentProvider.name,
+    p_event_id: event.eventId,
+    p_event_type: event.type,
+    p_checkout_id: event.checkoutId
+  });
+
+  if (error) throw error;
+  return { received: true, status: data.status };
+};
+
+app.post('/payments/webhook', async (req, res) => {
+  try {
+    if (!paymentProvider) {
+      return res.status(503).json({ error: 'Payments are not configured' });
+    }
+
+    res.json(await handlePaymentWebhook(req.rawBody || Buffer.alloc(0), req.headers));
+  } catch (error) {
+    if (error instanceof WebhookSignatureError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Hosted page of the fake provider: pays immediately by delivering a signed
+// webhook, then sends the user back to the app like a real provider would
+if (paymentProvider?.name === 'fake') {
+  app.get('/payments/fake/checkout/:id', async (req, res) => {
+    try {
+      const webhook = paymentProvider.createWebhook({ checkoutId: req.params.id });
+      await handlePaymentWebhook(Buffer.from(webhook.body), webhook.headers);
+      res.redirect(`${appUrl}/?checkout=success`);
+    } catch (error) {
+      console.error('Fake checkout error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+}
+
+// The signed-in user's invoices, newest first
+app.get('/invoices', requireUser, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('invoices')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('issued_at', { ascending: false });
+
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error('List invoices error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download one of the signed-in user's invoices as ?format=html (default) or pdf
+app.get('/invoices/:id/download', requireUser, async (req, res) => {
+  try {
+    const { data: invoice, error } = await supabase
+      .from('invoices')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (error || !invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    if (req.query.format === 'pdf') {
+      res.type('application/pdf');
+      res.attachment(`${invoice.invoice_number}.pdf`);
+      return res.send(renderInvoicePdf(invoice, invoiceIssuer));
+    }
+
+    res.type('html');
+    res.attachment(`${invoice.invoice_number}.html`);
+    res.send(renderInvoiceHtml(invoice, invoiceIssuer));
+  } catch (error) {
+    console.error('Download invoice error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin routes
+app.get('/admin/products', requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('products')
+      .select('*, plans(*)')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/admin/products', requireAdmin, async (req, res) => {
+  try {
+    const {
+      name, description, price, duration_days, max_devices,
+      release_cooldown_minutes, max_releases_per_period, trial_enabled, trial_days,
+      trial_requires_verified_email, is_active
+    } = req.body;
+    
+    const { data, error } = await supabase
+      .from('products')
+      .insert({
+        name,
+        description,
+        price: parseFloat(price) || 0,
+        duration_days: parseInt(duration_days) || 30,
+        max_devices: parseInt(max_devices) || 1,
+        release_cooldown_minutes: parseOptionalInt(release_cooldown_minutes) ?? 60,
+        max_releases_per_period: parseOptionalInt(max_releases_per_period),
+        trial_enabled: Boolean(trial_enabled),
+        trial_days: parseInt(trial_days) || 1,
+        trial_requires_verified_email: Boolean(trial_requires_verified_email),
+        is_active: Boolean(is_active)
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAdminAction(req, {
+      action: 'product.create',
+      targetType: 'product',
+      targetId: data.id,
+      after: data
+    });
+
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/admin/products/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      name, description, price, duration_days, max_devices,
+      release_cooldown_minutes, max_releases_per_period, trial_enabled, trial_days,
+      trial_requires_verified_email, is_active
+    } = req.body;
+
+    const { data: before, error: beforeError } = await supabase
+      .from('products')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (beforeError) throw beforeError;
+    
+    const { data, error } = await supabase
+      .from('products')
+      .update({
+        name,
+        description,
+        price: parseFloat(price),
+        duration_days: parseInt(duration_days),
+        max_devices: parseInt(max_devices) || 1,
+        release_cooldown_minutes: parseOptionalInt(release_cooldown_minutes) ?? 60,
+        max_releases_per_period: parseOptionalInt(max_releases_per_period),
+        trial_enabled: Boolean(trial_enabled),
+        trial_days: parseInt(trial_days) || 1,
+        trial_requires_verified_email: Boolean(trial_requires_verified_email),
+        is_active: Boolean(is_active)
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAdminAction(req, {
+      action: 'product.update',
+      targetType: 'product',
+      targetId: id,
+      before,
+      after: data
+    });
+
+    if (before.is_active !== data.is_active) {
+      await emitWebhookEvent(data.is_active ? 'product.activated' : 'product.deactivated', {
+        product_id: data.id,
+        name: data.name
+      });
+    }
+
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/admin/products/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: before, error: beforeError } = await supabase
+      .from('products')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (beforeError) throw beforeError;
+    
+    const { error } = await supabase
+      .from('products')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+
+    await recordAdminAction(req, {
+      action: 'product.delete',
+      targetType: 'product',
+      targetId: id,
+      before
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Plan fields from the admin UI. Making a plan the default for its status
+// clears the previous default first.
+const savePlan = async ({ id, productId, name, status, is_default, entitlements, quotas }) => {
+  const fields = {
+    name,
+    status,
+    is_default: Boolean(is_default),
+    entitlements: normalizeEntitlements(entitlements),
+    quotas: normalizeQuotas(quotas)
+  };
+
+  if (fields.is_default) {
+    let query = supabase
+      .from('plans')
+      .update({ is_default: false })
+      .eq('product_id', productId)
+      .eq('status', status)
+      .eq('is_default', true);
+
+    if (id) query = query.neq('id', id);
+
+    const { error } = await query;
+    if (error) throw error;
+  }
+
+  const query = id
+    ? supabase.from('plans').update(fields).eq('id', id)
+    : supabase.from('plans').insert({ ...fields, product_id: productId });
+
+  const { data, error } = await query.select().single();
+  if (error) throw error;
+  return data;
+};
+
+app.post('/admin/products/:id/plans', requireAdmin, async (req, res) => {
+  try {
+    const data = await savePlan({ ...req.body, productId: req.params.id });
+
+    await recordAdminAction(req, {
+      action: 'plan.create',
+      targetType: 'plan',
+      targetId: data.id,
+      after: data
+    });
+
+    res.json(data);
+  } catch (error) {
+    if (error instanceof EntitlementsError || error instanceof UsageError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/admin/plans/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: before, error: beforeError } = await supabase
+      .from('plans')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (beforeError) throw beforeError;
+
+    const data = await savePlan({ ...req.body, id, productId: before.product_id });
+
+    await recordAdminAction(req, {
+      action: 'plan.update',
+      targetType: 'plan',
+      targetId: id,
+      before,
+      after: data
+    });
+
+    res.json(data);
+  } catch (error) {
+    if (error instanceof EntitlementsError || error instanceof UsageError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/admin/plans/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: before, error } = await supabase
+      .from('plans')
+      .delete()
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAdminAction(req, {
+      action: 'plan.delete',
+      targetType: 'plan',
+      targetId: id,
+      before
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin user management
+const USER_SORTS = ['created_at', 'email', 'full_name'];
+const SUBSCRIPTION_STATUSES = ['free', 'trial', 'premium'];
+
+// Users with their subscriptions, keys and devices, one page at a time.
+// Filters: search (email, name, key prefix or device id fragment),
+// product_id and status of a subscription; sort is one of USER_SORTS and
+// order asc or desc (newest first by default). Pass next_cursor back as
+// `cursor` for the following page.
+app.get('/admin/users', requireAdmin, async (req, res) => {
+  try {
+    const { search, product_id, status, sort = 'created_at', order, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (!USER_SORTS.includes(sort)) {
+      return res.status(400).json({ error: `sort must be one of ${USER_SORTS.join(', ')}` });
+    }
+    if (status && !SUBSCRIPTION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${SUBSCRIPTION_STATUSES.join(', ')}` });
+    }
+
+    // "<id>:<sort value>" of the previous page's last row
+    const separator = cursor ? cursor.indexOf(':') : -1;
+    const validCursor = separator > 0 && UUID_PATTERN.test(cursor.slice(0, separator)) &&
+      (sort !== 'created_at' || isValidDate(cursor.slice(separator + 1)));
+    if (cursor && !validCursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const { data: page, error: pageError } = await supabase.rpc('admin_list_users', {
+      p_search: search?.trim() || null,
+      p_product_id: product_id || null,
+      p_status: status || null,
+      p_sort: sort,
+      p_ascending: order ? order === 'asc' : sort !== 'created_at',
+      p_after_id: cursor ? cursor.slice(0, separator) : null,
+      p_after_value: cursor ? cursor.slice(separator + 1) : null,
+      p_limit: limit
+    });
+
+    if (pageError) throw pageError;
+
+    let users = [];
+    if (page.length > 0) {
+      const { data, error } = await supabase
+        .from('users')
+        .select(`
+          *,
+          subscriptions(
+            id,
+            product_id,
+            status,
+            expires_at,
+            plan_id,
+            products(name),
+            plans(name)
+          ),
+          api_keys(
+            id,
+            product_id,
+            key_prefix,
+            previous_key_expires_at,
+            products(name, max_devices),
+            key_devices(id, device_id, first_seen_at, last_seen_at)
+          )
+        `)
+        .in('id', page.map((row) => row.id));
+
+      if (error) throw error;
+
+      // in() does not keep the page's order
+      const byId = new Map(data.map((user) => [user.id, user]));
+      users = page.map((row) => byId.get(row.id)).filter(Boolean);
+    }
+
+    const last = page[page.length - 1];
+    res.json({
+      users,
+      next_cursor: page.length === limit ? `${last.id}:${last.sort_value}` : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// How days or expires_at set a trial or premium expiry: extend adds to the
+// time left, set is an absolute date and reset counts from today
+const SUBSCRIPTION_CHANGE_MODES = ['extend', 'set', 'reset'];
+
+app.put('/admin/users/:id/subscription', requireAdmin, async (req, res) => {
+  try {
+    const { id: user_id } = req.params;
+    const { product_id, status, mode = 'extend', days, expires_at, plan_id } = req.body;
+
+    if (!product_id) {
+      return res.status(400).json({ error: 'product_id is required' });
+    }
+    if (!SUBSCRIPTION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${SUBSCRIPTION_STATUSES.join(', ')}` });
+    }
+    if (!SUBSCRIPTION_CHANGE_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of ${SUBSCRIPTION_CHANGE_MODES.join(', ')}` });
+    }
+
+    // Without days an extend or reset keeps the current expiry
+    const dayCount = days == null || days === '' ? null : Number(days);
+    if (dayCount !== null && !(Number.isInteger(dayCount) && dayCount > 0)) {
+      return res.status(400).json({ error: 'days must be a positive whole number' });
+    }
+    if (status !== 'free' && mode === 'set' && !(new Date(expires_at) > new Date())) {
+      return res.status(400).json({ error: 'expires_at must be a future date' });
+    }
+
+    const { data, error } = await supabase.rpc('change_subscription', {
+      p_user_id: user_id,
+      p_product_id: product_id,
+      p_status: status,
+      p_mode: mode,
+      p_days: dayCount,
+      p_expires_at: mode === 'set' ? expires_at : null,
+      p_plan_id: plan_id || null,
+      p_set_plan: plan_id !== undefined,
+      p_changed_by: req.user.id
+    });
+
+    if (error) throw error;
+
+    const { before, after } = data;
+    await recordAdminAction(req, {
+      action: 'subscription.update',
+      targetType: 'subscription',
+      targetId: after.id,
+      before,
+      after
+    });
+
+    await emitWebhookEvent('subscription.updated', subscriptionEventData(after, before?.status));
+
+    res.json(after);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Changes to a user's subscriptions, newest first, from every source (see
+// subscription_history); product_id narrows it to one product
+app.get('/admin/users/:id/subscription-history', requireAdmin, async (req, res) => {
+  try {
+    const { product_id } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    let query = supabase
+      .from('subscription_history')
+      .select('*, products(name)')
+      .eq('user_id', req.params.id)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (product_id) query = query.eq('product_id', product_id);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/admin/users/:id/release-device', requireAdmin, async (req, res) => {
+  try {
+    const { id: user_id } = req.params;
+    const { product_id, device_id } = req.body;
+
+    const { data: keyData, error: keyError } = await supabase
+      .from('api_keys')
+      .select('id, user_id, product_id, key_devices(device_id, first_seen_at, last_seen_at)')
+      .eq('user_id', user_id)
+      .eq('product_id', product_id)
+      .single();
+
+    if (keyError) throw keyError;
+
+    const released = await releaseDevices(licenseStore, keyData, device_id, 'admin');
+
+    const devices = keyData.key_devices || [];
+    await recordAdminAction(req, {
+      action: 'api_key.release_device',
+      targetType: 'api_key',
+      targetId: keyData.id,
+      before: { devices },
+      after: { devices: device_id ? devices.filter((device) => device.device_id !== device_id) : [] }
+    });
+
+    res.json({ success: true, released, message: 'Device binding released' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/admin/users/:id/rotate-key', requireAdmin, async (req, res) => {
+  try {
+    const { id: user_id } = req.params;
+    const { product_id, overlap_hours } = req.body;
+
+    const { data: keyData, error: keyError } = await supabase
+      .from('api_keys')
+      .select('id, key_prefix')
+      .eq('user_id', user_id)
+      .eq('product_id', product_id)
+      .single();
+
+    if (keyError) throw keyError;
+
+    const rotated = await rotateApiKey(keyData.id, overlap_hours);
+
+    await recordAdminAction(req, {
+      action: 'api_key.rotate',
+      targetType: 'api_key',
+      targetId: keyData.id,
+      before: { key_prefix: keyData.key_prefix },
+      after: { key_prefix: rotated.key_prefix, previous_key_expires_at: rotated.previous_key_expires_at }
+    });
+
+    res.json(rotated);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Bulk subscription changes
+const BULK_ACTIONS = ['grant', 'extend', 'revoke'];
+
+// Grant, extend or revoke premium days on a product for the users in
+// user_ids or matching filter ({ search, product_id, status }, as on
+// GET /admin/users). With dry_run only the number of affected users is
+// returned; otherwise a job is queued and applied in the background by
+// runBulkJobs, and its progress can be followed on /admin/bulk-jobs/:id.
+app.post('/admin/subscriptions/bulk', requireAdmin, async (req, res) => {
+  try {
+    const { action, product_id, days, user_ids, filter, dry_run = false } = req.body;
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of ${BULK_ACTIONS.join(', ')}` });
+    }
+    if (!product_id) {
+      return res.status(400).json({ error: 'product_id is required' });
+    }
+    if (days == null ? action !== 'revoke' : !(Number.isInteger(days) && days > 0)) {
+      return res.status(400).json({ error: 'days must be a positive whole number' });
+    }
+    if (!user_ids === !filter) {
+      return res.status(400).json({ error: 'Pass either user_ids or filter' });
+    }
+    if (user_ids && (!Array.isArray(user_ids) || user_ids.length === 0 || !user_ids.every((id) => UUID_PATTERN.test(id)))) {
+      return res.status(400).json({ error: 'user_ids must be a non-empty list of user ids' });
+    }
+    if (filter && (typeof filter !== 'object' || Array.isArray(filter))) {
+      return res.status(400).json({ error: 'filter must be an object' });
+    }
+    if (filter?.status && !SUBSCRIPTION_STATUSES.includes(filter.status)) {
+      return res.status(400).json({ error: `status must be one of ${SUBSCRIPTION_STATUSES.join(', ')}` });
+    }
+
+    const { data: job, error } = await supabase.rpc('create_bulk_job', {
+      p_action: action,
+      p_product_id: product_id,
+      p_days: days ?? null,
+      p_user_ids: user_ids || null,
+      p_filter: filter && {
+        search: filter.search?.trim() || null,
+        product_id: filter.product_id || null,
+        status: filter.status || null
+      },
+      p_created_by: req.user.id,
+      p_dry_run: dry_run === true
+    });
+
+    if (error) throw error;
+
+    if (dry_run === true) {
+      return res.json({ count: job.count });
+    }
+    if (!job.id) {
+      return res.status(400).json({ error: 'No subscriptions match' });
+    }
+
+    await recordAdminAction(req, {
+      action: 'subscription.bulk_update',
+      targetType: 'bulk_job',
+      targetId: job.id,
+      after: { action, product_id, days: job.days, total: job.total, target: job.target }
+    });
+
+    // Start right away rather than on the next scheduled run
+    runBulkJobs().catch((runError) => console.error('Bulk job error:', runError));
+
+    res.status(202).json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/admin/bulk-jobs', requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('bulk_jobs')
+      .select('*, products(name)')
+      .order('created_at', { ascending: false })
+      .limit(20);
+
+    if (error) throw error;
+
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/admin/bulk-jobs/:id', requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('bulk_jobs')
+      .select('*, products(name)')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ error: 'Bulk job not found' });
+    }
+
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin audit trail, newest first. Filters: action, target_type, target_id,
+// actor (email fragment) and a `before` cursor.
+app.get('/admin/audit-log', requireAdmin, async (req, res) => {
+  try {
+    const { action, target_type, target_id, actor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const { dates, error: dateError } = parseQueryDates(req.query, ['before']);
+    if (dateError) {
+      return res.status(400).json({ error: dateError });
+    }
+
+    let query = supabase
+      .from('admin_audit_log')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (action) query = query.eq('action', action);
+    if (target_type) query = query.eq('target_type', target_type);
+    if (target_id) query = query.eq('target_id', target_id);
+    if (actor) query = query.ilike('actor_email', `%${actor.replace(/[%_,()]/g, '')}%`);
+    if (dates.before) query = query.lt('created_at', dates.before.toISOString());
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    res.json({
+      entries: data,
+      next_before: data.length === limit ? data[data.length - 1].created_at : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Verification and release history, newest first. Filters: user (email or
+// name fragment), product_id, result, endpoint, from/to (ISO dates) and a
+// `before` cursor taken from the last row of the previous page.
+app.get('/admin/activity', requireAdmin, async (req, res) => {
+  try {
+    const { user, product_id, result, endpoint } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const { dates, error: dateError } = parseQueryDates(req.query, ['from', 'to', 'before']);
+    if (dateError) {
+      return res.status(400).json({ error: dateError });
+    }
+
+    let query = supabase
+      .from('verification_events')
+      .select('*, users(email, full_name), products(name)')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (user) {
+      const pattern = `%${user.replace(/[%_,()]/g, '')}%`;
+      const { data: users, error: usersError } = await supabase
+        .from('users')
+        .select('id')
+        .or(`email.ilike.${pattern},full_name.ilike.${pattern}`);
+
+      if (usersError) throw usersError;
+      query = query.in('user_id', users.map((u) => u.id));
+    }
+
+    if (product_id) query = query.eq('product_id', product_id);
+    if (result) query = query.eq('result', result);
+    if (endpoint) query = query.eq('endpoint', endpoint);
+    if (dates.from) query = query.gte('created_at', dates.from.toISOString());
+    if (dates.to) query = query.lte('created_at', dates.to.toISOString());
+    if (dates.before) query = query.lt('created_at', dates.before.toISOString());
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    res.json({
+      events: data,
+      next_before: data.length === limit ? data[data.length - 1].created_at : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Keys and IPs that are being throttled or turned away for too many devices
+app.get('/admin/abuse', requireAdmin, async (req, res) => {
+  try {
+    const hours = parseInt(req.query.hours) || 24;
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    const { data: events, error } = await supabase
+      .from('abuse_events')
+      .select('*')
+      .gte('created_at', since.toISOString())
+      .order('created_at', { ascending: false })
+      .limit(5000);
+
+    if (error) throw error;
+
+    const keys = new Map();
+    const ips = new Map();
+
+    for (const event of events) {
+      if (event.scope === 'ip') {
+        const entry = ips.get(event.ip) || { ip: event.ip, rate_limited: 0, last_event_at: event.created_at };
+        entry.rate_limited += 1;
+        ips.set(event.ip, entry);
+        continue;
+      }
+
+      if (!event.key_prefix) continue;
 
-    const { users: user, products: product, subscriptions: subscription } = keyData;
+      const entry = keys.get(event.key_prefix) || {
+        key_prefix: event.key_prefix,
+        rate_limited: 0,
+        rejected_devices: new Set(),
+        ips: new Set(),
+        last_event_at: event.created_at
+      };
 
-    // Check if product is active (kill switch)
-    if (!product.is_active) {
-      return res.json({
-        valid: false,
-        product: product.name,
-        active: false,
-        message: 'This product is no longer available.'
-      });
+      if (event.reason === 'rate_limited') entry.rate_limited += 1;
+      if (event.reason === 'device_limit') entry.rejected_devices.add(event.device_id);
+      entry.ips.add(event.ip);
+      keys.set(event.key_prefix, entry);
     }
 
-    // Handle device binding
-    if (!keyData.device_id) {
-      // First use - bind to device
-      await supabase
-        .from('api_keys')
-        .update({ device_id })
-        .eq('id', keyData.id);
-    } else if (keyData.device_id !== device_id) {
-      // Different device
-      return res.json({
-        valid: false,
-        error: 'API key is bound to a different device',
-        message: 'Use /release-device to unbind this key first.'
-      });
-    }
+    // Attach owner and product for prefixes that belong to a real key
+    const { data: apiKeys, error: keysError } = await supabase
+      .from('api_keys')
+      .select('key_prefix, users(email), products(name)')
+      .in('key_prefix', [...keys.keys()]);
 
-    // Handle trial logic for free users
-    if (subscription.status === 'free' && product.trial_enabled && !subscription.trial_used) {
-      // Start trial
-      const expiresAt = new Date();
-      expiresAt.setDate(expiresAt.getDate() + 1); // 1 day trial
+    if (keysError) throw keysError;
+    const owners = new Map(apiKeys.map((key) => [key.key_prefix, key]));
 
-      await supabase
-        .from('subscriptions')
-        .update({
-          status: 'trial',
-          expires_at: expiresAt.toISOString(),
-          trial_used: true
-        })
-        .eq('id', subscription.id);
+    res.json({
+      since: since.toISOString(),
+      keys: [...keys.values()]
+        .map((entry) => ({
+          ...entry,
+          user: owners.get(entry.key_prefix)?.users?.email || null,
+          product: owners.get(entry.key_prefix)?.products?.name || null,
+          rejected_devices: entry.rejected_devices.size,
+          ips: entry.ips.size
+        }))
+        .sort((a, b) => b.rejected_devices - a.rejected_devices || b.rate_limited - a.rate_limited),
+      ips: [...ips.values()].sort((a, b) => b.rate_limited - a.rate_limited)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      return res.json({
-        valid: true,
-        user: user.full_name || user.email,
-        product: product.name,
-        status: 'trial',
-        days_left: 1,
-        expires_at: expiresAt.toISOString(),
-        device_id,
-        message: 'Trial activated! You have 1 day of premium access.'
-      });
+// Revenue per product and currency between ?from and ?to (default: last 30 days)
+app.get('/admin/revenue', requireAdmin, async (req, res) => {
+  try {
+    const { dates, error: dateError } = parseQueryDates(req.query, ['from', 'to']);
+    if (dateError) {
+      return res.status(400).json({ error: dateError });
     }
 
-    // Check subscription status
-    const now = new Date();
-    const expiresAt = subscription.expires_at ? new Date(subscription.expires_at) : null;
+    const to = dates.to || new Date();
+    const from = dates.from || new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
 
-    // Auto-revert expired subscriptions
-    if ((subscription.status === 'trial' || subscription.status === 'premium') && 
-        expiresAt && expiresAt < now) {
-      await supabase
-        .from('subscriptions')
-        .update({ status: 'free', expires_at: null })
-        .eq('id', subscription.id);
-      
-      subscription.status = 'free';
-      subscription.expires_at = null;
-    }
+    const { data: payments, error } = await supabase
+      .from('payments')
+      .select('product_id, amount, currency, paid_at, products(name)')
+      .gte('paid_at', from.toISOString())
+      .lte('paid_at', to.toISOString());
 
-    // Prepare response based on status
-    const response = {
-      valid: true,
-      user: user.full_name || user.email,
-      product: product.name,
-      status: subscription.status,
-      device_id
-    };
+    if (error) throw error;
 
-    if (subscription.status === 'premium' || subscription.status === 'trial') {
-      const daysLeft = Math.ceil((expiresAt - now) / (1000 * 60 * 60 * 24));
-      response.days_left = Math.max(0, daysLeft);
-      response.expires_at = subscription.expires_at;
-    }
+    const rows = new Map();
+    for (const payment of payments) {
+      const key = `${payment.product_id}:${payment.currency}`;
+      const entry = rows.get(key) || {
+        product_id: payment.product_id,
+        product: payment.products?.name || null,
+        currency: payment.currency,
+        payments: 0,
+        revenue: 0,
+        last_paid_at: payment.paid_at
+      };
 
-    if (subscription.status === 'free' && !product.trial_enabled) {
-      response.message = 'Trial not available for this product.';
+      entry.payments += 1;
+      entry.revenue += Number(payment.amount);
+      if (payment.paid_at > entry.last_paid_at) entry.last_paid_at = payment.paid_at;
+      rows.set(key, entry);
     }
 
-    res.json(response);
-
-  } catch (error) {
-    console.error('Verify error:', error);
-    res.status(500).json({
-      valid: false,
-      error: 'Internal server error'
+    res.json({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      products: [...rows.values()]
+        .map((entry) => ({ ...entry, revenue: Math.round(entry.revenue * 100) / 100 }))
+        .sort((a, b) => b.revenue - a.revenue)
     });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Release device binding
-app.post('/release-device', async (req, res) => {
+// Daily usage totals per product and metric over the last ?days (default
+// 30), optionally for one ?product_id, plus the heaviest keys
+app.get('/admin/usage', requireAdmin, async (req, res) => {
   try {
-    const { api_key } = req.body;
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
 
-    if (!api_key) {
-      return res.status(400).json({ error: 'api_key is required' });
-    }
+    let query = supabase
+      .from('usage_daily')
+      .select('api_key_id, product_id, metric, day, count, products(name), api_keys(key_prefix, users(email))')
+      .gte('day', since)
+      .limit(10000);
 
-    const { data, error } = await supabase
-      .from('api_keys')
-      .update({ device_id: null })
-      .eq('key_value', api_key)
-      .select()
-      .single();
+    if (req.query.product_id) query = query.eq('product_id', req.query.product_id);
 
-    if (error || !data) {
-      return res.status(404).json({ error: 'API key not found' });
+    const { data: rows, error } = await query;
+    if (error) throw error;
+
+    const products = new Map();
+    const keys = new Map();
+
+    for (const row of rows) {
+      const product = products.get(row.product_id) || {
+        product_id: row.product_id,
+        product: row.products?.name || null,
+        totals: {},
+        daily: {}
+      };
+      product.totals[row.metric] = (product.totals[row.metric] || 0) + Number(row.count);
+      const dayKey = `${row.day}:${row.metric}`;
+      product.daily[dayKey] = (product.daily[dayKey] || 0) + Number(row.count);
+      products.set(row.product_id, product);
+
+      const key = keys.get(row.api_key_id) || {
+        api_key_id: row.api_key_id,
+        key_prefix: row.api_keys?.key_prefix || null,
+        user: row.api_keys?.users?.email || null,
+        product: row.products?.name || null,
+        total: 0
+      };
+      key.total += Number(row.count);
+      keys.set(row.api_key_id, key);
     }
 
     res.json({
-      success: true,
-      message: 'Device binding released successfully'
+      since,
+      products: [...products.values()].map((product) => ({
+        ...product,
+        daily: Object.entries(product.daily)
+          .map(([dayKey, count]) => {
+            const [day, metric] = dayKey.split(':');
+            return { day, metric, count };
+          })
+          .sort((a, b) => a.day.localeCompare(b.day))
+      })),
+      top_keys: [...keys.values()].sort((a, b) => b.total - a.total).slice(0, 20)
     });
-
   } catch (error) {
-    console.error('Release device error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Admin routes
-app.get('/admin/products', requireAdmin, async (req, res) => {
+// Outgoing webhook endpoints. The signing secret is generated here and
+// shown to admins so receivers can verify payloads; it is kept out of the
+// audit log.
+const withoutSecret = (endpoint) => {
+  if (!endpoint) return endpoint;
+  const { secret, ...rest } = endpoint;
+  return rest;
+};
+
+// Endpoint fields from the admin UI, or { error } when invalid
+const parseWebhookEndpoint = ({ url, description, events, is_active }) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { error: 'url must be a valid URL' };
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return { error: 'url must use http or https' };
+  }
+
+  const eventList = events || [];
+  if (!Array.isArray(eventList)) {
+    return { error: 'events must be a list of event types' };
+  }
+
+  const unknown = eventList.filter((event) => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return { error: `Unknown webhook events: ${unknown.join(', ')}` };
+  }
+
+  return {
+    fields: {
+      url: parsed.toString(),
+      description: description || null,
+      events: eventList,
+      is_active: is_active === undefined ? true : Boolean(is_active)
+    }
+  };
+};
+
+app.get('/admin/webhooks', requireAdmin, async (req, res) => {
   try {
     const { data, error } = await supabase
-      .from('products')
+      .from('webhook_endpoints')
       .select('*')
       .order('created_at', { ascending: false });
 
     if (error) throw error;
-    res.json(data);
+    res.json({ endpoints: data, events: WEBHOOK_EVENTS });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/admin/products', requireAdmin, async (req, res) => {
+app.post('/admin/webhooks', requireAdmin, async (req, res) => {
   try {
-    const { name, description, price, duration_days, trial_enabled, is_active } = req.body;
-    
+    const { fields, error: invalid } = parseWebhookEndpoint(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
     const { data, error } = await supabase
-      .from('products')
-      .insert({
-        name,
-        description,
-        price: parseFloat(price) || 0,
-        duration_days: parseInt(duration_days) || 30,
-        trial_enabled: Boolean(trial_enabled),
-        is_active: Boolean(is_active)
-      })
+      .from('webhook_endpoints')
+      .insert({ ...fields, secret: createWebhookSecret() })
       .select()
       .single();
 
     if (error) throw error;
+
+    await recordAdminAction(req, {
+      action: 'webhook.create',
+      targetType: 'webhook_endpoint',
+      targetId: data.id,
+      after: withoutSecret(data)
+    });
+
     res.json(data);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.put('/admin/products/:id', requireAdmin, async (req, res) => {
+app.put('/admin/webhooks/:id', requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, price, duration_days, trial_enabled, is_active } = req.body;
-    
+    const { fields, error: invalid } = parseWebhookEndpoint(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { data: before, error: beforeError } = await supabase
+      .from('webhook_endpoints')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (beforeError) throw beforeError;
+
     const { data, error } = await supabase
-      .from('products')
-      .update({
-        name,
-        description,
-        price: parseFloat(price),
-        duration_days: parseInt(duration_days),
-        trial_enabled: Boolean(trial_enabled),
-        is_active: Boolean(is_active)
-      })
+      .from('webhook_endpoints')
+      .update({ ...fields, ...(req.body.rotate_secret && { secret: createWebhookSecret() }) })
       .eq('id', id)
       .select()
       .single();
 
     if (error) throw error;
+
+    await recordAdminAction(req, {
+      action: req.body.rotate_secret ? 'webhook.rotate_secret' : 'webhook.update',
+      targetType: 'webhook_endpoint',
+      targetId: id,
+      before: withoutSecret(before),
+      after: withoutSecret(data)
+    });
+
     res.json(data);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.delete('/admin/products/:id', requireAdmin, async (req, res) => {
+app.delete('/admin/webhooks/:id', requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    
+
+    const { data: before, error: beforeError } = await supabase
+      .from('webhook_endpoints')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (beforeError) throw beforeError;
+
     const { error } = await supabase
-      .from('products')
+      .from('webhook_endpoints')
       .delete()
       .eq('id', id);
 
     if (error) throw error;
+
+    await recordAdminAction(req, {
+      action: 'webhook.delete',
+      targetType: 'webhook_endpoint',
+      targetId: id,
+      before: withoutSecret(before)
+    });
+
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Admin user management
-app.get('/admin/users', requireAdmin, async (req, res) => {
+// Delivery log of one endpoint, newest first. Filters: status and a
+// `before` cursor.
+app.get('/admin/webhooks/:id/deliveries', requireAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const { dates, error: dateError } = parseQueryDates(req.query, ['before']);
+    if (dateError) {
+      return res.status(400).json({ error: dateError });
+    }
+
+    let query = supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('endpoint_id', req.params.id)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (status) query = query.eq('status', status);
+    if (dates.before) query = query.lt('created_at', dates.before.toISOString());
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    res.json({
+      deliveries: data,
+      next_before: data.length === limit ? data[data.length - 1].created_at : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Queue a delivery to be sent again on the next dispatch, with a fresh set
+// of retries. The payload (and event id) stay the same so receivers can
+// dedupe.
+app.post('/admin/webhook-deliveries/:id/redeliver', requireAdmin, async (req, res) => {
   try {
     const { data, error } = await supabase
-      .from('users')
-      .select(`
-        *,
-        subscriptions(
-          id,
-          status,
-          expires_at,
-          products(name)
-        ),
-        api_keys(
-          id,
-          device_id,
-          products(name)
-        )
-      `)
-      .order('created_at', { ascending: false });
+      .from('webhook_deliveries')
+      .update({ status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select()
+      .single();
 
     if (error) throw error;
+
+    await recordAdminAction(req, {
+      action: 'webhook.redeliver',
+      targetType: 'webhook_delivery',
+      targetId: data.id,
+      after: { event_id: data.event_id, event_type: data.event_type }
+    });
+
     res.json(data);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.put('/admin/users/:id/subscription', requireAdmin, async (req, res) => {
-  try {
-    const { id: user_id } = req.params;
-    const { product_id, status, days } = req.body;
+// Promo codes
+const PROMO_CODE_KINDS = ['premium_days', 'discount'];
 
-    let updateData = { status };
-    
-    if (status === 'premium' && days) {
-      const expiresAt = new Date();
-      expiresAt.setDate(expiresAt.getDate() + parseInt(days));
-      updateData.expires_at = expiresAt.toISOString();
-    } else if (status === 'free') {
-      updateData.expires_at = null;
+// Promo code fields from the admin UI, or { error } when invalid. A blank
+// code is generated.
+const parsePromoCode = ({ code, product_id, kind, days, percent_off, max_redemptions, expires_at, is_active }) => {
+  const normalizedCode = (code || crypto.randomBytes(4).toString('hex')).trim().toUpperCase();
+  if (!/^[A-Z0-9_-]{3,40}$/.test(normalizedCode)) {
+    return { error: 'code must be 3 to 40 letters, digits, - or _' };
+  }
+  if (!product_id) {
+    return { error: 'product_id is required' };
+  }
+  if (!PROMO_CODE_KINDS.includes(kind)) {
+    return { error: `kind must be one of ${PROMO_CODE_KINDS.join(', ')}` };
+  }
+
+  const dayCount = Number(days);
+  if (kind === 'premium_days' && !(Number.isInteger(dayCount) && dayCount > 0)) {
+    return { error: 'days must be a positive whole number' };
+  }
+  const percent = Number(percent_off);
+  if (kind === 'discount' && !(Number.isInteger(percent) && percent >= 1 && percent <= 99)) {
+    return { error: 'percent_off must be a whole number from 1 to 99' };
+  }
+
+  const maxRedemptions = parseOptionalInt(max_redemptions);
+  if (maxRedemptions !== null && maxRedemptions < 1) {
+    return { error: 'max_redemptions must be at least 1' };
+  }
+
+  const expiresAt = expires_at ? new Date(expires_at) : null;
+  if (expiresAt && Number.isNaN(expiresAt.getTime())) {
+    return { error: 'expires_at must be a date' };
+  }
+
+  return {
+    fields: {
+      code: normalizedCode,
+      product_id,
+      kind,
+      days: kind === 'premium_days' ? dayCount : null,
+      percent_off: kind === 'discount' ? percent : null,
+      max_redemptions: maxRedemptions,
+      expires_at: expiresAt && expiresAt.toISOString(),
+      is_active: is_active === undefined ? true : Boolean(is_active)
     }
+  };
+};
 
-    // Ensure subscription exists first
-    await supabase.rpc('ensure_subscription', {
-      p_user_id: user_id,
-      p_product_id: product_id
-    });
+const duplicatePromoCode = (res) =>
+  res.status(409).json({ error: 'A promo code with this code already exists' });
 
+app.get('/admin/promo-codes', requireAdmin, async (req, res) => {
+  try {
     const { data, error } = await supabase
-      .from('subscriptions')
-      .update(updateData)
-      .eq('user_id', user_id)
-      .eq('product_id', product_id)
+      .from('promo_codes')
+      .select('*, products(name)')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/admin/promo-codes', requireAdmin, async (req, res) => {
+  try {
+    const { fields, error: invalid } = parsePromoCode(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { data, error } = await supabase
+      .from('promo_codes')
+      .insert({ ...fields, created_by: req.user.id })
       .select()
       .single();
 
+    if (error?.code === '23505') return duplicatePromoCode(res);
     if (error) throw error;
+
+    await recordAdminAction(req, {
+      action: 'promo_code.create',
+      targetType: 'promo_code',
+      targetId: data.id,
+      after: data
+    });
+
     res.json(data);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/admin/users/:id/release-device', requireAdmin, async (req, res) => {
+// Redemptions so far are kept when a code is edited or switched off
+app.put('/admin/promo-codes/:id', requireAdmin, async (req, res) => {
   try {
-    const { id: user_id } = req.params;
-    const { product_id } = req.body;
+    const { id } = req.params;
+    const { fields, error: invalid } = parsePromoCode(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { data: before, error: beforeError } = await supabase
+      .from('promo_codes')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (beforeError) throw beforeError;
 
     const { data, error } = await supabase
-      .from('api_keys')
-      .update({ device_id: null })
-      .eq('user_id', user_id)
-      .eq('product_id', product_id)
+      .from('promo_codes')
+      .update(fields)
+      .eq('id', id)
       .select()
       .single();
 
+    if (error?.code === '23505') return duplicatePromoCode(res);
     if (error) throw error;
-    res.json({ success: true, message: 'Device binding released' });
+
+    await recordAdminAction(req, {
+      action: 'promo_code.update',
+      targetType: 'promo_code',
+      targetId: id,
+      before,
+      after: data
+    });
+
+    res.json(data);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -378,8 +2145,214 @@ app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-app.listen(port, () => {
-  console.log(`API server running on port ${port}`);
-});
+// Scheduled jobs
+const DAY_MS = 24 * 60 * 60 * 1000;
+const expiryJobIntervalSeconds = parseInt(process.env.EXPIRY_JOB_INTERVAL_SECONDS ?? '300');
+const webhookDispatchIntervalSeconds = parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_SECONDS ?? '10');
+const bulkJobIntervalSeconds = parseInt(process.env.BULK_JOB_INTERVAL_SECONDS ?? '5');
+
+// Days before expiry to send reminders; 0 is the "has expired" notice
+const expiryReminderDays = (process.env.EXPIRY_REMINDER_DAYS ?? '7,1,0')
+  .split(',')
+  .map((days) => parseInt(days))
+  .filter((days) => days >= 0);
+
+// Mail the reminder for the nearest offset each active subscription has
+// reached. Offsets are claimed in expiry_reminders before mailing, so every
+// reminder goes out once even with several server instances; further-out
+// offsets reached at the same time (e.g. after downtime) are claimed too but
+// not mailed.
+const sendExpiryReminders = async (now = new Date()) => {
+  if (expiryReminderDays.length === 0) return 0;
+
+  const horizon = new Date(now.getTime() + Math.max(...expiryReminderDays) * DAY_MS);
+
+  const { data: subscriptions, error } = await supabase
+    .from('subscriptions')
+    .select('id, status, expires_at, users(email, full_name), products(name)')
+    .in('status', ['trial', 'premium'])
+    .lte('expires_at', horizon.toISOString());
+
+  if (error) throw error;
+
+  let sent = 0;
+  for (const subscription of subscriptions) {
+    const msLeft = new Date(subscription.expires_at) - now;
+    const due = expiryReminderDays.filter((days) => msLeft <= days * DAY_MS);
+    if (due.length === 0 || !subscription.users?.email) continue;
+
+    const { data: claimed, error: claimError } = await supabase
+      .from('expiry_reminders')
+      .upsert(due.map((days) => ({
+        subscription_id: subscription.id,
+        expires_at: subscription.expires_at,
+        days_before: days
+      })), { onConflict: 'subscription_id,expires_at,days_before', ignoreDuplicates: true })
+      .select('id, days_before');
+
+    if (claimError) throw claimError;
+
+    const daysBefore = Math.min(...due);
+    const claim = claimed.find((row) => row.days_before === daysBefore);
+    if (!claim) continue;
+
+    try {
+      await mailer.send({
+        to: subscription.users.email,
+        ...expiryReminder({
+          name: subscription.users.full_name || subscription.users.email,
+          product: subscription.products?.name,
+          status: subscription.status,
+          expiresAt: subscription.expires_at,
+          daysBefore,
+          appUrl
+        })
+      });
+      sent += 1;
+    } catch (mailError) {
+      // Release the claim so the next run retries
+      console.error('Expiry reminder error:', mailError);
+      await supabase.from('expiry_reminders').delete().eq('id', claim.id);
+    }
+  }
+
+  return sent;
+};
+
+// Send due webhook deliveries. A failed attempt is retried with
+// exponential backoff (see nextRetryDelay) until MAX_ATTEMPTS, after which
+// the delivery is marked failed and can only be redelivered by an admin.
+const dispatchWebhooks = async () => {
+  const { data: deliveries, error } = await supabase.rpc('claim_webhook_deliveries', { p_limit: 20 });
+  if (error) throw error;
+  if (deliveries.length === 0) return null;
+
+  const { data: endpoints, error: endpointError } = await supabase
+    .from('webhook_endpoints')
+    .select('id, url, secret, is_active')
+    .in('id', [...new Set(deliveries.map((delivery) => delivery.endpoint_id))]);
+
+  if (endpointError) throw endpointError;
+
+  const summary = { succeeded: 0, retrying: 0, failed: 0 };
+  for (const delivery of deliveries) {
+    const endpoint = endpoints.find((row) => row.id === delivery.endpoint_id);
+    const attempts = delivery.attempts + 1;
+
+    const result = endpoint?.is_active
+      ? await sendWebhook({
+        url: endpoint.url,
+        secret: endpoint.secret,
+        eventId: delivery.event_id,
+        eventType: delivery.event_type,
+        body: JSON.stringify(delivery.payload)
+      })
+      : { ok: false, status: null, error: 'Endpoint is disabled' };
+
+    const update = { attempts, last_status_code: result.status, last_error: result.error };
+    if (result.ok) {
+      update.status = 'succeeded';
+      update.delivered_at = new Date().toISOString();
+      summary.succeeded += 1;
+    } else if (!endpoint?.is_active || attempts >= MAX_ATTEMPTS) {
+      update.status = 'failed';
+      summary.failed += 1;
+    } else {
+      update.next_attempt_at = new Date(Date.now() + nextRetryDelay(attempts) * 1000).toISOString();
+      summary.retrying += 1;
+    }
+
+    const { error: updateError } = await supabase
+      .from('webhook_deliveries')
+      .update(update)
+      .eq('id', delivery.id);
+
+    if (updateError) throw updateError;
+  }
+
+  return summary;
+};
+
+// Apply pending bulk job items, oldest first, until none are left. Each
+// item is applied and counted in one apply_bulk_job_item call, which skips
+// items another run has already taken, so overlapping runs are harmless.
+const runBulkJobs = async () => {
+  const summary = { changed: 0, skipped: 0, failed: 0 };
+
+  for (;;) {
+    const { data: items, error } = await supabase
+      .from('bulk_job_items')
+      .select('id')
+      .eq('status', 'pending')
+      .order('created_at', { ascending: true })
+      .limit(100);
+
+    if (error) throw error;
+    if (items.length === 0) break;
+
+    let applied = 0;
+    for (const item of items) {
+      const { data: outcome, error: applyError } = await supabase.rpc('apply_bulk_job_item', { p_item_id: item.id });
+      if (applyError) throw applyError;
+      if (!outcome) continue;
+
+      applied += 1;
+      summary[outcome.status] += 1;
+      if (outcome.status === 'changed') {
+        await emitWebhookEvent('subscription.updated', subscriptionEventData(outcome.after, outcome.before?.status));
+      }
+    }
+
+    // Everything in this batch was taken by another run
+    if (applied === 0) break;
+  }
+
+  return summary.changed + summary.skipped + summary.failed > 0 ? summary : null;
+};
+
+// Reminders first: the "has expired" notice needs the subscription before
+// revert_expired_subscriptions() clears its expiry date
+const runExpiryJob = async () => {
+  const remindersSent = await sendExpiryReminders();
+
+  const { data: expired, error } = await supabase.rpc('revert_expired_subscriptions');
+  if (error) throw error;
+
+  return { reminders_sent: remindersSent, expired };
+};
+
+// Listen only when run directly, not when required by the tests
+if (require.main === module) {
+  loadSigningKey();
+
+  app.listen(port, () => {
+    console.log(`API server running on port ${port}`);
+
+    // EXPIRY_JOB_INTERVAL_SECONDS=0 disables the job (e.g. when pg_cron runs it)
+    if (expiryJobIntervalSeconds > 0) {
+      scheduleJob({
+        name: 'expiry',
+        intervalMs: expiryJobIntervalSeconds * 1000,
+        run: runExpiryJob
+      });
+    }
+
+    if (webhookDispatchIntervalSeconds > 0) {
+      scheduleJob({
+        name: 'webhooks',
+        intervalMs: webhookDispatchIntervalSeconds * 1000,
+        run: dispatchWebhooks
+      });
+    }
+
+    if (bulkJobIntervalSeconds > 0) {
+      scheduleJob({
+        name: 'bulk-jobs',
+        intervalMs: bulkJobIntervalSeconds * 1000,
+        run: runBulkJobs
+      });
+    }
+  });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,34 @@
+// Mirror of lib/apiKeys.js: keys are stored as sha256(salt || key) with a
+// random per-key salt, and looked up by their clear "sk_" + 8 hex prefix.
+
+const API_KEY_PATTERN = /^sk_[0-9a-f]{64}$/
+const KEY_PREFIX_LENGTH = 11
+
+const textEncoder = new TextEncoder()
+
+export function isWellFormedApiKey(apiKey: unknown): apiKey is string {
+  return typeof apiKey === 'string' && API_KEY_PATTERN.test(apiKey)
+}
+
+export function getKeyPrefix(apiKey: string) {
+  return apiKey.slice(0, KEY_PREFIX_LENGTH)
+}
+
+async function hashApiKey(apiKey: string, salt: string) {
+  const digest = await crypto.subtle.digest('SHA-256', textEncoder.encode(salt + apiKey))
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('')
+}
+
+export async function matchesKeyHash(apiKey: string, salt?: string | null, hash?: string | null) {
+  if (!salt || !hash) return false
+
+  const actual = await hashApiKey(apiKey, salt)
+  if (actual.length !== hash.length) return false
+
+  // Constant-time comparison
+  let diff = 0
+  for (let i = 0; i < actual.length; i++) {
+    diff |= actual.charCodeAt(i) ^ hash.charCodeAt(i)
+  }
+  return diff === 0
+}
@@ -0,0 +1,34 @@
+// Base64 and base64url on the runtime's atob/btoa, with the semantics of
+// std/encoding: strings are encoded as UTF-8 and decoding malformed input
+// throws.
+
+const textEncoder = new TextEncoder()
+
+function toBinaryString(data: ArrayBuffer | Uint8Array | string) {
+  const bytes = typeof data === 'string'
+    ? textEncoder.encode(data)
+    : new Uint8Array(data)
+
+  let binary = ''
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte)
+  }
+  return binary
+}
+
+export function encodeBase64(data: ArrayBuffer | Uint8Array | string) {
+  return btoa(toBinaryString(data))
+}
+
+export function encodeBase64Url(data: ArrayBuffer | Uint8Array | string) {
+  return encodeBase64(data).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_')
+}
+
+export function decodeBase64(encoded: string) {
+  const binary = atob(encoded)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
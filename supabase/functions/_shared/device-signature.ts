@@ -0,0 +1,40 @@
+import { decodeBase64, encodeBase64Url } from './base64.ts'
+
+// Mirror of lib/deviceSignature.js: bound devices prove who they are by
+// signing a single-use release challenge with the Ed25519 key they
+// registered through /verify.
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000
+
+function decodeOrNull(value: string) {
+  try {
+    return decodeBase64(value)
+  } catch {
+    return null
+  }
+}
+
+export function isValidDevicePublicKey(value: unknown): value is string {
+  return typeof value === 'string' && decodeOrNull(value)?.length === 32
+}
+
+export function createReleaseChallenge() {
+  return {
+    challenge: encodeBase64Url(crypto.getRandomValues(new Uint8Array(32))),
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS),
+  }
+}
+
+export async function verifyDeviceSignature(publicKey: unknown, message: string, signature: unknown) {
+  if (!isValidDevicePublicKey(publicKey) || typeof signature !== 'string') return false
+
+  const signatureBytes = decodeOrNull(signature)
+  if (!signatureBytes) return false
+
+  try {
+    const key = await crypto.subtle.importKey('raw', decodeBase64(publicKey), { name: 'Ed25519' }, false, ['verify'])
+    return await crypto.subtle.verify('Ed25519', key, signatureBytes, new TextEncoder().encode(message))
+  } catch {
+    return false
+  }
+}
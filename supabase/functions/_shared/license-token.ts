@@ -0,0 +1,138 @@
+import { decodeBase64, encodeBase64, encodeBase64Url } from './base64.ts'
+
+// Mirror of lib/licenseToken.js: same seed, same claims, same bytes.
+// Ed25519 signatures are deterministic, so both runtimes issue identical
+// tokens for the same verification.
+
+// DER header that wraps a raw Ed25519 seed into a PKCS#8 private key
+const PKCS8_ED25519_PREFIX = new Uint8Array([
+  0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06,
+  0x03, 0x2b, 0x65, 0x70, 0x04, 0x22, 0x04, 0x20,
+])
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60
+
+interface SigningKey {
+  privateKey: CryptoKey
+  kid: string
+  jwk: Record<string, string>
+  pem: string
+}
+
+interface LicenseClaims {
+  userId: string
+  user: string
+  product: string
+  productId: string
+  status: string
+  plan?: string | null
+  entitlements?: Record<string, boolean | number>
+  deviceId: string
+  expiresAt?: string | null
+}
+
+let cachedKey: Promise<SigningKey | null> | undefined
+
+const textEncoder = new TextEncoder()
+
+async function loadSigningKey(): Promise<SigningKey | null> {
+  const encodedSeed = Deno.env.get('LICENSE_SIGNING_KEY')
+  if (!encodedSeed) return null
+
+  const seed = decodeBase64(encodedSeed)
+  if (seed.length !== 32) {
+    throw new Error('LICENSE_SIGNING_KEY must be a base64-encoded 32-byte Ed25519 seed')
+  }
+
+  const pkcs8 = new Uint8Array(PKCS8_ED25519_PREFIX.length + seed.length)
+  pkcs8.set(PKCS8_ED25519_PREFIX)
+  pkcs8.set(seed, PKCS8_ED25519_PREFIX.length)
+
+  // Import once as extractable to recover the public half, then keep a
+  // non-extractable copy for signing
+  const extractable = await crypto.subtle.importKey('pkcs8', pkcs8, { name: 'Ed25519' }, true, ['sign'])
+  const { x } = await crypto.subtle.exportKey('jwk', extractable)
+  const privateKey = await crypto.subtle.importKey('pkcs8', pkcs8, { name: 'Ed25519' }, false, ['sign'])
+
+  const publicKey = await crypto.subtle.importKey(
+    'jwk',
+    { kty: 'OKP', crv: 'Ed25519', x },
+    { name: 'Ed25519' },
+    true,
+    ['verify']
+  )
+  const spki = await crypto.subtle.exportKey('spki', publicKey)
+
+  // RFC 7638 thumbprint, so clients can pick the right key after a rotation
+  const thumbprint = await crypto.subtle.digest(
+    'SHA-256',
+    textEncoder.encode(JSON.stringify({ crv: 'Ed25519', kty: 'OKP', x }))
+  )
+  const kid = encodeBase64Url(thumbprint)
+
+  return {
+    privateKey,
+    kid,
+    jwk: { kty: 'OKP', crv: 'Ed25519', x: x!, kid, alg: 'EdDSA', use: 'sig' },
+    pem: `-----BEGIN PUBLIC KEY-----\n${encodeBase64(spki)}\n-----END PUBLIC KEY-----\n`,
+  }
+}
+
+// A malformed key is logged once and treated as unset: the function has no
+// startup step to refuse to boot, and /verify must keep answering without
+// offline tokens rather than fail on every call
+function getSigningKey() {
+  if (!cachedKey) {
+    cachedKey = loadSigningKey().catch((error) => {
+      console.error('License signing disabled:', error)
+      return null
+    })
+  }
+  return cachedKey
+}
+
+function getTokenTtl() {
+  const ttl = parseInt(Deno.env.get('LICENSE_TOKEN_TTL_SECONDS') ?? '')
+  return ttl > 0 ? ttl : DEFAULT_TTL_SECONDS
+}
+
+// Returns null when no signing key is configured so /verify keeps working
+// without offline support.
+export async function createLicenseToken(claims: LicenseClaims, now = new Date()) {
+  const key = await getSigningKey()
+  if (!key) return null
+
+  const iat = Math.floor(now.getTime() / 1000)
+  let exp = iat + getTokenTtl()
+
+  // Never let a paid/trial claim outlive the subscription itself
+  if (claims.expiresAt) {
+    exp = Math.min(exp, Math.floor(new Date(claims.expiresAt).getTime() / 1000))
+  }
+
+  const header = { alg: 'EdDSA', typ: 'JWT', kid: key.kid }
+  const payload = {
+    sub: claims.userId,
+    user: claims.user,
+    product: claims.product,
+    product_id: claims.productId,
+    status: claims.status,
+    plan: claims.plan ?? null,
+    entitlements: claims.entitlements || {},
+    device_id: claims.deviceId,
+    expires_at: claims.expiresAt || null,
+    iat,
+    exp,
+  }
+
+  const signingInput = `${encodeBase64Url(JSON.stringify(header))}.${encodeBase64Url(JSON.stringify(payload))}`
+  const signature = await crypto.subtle.sign('Ed25519', key.privateKey, textEncoder.encode(signingInput))
+
+  return `${signingInput}.${encodeBase64Url(signature)}`
+}
+
+export async function getPublicKey() {
+  const key = await getSigningKey()
+  if (!key) return null
+
+  return { kid: key.kid, alg: 'EdDSA', jwk: key.jwk, pem: key.pem }
+}
@@ -0,0 +1,477 @@
+// Licensing rules shared by server.js and the api edge function: device
+// binding, trials, expiry, plan and quota resolution, release limits and
+// the shape of the /verify response.
+//
+// Plain JavaScript with no imports, so Node (require) and Deno (import)
+// load this same file. Data access goes through a license store, built by
+// createSupabaseLicenseStore() in both runtimes. Anything that needs
+// runtime-specific crypto (key hashing, token signing, public key checks)
+// is passed in by the caller.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Pick the plan that applies to a subscription from its product's plans: a
+// pinned plan_id while paid or on trial, otherwise the product's default
+// plan for the status (trials fall back to the premium default)
+export function resolvePlan(plans, subscription) {
+  const { status, plan_id: planId } = subscription
+  const defaultFor = (planStatus) =>
+    plans.find((plan) => plan.status === planStatus && plan.is_default) || null
+
+  if (status !== 'free' && planId) {
+    const pinned = plans.find((plan) => plan.id === planId)
+    if (pinned) return pinned
+  }
+
+  if (status === 'trial') return defaultFor('trial') || defaultFor('premium')
+  return defaultFor(status)
+}
+
+// { plan, entitlements } for a /verify response; an empty map when the
+// product has no plan for this status
+export function resolveEntitlements(plans, subscription) {
+  const plan = resolvePlan(plans || [], subscription)
+  return {
+    plan: plan ? plan.name : null,
+    entitlements: plan ? plan.entitlements || {} : {}
+  }
+}
+
+// Quotas are monthly allowances; the period is the calendar month in UTC
+export function currentPeriod(now = new Date()) {
+  return {
+    start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+    end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+  }
+}
+
+// Per-metric { used, limit, remaining } for every metric with a quota.
+// totals maps metrics to this period's usage.
+export function summarizeQuota(quotas, totals, now = new Date()) {
+  const metrics = {}
+  let exceeded = false
+
+  for (const [metric, limit] of Object.entries(quotas || {})) {
+    const used = Number(totals[metric] || 0)
+    metrics[metric] = { used, limit, remaining: Math.max(0, limit - used) }
+    if (used >= limit) exceeded = true
+  }
+
+  return { resets_at: currentPeriod(now).end.toISOString(), metrics, exceeded }
+}
+
+// This month's quota status for a key under the given plan, or null when
+// the plan meters nothing
+export async function getQuotaStatus(store, keyId, plan, now = new Date()) {
+  if (!plan || Object.keys(plan.quotas || {}).length === 0) return null
+  return summarizeQuota(plan.quotas, await store.getUsageTotals(keyId), now)
+}
+
+function quotaExceededBody(product, status, quota) {
+  return {
+    valid: false,
+    error: 'Usage quota exceeded',
+    product: product.name,
+    status,
+    quota,
+    message: `Your monthly quota resets at ${quota.resets_at}.`
+  }
+}
+
+const TRIAL_DEVICE_CLAIMED = 'A free trial for this product has already been used on this device.'
+const TRIAL_EMAIL_UNVERIFIED = 'Verify your email address to start the free trial.'
+
+// Trial policies the store cannot check itself: with
+// trial_requires_verified_email the owner's address must be verified. Only
+// asked when the key looks eligible for a trial.
+async function trialAllowed(store, keyData) {
+  const { products: product, subscriptions: subscription } = keyData
+  const eligible = subscription.status === 'free' && product.trial_enabled && !subscription.trial_used
+
+  return !(eligible && product.trial_requires_verified_email && !await store.isEmailVerified(keyData.user_id))
+}
+
+// Attach a signed offline license token to a successful verification when
+// the runtime has a signing key
+async function withLicenseToken(body, keyData, signLicense) {
+  const licenseToken = signLicense && await signLicense({
+    userId: keyData.user_id,
+    user: body.user,
+    product: body.product,
+    productId: keyData.product_id,
+    status: body.status,
+    plan: body.plan,
+    entitlements: body.entitlements,
+    deviceId: body.device_id,
+    expiresAt: body.expires_at
+  })
+
+  if (licenseToken) {
+    body.license_token = licenseToken
+  }
+  return body
+}
+
+// The /verify flow. request is the JSON body ({ api_key, device_id,
+// device_public_key }). Options: ip (for abuse events), now,
+// isValidDevicePublicKey and signLicense (claims -> token or null).
+// Resolves to { status, body, keyData }, keyData being the matched API key
+// or null.
+export async function verifyLicense(store, request, options = {}) {
+  const { api_key, device_id, device_public_key } = request || {}
+  const { ip = null, now = new Date(), isValidDevicePublicKey, signLicense } = options
+  const result = (body, status = 200, keyData = null) => ({ status, body, keyData })
+
+  if (!api_key || !device_id) {
+    return result({
+      valid: false,
+      error: 'api_key and device_id are required'
+    }, 400)
+  }
+
+  if (device_public_key && !isValidDevicePublicKey(device_public_key)) {
+    return result({
+      valid: false,
+      error: 'device_public_key must be a base64-encoded Ed25519 public key'
+    }, 400)
+  }
+
+  const keyData = await store.findKey(api_key)
+
+  if (!keyData) {
+    return result({
+      valid: false,
+      error: 'Invalid API key'
+    })
+  }
+
+  const { users: user, products: product } = keyData
+
+  // Check if product is active (kill switch)
+  if (!product.is_active) {
+    return result({
+      valid: false,
+      product: product.name,
+      active: false,
+      message: 'This product is no longer available.'
+    }, 200, keyData)
+  }
+
+  // Bind the device, start the trial or revert an expired subscription in a
+  // single atomic step, so concurrent calls cannot both take the last seat
+  // or both start the trial. The outcome says what this call changed.
+  const allowTrial = await trialAllowed(store, keyData)
+  const outcome = await store.applyVerification({
+    apiKeyId: keyData.id,
+    deviceId: device_id,
+    publicKey: device_public_key || null,
+    allowTrial
+  })
+
+  if (outcome.deviceLimit) {
+    // Every seat is taken by other devices. Many distinct devices being
+    // turned away is a sign the key is being shared.
+    await store.recordAbuse({
+      reason: 'device_limit',
+      scope: 'key',
+      ip,
+      key_prefix: keyData.key_prefix,
+      device_id
+    })
+
+    return result({
+      valid: false,
+      error: 'API key is bound to the maximum number of devices',
+      max_devices: outcome.maxDevices,
+      message: 'Use /release-device to unbind one of its devices first.'
+    }, 200, keyData)
+  }
+
+  if (outcome.bound) {
+    await store.emitEvent('device.bound', {
+      api_key_id: keyData.id,
+      user_id: keyData.user_id,
+      product_id: keyData.product_id,
+      device_id
+    })
+  }
+
+  const subscription = outcome.subscription
+
+  if (outcome.trialStarted) {
+    const trialDays = product.trial_days || 1
+
+    await store.emitEvent('trial.started', {
+      subscription_id: subscription.id,
+      user_id: keyData.user_id,
+      product_id: keyData.product_id,
+      device_id,
+      trial_days: trialDays,
+      expires_at: subscription.expires_at
+    })
+
+    const quota = await getQuotaStatus(store, keyData.id, resolvePlan(product.plans || [], subscription), now)
+    if (quota?.exceeded) {
+      return result(quotaExceededBody(product, 'trial', quota), 200, keyData)
+    }
+
+    return result(await withLicenseToken({
+      valid: true,
+      user: user.full_name || user.email,
+      product: product.name,
+      status: 'trial',
+      ...resolveEntitlements(product.plans, subscription),
+      ...(quota && { quota }),
+      days_left: trialDays,
+      expires_at: subscription.expires_at,
+      device_id,
+      message: `Trial activated! You have ${trialDays} day${trialDays === 1 ? '' : 's'} of premium access.`
+    }, keyData, signLicense), 200, keyData)
+  }
+
+  if (outcome.expired) {
+    await store.emitEvent('subscription.expired', {
+      subscription_id: subscription.id,
+      user_id: keyData.user_id,
+      product_id: keyData.product_id,
+      status: 'free',
+      previous_status: outcome.expired.previousStatus,
+      expired_at: outcome.expired.expiresAt
+    })
+  }
+
+  let trialRefusal = null
+  if (!allowTrial) {
+    trialRefusal = TRIAL_EMAIL_UNVERIFIED
+  } else if (outcome.trialRefused) {
+    trialRefusal = TRIAL_DEVICE_CLAIMED
+  }
+
+  const status = subscription.status
+  const expiresAt = subscription.expires_at ? new Date(subscription.expires_at) : null
+
+  // Refuse once any metered quota of the plan is used up
+  const quota = await getQuotaStatus(store, keyData.id, resolvePlan(product.plans || [], subscription), now)
+  if (quota?.exceeded) {
+    return result(quotaExceededBody(product, status, quota), 200, keyData)
+  }
+
+  // Prepare response based on status
+  const body = {
+    valid: true,
+    user: user.full_name || user.email,
+    product: product.name,
+    status,
+    ...resolveEntitlements(product.plans, subscription),
+    ...(quota && { quota }),
+    device_id
+  }
+
+  if (status === 'premium' || status === 'trial') {
+    const daysLeft = Math.ceil((expiresAt - now) / DAY_MS)
+    body.days_left = Math.max(0, daysLeft)
+    body.expires_at = subscription.expires_at
+  }
+
+  if (status === 'free' && !product.trial_enabled) {
+    body.message = 'Trial not available for this product.'
+  } else if (trialRefusal) {
+    body.message = trialRefusal
+  }
+
+  if (keyData.rotated) {
+    body.warning = `This API key has been rotated and stops working at ${keyData.previous_key_expires_at}.`
+  }
+
+  return result(await withLicenseToken(body, keyData, signLicense), 200, keyData)
+}
+
+// Self-service releases are limited per key by the product's cooldown and
+// by its allowance per billing period (a rolling window of duration_days).
+// Resolves to an error body when the release must be refused, else null.
+export async function checkReleaseLimits(store, keyId, product, now = new Date()) {
+  const periodMs = (product.duration_days || 30) * DAY_MS
+  const releases = await store.listSelfServiceReleases(keyId, new Date(now.getTime() - periodMs))
+
+  if (releases.length > 0 && product.release_cooldown_minutes > 0) {
+    const availableAt = new Date(
+      new Date(releases[0].released_at).getTime() + product.release_cooldown_minutes * 60 * 1000
+    )
+    if (availableAt > now) {
+      return { error: 'Devices were released recently, please wait before releasing again', retry_at: availableAt.toISOString() }
+    }
+  }
+
+  const maxReleases = product.max_releases_per_period
+  if (maxReleases !== null && maxReleases !== undefined && releases.length >= maxReleases) {
+    const oldest = releases[releases.length - 1]
+    return {
+      error: 'Self-service release limit reached for this billing period',
+      retry_at: new Date(new Date(oldest.released_at).getTime() + periodMs).toISOString()
+    }
+  }
+
+  return null
+}
+
+// Release a single seat when deviceId is given, otherwise all of them, and
+// record who did it. key is the api_keys row (id, user_id, product_id).
+// Resolves to the number of seats freed.
+export async function releaseDevices(store, key, deviceId, releasedBy) {
+  const released = await store.releaseDevices(key.id, deviceId || null, releasedBy)
+
+  for (const releasedDeviceId of released) {
+    await store.emitEvent('device.released', {
+      api_key_id: key.id,
+      user_id: key.user_id,
+      product_id: key.product_id,
+      device_id: releasedDeviceId,
+      released_by: releasedBy
+    })
+  }
+  return released.length
+}
+
+// Fetch API front for /verify (Request in, Response out), as mounted by the
+// edge function. The matched key is reported through audit.apiKey.
+export async function handleVerifyRequest(request, store, { headers, audit, ...options }) {
+  const { status, body, keyData } = await verifyLicense(store, await request.json(), options)
+  if (audit) audit.apiKey = keyData
+
+  return new Response(JSON.stringify(body), { status, headers })
+}
+
+// The subscription of a key's user to its product, or null. No foreign key
+// links the two tables, so it cannot be embedded in the key's select.
+export async function findKeySubscription(supabase, key, columns) {
+  const { data, error } = await supabase
+    .from('subscriptions')
+    .select(columns)
+    .eq('user_id', key.user_id)
+    .eq('product_id', key.product_id)
+    .maybeSingle()
+  if (error) throw error
+
+  return data
+}
+
+// Columns /verify needs from the key, its owner and product, and from its
+// subscription
+const VERIFY_KEY_COLUMNS = `
+  *,
+  users!inner(full_name, email),
+  products!inner(name, description, is_active, trial_enabled, trial_days, trial_requires_verified_email, duration_days, max_devices, plans(id, name, status, is_default, entitlements, quotas))
+`
+const VERIFY_SUBSCRIPTION_COLUMNS = 'id, status, expires_at, trial_used, plan_id'
+
+// License store backed by a supabase-js client. findApiKey(apiKey, columns)
+// and matchesKeyHash(apiKey, salt, hash) are the runtime's own helpers.
+export function createSupabaseLicenseStore(supabase, { findApiKey, matchesKeyHash }) {
+  return {
+    // The key with its relations and subscription, flagged rotated when
+    // matched through its previous secret
+    async findKey(apiKey) {
+      const keyData = await findApiKey(apiKey, VERIFY_KEY_COLUMNS)
+      if (!keyData) return null
+
+      const subscription = await findKeySubscription(supabase, keyData, VERIFY_SUBSCRIPTION_COLUMNS)
+      if (!subscription) return null
+
+      return {
+        ...keyData,
+        subscriptions: subscription,
+        rotated: !await matchesKeyHash(apiKey, keyData.key_salt, keyData.key_hash)
+      }
+    },
+
+    // One call to apply_verification(), which locks the key so concurrent
+    // verifications of it are applied one at a time
+    async applyVerification({ apiKeyId, deviceId, publicKey, allowTrial }) {
+      const { data, error } = await supabase.rpc('apply_verification', {
+        p_api_key_id: apiKeyId,
+        p_device_id: deviceId,
+        p_public_key: publicKey,
+        p_allow_trial: allowTrial
+      })
+      if (error) throw error
+
+      if (data.device_limit) {
+        return { deviceLimit: true, maxDevices: data.max_devices }
+      }
+      return {
+        deviceLimit: false,
+        bound: data.bound,
+        trialStarted: data.trial_started,
+        trialRefused: data.trial_refused,
+        expired: data.expired_from && { previousStatus: data.expired_from, expiresAt: data.expired_at },
+        subscription: data.subscription
+      }
+    },
+
+    async recordAbuse(event) {
+      await supabase.from('abuse_events').insert(event)
+    },
+
+    async isEmailVerified(userId) {
+      const { data, error } = await supabase.auth.admin.getUserById(userId)
+      if (error) throw error
+
+      return Boolean(data.user?.email_confirmed_at)
+    },
+
+    async getUsageTotals(keyId) {
+      const { data, error } = await supabase.rpc('usage_period_totals', { p_api_key_id: keyId })
+      if (error) throw error
+
+      return data
+    },
+
+    // Owner and device releases since the given date, newest first
+    async listSelfServiceReleases(keyId, since) {
+      const { data, error } = await supabase
+        .from('key_releases')
+        .select('released_at')
+        .eq('api_key_id', keyId)
+        .neq('released_by', 'admin')
+        .gte('released_at', since.toISOString())
+        .order('released_at', { ascending: false })
+
+      if (error) throw error
+      return data
+    },
+
+    // Delete the seat(s) and log the release; resolves to the released
+    // device ids
+    async releaseDevices(keyId, deviceId, releasedBy) {
+      let query = supabase
+        .from('key_devices')
+        .delete()
+        .eq('api_key_id', keyId)
+
+      if (deviceId) {
+        query = query.eq('device_id', deviceId)
+      }
+
+      const { data, error } = await query.select()
+      if (error) throw error
+
+      if (data.length > 0) {
+        const { error: logError } = await supabase
+          .from('key_releases')
+          .insert({ api_key_id: keyId, device_id: deviceId, released_by: releasedBy })
+
+        if (logError) throw logError
+      }
+      return data.map((device) => device.device_id)
+    },
+
+    // Queue a webhook event. Errors are logged, not thrown: a webhook
+    // problem must not fail the request that caused the event.
+    async emitEvent(type, data) {
+      const { error } = await supabase.rpc('enqueue_webhook_event', { p_type: type, p_data: data })
+      if (error) {
+        console.error(`Webhook event ${type} error:`, error)
+      }
+    }
+  }
+}
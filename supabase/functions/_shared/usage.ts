@@ -0,0 +1,29 @@
+// Mirror of the /usage helpers in lib/usage.js: counters are validated the
+// same way. Quota summaries come from the shared licensing module.
+
+export class UsageError extends Error {}
+
+const METRIC_NAME = /^[a-z][a-z0-9_]{0,63}$/
+const MAX_REPORT_COUNT = 1000000
+
+export function normalizeCounters(value: unknown) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new UsageError('counters must be an object of metric names to counts')
+  }
+
+  const counters: Record<string, number> = {}
+  for (const [metric, count] of Object.entries(value as Record<string, unknown>)) {
+    if (!METRIC_NAME.test(metric)) {
+      throw new UsageError(`Invalid metric name "${metric}"`)
+    }
+    if (!Number.isInteger(count) || (count as number) < 0 || (count as number) > MAX_REPORT_COUNT) {
+      throw new UsageError(`Count for "${metric}" must be an integer between 0 and ${MAX_REPORT_COUNT}`)
+    }
+    if ((count as number) > 0) counters[metric] = count as number
+  }
+
+  if (Object.keys(counters).length === 0) {
+    throw new UsageError('counters must contain at least one positive count')
+  }
+  return counters
+}
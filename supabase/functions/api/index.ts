@@ -1,10 +1,22 @@
-import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
 import { corsHeaders } from '../_shared/cors.ts'
+import { createLicenseToken, getPublicKey } from '../_shared/license-token.ts'
+import { getKeyPrefix, isWellFormedApiKey, matchesKeyHash } from '../_shared/api-keys.ts'
+import { createReleaseChallenge, isValidDevicePublicKey, verifyDeviceSignature } from '../_shared/device-signature.ts'
+import { normalizeCounters, UsageError } from '../_shared/usage.ts'
+import {
+  checkReleaseLimits,
+  createSupabaseLicenseStore,
+  findKeySubscription,
+  handleVerifyRequest,
+  releaseDevices,
+  resolvePlan,
+  summarizeQuota
+} from '../_shared/licensing.mjs'
 
 console.log("API Edge Function started")
 
-serve(async (req) => {
+Deno.serve(async (req) => {
   const { url, method } = req
 
   // Handle CORS
@@ -23,9 +35,20 @@ serve(async (req) => {
 
     // Route handling
     if (path === '/verify' && method === 'POST') {
-      return await handleVerify(req, supabase)
+      return await withVerificationEvent(req, supabase, 'verify', (audit) => handleVerify(req, supabase, audit))
+    } else if (path === '/usage' && method === 'POST') {
+      return await handleUsage(req, supabase)
+    } else if (path === '/health' && method === 'GET') {
+      return new Response(
+        JSON.stringify({ status: 'OK', timestamp: new Date().toISOString() }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    } else if (path === '/public-key' && method === 'GET') {
+      return await handlePublicKey()
+    } else if (path === '/release-device/challenge' && method === 'POST') {
+      return await handleReleaseChallenge(req, supabase)
     } else if (path === '/release-device' && method === 'POST') {
-      return await handleReleaseDevice(req, supabase)
+      return await withVerificationEvent(req, supabase, 'release-device', (audit) => handleReleaseDevice(req, supabase, audit))
     } else if (path.startsWith('/admin/')) {
       return await handleAdminRoutes(req, supabase, path, method)
     } else {
@@ -42,146 +65,261 @@ serve(async (req) => {
   }
 })
 
-async function handleVerify(req: Request, supabase: any) {
-  const body = await req.json()
-  const { api_key, device_id } = body
+interface VerificationAudit {
+  apiKey?: any
+}
 
-  if (!api_key || !device_id) {
-    return new Response(
-      JSON.stringify({
-        valid: false,
-        error: 'api_key and device_id are required'
-      }),
-      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+// Record the outcome of a verification or release request in
+// verification_events. Handlers report the API key they resolved through
+// the audit object.
+async function withVerificationEvent(
+  req: Request,
+  supabase: any,
+  endpoint: string,
+  handler: (audit: VerificationAudit) => Promise<Response>
+) {
+  const startedAt = Date.now()
+  const requestBody = await req.clone().json().catch(() => ({}))
+  const audit: VerificationAudit = {}
+
+  let response: Response
+  try {
+    response = await handler(audit)
+  } catch (error) {
+    console.error(`${endpoint} error:`, error)
+    response = new Response(
+      JSON.stringify({ error: 'Internal server error' }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     )
   }
 
-  // Get API key and related data
-  const { data: keyData, error: keyError } = await supabase
+  const body = await response.clone().json().catch(() => ({}))
+
+  let result = 'failure'
+  if (response.status >= 500) {
+    result = 'error'
+  } else if (body.valid === true || body.success === true) {
+    result = 'success'
+  }
+
+  const { error } = await supabase
+    .from('verification_events')
+    .insert({
+      endpoint,
+      api_key_id: audit.apiKey?.id || null,
+      user_id: audit.apiKey?.user_id || null,
+      product_id: audit.apiKey?.product_id || null,
+      key_prefix: isWellFormedApiKey(requestBody.api_key) ? getKeyPrefix(requestBody.api_key) : null,
+      device_id: requestBody.device_id || null,
+      ip: req.headers.get('x-forwarded-for')?.split(',')[0].trim() ?? null,
+      user_agent: req.headers.get('user-agent'),
+      result,
+      reason: body.error || body.message || null,
+      status_code: response.status,
+      latency_ms: Date.now() - startedAt
+    })
+
+  if (error) {
+    console.error('Verification event error:', error)
+  }
+
+  return response
+}
+
+// Look up an API key by its current secret, falling back to a rotated-out
+// secret that is still inside its overlap window. Rows are narrowed down by
+// prefix and then matched on the salted hash.
+async function findApiKey(supabase: any, apiKey: unknown, columns: string) {
+  if (!isWellFormedApiKey(apiKey)) return null
+
+  const prefix = getKeyPrefix(apiKey)
+  const { data: candidates } = await supabase
     .from('api_keys')
-    .select(`
-      *,
-      users!inner(full_name, email),
-      products!inner(name, description, is_active, trial_enabled, duration_days),
-      subscriptions!inner(status, expires_at, trial_used)
-    `)
-    .eq('key_value', api_key)
-    .single()
+    .select(`${columns}, key_salt, key_hash, previous_key_salt, previous_key_hash, previous_key_expires_at`)
+    .or(`key_prefix.eq.${prefix},previous_key_prefix.eq.${prefix}`)
 
-  if (keyError || !keyData) {
-    return new Response(
-      JSON.stringify({
-        valid: false,
-        error: 'Invalid API key'
-      }),
-      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    )
+  const now = new Date()
+  for (const key of candidates || []) {
+    if (await matchesKeyHash(apiKey, key.key_salt, key.key_hash)) return key
+    if (new Date(key.previous_key_expires_at) > now &&
+        await matchesKeyHash(apiKey, key.previous_key_salt, key.previous_key_hash)) return key
   }
+  return null
+}
+
+// Data access for the shared licensing rules (see _shared/licensing.mjs)
+function licenseStore(supabase: any) {
+  return createSupabaseLicenseStore(supabase, {
+    findApiKey: (apiKey: string, columns: string) => findApiKey(supabase, apiKey, columns),
+    matchesKeyHash
+  })
+}
+
+// Queue a lifecycle event for the subscribed webhook endpoints; the Node
+// server's dispatcher job sends it
+function emitWebhookEvent(supabase: any, type: string, data: Record<string, unknown>) {
+  return licenseStore(supabase).emitEvent(type, data)
+}
 
-  const { users: user, products: product, subscriptions: subscription } = keyData
+// The licensing rules live in the shared module, so this applies exactly
+// the same ones as /verify in server.js
+async function handleVerify(req: Request, supabase: any, audit: VerificationAudit) {
+  return await handleVerifyRequest(req, licenseStore(supabase), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    audit,
+    ip: req.headers.get('x-forwarded-for')?.split(',')[0].trim() ?? null,
+    isValidDevicePublicKey,
+    signLicense: createLicenseToken
+  })
+}
+
+// Usage reporting: clients add their counters (metric -> count) to the key's
+// usage for today and get back where they stand against the plan's quotas
+async function handleUsage(req: Request, supabase: any) {
+  const { api_key, counters } = await req.json()
 
-  // Check if product is active (kill switch)
-  if (!product.is_active) {
+  if (!api_key || !counters) {
     return new Response(
-      JSON.stringify({
-        valid: false,
-        product: product.name,
-        active: false,
-        message: 'This product is no longer available.'
-      }),
-      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      JSON.stringify({ success: false, error: 'api_key and counters are required' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     )
   }
 
-  // Handle device binding
-  if (!keyData.device_id) {
-    await supabase
-      .from('api_keys')
-      .update({ device_id })
-      .eq('id', keyData.id)
-  } else if (keyData.device_id !== device_id) {
+  let normalizedCounters
+  try {
+    normalizedCounters = normalizeCounters(counters)
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error
     return new Response(
-      JSON.stringify({
-        valid: false,
-        error: 'API key is bound to a different device',
-        message: 'Use /release-device to unbind this key first.'
-      }),
-      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      JSON.stringify({ success: false, error: error.message }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     )
   }
 
-  // Handle trial logic
-  if (subscription.status === 'free' && product.trial_enabled && !subscription.trial_used) {
-    const expiresAt = new Date()
-    expiresAt.setDate(expiresAt.getDate() + 1)
-
-    await supabase
-      .from('subscriptions')
-      .update({
-        status: 'trial',
-        expires_at: expiresAt.toISOString(),
-        trial_used: true
-      })
-      .eq('id', subscription.id)
-
-    return new Response(
-      JSON.stringify({
-        valid: true,
-        user: user.full_name || user.email,
-        product: product.name,
-        status: 'trial',
-        days_left: 1,
-        expires_at: expiresAt.toISOString(),
-        device_id,
-        message: 'Trial activated! You have 1 day of premium access.'
-      }),
+  const keyData = await findApiKey(supabase, api_key, `
+    id,
+    user_id,
+    product_id,
+    products!inner(is_active, plans(id, name, status, is_default, quotas))
+  `)
+  const subscription = keyData && await findKeySubscription(supabase, keyData, 'status, expires_at, plan_id')
+
+  if (!subscription || !keyData.products.is_active) {
+    return new Response(
+      JSON.stringify({ success: false, error: 'Invalid API key' }),
       { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     )
   }
 
-  // Check subscription status
-  const now = new Date()
-  const expiresAt = subscription.expires_at ? new Date(subscription.expires_at) : null
+  const { data: totals, error } = await supabase.rpc('record_usage', {
+    p_api_key_id: keyData.id,
+    p_product_id: keyData.product_id,
+    p_counters: normalizedCounters
+  })
+
+  if (error) throw error
+
+  // A lapsed subscription that /verify has not reverted yet counts as free
+  const lapsed = subscription.status !== 'free' && subscription.expires_at && new Date(subscription.expires_at) < new Date()
+  const plan = resolvePlan(keyData.products.plans || [], lapsed ? { status: 'free' } : subscription)
 
-  // Auto-revert expired subscriptions
-  if ((subscription.status === 'trial' || subscription.status === 'premium') && 
-      expiresAt && expiresAt < now) {
-    await supabase
-      .from('subscriptions')
-      .update({ status: 'free', expires_at: null })
-      .eq('id', subscription.id)
-    
-    subscription.status = 'free'
-    subscription.expires_at = null
+  return new Response(
+    JSON.stringify({
+      success: true,
+      usage: totals,
+      quota: plan && Object.keys(plan.quotas || {}).length > 0 ? summarizeQuota(plan.quotas, totals) : null
+    }),
+    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+async function handlePublicKey() {
+  const publicKey = await getPublicKey()
+  if (!publicKey) {
+    return new Response(
+      JSON.stringify({ error: 'License signing is not configured' }),
+      { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
   }
 
-  const response: any = {
-    valid: true,
-    user: user.full_name || user.email,
-    product: product.name,
-    status: subscription.status,
-    device_id
+  return new Response(
+    JSON.stringify(publicKey),
+    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+// Check a signature over the device's outstanding release challenge.
+// Challenges are single-use, so it is cleared whatever the outcome.
+async function verifyReleaseChallenge(supabase: any, keyId: string, deviceId: string, signature: string) {
+  const { data: device } = await supabase
+    .from('key_devices')
+    .select('id, public_key, release_challenge, release_challenge_expires_at')
+    .eq('api_key_id', keyId)
+    .eq('device_id', deviceId)
+    .maybeSingle()
+
+  if (!device?.release_challenge) return false
+
+  await supabase
+    .from('key_devices')
+    .update({ release_challenge: null, release_challenge_expires_at: null })
+    .eq('id', device.id)
+
+  return new Date(device.release_challenge_expires_at) > new Date() &&
+    await verifyDeviceSignature(device.public_key, device.release_challenge, signature)
+}
+
+async function handleReleaseChallenge(req: Request, supabase: any) {
+  const body = await req.json()
+  const { api_key, device_id } = body
+
+  if (!api_key || !device_id) {
+    return new Response(
+      JSON.stringify({ error: 'api_key and device_id are required' }),
+      { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
   }
 
-  if (subscription.status === 'premium' || subscription.status === 'trial') {
-    const daysLeft = Math.ceil((expiresAt!.getTime() - now.getTime()) / (1000 * 60 * 60 * 24))
-    response.days_left = Math.max(0, daysLeft)
-    response.expires_at = subscription.expires_at
+  const keyData = await findApiKey(supabase, api_key, 'id')
+
+  if (!keyData) {
+    return new Response(
+      JSON.stringify({ error: 'API key not found' }),
+      { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
   }
 
-  if (subscription.status === 'free' && !product.trial_enabled) {
-    response.message = 'Trial not available for this product.'
+  const { challenge, expiresAt } = createReleaseChallenge()
+
+  const { data, error } = await supabase
+    .from('key_devices')
+    .update({
+      release_challenge: challenge,
+      release_challenge_expires_at: expiresAt.toISOString()
+    })
+    .eq('api_key_id', keyData.id)
+    .eq('device_id', device_id)
+    .not('public_key', 'is', null)
+    .select('id')
+
+  if (error) throw error
+
+  if (data.length === 0) {
+    return new Response(
+      JSON.stringify({ error: 'Device is not bound to this API key or has no registered public key' }),
+      { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
   }
 
   return new Response(
-    JSON.stringify(response),
+    JSON.stringify({ challenge, expires_at: expiresAt.toISOString() }),
     { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
   )
 }
 
-async function handleReleaseDevice(req: Request, supabase: any) {
+async function handleReleaseDevice(req: Request, supabase: any, audit: VerificationAudit) {
   const body = await req.json()
-  const { api_key } = body
+  const { api_key, device_id, signature } = body
 
   if (!api_key) {
     return new Response(
@@ -190,42 +328,519 @@ async function handleReleaseDevice(req: Request, supabase: any) {
     )
   }
 
-  const { data, error } = await supabase
-    .from('api_keys')
-    .update({ device_id: null })
-    .eq('key_value', api_key)
-    .select()
-    .single()
+  const keyData = await findApiKey(supabase, api_key, `
+    id,
+    user_id,
+    product_id,
+    products!inner(duration_days, release_cooldown_minutes, max_releases_per_period)
+  `)
+  audit.apiKey = keyData
 
-  if (error || !data) {
+  if (!keyData) {
     return new Response(
       JSON.stringify({ error: 'API key not found' }),
       { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     )
   }
 
+  // The caller must either send the key owner's session token or a
+  // signature over a challenge from the bound device
+  let releasedBy
+  const token = req.headers.get('authorization')?.replace('Bearer ', '')
+
+  if (token) {
+    const { data: { user } } = await supabase.auth.getUser(token)
+    if (!user || user.id !== keyData.user_id) {
+      return new Response(
+        JSON.stringify({ error: 'Only the key owner can release its devices' }),
+        { status: 403, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+    releasedBy = 'owner'
+  } else if (device_id && signature) {
+    if (!await verifyReleaseChallenge(supabase, keyData.id, device_id, signature)) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid or expired release challenge' }),
+        { status: 403, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+    releasedBy = 'device'
+  } else {
+    return new Response(
+      JSON.stringify({ error: 'Authenticate as the key owner or sign a release challenge from the bound device' }),
+      { status: 401, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const limitError = await checkReleaseLimits(licenseStore(supabase), keyData.id, keyData.products)
+  if (limitError) {
+    return new Response(
+      JSON.stringify(limitError),
+      { status: 429, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
+  const released = await releaseDevices(licenseStore(supabase), keyData, device_id, releasedBy)
+
+  if (device_id && released === 0) {
+    return new Response(
+      JSON.stringify({ error: 'Device is not bound to this API key' }),
+      { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+
   return new Response(
     JSON.stringify({
       success: true,
+      released,
       message: 'Device binding released successfully'
     }),
     { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
   )
 }
 
-async function handleAdminRoutes(req: Request, supabase: any, path: string, method: string) {
-  // Add admin authentication logic here
-  const authHeader = req.headers.get('authorization')
-  if (!authHeader) {
+// Authenticate an admin the way requireAdmin does in server.js. Resolves to
+// the signed-in user, or to the error Response to send back.
+async function requireAdmin(req: Request, supabase: any) {
+  try {
+    const token = req.headers.get('authorization')?.replace('Bearer ', '')
+    if (!token) {
+      return new Response(
+        JSON.stringify({ error: 'No token provided' }),
+        { status: 401, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token)
+    if (authError || !user) {
+      return new Response(
+        JSON.stringify({ error: 'Invalid token' }),
+        { status: 401, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('is_admin')
+      .eq('id', user.id)
+      .single()
+
+    if (userError || !userData?.is_admin) {
+      return new Response(
+        JSON.stringify({ error: 'Admin access required' }),
+        { status: 403, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      )
+    }
+
+    return user
+  } catch (_error) {
     return new Response(
-      JSON.stringify({ error: 'No token provided' }),
+      JSON.stringify({ error: 'Authentication failed' }),
       { status: 401, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     )
   }
+}
+
+// Append an entry to the admin audit trail; see recordAdminAction in server.js
+async function recordAdminAction(supabase: any, user: any, entry: {
+  action: string
+  targetType: string
+  targetId: string
+  before?: unknown
+  after?: unknown
+}) {
+  const { error } = await supabase
+    .from('admin_audit_log')
+    .insert({
+      actor_id: user.id,
+      actor_email: user.email,
+      action: entry.action,
+      target_type: entry.targetType,
+      target_id: entry.targetId,
+      before: entry.before ?? null,
+      after: entry.after ?? null
+    })
+
+  if (error) throw error
+}
+
+// Blank means "no limit" for optional numeric product settings
+function parseOptionalInt(value: unknown) {
+  const parsed = parseInt(String(value))
+  return Number.isNaN(parsed) ? null : parsed
+}
+
+// Product columns from the admin UI. New products get the same defaults as
+// POST /admin/products in server.js.
+function productFields(body: any, isNew: boolean) {
+  return {
+    name: body.name,
+    description: body.description,
+    price: isNew ? parseFloat(body.price) || 0 : parseFloat(body.price),
+    duration_days: isNew ? parseInt(body.duration_days) || 30 : parseInt(body.duration_days),
+    max_devices: parseInt(body.max_devices) || 1,
+    release_cooldown_minutes: parseOptionalInt(body.release_cooldown_minutes) ?? 60,
+    max_releases_per_period: parseOptionalInt(body.max_releases_per_period),
+    trial_enabled: Boolean(body.trial_enabled),
+    trial_days: parseInt(body.trial_days) || 1,
+    trial_requires_verified_email: Boolean(body.trial_requires_verified_email),
+    is_active: Boolean(body.is_active)
+  }
+}
+
+// Admin API, mirroring the product, user, subscription and device release
+// routes of server.js
+async function handleAdminRoutes(req: Request, supabase: any, path: string, method: string) {
+  const admin = await requireAdmin(req, supabase)
+  if (admin instanceof Response) return admin
+
+  const productMatch = path.match(/^\/admin\/products\/([^/]+)$/)
+  const userMatch = path.match(/^\/admin\/users\/([^/]+)\/(subscription|subscription-history|release-device)$/)
+
+  try {
+    if (path === '/admin/products' && method === 'GET') {
+      return await handleAdminListProducts(supabase)
+    } else if (path === '/admin/products' && method === 'POST') {
+      return await handleAdminCreateProduct(req, supabase, admin)
+    } else if (productMatch && method === 'PUT') {
+      return await handleAdminUpdateProduct(req, supabase, admin, productMatch[1])
+    } else if (productMatch && method === 'DELETE') {
+      return await handleAdminDeleteProduct(supabase, admin, productMatch[1])
+    } else if (path === '/admin/users' && method === 'GET') {
+      return await handleAdminListUsers(req, supabase)
+    } else if (userMatch?.[2] === 'subscription' && method === 'PUT') {
+      return await handleAdminUpdateSubscription(req, supabase, admin, userMatch[1])
+    } else if (userMatch?.[2] === 'subscription-history' && method === 'GET') {
+      return await handleAdminSubscriptionHistory(req, supabase, userMatch[1])
+    } else if (userMatch?.[2] === 'release-device' && method === 'POST') {
+      return await handleAdminReleaseDevice(req, supabase, admin, userMatch[1])
+    }
+
+    return new Response(
+      JSON.stringify({ error: 'Route not found' }),
+      { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  } catch (error) {
+    return new Response(
+      JSON.stringify({ error: (error as Error).message }),
+      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    )
+  }
+}
+
+async function handleAdminListProducts(supabase: any) {
+  const { data, error } = await supabase
+    .from('products')
+    .select('*, plans(*)')
+    .order('created_at', { ascending: false })
+
+  if (error) throw error
+
+  return new Response(
+    JSON.stringify(data),
+    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+async function handleAdminCreateProduct(req: Request, supabase: any, admin: any) {
+  const body = await req.json()
+
+  const { data, error } = await supabase
+    .from('products')
+    .insert(productFields(body, true))
+    .select()
+    .single()
+
+  if (error) throw error
+
+  await recordAdminAction(supabase, admin, {
+    action: 'product.create',
+    targetType: 'product',
+    targetId: data.id,
+    after: data
+  })
+
+  return new Response(
+    JSON.stringify(data),
+    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+async function handleAdminUpdateProduct(req: Request, supabase: any, admin: any, id: string) {
+  const body = await req.json()
+
+  const { data: before, error: beforeError } = await supabase
+    .from('products')
+    .select('*')
+    .eq('id', id)
+    .single()
+
+  if (beforeError) throw beforeError
+
+  const { data, error } = await supabase
+    .from('products')
+    .update(productFields(body, false))
+    .eq('id', id)
+    .select()
+    .single()
+
+  if (error) throw error
+
+  await recordAdminAction(supabase, admin, {
+    action: 'product.update',
+    targetType: 'product',
+    targetId: id,
+    before,
+    after: data
+  })
+
+  if (before.is_active !== data.is_active) {
+    await emitWebhookEvent(supabase, data.is_active ? 'product.activated' : 'product.deactivated', {
+      product_id: data.id,
+      name: data.name
+    })
+  }
+
+  return new Response(
+    JSON.stringify(data),
+    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+async function handleAdminDeleteProduct(supabase: any, admin: any, id: string) {
+  const { data: before, error: beforeError } = await supabase
+    .from('products')
+    .select('*')
+    .eq('id', id)
+    .single()
+
+  if (beforeError) throw beforeError
+
+  const { error } = await supabase
+    .from('products')
+    .delete()
+    .eq('id', id)
+
+  if (error) throw error
+
+  await recordAdminAction(supabase, admin, {
+    action: 'product.delete',
+    targetType: 'product',
+    targetId: id,
+    before
+  })
+
+  return new Response(
+    JSON.stringify({ success: true }),
+    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+const USER_SORTS = ['created_at', 'email', 'full_name']
+const SUBSCRIPTION_STATUSES = ['free', 'trial', 'premium']
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const SUBSCRIPTION_CHANGE_MODES = ['extend', 'set', 'reset']
+
+function badRequest(error: string) {
+  return new Response(
+    JSON.stringify({ error }),
+    { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+// Same query parameters, cursor format and response as GET /admin/users
+// in server.js
+async function handleAdminListUsers(req: Request, supabase: any) {
+  const params = new URL(req.url).searchParams
+  const search = params.get('search')?.trim() || null
+  const productId = params.get('product_id') || null
+  const status = params.get('status') || null
+  const sort = params.get('sort') || 'created_at'
+  const order = params.get('order')
+  const cursor = params.get('cursor')
+  const limit = Math.min(parseInt(params.get('limit') ?? '') || 50, 200)
+
+  if (!USER_SORTS.includes(sort)) {
+    return badRequest(`sort must be one of ${USER_SORTS.join(', ')}`)
+  }
+  if (status && !SUBSCRIPTION_STATUSES.includes(status)) {
+    return badRequest(`status must be one of ${SUBSCRIPTION_STATUSES.join(', ')}`)
+  }
+
+  // "<id>:<sort value>" of the previous page's last row
+  const separator = cursor ? cursor.indexOf(':') : -1
+  const validCursor = separator > 0 && UUID_PATTERN.test(cursor.slice(0, separator)) &&
+    (sort !== 'created_at' || !Number.isNaN(new Date(cursor.slice(separator + 1)).getTime()))
+  if (cursor && !validCursor) {
+    return badRequest('Invalid cursor')
+  }
+
+  const { data: page, error: pageError } = await supabase.rpc('admin_list_users', {
+    p_search: search,
+    p_product_id: productId,
+    p_status: status,
+    p_sort: sort,
+    p_ascending: order ? order === 'asc' : sort !== 'created_at',
+    p_after_id: cursor ? cursor.slice(0, separator) : null,
+    p_after_value: cursor ? cursor.slice(separator + 1) : null,
+    p_limit: limit
+  })
+
+  if (pageError) throw pageError
+
+  let users: any[] = []
+  if (page.length > 0) {
+    const { data, error } = await supabase
+      .from('users')
+      .select(`
+        *,
+        subscriptions(
+          id,
+          product_id,
+          status,
+          expires_at,
+          plan_id,
+          products(name),
+          plans(name)
+        ),
+        api_keys(
+          id,
+          product_id,
+          key_prefix,
+          previous_key_expires_at,
+          products(name, max_devices),
+          key_devices(id, device_id, first_seen_at, last_seen_at)
+        )
+      `)
+      .in('id', page.map((row: any) => row.id))
+
+    if (error) throw error
+
+    const byId = new Map(data.map((user: any) => [user.id, user]))
+    users = page.map((row: any) => byId.get(row.id)).filter(Boolean)
+  }
+
+  const last = page[page.length - 1]
+
+  return new Response(
+    JSON.stringify({
+      users,
+      next_cursor: page.length === limit ? `${last.id}:${last.sort_value}` : null
+    }),
+    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+// Same body, modes and validation as PUT /admin/users/:id/subscription in
+// server.js
+async function handleAdminUpdateSubscription(req: Request, supabase: any, admin: any, userId: string) {
+  const { product_id, status, mode = 'extend', days, expires_at, plan_id } = await req.json()
+
+  if (!product_id) {
+    return badRequest('product_id is required')
+  }
+  if (!SUBSCRIPTION_STATUSES.includes(status)) {
+    return badRequest(`status must be one of ${SUBSCRIPTION_STATUSES.join(', ')}`)
+  }
+  if (!SUBSCRIPTION_CHANGE_MODES.includes(mode)) {
+    return badRequest(`mode must be one of ${SUBSCRIPTION_CHANGE_MODES.join(', ')}`)
+  }
+
+  const dayCount = days == null || days === '' ? null : Number(days)
+  if (dayCount !== null && !(Number.isInteger(dayCount) && dayCount > 0)) {
+    return badRequest('days must be a positive whole number')
+  }
+  if (status !== 'free' && mode === 'set' && !(new Date(expires_at) > new Date())) {
+    return badRequest('expires_at must be a future date')
+  }
+
+  const { data, error } = await supabase.rpc('change_subscription', {
+    p_user_id: userId,
+    p_product_id: product_id,
+    p_status: status,
+    p_mode: mode,
+    p_days: dayCount,
+    p_expires_at: mode === 'set' ? expires_at : null,
+    p_plan_id: plan_id || null,
+    p_set_plan: plan_id !== undefined,
+    p_changed_by: admin.id
+  })
+
+  if (error) throw error
+
+  const { before, after } = data
+  await recordAdminAction(supabase, admin, {
+    action: 'subscription.update',
+    targetType: 'subscription',
+    targetId: after.id,
+    before,
+    after
+  })
+
+  await emitWebhookEvent(supabase, 'subscription.updated', {
+    subscription_id: after.id,
+    user_id: after.user_id,
+    product_id: after.product_id,
+    status: after.status,
+    previous_status: before?.status ?? null,
+    expires_at: after.expires_at,
+    plan_id: after.plan_id ?? null
+  })
+
+  return new Response(
+    JSON.stringify(after),
+    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+async function handleAdminSubscriptionHistory(req: Request, supabase: any, userId: string) {
+  const params = new URL(req.url).searchParams
+  const productId = params.get('product_id')
+  const limit = Math.min(parseInt(params.get('limit') ?? '') || 50, 200)
+
+  let query = supabase
+    .from('subscription_history')
+    .select('*, products(name)')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit)
+
+  if (productId) query = query.eq('product_id', productId)
+
+  const { data, error } = await query
+  if (error) throw error
+
+  return new Response(
+    JSON.stringify(data),
+    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+  )
+}
+
+async function handleAdminReleaseDevice(req: Request, supabase: any, admin: any, userId: string) {
+  const { product_id, device_id } = await req.json()
+
+  const { data: keyData, error: keyError } = await supabase
+    .from('api_keys')
+    .select('id, user_id, product_id, key_devices(device_id, first_seen_at, last_seen_at)')
+    .eq('user_id', userId)
+    .eq('product_id', product_id)
+    .single()
+
+  if (keyError) throw keyError
+
+  const released = await releaseDevices(licenseStore(supabase), keyData, device_id, 'admin')
+
+  const devices = keyData.key_devices || []
+  await recordAdminAction(supabase, admin, {
+    action: 'api_key.release_device',
+    targetType: 'api_key',
+    targetId: keyData.id,
+    before: { devices },
+    after: { devices: device_id ? devices.filter((device: any) => device.device_id !== device_id) : [] }
+  })
 
-  // For now, just return a placeholder response
   return new Response(
-    JSON.stringify({ message: 'Admin routes would be implemented here' }),
+    JSON.stringify({ success: true, released, message: 'Device binding released' }),
     { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
   )
 }
\ No newline at end of file
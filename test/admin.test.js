@@ -0,0 +1,1116 @@
+// Admin routes: requireAdmin on every one of them, then what each route
+// reads, changes and records in the audit trail.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useFakeSupabase, startApp } = require('./support/app');
+const { loadEdgeFunction } = require('./support/edgeFunction');
+const { API_KEY, ADMIN, daysFromNow, supabaseFixture } = require('./support/fixtures');
+
+const ADMIN_ROUTES = [
+  ['GET', '/admin/products'],
+  ['POST', '/admin/products'],
+  ['PUT', '/admin/products/product-1'],
+  ['DELETE', '/admin/products/product-1'],
+  ['POST', '/admin/products/product-1/plans'],
+  ['PUT', '/admin/plans/plan-pro'],
+  ['DELETE', '/admin/plans/plan-pro'],
+  ['GET', '/admin/users'],
+  ['PUT', '/admin/users/user-1/subscription'],
+  ['GET', '/admin/users/user-1/subscription-history'],
+  ['POST', '/admin/users/user-1/release-device'],
+  ['POST', '/admin/users/user-1/rotate-key'],
+  ['POST', '/admin/subscriptions/bulk'],
+  ['GET', '/admin/bulk-jobs'],
+  ['GET', '/admin/bulk-jobs/job-1'],
+  ['GET', '/admin/audit-log'],
+  ['GET', '/admin/activity'],
+  ['GET', '/admin/abuse'],
+  ['GET', '/admin/revenue'],
+  ['GET', '/admin/usage'],
+  ['GET', '/admin/webhooks'],
+  ['POST', '/admin/webhooks'],
+  ['PUT', '/admin/webhooks/endpoint-1'],
+  ['DELETE', '/admin/webhooks/endpoint-1'],
+  ['GET', '/admin/webhooks/endpoint-1/deliveries'],
+  ['POST', '/admin/webhook-deliveries/delivery-1/redeliver'],
+  ['GET', '/admin/promo-codes'],
+  ['POST', '/admin/promo-codes'],
+  ['PUT', '/admin/promo-codes/promo-1']
+];
+
+const ENDPOINT = {
+  id: 'endpoint-1',
+  url: 'https://hooks.example.com/licenses',
+  description: null,
+  secret: 'whsec_original',
+  events: [],
+  is_active: true,
+  created_at: '2024-01-01T00:00:00.000Z'
+};
+
+let api;
+let supabase;
+let adminToken;
+
+// Request as the seeded admin
+const admin = (method, path, body) => api.request(method, path, { body, token: adminToken });
+
+const auditTrail = () => supabase.db.admin_audit_log.map((entry) => [entry.action, entry.target_type, entry.target_id]);
+
+before(async () => {
+  api = await startApp();
+});
+
+after(() => api.close());
+
+beforeEach(() => {
+  supabase = useFakeSupabase({ ...supabaseFixture({ devices: ['laptop'] }), webhook_endpoints: [{ ...ENDPOINT }] });
+  adminToken = supabase.signIn(ADMIN.id);
+});
+
+describe('requireAdmin', () => {
+  for (const [method, path] of ADMIN_ROUTES) {
+    describe(`${method} ${path}`, () => {
+      it('rejects a request without a token', async () => {
+        const { status, body } = await api.request(method, path);
+        assert.equal(status, 401);
+        assert.deepEqual(body, { error: 'No token provided' });
+      });
+
+      it('rejects an unknown token', async () => {
+        const { status, body } = await api.request(method, path, { token: 'not-a-session' });
+        assert.equal(status, 401);
+        assert.deepEqual(body, { error: 'Invalid token' });
+      });
+
+      it('rejects a user who is not an admin', async () => {
+        const { status, body } = await api.request(method, path, { token: supabase.signIn('user-1') });
+        assert.equal(status, 403);
+        assert.deepEqual(body, { error: 'Admin access required' });
+      });
+    });
+  }
+
+  it('rejects a signed-in account without a profile row', async () => {
+    const token = supabase.signIn(ADMIN.id);
+    supabase.db.users = supabase.db.users.filter((user) => user.id !== ADMIN.id);
+    // The session stays valid in auth even though the profile is gone
+    supabase.auth.getUser = async () => ({ data: { user: { id: ADMIN.id, email: ADMIN.email } }, error: null });
+
+    const { status } = await api.request('GET', '/admin/products', { token });
+    assert.equal(status, 403);
+  });
+
+  it('answers 401 when the session cannot be checked', async () => {
+    supabase.auth.getUser = async () => {
+      throw new Error('auth is down');
+    };
+
+    const { status, body } = await admin('GET', '/admin/products');
+    assert.equal(status, 401);
+    assert.deepEqual(body, { error: 'Authentication failed' });
+  });
+
+  it('leaves nothing changed when it rejects a request', async () => {
+    await api.request('DELETE', '/admin/products/product-1', { token: supabase.signIn('user-1') });
+
+    assert.equal(supabase.db.products.length, 1);
+    assert.equal(supabase.db.admin_audit_log.length, 0);
+  });
+});
+
+describe('products', () => {
+  const fields = {
+    name: 'Crawler',
+    description: 'Site crawler',
+    price: '19.5',
+    duration_days: '90',
+    max_devices: '3',
+    release_cooldown_minutes: '',
+    max_releases_per_period: '4',
+    trial_enabled: true,
+    trial_days: '7',
+    is_active: true
+  };
+
+  it('lists products with their plans', async () => {
+    const { status, body } = await admin('GET', '/admin/products');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.map((product) => product.name), ['Scraper Pro']);
+    assert.deepEqual(body[0].plans.map((plan) => plan.name), ['Free', 'Pro']);
+  });
+
+  it('creates a product and records it', async () => {
+    const { status, body } = await admin('POST', '/admin/products', fields);
+
+    assert.equal(status, 200);
+    assert.equal(body.name, 'Crawler');
+    assert.equal(body.price, 19.5);
+    assert.equal(body.duration_days, 90);
+    assert.equal(body.max_devices, 3);
+    assert.equal(body.release_cooldown_minutes, 60);
+    assert.equal(body.max_releases_per_period, 4);
+    assert.equal(body.trial_requires_verified_email, false);
+    assert.equal(supabase.db.products.length, 2);
+    assert.deepEqual(auditTrail(), [['product.create', 'product', body.id]]);
+    assert.equal(supabase.db.admin_audit_log[0].actor_email, ADMIN.email);
+  });
+
+  it('reports a clashing product name', async () => {
+    const { status, body } = await admin('POST', '/admin/products', { ...fields, name: 'Scraper Pro' });
+
+    assert.equal(status, 500);
+    assert.match(body.error, /duplicate key/);
+    assert.equal(supabase.db.admin_audit_log.length, 0);
+  });
+
+  it('updates a product with before and after snapshots', async () => {
+    const { status, body } = await admin('PUT', '/admin/products/product-1', { ...fields, name: 'Scraper Max' });
+
+    assert.equal(status, 200);
+    assert.equal(body.name, 'Scraper Max');
+    assert.equal(supabase.db.products[0].name, 'Scraper Max');
+
+    const [entry] = supabase.db.admin_audit_log;
+    assert.equal(entry.action, 'product.update');
+    assert.equal(entry.before.name, 'Scraper Pro');
+    assert.equal(entry.after.name, 'Scraper Max');
+    assert.equal(supabase.db.webhook_deliveries.length, 0);
+  });
+
+  it('queues product.deactivated when the kill switch is pulled', async () => {
+    await admin('PUT', '/admin/products/product-1', { ...fields, is_active: false });
+
+    assert.deepEqual(supabase.db.webhook_deliveries.map((delivery) => delivery.event_type), ['product.deactivated']);
+    assert.deepEqual(supabase.db.webhook_deliveries[0].payload.data, { product_id: 'product-1', name: 'Crawler' });
+  });
+
+  it('answers 500 for an unknown product', async () => {
+    const { status } = await admin('PUT', '/admin/products/missing', fields);
+    assert.equal(status, 500);
+  });
+
+  it('deletes a product and records its last state', async () => {
+    const { status, body } = await admin('DELETE', '/admin/products/product-1');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { success: true });
+    assert.equal(supabase.db.products.length, 0);
+    assert.deepEqual(auditTrail(), [['product.delete', 'product', 'product-1']]);
+    assert.equal(supabase.db.admin_audit_log[0].before.name, 'Scraper Pro');
+  });
+});
+
+describe('plans', () => {
+  it('adds a plan to a product', async () => {
+    const { status, body } = await admin('POST', '/admin/products/product-1/plans', {
+      name: 'Team',
+      status: 'premium',
+      entitlements: { export: true, seats: 10 },
+      quotas: { requests: 5000 }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.product_id, 'product-1');
+    assert.equal(body.is_default, false);
+    assert.deepEqual(body.entitlements, { export: true, seats: 10 });
+    assert.deepEqual(body.quotas, { requests: 5000 });
+    assert.deepEqual(auditTrail(), [['plan.create', 'plan', body.id]]);
+  });
+
+  it('moves the default for a status to a new default plan', async () => {
+    const { body } = await admin('POST', '/admin/products/product-1/plans', {
+      name: 'Team',
+      status: 'premium',
+      is_default: true
+    });
+
+    const defaults = supabase.db.plans.filter((plan) => plan.status === 'premium' && plan.is_default);
+    assert.deepEqual(defaults.map((plan) => plan.id), [body.id]);
+  });
+
+  it('rejects invalid entitlements and quotas', async () => {
+    const entitlements = await admin('POST', '/admin/products/product-1/plans', {
+      name: 'Team',
+      status: 'premium',
+      entitlements: { Export: true }
+    });
+    const quotas = await admin('POST', '/admin/products/product-1/plans', {
+      name: 'Team',
+      status: 'premium',
+      quotas: { requests: -1 }
+    });
+
+    assert.equal(entitlements.status, 400);
+    assert.match(entitlements.body.error, /Invalid entitlement name "Export"/);
+    assert.equal(quotas.status, 400);
+    assert.match(quotas.body.error, /Quota for "requests"/);
+    assert.equal(supabase.db.plans.length, 2);
+  });
+
+  it('updates a plan', async () => {
+    const { status, body } = await admin('PUT', '/admin/plans/plan-pro', {
+      name: 'Pro',
+      status: 'premium',
+      is_default: true,
+      entitlements: { export: true, max_projects: 20 }
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.entitlements, { export: true, max_projects: 20 });
+    assert.equal(body.is_default, true);
+
+    const [entry] = supabase.db.admin_audit_log;
+    assert.equal(entry.action, 'plan.update');
+    assert.deepEqual(entry.before.entitlements, { export: true });
+  });
+
+  it('deletes a plan', async () => {
+    const { status } = await admin('DELETE', '/admin/plans/plan-pro');
+
+    assert.equal(status, 200);
+    assert.deepEqual(supabase.db.plans.map((plan) => plan.id), ['plan-free']);
+    assert.deepEqual(auditTrail(), [['plan.delete', 'plan', 'plan-pro']]);
+  });
+});
+
+describe('users', () => {
+  // Five customers who joined after the seeded user and admin, newest
+  // first; customer 2 is premium on the seeded product
+  const customerId = (n) => `00000000-0000-4000-8000-00000000000${n}`;
+
+  const seedCustomers = () => {
+    supabase.db.users[0].created_at = daysFromNow(-10);
+    supabase.db.users[1].created_at = daysFromNow(-20);
+    for (const n of [1, 2, 3, 4, 5]) {
+      supabase.db.users.push({
+        id: customerId(n),
+        email: `customer${n}@example.com`,
+        full_name: `Customer ${6 - n}`,
+        is_admin: false,
+        created_at: daysFromNow(-n)
+      });
+    }
+    supabase.db.subscriptions.push({ id: 'subscription-2', user_id: customerId(2), product_id: 'product-1', status: 'premium' });
+  };
+
+  const listUsers = async (query) => {
+    const { status, body } = await admin('GET', `/admin/users?${new URLSearchParams(query)}`);
+    assert.equal(status, 200);
+    return body;
+  };
+
+  const ids = (body) => body.users.map((user) => user.id);
+
+  // GET /admin/users?<query> on the edge function, as the seeded admin
+  const listUsersOnEdge = async (query) => {
+    const edge = await loadEdgeFunction();
+    const response = await edge(new Request(`http://localhost/api/admin/users?${query}`, {
+      headers: { Authorization: `Bearer ${adminToken}` }
+    }));
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('lists users with their subscriptions, keys and devices', async () => {
+    const { status, body } = await admin('GET', '/admin/users');
+
+    assert.equal(status, 200);
+    assert.equal(body.next_cursor, null);
+    const user = body.users.find((row) => row.id === 'user-1');
+    assert.equal(user.subscriptions[0].status, 'free');
+    assert.deepEqual(user.subscriptions[0].products, { name: 'Scraper Pro' });
+    assert.equal(user.api_keys[0].key_prefix, API_KEY.slice(0, 11));
+    assert.deepEqual(user.api_keys[0].key_devices.map((device) => device.device_id), ['laptop']);
+    assert.equal(user.api_keys[0].key_hash, undefined);
+  });
+
+  it('pages through users newest first', async () => {
+    seedCustomers();
+
+    const pages = [];
+    let cursor = null;
+    do {
+      const body = await listUsers({ limit: 4, ...(cursor && { cursor }) });
+      pages.push(ids(body));
+      cursor = body.next_cursor;
+    } while (cursor);
+
+    assert.deepEqual(pages, [
+      [customerId(1), customerId(2), customerId(3), customerId(4)],
+      [customerId(5), 'user-1', 'admin-1']
+    ]);
+  });
+
+  it('sorts by email or name in either order', async () => {
+    seedCustomers();
+
+    assert.deepEqual(ids(await listUsers({ sort: 'email', limit: 3 })), ['user-1', customerId(1), customerId(2)]);
+    assert.deepEqual(ids(await listUsers({ sort: 'full_name', order: 'desc', limit: 3 })), ['admin-1', customerId(1), customerId(2)]);
+
+    const first = await listUsers({ sort: 'full_name', limit: 2 });
+    assert.deepEqual(ids(first), ['user-1', customerId(5)]);
+    assert.deepEqual(ids(await listUsers({ sort: 'full_name', limit: 2, cursor: first.next_cursor })), [customerId(4), customerId(3)]);
+  });
+
+  it('searches by email, name, key prefix and device id', async () => {
+    seedCustomers();
+
+    assert.deepEqual(ids(await listUsers({ search: 'ADA@' })), ['user-1']);
+    assert.deepEqual(ids(await listUsers({ search: 'customer 5' })), [customerId(1)]);
+    assert.deepEqual(ids(await listUsers({ search: API_KEY.slice(0, 9) })), ['user-1']);
+    assert.deepEqual(ids(await listUsers({ search: 'lapt' })), ['user-1']);
+    assert.deepEqual(ids(await listUsers({ search: 'nobody' })), []);
+  });
+
+  it('filters by subscription product and status', async () => {
+    seedCustomers();
+
+    assert.deepEqual(ids(await listUsers({ product_id: 'product-1' })), [customerId(2), 'user-1']);
+    assert.deepEqual(ids(await listUsers({ status: 'premium' })), [customerId(2)]);
+    assert.deepEqual(ids(await listUsers({ product_id: 'product-1', status: 'free' })), ['user-1']);
+    assert.deepEqual(ids(await listUsers({ product_id: 'product-9' })), []);
+  });
+
+  for (const [runtime, list] of [
+    ['server.js', (query) => admin('GET', `/admin/users?${query}`)],
+    ['the edge function', listUsersOnEdge]
+  ]) {
+    it(`rejects unknown sorts, statuses and cursors in ${runtime}`, async () => {
+      for (const [query, error] of [
+        ['sort=password', 'sort must be one of created_at, email, full_name'],
+        ['status=gold', 'status must be one of free, trial, premium'],
+        ['cursor=garbage', 'Invalid cursor'],
+        [`cursor=${customerId(1)}:yesterday`, 'Invalid cursor'],
+        ['cursor=customer-1:2026-01-01T00:00:00Z', 'Invalid cursor']
+      ]) {
+        const { status, body } = await list(query);
+        assert.equal(status, 400, query);
+        assert.deepEqual(body, { error });
+      }
+    });
+  }
+
+  it('grants premium for a number of days', async () => {
+    const { status, body } = await admin('PUT', '/admin/users/user-1/subscription', {
+      product_id: 'product-1',
+      status: 'premium',
+      days: 30,
+      plan_id: 'plan-pro'
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'premium');
+    assert.equal(body.plan_id, 'plan-pro');
+    assert.ok(Math.abs(new Date(body.expires_at) - new Date(daysFromNow(30))) < 60 * 1000);
+
+    const [entry] = supabase.db.admin_audit_log;
+    assert.equal(entry.action, 'subscription.update');
+    assert.equal(entry.before.status, 'free');
+    assert.equal(entry.after.status, 'premium');
+
+    const [delivery] = supabase.db.webhook_deliveries;
+    assert.equal(delivery.event_type, 'subscription.updated');
+    assert.equal(delivery.payload.data.previous_status, 'free');
+  });
+
+  describe('expiry modes', () => {
+    const change = (body) => admin('PUT', '/admin/users/user-1/subscription', { product_id: 'product-1', status: 'premium', ...body });
+
+    const daysLeft = (subscription) => Math.round((new Date(subscription.expires_at) - Date.now()) / (24 * 60 * 60 * 1000));
+
+    beforeEach(() => {
+      supabase.db.subscriptions[0].status = 'premium';
+      supabase.db.subscriptions[0].expires_at = daysFromNow(20);
+    });
+
+    it('extends from the current expiry by default', async () => {
+      const { status, body } = await change({ days: 30 });
+
+      assert.equal(status, 200);
+      assert.equal(daysLeft(body), 50);
+    });
+
+    it('extends from today once the time has run out', async () => {
+      supabase.db.subscriptions[0].expires_at = daysFromNow(-3);
+
+      const { body } = await change({ mode: 'extend', days: 30 });
+      assert.equal(daysLeft(body), 30);
+    });
+
+    it('does not add trial time to a premium grant', async () => {
+      supabase.db.subscriptions[0].status = 'trial';
+
+      const { body } = await change({ days: 30 });
+      assert.equal(daysLeft(body), 30);
+    });
+
+    it('resets the expiry to a number of days from today', async () => {
+      const { body } = await change({ mode: 'reset', days: 7 });
+      assert.equal(daysLeft(body), 7);
+    });
+
+    it('sets an absolute expiry date', async () => {
+      const expiresAt = daysFromNow(90);
+
+      const { body } = await change({ mode: 'set', expires_at: expiresAt });
+      assert.equal(body.expires_at, expiresAt);
+    });
+
+    it('keeps the expiry when no days are given', async () => {
+      const { body } = await change({ plan_id: 'plan-pro' });
+
+      assert.equal(daysLeft(body), 20);
+      assert.equal(body.plan_id, 'plan-pro');
+    });
+
+    it('rejects invalid changes', async () => {
+      const cases = [
+        [{ product_id: '' }, 'product_id is required'],
+        [{ status: 'gold' }, 'status must be one of free, trial, premium'],
+        [{ mode: 'stack', days: 7 }, 'mode must be one of extend, set, reset'],
+        [{ days: -1 }, 'days must be a positive whole number'],
+        [{ days: 'ten' }, 'days must be a positive whole number'],
+        [{ mode: 'set' }, 'expires_at must be a future date'],
+        [{ mode: 'set', expires_at: daysFromNow(-1) }, 'expires_at must be a future date']
+      ];
+
+      for (const [body, error] of cases) {
+        const response = await change(body);
+        assert.equal(response.status, 400, error);
+        assert.deepEqual(response.body, { error });
+      }
+      assert.equal(daysLeft(supabase.db.subscriptions[0]), 20);
+    });
+  });
+
+  it('records each change in the subscription history', async () => {
+    await api.request('POST', '/verify', { body: { api_key: API_KEY, device_id: 'laptop' } });
+    await admin('PUT', '/admin/users/user-1/subscription', { product_id: 'product-1', status: 'premium', days: 30 });
+    await admin('PUT', '/admin/users/user-1/subscription', { product_id: 'product-1', status: 'premium', mode: 'reset', days: 7 });
+    await admin('PUT', '/admin/users/user-1/subscription', { product_id: 'product-1', status: 'free' });
+
+    const { status, body } = await admin('GET', '/admin/users/user-1/subscription-history?product_id=product-1');
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.map((entry) => [entry.source, entry.mode, entry.previous_status, entry.status]),
+      [
+        ['admin', null, 'premium', 'free'],
+        ['admin', 'reset', 'premium', 'premium'],
+        ['admin', 'extend', 'trial', 'premium'],
+        ['trial', null, 'free', 'trial']
+      ]
+    );
+
+    const [, reset, grant] = body;
+    assert.equal(reset.previous_expires_at, grant.expires_at);
+    assert.ok(new Date(reset.expires_at) < new Date(reset.previous_expires_at));
+    assert.equal(reset.changed_by, ADMIN.id);
+    assert.equal(reset.products.name, 'Scraper Pro');
+  });
+
+  it('leaves no history for a change that changes nothing', async () => {
+    await admin('PUT', '/admin/users/user-1/subscription', { product_id: 'product-1', status: 'free' });
+
+    const { body } = await admin('GET', '/admin/users/user-1/subscription-history');
+    assert.deepEqual(body, []);
+  });
+
+  it('clears the expiry when a subscription goes back to free', async () => {
+    supabase.db.subscriptions[0].status = 'premium';
+    supabase.db.subscriptions[0].expires_at = daysFromNow(5);
+
+    const { body } = await admin('PUT', '/admin/users/user-1/subscription', { product_id: 'product-1', status: 'free' });
+
+    assert.equal(body.status, 'free');
+    assert.equal(body.expires_at, null);
+  });
+
+  it('creates the subscription and key for a product the user has none for', async () => {
+    supabase.db.products.push({ id: 'product-2', name: 'Crawler', is_active: true, max_devices: 1 });
+
+    const { status, body } = await admin('PUT', '/admin/users/user-1/subscription', {
+      product_id: 'product-2',
+      status: 'premium',
+      days: 7
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.product_id, 'product-2');
+    assert.equal(supabase.db.subscriptions.length, 2);
+    assert.ok(supabase.db.api_keys.some((key) => key.product_id === 'product-2'));
+    assert.equal(supabase.db.admin_audit_log[0].before, null);
+  });
+
+  it('releases a device without the self-service limits', async () => {
+    supabase.db.key_releases.push({ id: 'release-1', api_key_id: 'key-1', device_id: 'tablet', released_by: 'owner', released_at: daysFromNow(0) });
+
+    const { status, body } = await admin('POST', '/admin/users/user-1/release-device', {
+      product_id: 'product-1',
+      device_id: 'laptop'
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { success: true, released: 1, message: 'Device binding released' });
+    assert.equal(supabase.db.key_devices.length, 0);
+    assert.equal(supabase.db.key_releases[1].released_by, 'admin');
+
+    const [entry] = supabase.db.admin_audit_log;
+    assert.equal(entry.action, 'api_key.release_device');
+    assert.deepEqual(entry.before.devices.map((device) => device.device_id), ['laptop']);
+    assert.deepEqual(entry.after.devices, []);
+  });
+
+  it('rotates a key so only the new secret works after the overlap', async () => {
+    const { status, body } = await admin('POST', '/admin/users/user-1/rotate-key', {
+      product_id: 'product-1',
+      overlap_hours: 0
+    });
+
+    assert.equal(status, 200);
+    assert.match(body.key_value, /^sk_[0-9a-f]{64}$/);
+    assert.equal(body.previous_key_expires_at, null);
+
+    const oldKey = await api.request('POST', '/verify', { body: { api_key: API_KEY, device_id: 'laptop' } });
+    const newKey = await api.request('POST', '/verify', { body: { api_key: body.key_value, device_id: 'laptop' } });
+    assert.equal(oldKey.body.valid, false);
+    assert.equal(newKey.body.valid, true);
+
+    const [entry] = supabase.db.admin_audit_log;
+    assert.equal(entry.action, 'api_key.rotate');
+    assert.deepEqual(entry.before, { key_prefix: API_KEY.slice(0, 11) });
+    assert.equal(entry.after.key_prefix, body.key_prefix);
+    assert.ok(!JSON.stringify(entry).includes(body.key_value));
+  });
+});
+
+describe('bulk subscriptions', () => {
+  // Bulk changes take user ids as the database stores them, so these
+  // customers have UUIDs
+  const customer = (n) => `00000000-0000-4000-8000-00000000000${n}`;
+
+  // Customer 1 premium for 10 more days, customer 2 on an expired trial,
+  // customer 3 with no subscription to the product and customer 4 free
+  beforeEach(() => {
+    for (const n of [1, 2, 3, 4]) {
+      supabase.db.users.push({ id: customer(n), email: `customer${n}@example.com`, full_name: null, is_admin: false });
+    }
+    supabase.db.subscriptions.push(
+      { id: 'subscription-2', user_id: customer(1), product_id: 'product-1', status: 'premium', expires_at: daysFromNow(10) },
+      { id: 'subscription-3', user_id: customer(2), product_id: 'product-1', status: 'trial', expires_at: daysFromNow(-1) },
+      { id: 'subscription-4', user_id: customer(4), product_id: 'product-1', status: 'free', expires_at: null }
+    );
+  });
+
+  const bulk = (body) => admin('POST', '/admin/subscriptions/bulk', { product_id: 'product-1', ...body });
+
+  const subscription = (userId) =>
+    supabase.db.subscriptions.find((row) => row.user_id === userId && row.product_id === 'product-1');
+
+  const daysLeft = (userId) => Math.round((new Date(subscription(userId).expires_at) - Date.now()) / (24 * 60 * 60 * 1000));
+
+  // Follow the job as the dashboard does until the background run is done
+  const finished = async (jobId) => {
+    for (let attempt = 0; attempt < 50; attempt += 1) {
+      const { status, body } = await admin('GET', `/admin/bulk-jobs/${jobId}`);
+      assert.equal(status, 200);
+      if (body.status === 'completed') return body;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.fail('bulk job did not finish');
+  };
+
+  it('rejects invalid requests', async () => {
+    const cases = [
+      [{ action: 'delete', user_ids: [customer(4)] }, 'action must be one of grant, extend, revoke'],
+      [{ action: 'grant', product_id: null, days: 7, user_ids: [customer(4)] }, 'product_id is required'],
+      [{ action: 'grant', user_ids: [customer(4)] }, 'days must be a positive whole number'],
+      [{ action: 'extend', days: 0, user_ids: [customer(4)] }, 'days must be a positive whole number'],
+      [{ action: 'revoke', days: 1.5, user_ids: [customer(4)] }, 'days must be a positive whole number'],
+      [{ action: 'grant', days: 7 }, 'Pass either user_ids or filter'],
+      [{ action: 'grant', days: 7, user_ids: [customer(4)], filter: {} }, 'Pass either user_ids or filter'],
+      [{ action: 'grant', days: 7, user_ids: [] }, 'user_ids must be a non-empty list of user ids'],
+      [{ action: 'grant', days: 7, user_ids: [customer(1), 'user-1'] }, 'user_ids must be a non-empty list of user ids'],
+      [{ action: 'grant', days: 7, filter: 'all' }, 'filter must be an object'],
+      [{ action: 'grant', days: 7, filter: { status: 'gold' } }, 'status must be one of free, trial, premium']
+    ];
+
+    for (const [body, error] of cases) {
+      const response = await bulk(body);
+      assert.equal(response.status, 400, error);
+      assert.deepEqual(response.body, { error });
+    }
+    assert.equal(supabase.db.bulk_jobs.length, 0);
+  });
+
+  it('previews how many users each action would change', async () => {
+    const count = async (body) => {
+      const { status, body: preview } = await bulk({ ...body, dry_run: true });
+      assert.equal(status, 200);
+      return preview.count;
+    };
+
+    assert.equal(await count({ action: 'grant', days: 7, filter: {} }), 6);
+    assert.equal(await count({ action: 'extend', days: 7, filter: {} }), 1);
+    assert.equal(await count({ action: 'revoke', filter: {} }), 1);
+    assert.equal(await count({ action: 'grant', days: 7, filter: { search: 'customer' } }), 4);
+    assert.equal(await count({ action: 'grant', days: 7, filter: { product_id: 'product-1', status: 'trial' } }), 1);
+    assert.equal(await count({ action: 'extend', days: 7, user_ids: [customer(4), customer(1), customer(2)] }), 1);
+
+    assert.equal(supabase.db.bulk_jobs.length, 0);
+    assert.equal(subscription(customer(1)).status, 'premium');
+  });
+
+  it('grants premium days to the selected users in a background job', async () => {
+    const { status, body: job } = await bulk({ action: 'grant', days: 30, user_ids: [customer(1), customer(3), customer(4)] });
+
+    assert.equal(status, 202);
+    assert.equal(job.total, 3);
+    assert.deepEqual(job.target, { user_ids: [customer(1), customer(3), customer(4)] });
+
+    const done = await finished(job.id);
+    assert.deepEqual(
+      [done.processed, done.changed, done.skipped, done.failed],
+      [3, 3, 0, 0]
+    );
+    assert.deepEqual(
+      supabase.db.subscription_history.map((entry) => [entry.user_id, entry.source, entry.mode, entry.changed_by]),
+      [[customer(1), 'bulk', 'grant', ADMIN.id], [customer(3), 'bulk', 'grant', ADMIN.id], [customer(4), 'bulk', 'grant', ADMIN.id]]
+    );
+    assert.equal(done.products.name, 'Scraper Pro');
+    assert.ok(done.finished_at);
+
+    assert.equal(subscription(customer(4)).status, 'premium');
+    assert.equal(daysLeft(customer(4)), 30);
+    assert.equal(daysLeft(customer(1)), 40, 'adds to the premium time left');
+    assert.equal(subscription(customer(3)).status, 'premium', 'creates missing subscriptions');
+    assert.equal(subscription(customer(2)).status, 'trial');
+
+    assert.deepEqual(auditTrail(), [['subscription.bulk_update', 'bulk_job', job.id]]);
+    assert.deepEqual(supabase.db.admin_audit_log[0].after, {
+      action: 'grant',
+      product_id: 'product-1',
+      days: 30,
+      total: 3,
+      target: { user_ids: [customer(1), customer(3), customer(4)] }
+    });
+
+    const events = supabase.db.webhook_deliveries.map((delivery) => delivery.payload.data);
+    assert.equal(events.length, 3);
+    assert.ok(supabase.db.webhook_deliveries.every((delivery) => delivery.event_type === 'subscription.updated'));
+    const granted = events.find((data) => data.user_id === customer(4));
+    assert.deepEqual([granted.status, granted.previous_status], ['premium', 'free']);
+  });
+
+  it('extends only active subscriptions matching the filter', async () => {
+    const { body: job } = await bulk({ action: 'extend', days: 5, filter: { product_id: 'product-1' } });
+
+    assert.equal(job.total, 1);
+    assert.deepEqual(job.target.filter, { search: null, product_id: 'product-1', status: null });
+
+    await finished(job.id);
+    assert.equal(daysLeft(customer(1)), 15);
+    assert.ok(new Date(subscription(customer(2)).expires_at) < new Date());
+  });
+
+  it('revokes premium days, down to free once none are left', async () => {
+    supabase.db.subscriptions.push({ id: 'subscription-5', user_id: customer(3), product_id: 'product-1', status: 'premium', expires_at: daysFromNow(3) });
+
+    const { body: job } = await bulk({ action: 'revoke', days: 7, filter: { status: 'premium' } });
+    await finished(job.id);
+
+    assert.equal(daysLeft(customer(1)), 3);
+    assert.deepEqual(
+      [subscription(customer(3)).status, subscription(customer(3)).expires_at],
+      ['free', null]
+    );
+  });
+
+  it('skips users whose subscription changed after the job was created', async () => {
+    const { body: job } = await bulk({ action: 'revoke', user_ids: [customer(1)] });
+    subscription(customer(1)).status = 'free';
+
+    const done = await finished(job.id);
+    assert.deepEqual([done.changed, done.skipped], [0, 1]);
+    assert.equal(supabase.db.bulk_job_items[0].status, 'skipped');
+    assert.equal(supabase.db.webhook_deliveries.length, 0);
+  });
+
+  it('does not queue a job that applies to nobody', async () => {
+    const { status, body } = await bulk({ action: 'extend', days: 7, user_ids: [customer(4)] });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body, { error: 'No subscriptions match' });
+    assert.equal(supabase.db.bulk_jobs.length, 0);
+  });
+
+  it('lists recent jobs and 404s an unknown one', async () => {
+    const { body: job } = await bulk({ action: 'grant', days: 1, user_ids: [customer(4)] });
+    await finished(job.id);
+
+    const { status, body } = await admin('GET', '/admin/bulk-jobs');
+    assert.equal(status, 200);
+    assert.deepEqual(body.map((row) => row.id), [job.id]);
+
+    const missing = await admin('GET', '/admin/bulk-jobs/job-1');
+    assert.equal(missing.status, 404);
+    assert.deepEqual(missing.body, { error: 'Bulk job not found' });
+  });
+});
+
+describe('audit log', () => {
+  const entry = (index, fields) => ({
+    id: `audit-${index}`,
+    actor_id: ADMIN.id,
+    actor_email: ADMIN.email,
+    target_type: 'product',
+    target_id: 'product-1',
+    before: null,
+    after: null,
+    created_at: `2024-03-0${index}T00:00:00.000Z`,
+    ...fields
+  });
+
+  beforeEach(() => {
+    supabase.db.admin_audit_log.push(
+      entry(1, { action: 'product.create' }),
+      entry(2, { action: 'product.update' }),
+      entry(3, { action: 'plan.create', target_type: 'plan', target_id: 'plan-pro', actor_email: 'ops@example.com' })
+    );
+  });
+
+  it('lists entries newest first', async () => {
+    const { body } = await admin('GET', '/admin/audit-log');
+
+    assert.deepEqual(body.entries.map((row) => row.id), ['audit-3', 'audit-2', 'audit-1']);
+    assert.equal(body.next_before, null);
+  });
+
+  it('filters by action, target and actor', async () => {
+    const byAction = await admin('GET', '/admin/audit-log?action=product.update');
+    const byTarget = await admin('GET', '/admin/audit-log?target_type=plan&target_id=plan-pro');
+    const byActor = await admin('GET', '/admin/audit-log?actor=OPS');
+
+    assert.deepEqual(byAction.body.entries.map((row) => row.id), ['audit-2']);
+    assert.deepEqual(byTarget.body.entries.map((row) => row.id), ['audit-3']);
+    assert.deepEqual(byActor.body.entries.map((row) => row.id), ['audit-3']);
+  });
+
+  it('matches the actor filter literally', async () => {
+    const { body } = await admin('GET', '/admin/audit-log?actor=o_s');
+
+    assert.deepEqual(body.entries, []);
+  });
+
+  it('pages with the before cursor', async () => {
+    const first = await admin('GET', '/admin/audit-log?limit=2');
+    const second = await admin('GET', `/admin/audit-log?limit=2&before=${first.body.next_before}`);
+
+    assert.deepEqual(first.body.entries.map((row) => row.id), ['audit-3', 'audit-2']);
+    assert.equal(first.body.next_before, '2024-03-02T00:00:00.000Z');
+    assert.deepEqual(second.body.entries.map((row) => row.id), ['audit-1']);
+    assert.equal(second.body.next_before, null);
+  });
+});
+
+describe('activity', () => {
+  beforeEach(() => {
+    supabase.db.verification_events.push(
+      { id: 'event-1', endpoint: 'verify', user_id: 'user-1', product_id: 'product-1', result: 'success', created_at: '2024-03-01T00:00:00.000Z' },
+      { id: 'event-2', endpoint: 'release-device', user_id: 'user-1', product_id: 'product-1', result: 'failure', created_at: '2024-03-02T00:00:00.000Z' },
+      { id: 'event-3', endpoint: 'verify', user_id: null, product_id: null, result: 'failure', created_at: '2024-03-03T00:00:00.000Z' }
+    );
+  });
+
+  it('lists events newest first with user and product', async () => {
+    const { body } = await admin('GET', '/admin/activity');
+
+    assert.deepEqual(body.events.map((event) => event.id), ['event-3', 'event-2', 'event-1']);
+    assert.deepEqual(body.events[1].users, { email: 'ada@example.com', full_name: 'Ada' });
+    assert.deepEqual(body.events[1].products, { name: 'Scraper Pro' });
+    assert.equal(body.events[0].users, null);
+  });
+
+  it('filters by user, result, endpoint and date range', async () => {
+    const byUser = await admin('GET', '/admin/activity?user=ada');
+    const byResult = await admin('GET', '/admin/activity?result=failure&endpoint=verify');
+    const byDate = await admin('GET', '/admin/activity?from=2024-03-02&to=2024-03-02T12:00:00Z');
+
+    assert.deepEqual(byUser.body.events.map((event) => event.id), ['event-2', 'event-1']);
+    assert.deepEqual(byResult.body.events.map((event) => event.id), ['event-3']);
+    assert.deepEqual(byDate.body.events.map((event) => event.id), ['event-2']);
+  });
+
+  it('rejects date filters and cursors that are not dates', async () => {
+    for (const [path, error] of [
+      ['/admin/activity?from=yesterday', 'from must be a valid date'],
+      ['/admin/activity?to=2024-13-45', 'to must be a valid date'],
+      ['/admin/activity?before=garbage', 'before must be a valid date'],
+      ['/admin/audit-log?before=garbage', 'before must be a valid date'],
+      ['/admin/revenue?from=2024-02-15&to=soon', 'to must be a valid date'],
+      ['/admin/webhooks/endpoint-1/deliveries?before=garbage', 'before must be a valid date']
+    ]) {
+      const { status, body } = await admin('GET', path);
+      assert.equal(status, 400, path);
+      assert.deepEqual(body, { error });
+    }
+  });
+});
+
+describe('abuse', () => {
+  it('groups recent events by key and by IP', async () => {
+    const prefix = API_KEY.slice(0, 11);
+    supabase.db.abuse_events.push(
+      { reason: 'device_limit', scope: 'key', ip: '10.0.0.1', key_prefix: prefix, device_id: 'a', created_at: daysFromNow(0) },
+      { reason: 'device_limit', scope: 'key', ip: '10.0.0.2', key_prefix: prefix, device_id: 'b', created_at: daysFromNow(0) },
+      { reason: 'rate_limited', scope: 'key', ip: '10.0.0.2', key_prefix: prefix, device_id: null, created_at: daysFromNow(0) },
+      { reason: 'rate_limited', scope: 'ip', ip: '10.0.0.9', key_prefix: null, device_id: null, created_at: daysFromNow(0) },
+      { reason: 'device_limit', scope: 'key', ip: '10.0.0.3', key_prefix: prefix, device_id: 'c', created_at: daysFromNow(-3) }
+    );
+
+    const { status, body } = await admin('GET', '/admin/abuse');
+
+    assert.equal(status, 200);
+    assert.equal(body.keys.length, 1);
+    assert.deepEqual(
+      { ...body.keys[0], last_event_at: undefined },
+      {
+        key_prefix: prefix,
+        rate_limited: 1,
+        rejected_devices: 2,
+        ips: 2,
+        last_event_at: undefined,
+        user: 'ada@example.com',
+        product: 'Scraper Pro'
+      }
+    );
+    assert.deepEqual(body.ips.map((entry) => [entry.ip, entry.rate_limited]), [['10.0.0.9', 1]]);
+  });
+});
+
+describe('revenue', () => {
+  it('totals payments per product and currency', async () => {
+    supabase.db.payments.push(
+      { product_id: 'product-1', amount: '9.99', currency: 'usd', paid_at: '2024-03-01T00:00:00.000Z' },
+      { product_id: 'product-1', amount: '9.99', currency: 'usd', paid_at: '2024-03-05T00:00:00.000Z' },
+      { product_id: 'product-1', amount: '8.50', currency: 'eur', paid_at: '2024-03-02T00:00:00.000Z' },
+      { product_id: 'product-1', amount: '9.99', currency: 'usd', paid_at: '2024-01-01T00:00:00.000Z' }
+    );
+
+    const { body } = await admin('GET', '/admin/revenue?from=2024-02-15&to=2024-03-15');
+
+    assert.deepEqual(body.products, [
+      { product_id: 'product-1', product: 'Scraper Pro', currency: 'usd', payments: 2, revenue: 19.98, last_paid_at: '2024-03-05T00:00:00.000Z' },
+      { product_id: 'product-1', product: 'Scraper Pro', currency: 'eur', payments: 1, revenue: 8.5, last_paid_at: '2024-03-02T00:00:00.000Z' }
+    ]);
+  });
+});
+
+describe('usage', () => {
+  it('totals usage per product and ranks the heaviest keys', async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    supabase.db.usage_daily.push(
+      { api_key_id: 'key-1', product_id: 'product-1', metric: 'requests', day: today, count: 40 },
+      { api_key_id: 'key-1', product_id: 'product-1', metric: 'exports', day: today, count: 2 },
+      { api_key_id: 'key-1', product_id: 'product-1', metric: 'requests', day: '2000-01-01', count: 1000 }
+    );
+
+    const { body } = await admin('GET', '/admin/usage?days=7');
+
+    assert.equal(body.products.length, 1);
+    assert.deepEqual(body.products[0].totals, { requests: 40, exports: 2 });
+    assert.deepEqual(body.top_keys, [{
+      api_key_id: 'key-1',
+      key_prefix: API_KEY.slice(0, 11),
+      user: 'ada@example.com',
+      product: 'Scraper Pro',
+      total: 42
+    }]);
+  });
+});
+
+describe('webhooks', () => {
+  it('lists endpoints and the event types they can subscribe to', async () => {
+    const { body } = await admin('GET', '/admin/webhooks');
+
+    assert.deepEqual(body.endpoints.map((endpoint) => endpoint.id), ['endpoint-1']);
+    assert.ok(body.events.includes('device.bound'));
+  });
+
+  it('creates an endpoint with a fresh secret kept out of the audit log', async () => {
+    const { status, body } = await admin('POST', '/admin/webhooks', {
+      url: 'https://example.com/hook',
+      events: ['device.bound', 'device.released']
+    });
+
+    assert.equal(status, 200);
+    assert.match(body.secret, /^whsec_[0-9a-f]{64}$/);
+    assert.deepEqual(body.events, ['device.bound', 'device.released']);
+    assert.equal(body.is_active, true);
+
+    const [entry] = supabase.db.admin_audit_log;
+    assert.equal(entry.action, 'webhook.create');
+    assert.equal(entry.after.url, 'https://example.com/hook');
+    assert.equal(entry.after.secret, undefined);
+  });
+
+  it('rejects invalid endpoints', async () => {
+    const badUrl = await admin('POST', '/admin/webhooks', { url: 'ftp://example.com' });
+    const badEvent = await admin('POST', '/admin/webhooks', { url: 'https://example.com', events: ['device.stolen'] });
+    const badList = await admin('PUT', '/admin/webhooks/endpoint-1', { url: 'https://example.com', events: 'device.bound' });
+
+    assert.equal(badUrl.status, 400);
+    assert.equal(badUrl.body.error, 'url must use http or https');
+    assert.equal(badEvent.status, 400);
+    assert.equal(badEvent.body.error, 'Unknown webhook events: device.stolen');
+    assert.equal(badList.status, 400);
+    assert.equal(supabase.db.webhook_endpoints.length, 1);
+  });
+
+  it('updates an endpoint and rotates its secret on request', async () => {
+    const updated = await admin('PUT', '/admin/webhooks/endpoint-1', { url: ENDPOINT.url, is_active: false });
+    assert.equal(updated.body.is_active, false);
+    assert.equal(updated.body.secret, ENDPOINT.secret);
+
+    const rotated = await admin('PUT', '/admin/webhooks/endpoint-1', { url: ENDPOINT.url, rotate_secret: true });
+    assert.notEqual(rotated.body.secret, ENDPOINT.secret);
+
+    assert.deepEqual(auditTrail(), [
+      ['webhook.update', 'webhook_endpoint', 'endpoint-1'],
+      ['webhook.rotate_secret', 'webhook_endpoint', 'endpoint-1']
+    ]);
+    assert.ok(!JSON.stringify(supabase.db.admin_audit_log).includes('whsec_'));
+  });
+
+  it('deletes an endpoint', async () => {
+    const { status } = await admin('DELETE', '/admin/webhooks/endpoint-1');
+
+    assert.equal(status, 200);
+    assert.equal(supabase.db.webhook_endpoints.length, 0);
+    assert.deepEqual(auditTrail(), [['webhook.delete', 'webhook_endpoint', 'endpoint-1']]);
+  });
+
+  describe('deliveries', () => {
+    const delivery = (index, fields) => ({
+      id: `delivery-${index}`,
+      endpoint_id: 'endpoint-1',
+      event_id: `event-${index}`,
+      event_type: 'device.bound',
+      payload: { id: `event-${index}`, type: 'device.bound', data: {} },
+      status: 'succeeded',
+      attempts: 1,
+      next_attempt_at: '2024-03-01T00:00:00.000Z',
+      created_at: `2024-03-0${index}T00:00:00.000Z`,
+      ...fields
+    });
+
+    beforeEach(() => {
+      supabase.db.webhook_deliveries.push(
+        delivery(1),
+        delivery(2, { status: 'failed', attempts: 8, last_error: 'HTTP 500' }),
+        delivery(3, { endpoint_id: 'endpoint-2' })
+      );
+    });
+
+    it('lists the deliveries of one endpoint, filtered by status', async () => {
+      const all = await admin('GET', '/admin/webhooks/endpoint-1/deliveries');
+      const failed = await admin('GET', '/admin/webhooks/endpoint-1/deliveries?status=failed');
+
+      assert.deepEqual(all.body.deliveries.map((row) => row.id), ['delivery-2', 'delivery-1']);
+      assert.deepEqual(failed.body.deliveries.map((row) => row.id), ['delivery-2']);
+    });
+
+    it('queues a failed delivery again with fresh retries', async () => {
+      const { status, body } = await admin('POST', '/admin/webhook-deliveries/delivery-2/redeliver');
+
+      assert.equal(status, 200);
+      assert.equal(body.status, 'pending');
+      assert.equal(body.attempts, 0);
+      assert.equal(body.event_id, 'event-2');
+      assert.deepEqual(supabase.db.admin_audit_log[0].after, { event_id: 'event-2', event_type: 'device.bound' });
+    });
+
+    it('answers 500 for an unknown delivery', async () => {
+      const { status } = await admin('POST', '/admin/webhook-deliveries/missing/redeliver');
+      assert.equal(status, 500);
+    });
+  });
+});
+
+describe('promo codes', () => {
+  const PROMO = { product_id: 'product-1', kind: 'premium_days', days: 14 };
+
+  it('creates a code, upper-casing it', async () => {
+    const { status, body } = await admin('POST', '/admin/promo-codes', { ...PROMO, code: 'welcome-14', max_redemptions: '100' });
+
+    assert.equal(status, 200);
+    assert.equal(body.code, 'WELCOME-14');
+    assert.deepEqual(
+      [body.kind, body.days, body.percent_off, body.max_redemptions, body.redemptions, body.is_active],
+      ['premium_days', 14, null, 100, 0, true]
+    );
+    assert.equal(body.created_by, ADMIN.id);
+    assert.deepEqual(auditTrail(), [['promo_code.create', 'promo_code', body.id]]);
+  });
+
+  it('generates a code when none is given', async () => {
+    const { body } = await admin('POST', '/admin/promo-codes', { product_id: 'product-1', kind: 'discount', percent_off: 25 });
+
+    assert.match(body.code, /^[0-9A-F]{8}$/);
+    assert.deepEqual([body.days, body.percent_off], [null, 25]);
+  });
+
+  it('rejects invalid codes', async () => {
+    const cases = [
+      [{ code: 'no spaces' }, 'code must be 3 to 40 letters, digits, - or _'],
+      [{ product_id: null }, 'product_id is required'],
+      [{ kind: 'free_money' }, 'kind must be one of premium_days, discount'],
+      [{ days: 0 }, 'days must be a positive whole number'],
+      [{ kind: 'discount', percent_off: 100 }, 'percent_off must be a whole number from 1 to 99'],
+      [{ max_redemptions: 0 }, 'max_redemptions must be at least 1'],
+      [{ expires_at: 'soon' }, 'expires_at must be a date']
+    ];
+
+    for (const [fields, error] of cases) {
+      const { status, body } = await admin('POST', '/admin/promo-codes', { ...PROMO, ...fields });
+      assert.equal(status, 400, error);
+      assert.deepEqual(body, { error });
+    }
+    assert.equal(supabase.db.promo_codes.length, 0);
+  });
+
+  it('refuses a code that already exists', async () => {
+    await admin('POST', '/admin/promo-codes', { ...PROMO, code: 'SPRING' });
+
+    const { status, body } = await admin('POST', '/admin/promo-codes', { ...PROMO, code: 'spring' });
+
+    assert.equal(status, 409);
+    assert.deepEqual(body, { error: 'A promo code with this code already exists' });
+  });
+
+  it('switches a code off without losing its redemptions', async () => {
+    const { body: created } = await admin('POST', '/admin/promo-codes', { ...PROMO, code: 'SPRING' });
+    supabase.db.promo_codes[0].redemptions = 3;
+
+    const { status, body } = await admin('PUT', `/admin/promo-codes/${created.id}`, { ...created, is_active: false });
+
+    assert.equal(status, 200);
+    assert.deepEqual([body.is_active, body.redemptions], [false, 3]);
+
+    const [, entry] = supabase.db.admin_audit_log;
+    assert.equal(entry.action, 'promo_code.update');
+    assert.deepEqual([entry.before.is_active, entry.after.is_active], [true, false]);
+  });
+
+  it('lists codes with their product', async () => {
+    await admin('POST', '/admin/promo-codes', { ...PROMO, code: 'SPRING' });
+
+    const { status, body } = await admin('GET', '/admin/promo-codes');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.map((promo) => [promo.code, promo.products.name]), [['SPRING', 'Scraper Pro']]);
+  });
+});
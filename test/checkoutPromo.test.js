@@ -0,0 +1,127 @@
+// Discount codes through create_checkout() and complete_checkout() on a
+// real Postgres server: however checkouts and payments interleave, a code
+// is never redeemed more often than max_redemptions allows.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startPostgres } = require('./support/postgres');
+
+describe('discount codes at checkout', () => {
+  let db;
+  let productId;
+  let codes = 0;
+  let users = 0;
+
+  before(async () => {
+    db = await startPostgres();
+    const { rows: [product] } = await db.query(
+      `INSERT INTO public.products (name, price) VALUES ('Checkout Tool', 9.99) RETURNING id`
+    );
+    productId = product.id;
+  });
+
+  after(() => db?.stop());
+
+  const createCode = async (maxRedemptions) => {
+    codes += 1;
+    const code = `ONCE-${codes}`;
+    await db.query(
+      `INSERT INTO public.promo_codes (code, product_id, kind, percent_off, max_redemptions)
+       VALUES ($1, $2, 'discount', 50, $3)`,
+      [code, productId, maxRedemptions]
+    );
+    return code;
+  };
+
+  const createUsers = (count) => Promise.all(Array.from({ length: count }, () => {
+    users += 1;
+    return db.createUser(`buyer-${users}@example.com`);
+  }));
+
+  const startCheckout = async (userId, code) => {
+    const { rows: [{ result }] } = await db.query(
+      `SELECT create_checkout($1, $2, 'fake', 9.99, 'usd', $3) AS result`,
+      [userId, productId, code]
+    );
+    return result;
+  };
+
+  const pay = async (checkoutId) => {
+    const { rows: [{ result }] } = await db.query(
+      `SELECT complete_checkout('fake', $1, 'checkout.completed', $2) AS result`,
+      [`evt_${checkoutId}`, checkoutId]
+    );
+    return result;
+  };
+
+  const redemptions = async (code) => {
+    const { rows: [promo] } = await db.query(
+      `SELECT pc.redemptions, (SELECT COUNT(*)::INT FROM public.promo_redemptions r WHERE r.promo_code_id = pc.id) AS rows
+       FROM public.promo_codes pc WHERE code = $1`,
+      [code]
+    );
+    return promo;
+  };
+
+  it('gives a single-use code to one of several buyers checking out at once', async () => {
+    const code = await createCode(1);
+    const buyers = await createUsers(3);
+
+    const results = await Promise.all(buyers.map((userId) => startCheckout(userId, code)));
+
+    const opened = results.filter((result) => result.checkout);
+    assert.equal(opened.length, 1);
+    assert.equal(Number(opened[0].checkout.amount), 5);
+    assert.deepEqual(results.filter((result) => result.error).map((result) => result.error), ['exhausted', 'exhausted']);
+
+    for (const result of await Promise.all(opened.map((result) => pay(result.checkout.id)))) {
+      assert.equal(result.status, 'completed');
+    }
+    assert.deepEqual(await redemptions(code), { redemptions: 1, rows: 1 });
+  });
+
+  it('moves a buyer\'s hold on a code to their latest checkout', async () => {
+    const code = await createCode(1);
+    const [buyer, other] = await createUsers(2);
+
+    const first = await startCheckout(buyer, code);
+    const second = await startCheckout(buyer, code);
+
+    assert.ok(first.checkout);
+    assert.ok(second.checkout);
+    assert.deepEqual(await startCheckout(other, code), { error: 'exhausted' });
+
+    await pay(second.checkout.id);
+    assert.deepEqual(await redemptions(code), { redemptions: 1, rows: 1 });
+  });
+
+  it('does not count a payment that arrives after its hold ran out and the code was used up', async () => {
+    const code = await createCode(1);
+    const [late, prompt] = await createUsers(2);
+
+    const lapsed = await startCheckout(late, code);
+    await db.query(`UPDATE public.checkout_sessions SET expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1`, [lapsed.checkout.id]);
+
+    const held = await startCheckout(prompt, code);
+    assert.ok(held.checkout);
+    await pay(held.checkout.id);
+
+    const result = await pay(lapsed.checkout.id);
+
+    assert.equal(result.status, 'completed');
+    assert.deepEqual(await redemptions(code), { redemptions: 1, rows: 1 });
+  });
+
+  it('frees the hold of a checkout whose payment page closed unpaid', async () => {
+    const code = await createCode(1);
+    const [abandoned, next] = await createUsers(2);
+
+    const first = await startCheckout(abandoned, code);
+    assert.deepEqual(await startCheckout(next, code), { error: 'exhausted' });
+
+    await db.query(`UPDATE public.checkout_sessions SET expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1`, [first.checkout.id]);
+
+    assert.ok((await startCheckout(next, code)).checkout);
+  });
+});
@@ -0,0 +1,70 @@
+// Offline license tokens from lib/licenseToken.js, and how a bad
+// LICENSE_SIGNING_KEY is handled.
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+
+const MODULE_PATH = require.resolve('../lib/licenseToken');
+const SEED = crypto.randomBytes(32).toString('base64');
+
+// The signing key is cached per process, so each test loads a fresh copy
+const loadWithKey = (key) => {
+  process.env.LICENSE_SIGNING_KEY = key;
+  delete require.cache[MODULE_PATH];
+  return require(MODULE_PATH);
+};
+
+const claims = {
+  userId: 'user-1',
+  user: 'user@example.com',
+  product: 'Pro Tool',
+  productId: 'product-1',
+  status: 'premium',
+  deviceId: 'laptop',
+  expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
+};
+
+describe('license tokens', () => {
+  afterEach(() => {
+    delete process.env.LICENSE_SIGNING_KEY;
+    delete require.cache[MODULE_PATH];
+  });
+
+  it('signs tokens that verify against the published public key', () => {
+    const { createLicenseToken, getPublicKey } = loadWithKey(SEED);
+
+    const [header, payload, signature] = createLicenseToken(claims).split('.');
+    const publicKey = crypto.createPublicKey(getPublicKey().pem);
+
+    assert.ok(crypto.verify(null, Buffer.from(`${header}.${payload}`), publicKey, Buffer.from(signature, 'base64url')));
+    assert.equal(JSON.parse(Buffer.from(payload, 'base64url')).device_id, 'laptop');
+  });
+
+  it('issues no token when no key is configured', () => {
+    const { loadSigningKey, createLicenseToken } = loadWithKey('');
+
+    assert.equal(loadSigningKey(), null);
+    assert.equal(createLicenseToken(claims), null);
+  });
+
+  it('rejects a key that is not a 32-byte seed', () => {
+    const { loadSigningKey } = loadWithKey(crypto.randomBytes(16).toString('base64'));
+
+    assert.throws(loadSigningKey, /32-byte Ed25519 seed/);
+  });
+
+  it('stops the server from starting with a malformed key', () => {
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+      env: { ...process.env, LICENSE_SIGNING_KEY: 'not-a-key', PORT: '0' },
+      encoding: 'utf8',
+      timeout: 10000
+    });
+
+    assert.notEqual(result.status, 0);
+    assert.equal(result.signal, null);
+    assert.match(result.stderr, /LICENSE_SIGNING_KEY must be a base64-encoded 32-byte Ed25519 seed/);
+  });
+});
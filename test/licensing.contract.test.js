@@ -0,0 +1,273 @@
+// Contract tests for /verify: every scenario runs against the Express route
+// in server.js and against the handler the edge function in
+// supabase/functions/api/index.ts serves, each on a fresh copy of the same
+// in-memory database, and both must answer the same way.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useFakeSupabase, startApp } = require('./support/app');
+const { loadEdgeFunction } = require('./support/edgeFunction');
+const { API_KEY, ROTATED_API_KEY, daysFromNow, supabaseFixture } = require('./support/fixtures');
+
+const DEVICE_PUBLIC_KEY = Buffer.alloc(32, 7).toString('base64');
+
+// Subscribed to every event, so each lifecycle event leaves a delivery
+const ENDPOINT = { id: 'endpoint-1', url: 'https://hooks.example.com', secret: 'whsec_test', events: [], is_active: true };
+
+let api;
+let edge;
+
+const targets = {
+  async express(body) {
+    return api.request('POST', '/verify', { body });
+  },
+
+  async edge(body) {
+    const response = await edge(new Request('http://localhost/api/verify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }));
+    return { status: response.status, body: await response.json() };
+  }
+};
+
+const events = (db) => db.webhook_deliveries.map((delivery) => ({ type: delivery.event_type, data: delivery.payload.data }));
+
+const scenarios = [
+  {
+    name: 'rejects a request without device_id',
+    request: { api_key: API_KEY },
+    expect: (result) => {
+      assert.equal(result.status, 400);
+      assert.deepEqual(result.body, { valid: false, error: 'api_key and device_id are required' });
+    }
+  },
+  {
+    name: 'rejects a malformed device public key',
+    request: { api_key: API_KEY, device_id: 'laptop', device_public_key: 'not-a-key' },
+    expect: (result) => {
+      assert.equal(result.status, 400);
+      assert.equal(result.body.error, 'device_public_key must be a base64-encoded Ed25519 public key');
+    }
+  },
+  {
+    name: 'rejects an unknown key',
+    request: { api_key: `sk_${'0'.repeat(64)}`, device_id: 'laptop' },
+    expect: (result) => {
+      assert.equal(result.status, 200);
+      assert.deepEqual(result.body, { valid: false, error: 'Invalid API key' });
+    }
+  },
+  {
+    name: 'refuses every key of a deactivated product',
+    seed: { product: { is_active: false }, devices: ['laptop'] },
+    request: { api_key: API_KEY, device_id: 'laptop' },
+    expect: (result, db) => {
+      assert.deepEqual(result.body, {
+        valid: false,
+        product: 'Scraper Pro',
+        active: false,
+        message: 'This product is no longer available.'
+      });
+      assert.equal(events(db).length, 0);
+    }
+  },
+  {
+    name: 'binds a new device to a free seat',
+    seed: { product: { trial_enabled: false } },
+    request: { api_key: API_KEY, device_id: 'laptop', device_public_key: DEVICE_PUBLIC_KEY },
+    expect: (result, db) => {
+      assert.deepEqual(result.body, {
+        valid: true,
+        user: 'Ada',
+        product: 'Scraper Pro',
+        status: 'free',
+        plan: 'Free',
+        entitlements: { export: false },
+        device_id: 'laptop',
+        message: 'Trial not available for this product.'
+      });
+      assert.deepEqual(db.key_devices.map((device) => [device.device_id, device.public_key]), [['laptop', DEVICE_PUBLIC_KEY]]);
+      assert.deepEqual(events(db).map((event) => event.type), ['device.bound']);
+    }
+  },
+  {
+    name: 'lets a bound device back in without binding it again',
+    seed: { product: { trial_enabled: false }, devices: ['laptop'] },
+    request: { api_key: API_KEY, device_id: 'laptop' },
+    expect: (result, db) => {
+      assert.equal(result.body.valid, true);
+      assert.equal(db.key_devices.length, 1);
+      assert.equal(events(db).length, 0);
+    }
+  },
+  {
+    name: 'turns away a device once every seat is taken',
+    seed: { devices: ['laptop'] },
+    request: { api_key: API_KEY, device_id: 'desktop' },
+    expect: (result, db) => {
+      assert.deepEqual(result.body, {
+        valid: false,
+        error: 'API key is bound to the maximum number of devices',
+        max_devices: 1,
+        message: 'Use /release-device to unbind one of its devices first.'
+      });
+      assert.equal(db.key_devices.length, 1);
+      assert.deepEqual(db.abuse_events.map((event) => [event.reason, event.device_id]), [['device_limit', 'desktop']]);
+    }
+  },
+  {
+    name: 'starts the trial on first use',
+    request: { api_key: API_KEY, device_id: 'laptop' },
+    expect: (result, db) => {
+      const { expires_at: expiresAt, ...body } = result.body;
+      assert.deepEqual(body, {
+        valid: true,
+        user: 'Ada',
+        product: 'Scraper Pro',
+        status: 'trial',
+        plan: 'Pro',
+        entitlements: { export: true },
+        days_left: 3,
+        device_id: 'laptop',
+        message: 'Trial activated! You have 3 days of premium access.'
+      });
+      assert.ok(Math.abs(new Date(expiresAt) - new Date(daysFromNow(3))) < 60 * 60 * 1000);
+
+      assert.equal(db.subscriptions[0].status, 'trial');
+      assert.equal(db.subscriptions[0].trial_used, true);
+      assert.deepEqual(
+        db.trial_claims.map((claim) => [claim.product_id, claim.device_id, claim.user_id]),
+        [['product-1', 'laptop', 'user-1']]
+      );
+      assert.deepEqual(events(db).map((event) => event.type), ['device.bound', 'trial.started']);
+    }
+  },
+  {
+    name: 'refuses a second trial on a device another account used',
+    seed: { devices: ['laptop'] },
+    prepare: (db) => {
+      db.trial_claims.push({ product_id: 'product-1', device_id: 'laptop', user_id: 'user-2' });
+    },
+    request: { api_key: API_KEY, device_id: 'laptop' },
+    expect: (result, db) => {
+      assert.equal(result.body.valid, true);
+      assert.equal(result.body.status, 'free');
+      assert.equal(result.body.message, 'A free trial for this product has already been used on this device.');
+      assert.equal(db.subscriptions[0].status, 'free');
+    }
+  },
+  {
+    name: 'holds the trial back until the email address is verified',
+    seed: { user: { email_confirmed_at: null }, product: { trial_requires_verified_email: true }, devices: ['laptop'] },
+    request: { api_key: API_KEY, device_id: 'laptop' },
+    expect: (result, db) => {
+      assert.equal(result.body.status, 'free');
+      assert.equal(result.body.message, 'Verify your email address to start the free trial.');
+      assert.equal(db.trial_claims.length, 0);
+    }
+  },
+  {
+    name: 'reports days left on an active premium subscription',
+    seed: { subscription: { status: 'premium', trial_used: true, expires_at: daysFromNow(10) }, devices: ['laptop'] },
+    request: { api_key: API_KEY, device_id: 'laptop' },
+    expect: (result, db) => {
+      assert.equal(result.body.status, 'premium');
+      assert.equal(result.body.plan, 'Pro');
+      assert.equal(result.body.days_left, 10);
+      assert.equal(result.body.expires_at, db.subscriptions[0].expires_at);
+    }
+  },
+  {
+    name: 'reverts an expired subscription to free',
+    seed: { subscription: { status: 'premium', trial_used: true, expires_at: daysFromNow(-1) }, devices: ['laptop'] },
+    request: { api_key: API_KEY, device_id: 'laptop' },
+    expect: (result, db) => {
+      assert.deepEqual(result.body, {
+        valid: true,
+        user: 'Ada',
+        product: 'Scraper Pro',
+        status: 'free',
+        plan: 'Free',
+        entitlements: { export: false },
+        device_id: 'laptop'
+      });
+      assert.equal(db.subscriptions[0].status, 'free');
+      assert.equal(db.subscriptions[0].expires_at, null);
+      assert.deepEqual(events(db).map((event) => [event.type, event.data.previous_status]), [['subscription.expired', 'premium']]);
+    }
+  },
+  {
+    name: 'refuses once the plan quota is used up',
+    seed: {
+      devices: ['laptop'],
+      subscription: { trial_used: true },
+      plans: [{ id: 'plan-free', product_id: 'product-1', name: 'Free', status: 'free', is_default: true, entitlements: {}, quotas: { requests: 100 } }]
+    },
+    prepare: (db) => {
+      db.usage_daily.push({
+        api_key_id: 'key-1',
+        product_id: 'product-1',
+        metric: 'requests',
+        day: new Date().toISOString().slice(0, 10),
+        count: 100
+      });
+    },
+    request: { api_key: API_KEY, device_id: 'laptop' },
+    expect: (result) => {
+      assert.equal(result.body.valid, false);
+      assert.equal(result.body.error, 'Usage quota exceeded');
+      assert.deepEqual(result.body.quota.metrics, { requests: { used: 100, limit: 100, remaining: 0 } });
+    }
+  },
+  {
+    name: 'warns when a rotated-out secret is used during the overlap',
+    seed: {
+      product: { trial_enabled: false },
+      devices: ['laptop'],
+      key: { secret: ROTATED_API_KEY, previous_secret: API_KEY, previous_key_expires_at: daysFromNow(1) }
+    },
+    request: { api_key: API_KEY, device_id: 'laptop' },
+    expect: (result, db) => {
+      assert.equal(result.body.valid, true);
+      assert.equal(
+        result.body.warning,
+        `This API key has been rotated and stops working at ${db.api_keys[0].previous_key_expires_at}.`
+      );
+    }
+  }
+];
+
+describe('/verify contract', () => {
+  before(async () => {
+    api = await startApp();
+    edge = await loadEdgeFunction();
+  });
+
+  after(() => api.close());
+
+  for (const scenario of scenarios) {
+    describe(scenario.name, () => {
+      const results = {};
+
+      for (const [target, call] of Object.entries(targets)) {
+        it(`via ${target}`, async () => {
+          const { db } = useFakeSupabase({ ...supabaseFixture(scenario.seed), webhook_endpoints: [{ ...ENDPOINT }] });
+          scenario.prepare?.(db);
+
+          results[target] = await call(scenario.request);
+          scenario.expect(results[target], db);
+        });
+      }
+
+      // Trial expiry dates depend on when each request ran; the scenarios
+      // check them on their own
+      it('answers the same in both runtimes', () => {
+        const comparable = ({ status, body: { expires_at, ...body } }) => ({ status, body });
+        assert.deepEqual(comparable(results.express), comparable(results.edge));
+      });
+    });
+  }
+});
@@ -0,0 +1,217 @@
+// POST /promo-codes/redeem and discount codes at POST /checkout.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { paymentProvider, useFakeSupabase, startApp } = require('./support/app');
+const { daysFromNow, supabaseFixture } = require('./support/fixtures');
+
+const PROMO = { product_id: 'product-1', days: null, percent_off: null, max_redemptions: null, redemptions: 0, expires_at: null, is_active: true };
+
+const PROMO_CODES = [
+  { ...PROMO, id: 'promo-1', code: 'WELCOME', kind: 'premium_days', days: 14, max_redemptions: 2 },
+  { ...PROMO, id: 'promo-2', code: 'HALF', kind: 'discount', percent_off: 50 },
+  { ...PROMO, id: 'promo-3', code: 'LAST-YEAR', kind: 'premium_days', days: 14, expires_at: daysFromNow(-1) }
+];
+
+describe('promo codes', () => {
+  let api;
+  let supabase;
+  let token;
+
+  before(async () => {
+    api = await startApp();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    supabase = useFakeSupabase({ ...supabaseFixture(), promo_codes: PROMO_CODES.map((promo) => ({ ...promo })) });
+    token = supabase.signIn('user-1');
+  });
+
+  const redeem = (code, as = token) => api.request('POST', '/promo-codes/redeem', { body: { code }, token: as });
+
+  describe('POST /promo-codes/redeem', () => {
+    it('requires a signed-in user', async () => {
+      const { status } = await redeem('WELCOME', null);
+      assert.equal(status, 401);
+    });
+
+    it('requires a code', async () => {
+      const { status, body } = await redeem('  ');
+
+      assert.equal(status, 400);
+      assert.deepEqual(body, { error: 'code is required' });
+    });
+
+    it('gives premium days and reports the time left', async () => {
+      const { status, body } = await redeem(' welcome ');
+
+      assert.equal(status, 200);
+      assert.deepEqual(
+        [body.kind, body.code, body.product_id, body.days, body.status, body.days_left],
+        ['premium_days', 'WELCOME', 'product-1', 14, 'premium', 14]
+      );
+
+      const [subscription] = supabase.db.subscriptions;
+      assert.equal(subscription.status, 'premium');
+      assert.equal(subscription.expires_at, body.expires_at);
+      assert.equal(supabase.db.promo_codes[0].redemptions, 1);
+      assert.deepEqual(
+        supabase.db.subscription_history.map((entry) => [entry.source, entry.previous_status, entry.status]),
+        [['promo', 'free', 'premium']]
+      );
+    });
+
+    it('adds to premium time already running', async () => {
+      Object.assign(supabase.db.subscriptions[0], { status: 'premium', expires_at: daysFromNow(10) });
+
+      const { body } = await redeem('WELCOME');
+      assert.equal(body.days_left, 24);
+    });
+
+    it('creates the subscription for a product the user has none for', async () => {
+      supabase.db.users.push({ id: 'user-2', email: 'linus@example.com', full_name: 'Linus', is_admin: false });
+
+      const { status, body } = await redeem('WELCOME', supabase.signIn('user-2'));
+
+      assert.equal(status, 200);
+      assert.equal(body.status, 'premium');
+      assert.ok(supabase.db.subscriptions.some((row) => row.user_id === 'user-2' && row.status === 'premium'));
+    });
+
+    it('redeems a code once per user', async () => {
+      await redeem('WELCOME');
+
+      const { status, body } = await redeem('WELCOME');
+
+      assert.equal(status, 409);
+      assert.deepEqual(body, { error: 'You have already redeemed this promo code' });
+      assert.equal(supabase.db.promo_codes[0].redemptions, 1);
+    });
+
+    it('stops at the maximum number of redemptions', async () => {
+      supabase.db.promo_codes[0].redemptions = 2;
+
+      const { status, body } = await redeem('WELCOME');
+
+      assert.equal(status, 400);
+      assert.deepEqual(body, { error: 'This promo code has been fully redeemed' });
+      assert.equal(supabase.db.subscriptions[0].status, 'free');
+    });
+
+    it('refuses expired, switched off and unknown codes', async () => {
+      supabase.db.promo_codes.push({ ...PROMO_CODES[0], id: 'promo-4', code: 'PAUSED', is_active: false });
+
+      for (const [code, status, error] of [
+        ['LAST-YEAR', 400, 'This promo code has expired'],
+        ['PAUSED', 404, 'Promo code not found'],
+        ['NOPE', 404, 'Promo code not found']
+      ]) {
+        const response = await redeem(code);
+        assert.equal(response.status, status, code);
+        assert.deepEqual(response.body, { error });
+      }
+    });
+
+    it('checks a discount code without redeeming it', async () => {
+      const { status, body } = await redeem('half');
+
+      assert.equal(status, 200);
+      assert.deepEqual(body, { kind: 'discount', code: 'HALF', product_id: 'product-1', percent_off: 50 });
+      assert.deepEqual(supabase.db.promo_redemptions, []);
+      assert.equal(supabase.db.subscriptions[0].status, 'free');
+    });
+  });
+
+  describe('POST /checkout', () => {
+    const checkout = (body) => api.request('POST', '/checkout', { body: { product_id: 'product-1', ...body }, token });
+
+    it('charges the full price without a code', async () => {
+      const { status } = await checkout();
+
+      assert.equal(status, 200);
+      assert.equal(Number(supabase.db.checkout_sessions[0].amount), 9.99);
+      assert.equal(supabase.db.checkout_sessions[0].promo_code_id, null);
+    });
+
+    it('takes a discount code off the price', async () => {
+      const { status, body } = await checkout({ promo_code: 'half' });
+
+      assert.equal(status, 200);
+      assert.ok(body.url);
+
+      const [session] = supabase.db.checkout_sessions;
+      assert.equal(session.amount, 5);
+      assert.equal(session.promo_code_id, 'promo-2');
+      assert.deepEqual(supabase.db.promo_redemptions, []);
+    });
+
+    it('refuses codes that are not a discount for the product', async () => {
+      supabase.db.products.push({ id: 'product-2', name: 'Crawler', price: 5, duration_days: 30, is_active: true });
+      supabase.db.promo_codes.push({ ...PROMO_CODES[1], id: 'promo-4', code: 'CRAWL', product_id: 'product-2' });
+
+      for (const [code, error] of [
+        ['WELCOME', 'This promo code cannot be used at checkout; redeem it instead'],
+        ['CRAWL', 'This promo code is for another product'],
+        ['LAST-YEAR', 'This promo code has expired']
+      ]) {
+        const { status, body } = await checkout({ promo_code: code });
+        assert.equal(status, 400, code);
+        assert.deepEqual(body, { error });
+      }
+      assert.deepEqual(supabase.db.checkout_sessions, []);
+    });
+
+    it('moves the hold on a discount code to the user\'s latest checkout', async () => {
+      supabase.db.promo_codes[1].max_redemptions = 1;
+      await checkout({ promo_code: 'half' });
+
+      const { status } = await checkout({ promo_code: 'half' });
+
+      assert.equal(status, 200);
+      const [first, second] = supabase.db.checkout_sessions;
+      assert.ok(new Date(first.expires_at) <= new Date());
+      assert.ok(new Date(second.expires_at) > new Date());
+      assert.equal(second.promo_code_id, 'promo-2');
+    });
+
+    it('releases the discount code when the payment provider fails', async (t) => {
+      supabase.db.promo_codes[1].max_redemptions = 1;
+      t.mock.method(paymentProvider, 'createCheckout', async () => {
+        throw new Error('provider unavailable');
+      }, { times: 1 });
+
+      const failed = await checkout({ promo_code: 'half' });
+
+      assert.equal(failed.status, 500);
+      assert.ok(new Date(supabase.db.checkout_sessions[0].expires_at) <= new Date());
+
+      const retried = await checkout({ promo_code: 'half' });
+
+      assert.equal(retried.status, 200);
+      assert.equal(supabase.db.checkout_sessions[1].amount, 5);
+    });
+
+    it('counts open checkouts towards the maximum number of redemptions', async () => {
+      supabase.db.promo_codes[1].max_redemptions = 1;
+      await checkout({ promo_code: 'half' });
+
+      const held = await api.request('POST', '/checkout', {
+        body: { product_id: 'product-1', promo_code: 'half' },
+        token: supabase.signIn('admin-1')
+      });
+      assert.equal(held.status, 400);
+      assert.deepEqual(held.body, { error: 'This promo code has been fully redeemed' });
+
+      // Once the payment page has closed the code is free again
+      supabase.db.checkout_sessions[0].expires_at = daysFromNow(-1);
+      const released = await api.request('POST', '/checkout', {
+        body: { product_id: 'product-1', promo_code: 'half' },
+        token: supabase.signIn('admin-1')
+      });
+      assert.equal(released.status, 200);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+// /release-device and its challenge route: who may release a seat, the
+// self-service limits and the rows a release leaves behind.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { useFakeSupabase, startApp } = require('./support/app');
+const { API_KEY, daysFromNow, supabaseFixture } = require('./support/fixtures');
+
+// A device key pair; the public key as /verify registers it (raw, base64)
+const createDeviceKey = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  return {
+    publicKey: publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('base64'),
+    sign: (message) => crypto.sign(null, Buffer.from(message), privateKey).toString('base64')
+  };
+};
+
+describe('POST /release-device', () => {
+  let api;
+
+  before(async () => {
+    api = await startApp();
+  });
+
+  after(() => api.close());
+
+  const release = (body, token) => api.request('POST', '/release-device', { body, token });
+
+  it('requires api_key', async () => {
+    useFakeSupabase(supabaseFixture());
+
+    const { status, body } = await release({ device_id: 'laptop' });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'api_key is required');
+  });
+
+  it('answers 404 for an unknown key', async () => {
+    useFakeSupabase(supabaseFixture());
+
+    const { status } = await release({ api_key: `sk_${'0'.repeat(64)}`, device_id: 'laptop' });
+
+    assert.equal(status, 404);
+  });
+
+  it('requires the owner session or a device signature', async () => {
+    const supabase = useFakeSupabase(supabaseFixture({ devices: ['laptop'] }));
+
+    const { status } = await release({ api_key: API_KEY, device_id: 'laptop' });
+
+    assert.equal(status, 401);
+    assert.equal(supabase.db.key_devices.length, 1);
+  });
+
+  it('lets the key owner release a device', async () => {
+    const supabase = useFakeSupabase(supabaseFixture({ devices: ['laptop', 'desktop'], product: { max_devices: 2 } }));
+
+    const { status, body } = await release({ api_key: API_KEY, device_id: 'laptop' }, supabase.signIn('user-1'));
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { success: true, released: 1, message: 'Device binding released successfully' });
+    assert.deepEqual(supabase.db.key_devices.map((device) => device.device_id), ['desktop']);
+    assert.deepEqual(
+      supabase.db.key_releases.map((row) => [row.api_key_id, row.device_id, row.released_by]),
+      [['key-1', 'laptop', 'owner']]
+    );
+  });
+
+  it('releases every seat when no device_id is given', async () => {
+    const supabase = useFakeSupabase(supabaseFixture({ devices: ['laptop', 'desktop'], product: { max_devices: 2 } }));
+
+    const { body } = await release({ api_key: API_KEY }, supabase.signIn('user-1'));
+
+    assert.equal(body.released, 2);
+    assert.equal(supabase.db.key_devices.length, 0);
+  });
+
+  it('refuses a session of someone other than the owner', async () => {
+    const supabase = useFakeSupabase(supabaseFixture({ devices: ['laptop'] }));
+
+    const { status, body } = await release({ api_key: API_KEY, device_id: 'laptop' }, supabase.signIn('admin-1'));
+
+    assert.equal(status, 403);
+    assert.equal(body.error, 'Only the key owner can release its devices');
+    assert.equal(supabase.db.key_devices.length, 1);
+  });
+
+  it('answers 404 for a device that is not bound', async () => {
+    const supabase = useFakeSupabase(supabaseFixture({ devices: ['laptop'] }));
+
+    const { status } = await release({ api_key: API_KEY, device_id: 'desktop' }, supabase.signIn('user-1'));
+
+    assert.equal(status, 404);
+    assert.equal(supabase.db.key_releases.length, 0);
+  });
+
+  it('enforces the release cooldown', async () => {
+    const supabase = useFakeSupabase({
+      ...supabaseFixture({ devices: ['laptop'] }),
+      key_releases: [{ id: 'release-1', api_key_id: 'key-1', device_id: 'tablet', released_by: 'owner', released_at: daysFromNow(0) }]
+    });
+
+    const { status, body } = await release({ api_key: API_KEY, device_id: 'laptop' }, supabase.signIn('user-1'));
+
+    assert.equal(status, 429);
+    assert.ok(body.retry_at);
+    assert.equal(supabase.db.key_devices.length, 1);
+  });
+
+  it('does not count admin releases against the cooldown', async () => {
+    const supabase = useFakeSupabase({
+      ...supabaseFixture({ devices: ['laptop'] }),
+      key_releases: [{ id: 'release-1', api_key_id: 'key-1', device_id: 'tablet', released_by: 'admin', released_at: daysFromNow(0) }]
+    });
+
+    const { status } = await release({ api_key: API_KEY, device_id: 'laptop' }, supabase.signIn('user-1'));
+
+    assert.equal(status, 200);
+  });
+
+  describe('with a signed release challenge', () => {
+    const device = createDeviceKey();
+
+    const seed = () => {
+      const tables = supabaseFixture({ devices: ['laptop'] });
+      tables.key_devices[0].public_key = device.publicKey;
+      return tables;
+    };
+
+    const challenge = () => api.request('POST', '/release-device/challenge', {
+      body: { api_key: API_KEY, device_id: 'laptop' }
+    });
+
+    it('releases the device that signed its challenge', async () => {
+      const supabase = useFakeSupabase(seed());
+
+      const { body: issued } = await challenge();
+      const { status, body } = await release({
+        api_key: API_KEY,
+        device_id: 'laptop',
+        signature: device.sign(issued.challenge)
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.released, 1);
+      assert.deepEqual(supabase.db.key_releases.map((row) => row.released_by), ['device']);
+    });
+
+    it('rejects a signature from another key', async () => {
+      const supabase = useFakeSupabase(seed());
+
+      const { body: issued } = await challenge();
+      const { status } = await release({
+        api_key: API_KEY,
+        device_id: 'laptop',
+        signature: createDeviceKey().sign(issued.challenge)
+      });
+
+      assert.equal(status, 403);
+      assert.equal(supabase.db.key_devices.length, 1);
+    });
+
+    it('uses each challenge only once', async () => {
+      useFakeSupabase(seed());
+
+      const { body: issued } = await challenge();
+      await release({ api_key: API_KEY, device_id: 'laptop', signature: createDeviceKey().sign(issued.challenge) });
+      const { status } = await release({ api_key: API_KEY, device_id: 'laptop', signature: device.sign(issued.challenge) });
+
+      assert.equal(status, 403);
+    });
+
+    it('issues no challenge for a device without a public key', async () => {
+      useFakeSupabase(supabaseFixture({ devices: ['laptop'] }));
+
+      const { status } = await challenge();
+
+      assert.equal(status, 404);
+    });
+  });
+});
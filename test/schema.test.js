@@ -0,0 +1,78 @@
+// database_schema.sql against a real Postgres server: it has to load on an
+// existing database too, which is how earlier installs are upgraded.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { readSchema, startPostgres } = require('./support/postgres');
+
+const API_KEY = `sk_${'c3'.repeat(32)}`;
+
+describe('database schema', () => {
+  let db;
+
+  before(async () => {
+    db = await startPostgres();
+  });
+
+  after(() => db?.stop());
+
+  it('runs again on a database it already created', async () => {
+    await db.query(await readSchema());
+
+    const { rows: products } = await db.query('SELECT name FROM public.products ORDER BY name');
+    const { rows: [plans] } = await db.query('SELECT count(*)::INT AS count FROM public.plans');
+    assert.deepEqual(products.map((product) => product.name), ['API Monitor', 'Data Interceptor', 'Scraper Pro']);
+    assert.equal(plans.count, 6);
+  });
+
+  it('moves plaintext keys and single-device bindings to their current columns', async () => {
+    const userId = await db.createUser('legacy@example.com');
+    await db.query(
+      `SELECT ensure_subscription($1, id) FROM public.products WHERE name = 'Scraper Pro'`,
+      [userId]
+    );
+
+    // The api_keys layout from before keys were hashed and seats were tracked
+    await db.query('ALTER TABLE public.api_keys ADD COLUMN key_value TEXT, ADD COLUMN device_id TEXT');
+    await db.query(
+      'UPDATE public.api_keys SET key_value = $2, device_id = $3 WHERE user_id = $1',
+      [userId, API_KEY, 'laptop']
+    );
+
+    await db.query(await readSchema());
+
+    const { rows: [key] } = await db.query(
+      'SELECT id, key_prefix, key_hash = hash_api_key($2, key_salt) AS matches FROM public.api_keys WHERE user_id = $1',
+      [userId, API_KEY]
+    );
+    assert.equal(key.key_prefix, API_KEY.slice(0, 11));
+    assert.equal(key.matches, true);
+
+    const { rows: devices } = await db.query('SELECT device_id FROM public.key_devices WHERE api_key_id = $1', [key.id]);
+    assert.deepEqual(devices, [{ device_id: 'laptop' }]);
+
+    const { rows: columns } = await db.query(
+      `SELECT column_name FROM information_schema.columns
+       WHERE table_schema = 'public' AND table_name = 'api_keys' AND column_name IN ('key_value', 'device_id')`
+    );
+    assert.deepEqual(columns, []);
+  });
+
+  it('drops the policy that let users update their own keys', async () => {
+    await db.query(
+      `CREATE POLICY "Users can update own API keys" ON public.api_keys
+       FOR UPDATE USING (auth.uid() = user_id)`
+    );
+
+    await db.query(await readSchema());
+
+    const { rows: policies } = await db.query(
+      `SELECT policyname FROM pg_policies WHERE schemaname = 'public' AND tablename = 'api_keys' ORDER BY policyname`
+    );
+    assert.deepEqual(policies.map((policy) => policy.policyname), [
+      'Admins can manage all API keys',
+      'Users can view own API keys'
+    ]);
+  });
+});
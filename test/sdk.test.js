@@ -0,0 +1,73 @@
+// The client SDK against server.js and the in-memory database, to keep the
+// result kinds in step with what /verify and /release-device really send.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { useFakeSupabase, startApp } = require('./support/app');
+const { API_KEY, supabaseFixture } = require('./support/fixtures');
+const { createLicenseClient, createMemoryCache } = require('../sdk');
+
+describe('client SDK', () => {
+  let api;
+
+  before(async () => {
+    api = await startApp();
+  });
+
+  after(() => api.close());
+
+  const client = (options) =>
+    createLicenseClient({ apiUrl: api.baseUrl, apiKey: API_KEY, cache: createMemoryCache(), ...options });
+
+  it('binds the device and starts the trial', async () => {
+    const supabase = useFakeSupabase(supabaseFixture());
+
+    const result = await client({ deviceId: 'laptop' }).verify();
+
+    assert.equal(result.kind, 'valid');
+    assert.equal(result.status, 'trial');
+    assert.equal(result.plan, 'Pro');
+    assert.equal(result.deviceId, 'laptop');
+    assert.deepEqual(supabase.db.key_devices.map((device) => device.device_id), ['laptop']);
+  });
+
+  it('reports a key bound elsewhere', async () => {
+    useFakeSupabase(supabaseFixture({ devices: ['laptop'] }));
+
+    const result = await client({ deviceId: 'desktop' }).verify();
+
+    assert.equal(result.kind, 'bound_elsewhere');
+    assert.equal(result.maxDevices, 1);
+  });
+
+  it('reports a disabled product', async () => {
+    useFakeSupabase(supabaseFixture({ product: { is_active: false } }));
+
+    assert.deepEqual(await client({ deviceId: 'laptop' }).verify(), {
+      kind: 'product_disabled',
+      product: 'Scraper Pro',
+      message: 'This product is no longer available.'
+    });
+  });
+
+  it('reports an unknown key', async () => {
+    useFakeSupabase(supabaseFixture());
+
+    const result = await client({ deviceId: 'laptop', apiKey: `${API_KEY}x` }).verify();
+
+    assert.equal(result.kind, 'invalid');
+    assert.equal(result.error, 'Invalid API key');
+  });
+
+  it('frees its own seat with the device key it registered', async () => {
+    const supabase = useFakeSupabase(supabaseFixture({ product: { trial_enabled: false } }));
+    const licenses = client({ deviceId: 'laptop', deviceKey: crypto.generateKeyPairSync('ed25519').privateKey });
+
+    assert.equal((await licenses.verify()).kind, 'valid');
+    assert.deepEqual(await licenses.releaseDevice(), { released: 1 });
+
+    assert.equal(supabase.db.key_devices.length, 0);
+  });
+});
@@ -0,0 +1,108 @@
+// POST /subscriptions: self-service sign-up for the free subscription and
+// the first secret of its key.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useFakeSupabase, startApp } = require('./support/app');
+const { API_KEY, supabaseFixture } = require('./support/fixtures');
+
+const NEWCOMER = { id: 'user-2', email: 'linus@example.com', full_name: 'Linus', is_admin: false };
+
+describe('POST /subscriptions', () => {
+  let api;
+
+  before(async () => {
+    api = await startApp();
+  });
+
+  after(() => api.close());
+
+  // The fixture plus a user with no subscriptions yet, signed in
+  const setup = (overrides) => {
+    const fixture = supabaseFixture(overrides);
+    const supabase = useFakeSupabase({ ...fixture, users: [...fixture.users, NEWCOMER] });
+    return { supabase, token: supabase.signIn(NEWCOMER.id) };
+  };
+
+  const subscribe = (body, token) => api.request('POST', '/subscriptions', { body, token });
+
+  it('requires a signed-in user', async () => {
+    setup();
+
+    const { status } = await subscribe({ product_id: 'product-1' });
+
+    assert.equal(status, 401);
+  });
+
+  it('requires product_id', async () => {
+    const { token } = setup();
+
+    const { status, body } = await subscribe({}, token);
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'product_id is required');
+  });
+
+  it('answers 404 for unknown and deactivated products', async () => {
+    const { token } = setup({ product: { is_active: false } });
+
+    assert.equal((await subscribe({ product_id: 'product-1' }, token)).status, 404);
+    assert.equal((await subscribe({ product_id: 'product-9' }, token)).status, 404);
+  });
+
+  it('creates the free subscription and returns a working key once', async () => {
+    const { supabase, token } = setup();
+
+    const { status, body } = await subscribe({ product_id: 'product-1' }, token);
+
+    assert.equal(status, 200);
+    assert.match(body.key_value, /^sk_[0-9a-f]{64}$/);
+    assert.equal(body.key_prefix, body.key_value.slice(0, 11));
+
+    const subscription = supabase.db.subscriptions.find((row) => row.user_id === NEWCOMER.id);
+    assert.equal(subscription.id, body.subscription_id);
+    assert.equal(subscription.status, 'free');
+    assert.equal(supabase.db.api_keys.find((row) => row.user_id === NEWCOMER.id).id, body.id);
+
+    const verified = await api.request('POST', '/verify', { body: { api_key: body.key_value, device_id: 'laptop' } });
+    assert.equal(verified.body.valid, true);
+  });
+
+  it('issues the first secret of a key an admin created without one', async () => {
+    const { supabase, token } = setup();
+    supabase.db.subscriptions.push({ id: 'subscription-2', user_id: NEWCOMER.id, product_id: 'product-1', status: 'premium' });
+    supabase.db.api_keys.push({ id: 'key-2', user_id: NEWCOMER.id, product_id: 'product-1', key_prefix: null, key_salt: null, key_hash: null });
+
+    const { status, body } = await subscribe({ product_id: 'product-1' }, token);
+
+    assert.equal(status, 200);
+    assert.equal(body.id, 'key-2');
+    assert.ok(body.key_value);
+    assert.equal(supabase.db.subscriptions.find((row) => row.id === 'subscription-2').status, 'premium');
+  });
+
+  it('refuses to reissue a key the user already has', async () => {
+    const { supabase } = setup();
+    const before = { ...supabase.db.api_keys[0] };
+
+    const { status, body } = await subscribe({ product_id: 'product-1' }, supabase.signIn('user-1'));
+
+    assert.equal(status, 409);
+    assert.deepEqual(body, { error: 'You already have a key for this product', id: 'key-1' });
+    assert.deepEqual(supabase.db.api_keys[0], before);
+
+    const verified = await api.request('POST', '/verify', { body: { api_key: API_KEY, device_id: 'laptop' } });
+    assert.equal(verified.body.valid, true);
+  });
+
+  it('issues a single secret to concurrent sign-ups', async () => {
+    const { supabase, token } = setup();
+
+    const responses = await Promise.all([1, 2, 3].map(() => subscribe({ product_id: 'product-1' }, token)));
+
+    assert.deepEqual(responses.map(({ status }) => status).sort(), [200, 409, 409]);
+    assert.equal(supabase.db.subscriptions.filter((row) => row.user_id === NEWCOMER.id).length, 1);
+    assert.equal(supabase.db.api_keys.filter((row) => row.user_id === NEWCOMER.id).length, 1);
+  });
+});
@@ -0,0 +1,59 @@
+// server.js backed by the in-memory Supabase and served on an ephemeral
+// port. Load this before anything else that requires server.js: the rate
+// limits and payment provider are read when it loads. The fake payment
+// provider server.js creates is exported so tests can make its calls fail.
+
+const { once } = require('node:events');
+
+process.env.RATE_LIMIT_PER_IP = '10000';
+process.env.RATE_LIMIT_PER_KEY = '10000';
+process.env.PAYMENT_PROVIDER = 'fake';
+delete process.env.LICENSE_SIGNING_KEY;
+
+const payments = require('../../lib/payments');
+
+let paymentProvider;
+const { createFakeProvider } = payments;
+payments.createFakeProvider = (options) => (paymentProvider = createFakeProvider(options));
+
+const app = require('../../server');
+const { setClient } = require('../../lib/db');
+const { createFakeSupabase } = require('./fakeSupabase');
+
+// Point the server at a fresh in-memory database seeded with the given
+// tables; returns the fake so tests can sign in and inspect rows
+const useFakeSupabase = (seed, options) => {
+  const supabase = createFakeSupabase(seed, options);
+  setClient(supabase);
+  return supabase;
+};
+
+const startApp = async () => {
+  const server = app.listen(0);
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+
+    // JSON request; token is sent as a bearer token
+    async request(method, path, { body, token } = {}) {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+          ...(token && { Authorization: `Bearer ${token}` })
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+};
+
+module.exports = { app, paymentProvider, useFakeSupabase, startApp };
@@ -0,0 +1,29 @@
+// Module hooks that let Node load the edge function as Deno would: .ts
+// files are stripped of their types, and the Supabase client import from
+// esm.sh resolves to the in-memory stand-in the tests seed.
+
+import { readFile } from 'node:fs/promises';
+import ts from 'typescript';
+
+const REMOTE_MODULES = {
+  'https://esm.sh/@supabase/supabase-js@2': new URL('./supabase-js.mjs', import.meta.url).href
+};
+
+export const resolve = (specifier, context, nextResolve) => {
+  if (REMOTE_MODULES[specifier]) {
+    return { url: REMOTE_MODULES[specifier], shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+};
+
+export const load = async (url, context, nextLoad) => {
+  if (!url.startsWith('file:') || !url.endsWith('.ts')) {
+    return nextLoad(url, context);
+  }
+
+  const { outputText } = ts.transpileModule(await readFile(new URL(url), 'utf8'), {
+    fileName: url,
+    compilerOptions: { module: ts.ModuleKind.ESNext, target: ts.ScriptTarget.ES2022 }
+  });
+  return { format: 'module', source: outputText, shortCircuit: true };
+};
@@ -0,0 +1,10 @@
+// Stands in for https://esm.sh/@supabase/supabase-js@2 in the edge
+// function: every client it creates is whatever useFakeSupabase() last
+// installed.
+
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { getClient } = require('../../../lib/db');
+
+export const createClient = () => getClient();
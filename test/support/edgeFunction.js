@@ -0,0 +1,30 @@
+// The edge function in supabase/functions/api/index.ts, loaded in Node:
+// Deno.serve() is captured instead of listening, so tests call the same
+// Request -> Response handler Supabase deploys. Its database is the one
+// useFakeSupabase() installs.
+
+const { register } = require('node:module');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+
+const INDEX_PATH = path.join(__dirname, '..', '..', 'supabase', 'functions', 'api', 'index.ts');
+
+register('./deno/loader.mjs', pathToFileURL(__filename));
+
+let handler;
+
+globalThis.Deno = {
+  env: { get: (name) => process.env[name] },
+  serve: (serveHandler) => {
+    handler = serveHandler;
+  }
+};
+
+const loadEdgeFunction = async () => {
+  if (!handler) {
+    await import(pathToFileURL(INDEX_PATH).href);
+  }
+  return handler;
+};
+
+module.exports = { loadEdgeFunction };
@@ -0,0 +1,825 @@
+// In-memory stand-in for the parts of supabase-js the server uses: from()
+// query builders (filters, ordering, embedded selects, insert / update /
+// upsert / delete with unique constraints), rpc() and auth. Tables are
+// plain arrays on `db`; the RPCs are JavaScript versions of the SQL
+// functions in database_schema.sql that the routes call, and the
+// subscription_history trigger is emulated where subscriptions change.
+
+const crypto = require('crypto');
+
+const TABLES = [
+  'users', 'products', 'plans', 'subscriptions', 'api_keys', 'key_devices', 'key_releases',
+  'trial_claims', 'abuse_events', 'verification_events', 'admin_audit_log', 'checkout_sessions',
+  'payment_webhook_events', 'payments', 'invoices', 'expiry_reminders', 'usage_daily',
+  'webhook_endpoints', 'webhook_deliveries', 'bulk_jobs', 'bulk_job_items',
+  'subscription_history', 'promo_codes', 'promo_redemptions'
+];
+
+const UNIQUE = {
+  users: [['email']],
+  products: [['name']],
+  plans: [['product_id', 'name']],
+  subscriptions: [['user_id', 'product_id']],
+  api_keys: [['user_id', 'product_id']],
+  key_devices: [['api_key_id', 'device_id']],
+  trial_claims: [['product_id', 'device_id']],
+  expiry_reminders: [['subscription_id', 'expires_at', 'days_before']],
+  usage_daily: [['api_key_id', 'metric', 'day']],
+  bulk_job_items: [['job_id', 'user_id']],
+  promo_codes: [['code']],
+  promo_redemptions: [['promo_code_id', 'user_id']]
+};
+
+const DEFAULTS = {
+  products: () => ({ is_active: true, max_devices: 1, trial_enabled: true, trial_days: 1 }),
+  plans: () => ({ is_default: false, entitlements: {}, quotas: {} }),
+  subscriptions: () => ({ status: 'free', expires_at: null, trial_used: false, plan_id: null }),
+  key_devices: () => ({ public_key: null, first_seen_at: now(), last_seen_at: now() }),
+  key_releases: () => ({ released_at: now() }),
+  webhook_endpoints: () => ({ events: [], is_active: true }),
+  webhook_deliveries: () => ({ status: 'pending', attempts: 0, next_attempt_at: now() }),
+  bulk_jobs: () => ({
+    status: 'pending',
+    total: 0,
+    processed: 0,
+    changed: 0,
+    skipped: 0,
+    failed: 0,
+    started_at: null,
+    finished_at: null
+  }),
+  bulk_job_items: () => ({ status: 'pending', error: null, processed_at: null }),
+  promo_codes: () => ({
+    days: null,
+    percent_off: null,
+    max_redemptions: null,
+    redemptions: 0,
+    expires_at: null,
+    is_active: true,
+    updated_at: now()
+  }),
+  checkout_sessions: () => ({
+    status: 'pending',
+    promo_code_id: null,
+    expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+  })
+};
+
+const now = () => new Date().toISOString();
+const clone = (value) => structuredClone(value);
+const singular = (table) => table.replace(/s$/, '');
+
+// Split on top-level commas: "a, b(c, d), e" -> ["a", "b(c, d)", "e"]
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '(') depth += 1;
+    if (char === ')') depth -= 1;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map((part) => part.trim()).filter(Boolean);
+};
+
+const parseColumns = (columns = '*') => splitTopLevel(columns.replace(/\s+/g, ' ')).map((item) => {
+  const embed = item.match(/^(\w+)(!inner)?\s*\((.*)\)$/);
+  return embed
+    ? { embed: embed[1], inner: Boolean(embed[2]), columns: parseColumns(embed[3]) }
+    : { column: item };
+});
+
+const compare = (a, b) => {
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) - Number(b);
+  return String(a).localeCompare(String(b));
+};
+
+const likePattern = (pattern) => new RegExp(
+  `^${pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.')}$`,
+  'i'
+);
+
+const OPERATORS = {
+  eq: (value, target) => value === target || (value != null && String(value) === String(target)),
+  neq: (value, target) => !OPERATORS.eq(value, target),
+  gt: (value, target) => value != null && compare(value, target) > 0,
+  gte: (value, target) => value != null && compare(value, target) >= 0,
+  lt: (value, target) => value != null && compare(value, target) < 0,
+  lte: (value, target) => value != null && compare(value, target) <= 0,
+  in: (value, targets) => targets.some((target) => OPERATORS.eq(value, target)),
+  ilike: (value, pattern) => value != null && likePattern(pattern).test(value),
+  is: (value, target) => (target === null ? value == null : value === target)
+};
+
+// PostgREST filter strings as passed to or(): "col.op.value,col.op.value"
+const parseOrFilter = (text) => splitTopLevel(text).map((condition) => {
+  const [, column, operator, value] = condition.match(/^(\w+)\.(\w+)\.(.*)$/);
+  return (row) => OPERATORS[operator](row[column], value === 'null' ? null : value);
+});
+
+const postgrestError = (code, message) => ({ code, message, details: null, hint: null });
+
+// Every query and RPC waits a turn of the event loop first, the way a round
+// trip to the database would, so concurrent requests interleave
+const roundTrip = () => new Promise((resolve) => setImmediate(resolve));
+
+const createFakeSupabase = (seed = {}, { rpc: extraRpcs = {} } = {}) => {
+  const db = Object.fromEntries(TABLES.map((table) => [table, []]));
+  for (const [table, rows] of Object.entries(clone(seed))) {
+    db[table] = rows;
+  }
+
+  const sessions = new Map();
+
+  const tableRows = (table) => {
+    if (!db[table]) throw new Error(`Unknown table ${table}`);
+    return db[table];
+  };
+
+  const resolveEmbed = (table, row, { embed, inner, columns }) => {
+    const related = tableRows(embed);
+    const foreignKey = `${singular(embed)}_id`;
+
+    let value;
+    if (foreignKey in row) {
+      value = related.find((other) => other.id === row[foreignKey]) || null;
+    } else {
+      value = related.filter((other) => other[`${singular(table)}_id`] === row.id);
+    }
+
+    if (inner && (value === null || (Array.isArray(value) && value.length === 0))) {
+      return { missing: true };
+    }
+
+    const shape = (other) => project(embed, other, columns);
+    return { value: Array.isArray(value) ? value.map(shape) : value && shape(value) };
+  };
+
+  // Pick the selected columns and embeds of a row; null when an !inner
+  // embed has no match
+  const project = (table, row, columns) => {
+    const shaped = {};
+    for (const item of columns) {
+      if (item.column === '*') {
+        Object.assign(shaped, row);
+      } else if (item.column) {
+        shaped[item.column] = row[item.column] ?? null;
+      } else {
+        const { missing, value } = resolveEmbed(table, row, item);
+        if (missing) return null;
+        shaped[item.embed] = value;
+      }
+    }
+    return shaped;
+  };
+
+  const uniqueViolation = (table, row, ignore) => {
+    for (const columns of UNIQUE[table] || []) {
+      const clash = tableRows(table).some((other) =>
+        other !== ignore && columns.every((column) => row[column] != null && OPERATORS.eq(other[column], row[column]))
+      );
+      if (clash) {
+        return postgrestError('23505', `duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`);
+      }
+    }
+    return null;
+  };
+
+  const newRow = (table, values) => ({
+    id: crypto.randomUUID(),
+    created_at: now(),
+    ...DEFAULTS[table]?.(),
+    ...clone(values)
+  });
+
+  class QueryBuilder {
+    constructor(table) {
+      this.table = table;
+      this.action = 'select';
+      this.filters = [];
+      this.ordering = [];
+      this.rowLimit = null;
+      this.columns = null;
+      this.cardinality = null;
+    }
+
+    select(columns = '*') {
+      this.columns = parseColumns(columns);
+      return this;
+    }
+
+    insert(values) {
+      this.action = 'insert';
+      this.values = [].concat(values);
+      return this;
+    }
+
+    upsert(values, { onConflict, ignoreDuplicates = false } = {}) {
+      this.action = 'upsert';
+      this.values = [].concat(values);
+      this.conflictColumns = onConflict ? onConflict.split(',') : ['id'];
+      this.ignoreDuplicates = ignoreDuplicates;
+      return this;
+    }
+
+    update(values) {
+      this.action = 'update';
+      this.values = values;
+      return this;
+    }
+
+    delete() {
+      this.action = 'delete';
+      return this;
+    }
+
+    filter(column, operator, value) {
+      this.filters.push((row) => OPERATORS[operator](row[column], value));
+      return this;
+    }
+
+    not(column, operator, value) {
+      this.filters.push((row) => !OPERATORS[operator](row[column], value));
+      return this;
+    }
+
+    or(conditions) {
+      const alternatives = parseOrFilter(conditions);
+      this.filters.push((row) => alternatives.some((matches) => matches(row)));
+      return this;
+    }
+
+    order(column, { ascending = true } = {}) {
+      this.ordering.push({ column, ascending });
+      return this;
+    }
+
+    limit(count) {
+      this.rowLimit = count;
+      return this;
+    }
+
+    single() {
+      this.cardinality = 'single';
+      return this;
+    }
+
+    maybeSingle() {
+      this.cardinality = 'maybeSingle';
+      return this;
+    }
+
+    matching() {
+      return tableRows(this.table).filter((row) => this.filters.every((matches) => matches(row)));
+    }
+
+    write() {
+      const rows = tableRows(this.table);
+
+      if (this.action === 'insert' || this.action === 'upsert') {
+        const written = [];
+        for (const values of this.values) {
+          const existing = this.action === 'upsert' && rows.find((row) =>
+            this.conflictColumns.every((column) => OPERATORS.eq(row[column], values[column]))
+          );
+
+          if (existing) {
+            if (!this.ignoreDuplicates) {
+              Object.assign(existing, clone(values));
+              written.push(existing);
+            }
+            continue;
+          }
+
+          const row = newRow(this.table, values);
+          const error = uniqueViolation(this.table, row);
+          if (error) return { error };
+          rows.push(row);
+          written.push(row);
+        }
+        return { rows: written };
+      }
+
+      const matched = this.matching();
+
+      if (this.action === 'update') {
+        for (const row of matched) {
+          const error = uniqueViolation(this.table, { ...row, ...this.values }, row);
+          if (error) return { error };
+        }
+        for (const row of matched) {
+          const before = clone(row);
+          Object.assign(row, clone(this.values), 'updated_at' in row ? { updated_at: now() } : {});
+          if (this.table === 'subscriptions') recordSubscriptionChange(before, row, { source: 'system' });
+        }
+        return { rows: matched };
+      }
+
+      if (this.action === 'delete') {
+        db[this.table] = rows.filter((row) => !matched.includes(row));
+        return { rows: matched };
+      }
+
+      return { rows: matched };
+    }
+
+    execute() {
+      const { rows, error } = this.write();
+      if (error) return { data: null, error };
+
+      // Writes only return rows when followed by select()
+      if (this.action !== 'select' && !this.columns) {
+        return { data: null, error: null };
+      }
+
+      let result = [...rows];
+      for (const { column, ascending } of [...this.ordering].reverse()) {
+        result.sort((a, b) => {
+          if (a[column] == null) return b[column] == null ? 0 : 1;
+          if (b[column] == null) return -1;
+          return ascending ? compare(a[column], b[column]) : compare(b[column], a[column]);
+        });
+      }
+
+      result = result
+        .map((row) => project(this.table, row, this.columns || parseColumns('*')))
+        .filter(Boolean);
+
+      if (this.rowLimit !== null) result = result.slice(0, this.rowLimit);
+      result = clone(result);
+
+      if (this.cardinality === 'single' && result.length !== 1) {
+        return {
+          data: null,
+          error: postgrestError('PGRST116', 'JSON object requested, multiple (or no) rows returned')
+        };
+      }
+      if (this.cardinality === 'maybeSingle') {
+        if (result.length > 1) {
+          return { data: null, error: postgrestError('PGRST116', 'JSON object requested, multiple rows returned') };
+        }
+        return { data: result[0] || null, error: null };
+      }
+
+      return { data: this.cardinality ? result[0] : result, error: null };
+    }
+
+    then(resolve, reject) {
+      return roundTrip().then(() => this.execute()).then(resolve, reject);
+    }
+  }
+
+  for (const operator of ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'ilike', 'is']) {
+    QueryBuilder.prototype[operator] = function (column, value) {
+      return this.filter(column, operator, value);
+    };
+  }
+
+  // The on_subscription_changed trigger
+  const recordSubscriptionChange = (before, after, { source, mode = null, changedBy = null }) => {
+    if (['status', 'expires_at', 'plan_id'].every((column) => before[column] === after[column])) return;
+
+    db.subscription_history.push(newRow('subscription_history', {
+      subscription_id: after.id,
+      user_id: after.user_id,
+      product_id: after.product_id,
+      source,
+      mode,
+      changed_by: changedBy,
+      previous_status: before.status,
+      status: after.status,
+      previous_expires_at: before.expires_at,
+      expires_at: after.expires_at,
+      previous_plan_id: before.plan_id,
+      plan_id: after.plan_id
+    }));
+  };
+
+  const authUser = (userId) => {
+    const user = db.users.find((row) => row.id === userId);
+    return user && { id: user.id, email: user.email, email_confirmed_at: user.email_confirmed_at ?? null };
+  };
+
+  const rpcs = {
+    ensure_subscription({ p_user_id, p_product_id }) {
+      const existing = db.subscriptions.find((row) => row.user_id === p_user_id && row.product_id === p_product_id);
+      if (existing) return existing.id;
+
+      const subscription = newRow('subscriptions', { user_id: p_user_id, product_id: p_product_id });
+      db.subscriptions.push(subscription);
+      if (!db.api_keys.some((row) => row.user_id === p_user_id && row.product_id === p_product_id)) {
+        db.api_keys.push(newRow('api_keys', { user_id: p_user_id, product_id: p_product_id }));
+      }
+      return subscription.id;
+    },
+
+    start_free_subscription({ p_user_id, p_product_id }) {
+      const subscriptionId = rpcs.ensure_subscription({ p_user_id, p_product_id });
+      const key = db.api_keys.find((row) => row.user_id === p_user_id && row.product_id === p_product_id);
+
+      let keyValue = null;
+      if (!key.key_hash) {
+        keyValue = `sk_${crypto.randomBytes(32).toString('hex')}`;
+        Object.assign(key, hashedKeyColumns(keyValue));
+      }
+
+      return { subscription_id: subscriptionId, id: key.id, key_value: keyValue, key_prefix: key.key_prefix };
+    },
+
+    // Same outcome as the SQL version for one call at a time; how that one
+    // behaves under concurrent calls is covered by verifyConcurrency.test.js
+    apply_verification({ p_api_key_id, p_device_id, p_public_key = null, p_allow_trial = true }) {
+      const key = db.api_keys.find((row) => row.id === p_api_key_id);
+      if (!key) throw postgrestError('P0001', `API key ${p_api_key_id} not found`);
+
+      const product = db.products.find((row) => row.id === key.product_id);
+      const seatLimit = product.max_devices ?? 1;
+
+      let bound = false;
+      const device = db.key_devices.find((row) => row.api_key_id === key.id && row.device_id === p_device_id);
+      if (device) {
+        device.last_seen_at = now();
+      } else {
+        if (db.key_devices.filter((row) => row.api_key_id === key.id).length >= seatLimit) {
+          return { device_limit: true, max_devices: seatLimit };
+        }
+        db.key_devices.push(newRow('key_devices', { api_key_id: key.id, device_id: p_device_id, public_key: p_public_key }));
+        bound = true;
+      }
+
+      const subscription = db.subscriptions.find((row) => row.user_id === key.user_id && row.product_id === key.product_id);
+      const outcome = { device_limit: false, bound, trial_started: false, trial_refused: false, expired_from: null, expired_at: null };
+
+      if (p_allow_trial && product.trial_enabled && subscription.status === 'free' && !subscription.trial_used) {
+        let claim = db.trial_claims.find((row) => row.product_id === product.id && row.device_id === p_device_id);
+        if (!claim) {
+          claim = newRow('trial_claims', { product_id: product.id, device_id: p_device_id, user_id: key.user_id });
+          db.trial_claims.push(claim);
+        }
+
+        if (claim.user_id === key.user_id) {
+          const before = clone(subscription);
+          Object.assign(subscription, {
+            status: 'trial',
+            expires_at: new Date(Date.now() + (product.trial_days || 1) * 24 * 60 * 60 * 1000).toISOString(),
+            trial_used: true
+          });
+          recordSubscriptionChange(before, subscription, { source: 'trial' });
+          outcome.trial_started = true;
+        } else {
+          outcome.trial_refused = true;
+        }
+      } else if (['trial', 'premium'].includes(subscription.status) && subscription.expires_at < now()) {
+        outcome.expired_from = subscription.status;
+        outcome.expired_at = subscription.expires_at;
+        const before = clone(subscription);
+        Object.assign(subscription, { status: 'free', expires_at: null });
+        recordSubscriptionChange(before, subscription, { source: 'expiry' });
+      }
+
+      const { id, status, expires_at, trial_used, plan_id } = subscription;
+      return { ...outcome, subscription: { id, status, expires_at, trial_used, plan_id } };
+    },
+
+    rotate_api_key({ p_key_id, p_overlap_hours = 24 }) {
+      const key = db.api_keys.find((row) => row.id === p_key_id);
+      if (!key) throw postgrestError('P0001', `API key ${p_key_id} not found`);
+
+      const keyValue = `sk_${crypto.randomBytes(32).toString('hex')}`;
+      const keep = p_overlap_hours > 0;
+      Object.assign(key, {
+        previous_key_prefix: keep ? key.key_prefix : null,
+        previous_key_salt: keep ? key.key_salt : null,
+        previous_key_hash: keep ? key.key_hash : null,
+        previous_key_expires_at: keep && key.key_hash
+          ? new Date(Date.now() + p_overlap_hours * 60 * 60 * 1000).toISOString()
+          : null,
+        ...hashedKeyColumns(keyValue)
+      });
+
+      return {
+        id: key.id,
+        key_value: keyValue,
+        key_prefix: key.key_prefix,
+        previous_key_expires_at: key.previous_key_expires_at
+      };
+    },
+
+    admin_list_users({
+      p_search = null,
+      p_product_id = null,
+      p_status = null,
+      p_sort = 'created_at',
+      p_ascending = false,
+      p_after_id = null,
+      p_after_value = null,
+      p_limit = 50
+    }) {
+      if (!['created_at', 'email', 'full_name'].includes(p_sort)) {
+        throw postgrestError('P0001', `Cannot sort users by ${p_sort}`);
+      }
+
+      const sortValue = (user) => String(user[p_sort] ?? '');
+      const contains = (value) => value != null && value.toLowerCase().includes(p_search.toLowerCase());
+      const direction = p_ascending ? 1 : -1;
+      const position = (value, id, user) => direction * (compare(sortValue(user), value) || compare(user.id, id));
+
+      const matchesSearch = (user) => !p_search || contains(user.email) || contains(user.full_name) ||
+        db.api_keys.some((key) => key.user_id === user.id && (
+          contains(key.key_prefix) ||
+          db.key_devices.some((device) => device.api_key_id === key.id && contains(device.device_id))
+        ));
+      const matchesSubscription = (user) => (!p_product_id && !p_status) ||
+        db.subscriptions.some((subscription) => subscription.user_id === user.id &&
+          (!p_product_id || subscription.product_id === p_product_id) &&
+          (!p_status || subscription.status === p_status));
+
+      return db.users
+        .filter((user) => matchesSearch(user) && matchesSubscription(user))
+        .filter((user) => !p_after_id || position(p_after_value, p_after_id, user) > 0)
+        .sort((a, b) => position(sortValue(b), b.id, a))
+        .slice(0, p_limit)
+        .map((user) => ({ id: user.id, sort_value: sortValue(user) }));
+    },
+
+    change_subscription({
+      p_user_id,
+      p_product_id,
+      p_status,
+      p_mode = 'extend',
+      p_days = null,
+      p_expires_at = null,
+      p_plan_id = null,
+      p_set_plan = false,
+      p_changed_by = null
+    }) {
+      if (!['extend', 'set', 'reset'].includes(p_mode)) {
+        throw postgrestError('P0001', `Unknown subscription change mode ${p_mode}`);
+      }
+
+      const existed = db.subscriptions.some((row) => row.user_id === p_user_id && row.product_id === p_product_id);
+      rpcs.ensure_subscription({ p_user_id, p_product_id });
+      const subscription = db.subscriptions.find((row) => row.user_id === p_user_id && row.product_id === p_product_id);
+      const before = clone(subscription);
+
+      const addDays = (date, days) => new Date(new Date(date).getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+      const timeLeft = before.status === p_status && new Date(before.expires_at) > new Date();
+
+      let expiresAt = before.expires_at;
+      if (p_status === 'free') expiresAt = null;
+      else if (p_mode === 'set') expiresAt = new Date(p_expires_at).toISOString();
+      else if (p_days != null) expiresAt = addDays(p_mode === 'extend' && timeLeft ? before.expires_at : now(), p_days);
+
+      Object.assign(subscription, {
+        status: p_status,
+        expires_at: expiresAt,
+        plan_id: p_set_plan ? p_plan_id : subscription.plan_id,
+        updated_at: now()
+      });
+      recordSubscriptionChange(before, subscription, {
+        source: 'admin',
+        mode: p_status === 'free' ? null : p_mode,
+        changedBy: p_changed_by
+      });
+
+      return { before: existed ? before : null, after: clone(subscription) };
+    },
+
+    redeem_promo_code({ p_code, p_user_id, p_for_checkout = false }) {
+      const promo = db.promo_codes.find((row) => row.code === p_code.trim().toUpperCase() && row.is_active &&
+        db.products.some((product) => product.id === row.product_id && product.is_active));
+
+      const holds = db.checkout_sessions.filter((row) => row.promo_code_id === promo?.id && row.user_id !== p_user_id &&
+        row.status === 'pending' && new Date(row.expires_at) > new Date());
+
+      let error = null;
+      if (!promo) error = 'not_found';
+      else if (promo.expires_at && new Date(promo.expires_at) <= new Date()) error = 'expired';
+      else if (promo.max_redemptions != null && promo.redemptions + holds.length >= promo.max_redemptions) error = 'exhausted';
+      else if (db.promo_redemptions.some((row) => row.promo_code_id === promo.id && row.user_id === p_user_id)) error = 'already_redeemed';
+      else if (p_for_checkout && promo.kind !== 'discount') error = 'not_a_discount';
+      if (error) return { error };
+
+      if (promo.kind === 'discount') return { promo_code: clone(promo) };
+
+      rpcs.ensure_subscription({ p_user_id, p_product_id: promo.product_id });
+      const subscription = db.subscriptions.find((row) => row.user_id === p_user_id && row.product_id === promo.product_id);
+      const before = clone(subscription);
+
+      const start = before.status === 'premium' && new Date(before.expires_at) > new Date() ? before.expires_at : now();
+      Object.assign(subscription, {
+        status: 'premium',
+        expires_at: new Date(new Date(start).getTime() + promo.days * 24 * 60 * 60 * 1000).toISOString()
+      });
+      recordSubscriptionChange(before, subscription, { source: 'promo', mode: 'extend', changedBy: p_user_id });
+
+      db.promo_redemptions.push(newRow('promo_redemptions', {
+        promo_code_id: promo.id,
+        user_id: p_user_id,
+        checkout_id: null,
+        previous_expires_at: before.expires_at,
+        expires_at: subscription.expires_at
+      }));
+      promo.redemptions += 1;
+
+      return { promo_code: clone(promo), before, after: clone(subscription) };
+    },
+
+    create_checkout({ p_user_id, p_product_id, p_provider, p_price, p_currency, p_promo_code = null }) {
+      let promo = null;
+      if (p_promo_code !== null) {
+        const checked = rpcs.redeem_promo_code({ p_code: p_promo_code, p_user_id, p_for_checkout: true });
+        if (checked.error) return checked;
+        if (checked.promo_code.product_id !== p_product_id) return { error: 'wrong_product' };
+        promo = checked.promo_code;
+
+        for (const row of db.checkout_sessions) {
+          if (row.promo_code_id === promo.id && row.user_id === p_user_id && row.status === 'pending' &&
+            new Date(row.expires_at) > new Date()) row.expires_at = now();
+        }
+      }
+
+      const checkout = newRow('checkout_sessions', {
+        user_id: p_user_id,
+        product_id: p_product_id,
+        provider: p_provider,
+        amount: Math.round(p_price * (100 - (promo?.percent_off ?? 0))) / 100,
+        currency: p_currency,
+        promo_code_id: promo?.id ?? null
+      });
+      db.checkout_sessions.push(checkout);
+
+      return { checkout: clone(checkout), promo_code: promo };
+    },
+
+    create_bulk_job({ p_action, p_product_id, p_days, p_user_ids = null, p_filter = null, p_created_by = null, p_dry_run = false }) {
+      const candidates = p_user_ids || rpcs.admin_list_users({
+        p_search: p_filter.search ?? null,
+        p_product_id: p_filter.product_id ?? null,
+        p_status: p_filter.status ?? null,
+        p_limit: Infinity
+      }).map((row) => row.id);
+
+      const active = (subscription) => new Date(subscription.expires_at) > new Date();
+      const targets = db.users.filter((user) => {
+        if (!candidates.includes(user.id)) return false;
+        const subscription = db.subscriptions.find((row) => row.user_id === user.id && row.product_id === p_product_id);
+        return p_action === 'grant' ||
+          (p_action === 'extend' && ['trial', 'premium'].includes(subscription?.status) && active(subscription)) ||
+          (p_action === 'revoke' && subscription?.status === 'premium');
+      });
+
+      if (p_dry_run || targets.length === 0) return { count: targets.length };
+
+      const job = newRow('bulk_jobs', {
+        action: p_action,
+        product_id: p_product_id,
+        days: p_days,
+        target: p_user_ids ? { user_ids: p_user_ids } : { filter: p_filter },
+        total: targets.length,
+        created_by: p_created_by
+      });
+      db.bulk_jobs.push(job);
+      db.bulk_job_items.push(...targets.map((user) => newRow('bulk_job_items', { job_id: job.id, user_id: user.id })));
+      return job;
+    },
+
+    apply_bulk_job_item({ p_item_id }) {
+      const item = db.bulk_job_items.find((row) => row.id === p_item_id && row.status === 'pending');
+      if (!item) return null;
+
+      const job = db.bulk_jobs.find((row) => row.id === item.job_id);
+      const change = (job.days || 0) * 24 * 60 * 60 * 1000;
+      const shift = (date, ms) => new Date(new Date(date).getTime() + ms).toISOString();
+
+      if (job.action === 'grant') rpcs.ensure_subscription({ p_user_id: item.user_id, p_product_id: job.product_id });
+      const subscription = db.subscriptions.find((row) => row.user_id === item.user_id && row.product_id === job.product_id);
+      const before = subscription ? clone(subscription) : null;
+      const active = before && new Date(before.expires_at) > new Date();
+
+      let after = null;
+      if (job.action === 'grant') {
+        after = Object.assign(subscription, {
+          status: 'premium',
+          expires_at: shift(before.status === 'premium' && active ? before.expires_at : now(), change)
+        });
+      } else if (job.action === 'extend' && ['trial', 'premium'].includes(before?.status) && active) {
+        after = Object.assign(subscription, { expires_at: shift(before.expires_at, change) });
+      } else if (job.action === 'revoke' && before?.status === 'premium') {
+        const remaining = job.days && before.expires_at && shift(before.expires_at, -change);
+        after = Object.assign(subscription, remaining && new Date(remaining) > new Date()
+          ? { expires_at: remaining }
+          : { status: 'free', expires_at: null });
+      }
+
+      const outcome = after ? 'changed' : 'skipped';
+      if (after) recordSubscriptionChange(before, after, { source: 'bulk', mode: job.action, changedBy: job.created_by });
+      Object.assign(item, { status: outcome, processed_at: now() });
+
+      const done = job.processed + 1 >= job.total;
+      Object.assign(job, {
+        processed: job.processed + 1,
+        [outcome]: job[outcome] + 1,
+        status: done ? 'completed' : 'running',
+        started_at: job.started_at || now(),
+        finished_at: done ? now() : null
+      });
+
+      return { status: outcome, error: null, before, after: after && clone(after) };
+    },
+
+    usage_period_totals({ p_api_key_id }) {
+      const monthStart = now().slice(0, 8) + '01';
+      const totals = {};
+      for (const row of db.usage_daily) {
+        if (row.api_key_id === p_api_key_id && row.day >= monthStart) {
+          totals[row.metric] = (totals[row.metric] || 0) + Number(row.count);
+        }
+      }
+      return totals;
+    },
+
+    enqueue_webhook_event({ p_type, p_data }) {
+      const eventId = crypto.randomUUID();
+      const payload = { id: eventId, type: p_type, created_at: now(), data: p_data };
+
+      for (const endpoint of db.webhook_endpoints) {
+        if (endpoint.is_active && (endpoint.events.length === 0 || endpoint.events.includes(p_type))) {
+          db.webhook_deliveries.push(newRow('webhook_deliveries', {
+            endpoint_id: endpoint.id,
+            event_id: eventId,
+            event_type: p_type,
+            payload
+          }));
+        }
+      }
+      return eventId;
+    },
+
+    ...extraRpcs
+  };
+
+  return {
+    db,
+
+    // Session token for a seeded user, for the Authorization header
+    signIn(userId) {
+      const token = `token-${crypto.randomUUID()}`;
+      sessions.set(token, userId);
+      return token;
+    },
+
+    from(table) {
+      return new QueryBuilder(table);
+    },
+
+    async rpc(name, args = {}) {
+      await roundTrip();
+      if (!rpcs[name]) {
+        return { data: null, error: postgrestError('PGRST202', `Could not find the function public.${name}`) };
+      }
+      try {
+        return { data: clone(await rpcs[name](clone(args), db) ?? null), error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    },
+
+    auth: {
+      async getUser(token) {
+        const user = sessions.has(token) && authUser(sessions.get(token));
+        return user
+          ? { data: { user }, error: null }
+          : { data: { user: null }, error: { status: 401, message: 'invalid JWT' } };
+      },
+
+      admin: {
+        async getUserById(userId) {
+          const user = authUser(userId);
+          return user
+            ? { data: { user }, error: null }
+            : { data: { user: null }, error: { status: 404, message: 'User not found' } };
+        }
+      }
+    }
+  };
+};
+
+// key_prefix / key_salt / key_hash for a plaintext key, hashed the way
+// hash_api_key() does
+const hashedKeyColumns = (apiKey) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return {
+    key_prefix: apiKey.slice(0, 11),
+    key_salt: salt,
+    key_hash: crypto.createHash('sha256').update(salt + apiKey).digest('hex')
+  };
+};
+
+module.exports = { createFakeSupabase, hashedKeyColumns };
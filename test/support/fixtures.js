@@ -0,0 +1,116 @@
+// Seed data for the tests: one user holding one key for one product, with
+// Free and Pro plans. Overrides are merged into each row.
+
+const { hashedKeyColumns } = require('./fakeSupabase');
+
+const API_KEY = `sk_${'a1'.repeat(32)}`;
+const ROTATED_API_KEY = `sk_${'b2'.repeat(32)}`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS).toISOString();
+
+const licenseFixture = ({ user = {}, product = {}, subscription = {}, key = {}, devices = [], plans } = {}) => ({
+  users: [{
+    id: 'user-1',
+    email: 'ada@example.com',
+    full_name: 'Ada',
+    email_confirmed_at: '2024-01-01T00:00:00.000Z',
+    is_admin: false,
+    ...user
+  }],
+  products: [{
+    id: 'product-1',
+    name: 'Scraper Pro',
+    description: 'Web scraping toolkit',
+    price: 9.99,
+    duration_days: 30,
+    max_devices: 1,
+    release_cooldown_minutes: 60,
+    max_releases_per_period: null,
+    trial_enabled: true,
+    trial_days: 3,
+    trial_requires_verified_email: false,
+    is_active: true,
+    ...product
+  }],
+  plans: plans || [
+    {
+      id: 'plan-free',
+      product_id: 'product-1',
+      name: 'Free',
+      status: 'free',
+      is_default: true,
+      entitlements: { export: false },
+      quotas: {}
+    },
+    {
+      id: 'plan-pro',
+      product_id: 'product-1',
+      name: 'Pro',
+      status: 'premium',
+      is_default: true,
+      entitlements: { export: true },
+      quotas: {}
+    }
+  ],
+  subscriptions: [{
+    id: 'subscription-1',
+    user_id: 'user-1',
+    product_id: 'product-1',
+    status: 'free',
+    expires_at: null,
+    trial_used: false,
+    plan_id: null,
+    ...subscription
+  }],
+  api_keys: [{
+    id: 'key-1',
+    user_id: 'user-1',
+    product_id: 'product-1',
+    key_prefix: API_KEY.slice(0, 11),
+    secret: API_KEY,
+    previous_secret: null,
+    previous_key_expires_at: null,
+    ...key
+  }],
+  key_devices: devices.map((deviceId, index) => ({
+    id: `seed-device-${index + 1}`,
+    api_key_id: 'key-1',
+    device_id: deviceId,
+    public_key: null,
+    first_seen_at: daysFromNow(-1),
+    last_seen_at: daysFromNow(-1)
+  }))
+});
+
+const ADMIN = {
+  id: 'admin-1',
+  email: 'grace@example.com',
+  full_name: 'Grace',
+  email_confirmed_at: '2024-01-01T00:00:00.000Z',
+  is_admin: true
+};
+
+// The same data as tables for the in-memory Supabase, plus an admin
+// account. Keys are stored the way the database stores them: prefix, salt
+// and hash, for the current and any rotated-out secret.
+const supabaseFixture = (overrides) => {
+  const { api_keys: keys, ...tables } = licenseFixture(overrides);
+
+  return {
+    ...tables,
+    users: [...tables.users, { ...ADMIN }],
+    api_keys: keys.map(({ secret, previous_secret: previousSecret, ...key }) => {
+      const previous = previousSecret && hashedKeyColumns(previousSecret);
+      return {
+        ...key,
+        ...hashedKeyColumns(secret),
+        previous_key_prefix: previous ? previous.key_prefix : null,
+        previous_key_salt: previous ? previous.key_salt : null,
+        previous_key_hash: previous ? previous.key_hash : null
+      };
+    })
+  };
+};
+
+module.exports = { API_KEY, ROTATED_API_KEY, ADMIN, daysFromNow, supabaseFixture };
@@ -0,0 +1,111 @@
+// A throwaway Postgres server with database_schema.sql loaded, for tests
+// that need the real SQL functions (row locks, constraints, upgrades) rather
+// than the in-memory stand-in. Supabase's auth schema is stubbed just far
+// enough for the schema to load.
+
+const fs = require('node:fs/promises');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const { Pool } = require('pg');
+
+const SCHEMA_PATH = path.join(__dirname, '..', '..', 'database_schema.sql');
+
+const AUTH_STUB = `
+  CREATE SCHEMA auth;
+  CREATE TABLE auth.users (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email TEXT,
+    raw_user_meta_data JSONB NOT NULL DEFAULT '{}'
+  );
+  CREATE FUNCTION auth.uid() RETURNS UUID AS 'SELECT NULL::UUID' LANGUAGE sql;
+`;
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.on('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+const readSchema = () => fs.readFile(SCHEMA_PATH, 'utf8');
+
+// embedded-postgres does not listen for errors on the processes it spawns,
+// so one that cannot be started (EACCES when the postgres user cannot reach
+// the binaries, say) is thrown as an uncaught exception and its start()
+// never settles. Run `step` and reject with that error instead, so the
+// calling hook fails rather than the test file ending with no tests run.
+const rejectSpawnErrors = async (step) => {
+  let onError;
+  const spawnFailed = new Promise((resolve, reject) => {
+    onError = (error) => {
+      if (!error.syscall?.startsWith('spawn')) throw error;
+      reject(error);
+    };
+  });
+  process.on('uncaughtException', onError);
+
+  try {
+    return await Promise.race([step(), spawnFailed]);
+  } finally {
+    process.off('uncaughtException', onError);
+  }
+};
+
+// Starts a server and returns a connection pool to it. Call stop() when
+// done; the data directory is deleted with it.
+const startPostgres = async () => {
+  const { default: EmbeddedPostgres } = await import('embedded-postgres');
+  const port = await freePort();
+  const databaseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'api-keys-pg-'));
+  const server = new EmbeddedPostgres({
+    databaseDir,
+    port,
+    user: 'postgres',
+    password: 'postgres',
+    persistent: false,
+    // Postgres refuses to run as root, as in many CI containers
+    createPostgresUser: process.getuid?.() === 0,
+    onLog: () => {}
+  });
+
+  try {
+    await rejectSpawnErrors(async () => {
+      await server.initialise();
+      await server.start();
+    });
+  } catch (error) {
+    await fs.rm(databaseDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  const pool = new Pool({ host: '127.0.0.1', port, user: 'postgres', password: 'postgres', database: 'postgres' });
+  try {
+    await pool.query(AUTH_STUB);
+    await pool.query(await readSchema());
+  } catch (error) {
+    await pool.end();
+    await server.stop();
+    throw error;
+  }
+
+  return {
+    pool,
+    query: (text, values) => pool.query(text, values),
+
+    // A user as Supabase's signup trigger creates them
+    async createUser(email) {
+      const { rows: [user] } = await pool.query('INSERT INTO auth.users (email) VALUES ($1) RETURNING id', [email]);
+      return user.id;
+    },
+
+    async stop() {
+      await pool.end();
+      await server.stop();
+    }
+  };
+};
+
+module.exports = { readSchema, startPostgres };
@@ -0,0 +1,151 @@
+// /verify through server.js and its Supabase data access, against the
+// in-memory database. The licensing rules themselves are covered in
+// licensing.contract.test.js; these tests check the rows the route reads
+// and writes.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useFakeSupabase, startApp } = require('./support/app');
+const { API_KEY, ROTATED_API_KEY, daysFromNow, supabaseFixture } = require('./support/fixtures');
+
+describe('POST /verify', () => {
+  let api;
+
+  before(async () => {
+    api = await startApp();
+  });
+
+  after(() => api.close());
+
+  const verify = (body) => api.request('POST', '/verify', { body });
+
+  it('binds a new device and starts the trial', async () => {
+    const supabase = useFakeSupabase(supabaseFixture());
+
+    const { status, body } = await verify({ api_key: API_KEY, device_id: 'laptop' });
+
+    assert.equal(status, 200);
+    assert.equal(body.valid, true);
+    assert.equal(body.status, 'trial');
+    assert.equal(body.plan, 'Pro');
+    assert.equal(body.days_left, 3);
+
+    const { key_devices: devices, subscriptions, trial_claims: claims } = supabase.db;
+    assert.deepEqual(devices.map((device) => [device.api_key_id, device.device_id]), [['key-1', 'laptop']]);
+    assert.equal(subscriptions[0].status, 'trial');
+    assert.equal(subscriptions[0].trial_used, true);
+    assert.equal(subscriptions[0].expires_at, body.expires_at);
+    assert.deepEqual(claims.map((claim) => [claim.device_id, claim.user_id]), [['laptop', 'user-1']]);
+  });
+
+  it('queues device.bound and trial.started for subscribed endpoints', async () => {
+    const supabase = useFakeSupabase({
+      ...supabaseFixture(),
+      webhook_endpoints: [{ id: 'endpoint-1', url: 'https://hooks.example.com', secret: 'whsec_test', events: [], is_active: true }]
+    });
+
+    await verify({ api_key: API_KEY, device_id: 'laptop' });
+
+    assert.deepEqual(
+      supabase.db.webhook_deliveries.map((delivery) => delivery.event_type),
+      ['device.bound', 'trial.started']
+    );
+  });
+
+  it('only records the visit of a device that is already bound', async () => {
+    const supabase = useFakeSupabase(supabaseFixture({
+      product: { trial_enabled: false },
+      devices: ['laptop']
+    }));
+    const lastSeen = supabase.db.key_devices[0].last_seen_at;
+
+    const { body } = await verify({ api_key: API_KEY, device_id: 'laptop' });
+
+    assert.equal(body.valid, true);
+    assert.equal(body.status, 'free');
+    assert.equal(supabase.db.key_devices.length, 1);
+    assert.ok(supabase.db.key_devices[0].last_seen_at > lastSeen);
+  });
+
+  it('turns a device away when every seat is taken and records it', async () => {
+    const supabase = useFakeSupabase(supabaseFixture({ devices: ['laptop'] }));
+
+    const { body } = await verify({ api_key: API_KEY, device_id: 'desktop' });
+
+    assert.equal(body.valid, false);
+    assert.equal(body.error, 'API key is bound to the maximum number of devices');
+    assert.equal(supabase.db.key_devices.length, 1);
+    assert.deepEqual(
+      supabase.db.abuse_events.map((event) => [event.reason, event.key_prefix, event.device_id]),
+      [['device_limit', API_KEY.slice(0, 11), 'desktop']]
+    );
+  });
+
+  it('reverts an expired subscription to free', async () => {
+    const supabase = useFakeSupabase(supabaseFixture({
+      subscription: { status: 'premium', trial_used: true, expires_at: daysFromNow(-1) },
+      devices: ['laptop']
+    }));
+
+    const { body } = await verify({ api_key: API_KEY, device_id: 'laptop' });
+
+    assert.equal(body.valid, true);
+    assert.equal(body.status, 'free');
+    assert.equal(body.plan, 'Free');
+    assert.equal(supabase.db.subscriptions[0].status, 'free');
+    assert.equal(supabase.db.subscriptions[0].expires_at, null);
+  });
+
+  it('refuses every key of a deactivated product without touching its rows', async () => {
+    const supabase = useFakeSupabase(supabaseFixture({ product: { is_active: false } }));
+
+    const { body } = await verify({ api_key: API_KEY, device_id: 'laptop' });
+
+    assert.deepEqual(body, {
+      valid: false,
+      product: 'Scraper Pro',
+      active: false,
+      message: 'This product is no longer available.'
+    });
+    assert.equal(supabase.db.key_devices.length, 0);
+    assert.equal(supabase.db.subscriptions[0].status, 'free');
+  });
+
+  it('accepts a rotated-out secret during the overlap and warns about it', async () => {
+    useFakeSupabase(supabaseFixture({
+      product: { trial_enabled: false },
+      key: { secret: ROTATED_API_KEY, previous_secret: API_KEY, previous_key_expires_at: daysFromNow(1) }
+    }));
+
+    const { body } = await verify({ api_key: API_KEY, device_id: 'laptop' });
+
+    assert.equal(body.valid, true);
+    assert.match(body.warning, /has been rotated/);
+  });
+
+  it('rejects a rotated-out secret once the overlap has ended', async () => {
+    useFakeSupabase(supabaseFixture({
+      key: { secret: ROTATED_API_KEY, previous_secret: API_KEY, previous_key_expires_at: daysFromNow(-1) }
+    }));
+
+    const { body } = await verify({ api_key: API_KEY, device_id: 'laptop' });
+
+    assert.deepEqual(body, { valid: false, error: 'Invalid API key' });
+  });
+
+  it('logs the outcome in verification_events', async () => {
+    const supabase = useFakeSupabase(supabaseFixture());
+
+    await verify({ api_key: API_KEY, device_id: 'laptop' });
+    // The event is written once the response has been sent
+    for (let tries = 0; supabase.db.verification_events.length === 0 && tries < 50; tries++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    assert.deepEqual(
+      supabase.db.verification_events.map((event) => [event.endpoint, event.api_key_id, event.result, event.status_code]),
+      [['verify', 'key-1', 'success', 200]]
+    );
+  });
+});
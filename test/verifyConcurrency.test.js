@@ -0,0 +1,117 @@
+// Concurrent verifications of one key against a real Postgres server. Each
+// call runs apply_verification() on its own connection, so the calls below
+// race for the same rows the way parallel /verify requests do. Whatever the
+// interleaving, the outcome must be the same: one seat taken, one trial
+// started, one expiry recorded.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startPostgres } = require('./support/postgres');
+
+describe('concurrent apply_verification() calls', () => {
+  let db;
+  let accounts = 0;
+
+  before(async () => {
+    db = await startPostgres();
+  });
+
+  after(() => db?.stop());
+
+  // A user with the free subscription, and so the key, to a product of
+  // their own
+  const createKey = async (product) => {
+    accounts += 1;
+    const userId = await db.createUser(`user-${accounts}@example.com`);
+    const { rows: [{ id: productId }] } = await db.query(
+      `INSERT INTO public.products (name, max_devices, trial_enabled, trial_days)
+       VALUES ($1, $2, $3, 3) RETURNING id`,
+      [`Product ${accounts}`, product.max_devices ?? 1, product.trial_enabled ?? true]
+    );
+    await db.query('SELECT ensure_subscription($1, $2)', [userId, productId]);
+
+    const { rows: [key] } = await db.query(
+      'SELECT id, user_id FROM public.api_keys WHERE user_id = $1 AND product_id = $2',
+      [userId, productId]
+    );
+    return key;
+  };
+
+  const verifyAll = (key, deviceIds) => Promise.all(deviceIds.map(async (deviceId) => {
+    const { rows: [{ result }] } = await db.query('SELECT apply_verification($1, $2) AS result', [key.id, deviceId]);
+    return result;
+  }));
+
+  const deviceIds = async (key) => {
+    const { rows } = await db.query('SELECT device_id FROM public.key_devices WHERE api_key_id = $1', [key.id]);
+    return rows.map((row) => row.device_id);
+  };
+
+  const subscription = async (key) => {
+    const { rows: [row] } = await db.query('SELECT * FROM public.subscriptions WHERE user_id = $1', [key.user_id]);
+    return row;
+  };
+
+  for (const callers of [2, 5, 10]) {
+    describe(`with ${callers} callers`, () => {
+      it('give the last seat to exactly one device', async () => {
+        const key = await createKey({ trial_enabled: false });
+        const devices = Array.from({ length: callers }, (_, index) => `device-${index}`);
+
+        const results = await verifyAll(key, devices);
+
+        const bound = results.filter((result) => result.bound);
+        assert.equal(bound.length, 1);
+        assert.equal(results.filter((result) => result.device_limit).length, callers - 1);
+        assert.equal((await deviceIds(key)).length, 1);
+      });
+
+      it('start the trial once for a device verifying in parallel', async () => {
+        const key = await createKey({});
+
+        const results = await verifyAll(key, Array(callers).fill('laptop'));
+
+        assert.equal(results.filter((result) => result.bound).length, 1);
+        assert.equal(results.filter((result) => result.trial_started).length, 1);
+        assert.ok(results.every((result) => result.subscription.status === 'trial'));
+        assert.equal(new Set(results.map((result) => result.subscription.expires_at)).size, 1);
+
+        const { rows: claims } = await db.query('SELECT device_id FROM public.trial_claims WHERE user_id = $1', [key.user_id]);
+        assert.deepEqual(claims, [{ device_id: 'laptop' }]);
+        assert.deepEqual(await deviceIds(key), ['laptop']);
+      });
+
+      it('start at most one trial across devices sharing the seats', async () => {
+        const key = await createKey({ max_devices: callers });
+        const devices = Array.from({ length: callers }, (_, index) => `device-${index}`);
+
+        const results = await verifyAll(key, devices);
+
+        assert.ok(results.every((result) => result.bound && result.subscription.status === 'trial'));
+        assert.equal(results.filter((result) => result.trial_started).length, 1);
+        assert.equal((await deviceIds(key)).length, callers);
+      });
+
+      it('revert an expired subscription once', async () => {
+        const key = await createKey({});
+        await db.query(
+          `UPDATE public.subscriptions
+           SET status = 'premium', trial_used = TRUE, expires_at = NOW() - INTERVAL '1 day'
+           WHERE user_id = $1`,
+          [key.user_id]
+        );
+        await db.query('INSERT INTO public.key_devices (api_key_id, device_id) VALUES ($1, $2)', [key.id, 'laptop']);
+
+        const results = await verifyAll(key, Array(callers).fill('laptop'));
+
+        assert.ok(results.every((result) => result.subscription.status === 'free'));
+        assert.deepEqual(
+          results.filter((result) => result.expired_from).map((result) => result.expired_from),
+          ['premium']
+        );
+        assert.equal((await subscription(key)).expires_at, null);
+      });
+    });
+  }
+});